@@ -0,0 +1,209 @@
+/**
+ * AggregationManager - Column aggregates for the table footer
+ *
+ * Features:
+ * - Built-in aggregates per column: sum, avg, min, max, count, or a custom function
+ * - Computed over all filtered rows or only the rows on the current page
+ * - Values are formatted with the column's format (currency, percent, ...)
+ * - In server mode, aggregates can be supplied by the loader (`aggregates` in its result)
+ */
+export default class AggregationManager {
+  constructor(table, options = {}) {
+    this.table = table;
+    this.options = {
+      scope: 'filtered', // 'filtered' (all rows matching filters and search) or 'page' (current page only)
+      label: true, // Label in the first footer cell when that column has no aggregate: true (translated "Total"), a string or false
+      ...options
+    };
+
+    // Aggregates from the last server response: { columnName: value }
+    this.serverAggregates = null;
+
+    // Unknown aggregate names already reported
+    this.warnedAggregates = new Set();
+
+    // Built-in aggregate functions: (values) => value, empty values already removed
+    this.aggregates = {
+      sum: values => this._toNumbers(values).reduce((total, value) => total + value, 0),
+      avg: values => {
+        const numbers = this._toNumbers(values);
+        return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+      },
+      min: values => this._extreme(values, -1),
+      max: values => this._extreme(values, 1),
+      count: values => values.length
+    };
+
+    // Keep the footer in sync with edits that do not re-render the table
+    this.handleCellEdit = this.handleCellEdit.bind(this);
+    this.table.eventManager.on('afterCellEdit', this.handleCellEdit);
+  }
+
+  /**
+   * Check if any of the given columns has an aggregate
+   * @param {Array} columns - Column definitions
+   * @returns {boolean}
+   */
+  hasAggregates(columns) {
+    return columns.some(col => this._getAggregate(col) !== null);
+  }
+
+  /**
+   * Compute the aggregate of one column
+   * @param {Object} column - Column definition
+   * @param {Array} rows - Rows to aggregate
+   * @returns {*} Aggregate value, or undefined if the column has no aggregate
+   */
+  computeAggregate(column, rows) {
+    const aggregate = this._getAggregate(column);
+    if (aggregate === null) return undefined;
+
+    const values = rows.map(row => this.table.columnManager.getCellValue(row, column.name));
+
+    if (typeof aggregate === 'function') {
+      return aggregate(values, rows, column);
+    }
+    return this.aggregates[aggregate](values.filter(value => value != null && value !== ''));
+  }
+
+  /**
+   * Compute aggregates of all columns that define one
+   * @param {Array} [pageRows] - Rows on the current page (used with scope 'page')
+   * @returns {Object} { columnName: value }
+   */
+  getAggregates(pageRows = null) {
+    const rows = this.getRows(pageRows);
+    const result = {};
+
+    this.table.columnManager.getColumns().forEach(col => {
+      if (this._getAggregate(col) === null) return;
+
+      // Server totals cover rows that are not loaded
+      if (this.serverAggregates && Object.prototype.hasOwnProperty.call(this.serverAggregates, col.name)) {
+        result[col.name] = this.serverAggregates[col.name];
+      } else {
+        result[col.name] = this.computeAggregate(col, rows);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Rows the aggregates are computed over
+   * @param {Array} [pageRows] - Rows on the current page (used with scope 'page')
+   * @returns {Array}
+   */
+  getRows(pageRows = null) {
+    const dataManager = this.table.dataManager;
+    const isVirtual = this.table.virtualScrollManager && this.table.virtualScrollManager.isEnabled();
+
+    // Virtual scrolling has no pages
+    if (this.options.scope === 'page' && !isVirtual) {
+      const rows = pageRows || (this.table.paginationManager
+        ? this.table.paginationManager.getCurrentPageData()
+        : dataManager.getData());
+      return rows.filter(row => !dataManager.isGroupRow(row));
+    }
+
+    return dataManager.getData();
+  }
+
+  /**
+   * Format an aggregate for display
+   * Numbers and dates use the column's format; counts and other values are shown as they are.
+   * @param {Object} column - Column definition
+   * @param {*} value - Aggregate value
+   * @returns {string} Display text
+   */
+  formatAggregate(column, value) {
+    if (value == null) return '';
+
+    if (column.aggregate !== 'count' && (typeof value === 'number' || value instanceof Date)) {
+      const formatted = this.table.columnManager.formatValue(column, value);
+      if (formatted !== value) return String(formatted);
+    }
+
+    // Unformatted averages would show long fractions
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+      return String(Math.round(value * 100) / 100);
+    }
+    return String(value);
+  }
+
+  /**
+   * Footer label text
+   * @returns {string} Label or '' when disabled
+   */
+  getLabel() {
+    if (this.options.label === false || this.options.label == null) return '';
+    return this.options.label === true ? this.table.t('general.total') : String(this.options.label);
+  }
+
+  /**
+   * Store aggregates returned by a server loader
+   * @param {Object|null} aggregates - { columnName: value } or null to compute from the loaded rows
+   */
+  setServerAggregates(aggregates) {
+    this.serverAggregates = aggregates && typeof aggregates === 'object' ? aggregates : null;
+  }
+
+  /**
+   * Re-render the footer after an inline edit
+   */
+  handleCellEdit() {
+    if (this.table.renderer) {
+      this.table.renderer.updateFooter();
+    }
+  }
+
+  /**
+   * Stop listening for edits
+   */
+  destroy() {
+    if (this.table.eventManager) {
+      this.table.eventManager.off('afterCellEdit', this.handleCellEdit);
+    }
+  }
+
+  /**
+   * Resolve a column's aggregate option
+   * @returns {string|Function|null}
+   * @private
+   */
+  _getAggregate(column) {
+    const aggregate = column && column.aggregate;
+    if (typeof aggregate === 'function') return aggregate;
+    if (typeof aggregate === 'string') {
+      if (this.aggregates[aggregate]) return aggregate;
+      if (!this.warnedAggregates.has(column.name)) {
+        this.warnedAggregates.add(column.name);
+        console.warn(`TablixJS: Unknown aggregate '${aggregate}' for column '${column.name}'.`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _toNumbers(values) {
+    return values
+      .filter(value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+      .map(value => Number(value))
+      .filter(value => !isNaN(value));
+  }
+
+  /**
+   * Smallest (direction -1) or largest (direction 1) value
+   * Numbers are compared numerically; other values (dates, strings) by their natural order.
+   * @private
+   */
+  _extreme(values, direction) {
+    if (values.length === 0) return null;
+
+    const numbers = this._toNumbers(values);
+    const candidates = numbers.length === values.length ? numbers : values;
+    return candidates.reduce((result, value) => ((direction < 0 ? value < result : value > result) ? value : result));
+  }
+}
@@ -7,7 +7,17 @@
  * - Custom renderer priority over formatting
  * - Extensible design for future format types
  * - Performance-optimized with cached formatters
+ * - Dot-path column names ('address.city') read values from nested objects
  */
+
+/**
+ * Whether a column name is a path into nested objects rather than a key of the row
+ * Keys that contain dots (e.g. { 'address.city': ... }) keep working as plain keys.
+ */
+function isPath(row, columnName) {
+  return typeof columnName === 'string' && columnName.includes('.') && !(columnName in row);
+}
+
 export default class ColumnManager {
   constructor(table) {
     this.table = table;
@@ -138,6 +148,65 @@ export default class ColumnManager {
     };
   }
 
+  /**
+   * Get the value of a column in a row
+   * Dot-path names read nested values: 'address.city' is row.address.city.
+   * @param {Object} row - Row data
+   * @param {string} columnName - Column name
+   * @returns {*} Cell value (undefined if a part of the path is missing)
+   */
+  getCellValue(row, columnName) {
+    if (row === null || row === undefined) return undefined;
+    if (!isPath(row, columnName)) return row[columnName];
+
+    return columnName.split('.').reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      row
+    );
+  }
+
+  /**
+   * Set the value of a column in a row
+   * For dot-path names the nested objects along the path are copied rather than mutated,
+   * so row change tracking (which keeps shallow snapshots) sees the change; missing ones are created.
+   * @param {Object} row - Row data
+   * @param {string} columnName - Column name
+   * @param {*} value - New value
+   */
+  setCellValue(row, columnName, value) {
+    if (!isPath(row, columnName)) {
+      row[columnName] = value;
+      return;
+    }
+
+    const keys = columnName.split('.');
+    const lastKey = keys.pop();
+    let target = row;
+    keys.forEach(key => {
+      const nested = target[key];
+      if (Array.isArray(nested)) {
+        target[key] = [...nested];
+      } else {
+        target[key] = nested !== null && typeof nested === 'object' ? { ...nested } : {};
+      }
+      target = target[key];
+    });
+    target[lastKey] = value;
+  }
+
+  /**
+   * Format a value with the column's format only (custom renderers are not applied)
+   * Used for values that do not belong to a row, e.g. footer aggregates.
+   * @param {Object|string} column - Column definition or name
+   * @param {*} value - Value to format
+   * @returns {*} Formatted value, or the value itself if the column has no format
+   */
+  formatValue(column, value) {
+    const columnName = typeof column === 'string' ? column : column.name;
+    const formatter = this.formatters.get(columnName);
+    return formatter ? formatter(value) : value;
+  }
+
   /**
    * Get column definition by name
    * @param {string} columnName - Column name
@@ -155,6 +224,214 @@ export default class ColumnManager {
     return this.columns;
   }
 
+  /**
+   * Get columns that are rendered (hidden columns still take part in search, filtering and export)
+   * Display order puts left-pinned columns first and right-pinned columns last.
+   * @returns {Array} Array of visible column definitions in display order
+   */
+  getVisibleColumns() {
+    const visible = this.columns.filter(col => col.visible !== false);
+    return [
+      ...visible.filter(col => this.getPinnedSide(col) === 'left'),
+      ...visible.filter(col => this.getPinnedSide(col) === null),
+      ...visible.filter(col => this.getPinnedSide(col) === 'right')
+    ];
+  }
+
+  /**
+   * Get the side a column is pinned to
+   * @param {Object|string} column - Column definition or name
+   * @returns {string|null} 'left', 'right' or null
+   */
+  getPinnedSide(column) {
+    const columnObj = typeof column === 'string' ? this.getColumn(column) : column;
+    const pinned = columnObj && columnObj.pinned;
+    return pinned === 'left' || pinned === 'right' ? pinned : null;
+  }
+
+  /**
+   * Pin a column to the left or right edge, or unpin it
+   * @param {string} columnName - Column name
+   * @param {string|null} side - 'left', 'right' or null
+   * @returns {boolean} True if the pinned side changed
+   */
+  setColumnPinned(columnName, side) {
+    const column = this.getColumn(columnName);
+    if (!column) {
+      console.warn(`TablixJS: Column '${columnName}' not found.`);
+      return false;
+    }
+
+    if (side !== null && side !== 'left' && side !== 'right') {
+      console.warn(`TablixJS: Invalid pinned side '${side}' for column '${columnName}'. Use 'left', 'right' or null.`);
+      return false;
+    }
+
+    if (this.getPinnedSide(column) === side) return false;
+
+    column.pinned = side;
+    return true;
+  }
+
+  /**
+   * Check if a column is visible
+   * @param {string} columnName - Column name
+   * @returns {boolean} True if the column exists and is not hidden
+   */
+  isColumnVisible(columnName) {
+    const column = this.getColumn(columnName);
+    return !!column && column.visible !== false;
+  }
+
+  /**
+   * Check if a column can be hidden by the user (column option `hideable: false` locks it)
+   * @param {string} columnName - Column name
+   * @returns {boolean}
+   */
+  isColumnHideable(columnName) {
+    const column = this.getColumn(columnName);
+    return !!column && column.hideable !== false;
+  }
+
+  /**
+   * Show or hide a column
+   * The last visible column cannot be hidden.
+   * @param {string} columnName - Column name
+   * @param {boolean} visible - New visibility
+   * @returns {boolean} True if the visibility changed
+   */
+  setColumnVisibility(columnName, visible) {
+    const column = this.getColumn(columnName);
+    if (!column) {
+      console.warn(`TablixJS: Column '${columnName}' not found.`);
+      return false;
+    }
+
+    if ((column.visible !== false) === visible) return false;
+
+    if (!visible && this.getVisibleColumns().length === 1) {
+      console.warn('TablixJS: Cannot hide the last visible column.');
+      return false;
+    }
+
+    column.visible = visible;
+    return true;
+  }
+
+  /**
+   * Move a column to a new position
+   * @param {string} columnName - Column name
+   * @param {number} toIndex - Target index in getColumns() (hidden columns count), clamped to the valid range
+   * @returns {Object|null} { fromIndex, toIndex } or null if the column was not found or did not move
+   */
+  moveColumn(columnName, toIndex) {
+    const fromIndex = this.columns.findIndex(col => col.name === columnName);
+    if (fromIndex === -1) {
+      console.warn(`TablixJS: Column '${columnName}' not found.`);
+      return null;
+    }
+
+    const targetIndex = Math.max(0, Math.min(Number(toIndex) || 0, this.columns.length - 1));
+    if (targetIndex === fromIndex) return null;
+
+    const [column] = this.columns.splice(fromIndex, 1);
+    this.columns.splice(targetIndex, 0, column);
+    return { fromIndex, toIndex: targetIndex };
+  }
+
+  /**
+   * Get the configured width of a column
+   * @param {string} columnName - Column name
+   * @returns {number|string|null} Width in pixels, a CSS width string, or null when not set
+   */
+  getColumnWidth(columnName) {
+    const column = this.getColumn(columnName);
+    return column && column.width != null ? column.width : null;
+  }
+
+  /**
+   * Set the width of a column
+   * Pixel widths are clamped to the column's minWidth/maxWidth; CSS strings (e.g. '20%') are used as is.
+   * @param {string} columnName - Column name
+   * @param {number|string|null} width - New width, null to fall back to automatic layout
+   * @returns {Object|null} { oldWidth, width } or null if the column was not found or did not change
+   */
+  setColumnWidth(columnName, width) {
+    const column = this.getColumn(columnName);
+    if (!column) {
+      console.warn(`TablixJS: Column '${columnName}' not found.`);
+      return null;
+    }
+
+    const newWidth = typeof width === 'number' ? this.clampColumnWidth(column, width) : (width || null);
+    const oldWidth = column.width != null ? column.width : null;
+    if (newWidth === oldWidth) return null;
+
+    column.width = newWidth;
+    return { oldWidth, width: newWidth };
+  }
+
+  /**
+   * Clamp a pixel width to a column's limits
+   * @param {Object} column - Column definition
+   * @param {number} width - Width in pixels
+   * @returns {number} Rounded width within [minWidth, maxWidth]
+   */
+  clampColumnWidth(column, width) {
+    const resizeOptions = this.table.options.columnResize;
+    const defaultMin = resizeOptions && typeof resizeOptions.minWidth === 'number' ? resizeOptions.minWidth : 30;
+    const minWidth = typeof column.minWidth === 'number' ? column.minWidth : defaultMin;
+    const maxWidth = typeof column.maxWidth === 'number' ? column.maxWidth : Infinity;
+    return Math.round(Math.min(Math.max(width, minWidth), Math.max(minWidth, maxWidth)));
+  }
+
+  /**
+   * Get column order, visibility, width and pinning
+   * @returns {Array} [{ name, visible, width?, pinned }, ...] in column order
+   */
+  getColumnState() {
+    return this.columns.map(col => {
+      const state = { name: col.name, visible: col.visible !== false };
+      // Only pixel widths are saved (set by resizing or the API)
+      if (typeof col.width === 'number') {
+        state.width = col.width;
+      }
+      // null is saved too, so unpinning a column pinned in its definition survives a restore
+      state.pinned = this.getPinnedSide(col);
+      return state;
+    });
+  }
+
+  /**
+   * Apply column order, visibility, width and pinning
+   * Columns missing from the state keep their relative order after the listed ones;
+   * unknown names are ignored so saved state survives column definition changes.
+   * @param {Array} state - [{ name, visible, width?, pinned? }, ...] in column order
+   */
+  applyColumnState(state = []) {
+    const byName = new Map(this.columns.map(col => [col.name, col]));
+    const ordered = [];
+
+    state.forEach(entry => {
+      const column = entry && byName.get(entry.name);
+      if (!column) return;
+
+      if (typeof entry.visible === 'boolean') {
+        column.visible = entry.visible;
+      }
+      if (typeof entry.width === 'number') {
+        column.width = this.clampColumnWidth(column, entry.width);
+      }
+      if (entry.pinned !== undefined) {
+        column.pinned = entry.pinned === 'left' || entry.pinned === 'right' ? entry.pinned : null;
+      }
+      ordered.push(column);
+      byName.delete(entry.name);
+    });
+
+    this.columns = [...ordered, ...this.columns.filter(col => byName.has(col.name))];
+  }
+
   // =============================================================================
   // FORMAT IMPLEMENTATIONS
   // =============================================================================
@@ -0,0 +1,225 @@
+/**
+ * ColumnResizeManager - Interactive column resizing for TablixJS
+ *
+ * Features:
+ * - Drag handles on the right edge of header cells
+ * - Respects per-column minWidth/maxWidth (and a table-wide default minimum)
+ * - Double-click on a handle auto-fits the column to its rendered content
+ * - Widths are stored on the column definitions, so they survive re-renders and virtual scrolling
+ */
+export default class ColumnResizeManager {
+  constructor(table, options = {}) {
+    this.table = table;
+    this.options = {
+      enabled: false,
+      minWidth: 30, // Default minimum width in pixels (column minWidth overrides it)
+      autoFit: true, // Double-click on a handle fits the column to its content
+      ...options
+    };
+
+    // Active drag state: { columnName, startX, startWidth }
+    this.activeResize = null;
+
+    // Set when a drag ends so the click that follows does not sort the column
+    this.suppressClick = false;
+
+    // Bind methods to preserve context
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+    this.handleHeaderClick = this.handleHeaderClick.bind(this);
+  }
+
+  /**
+   * Bind resize events to the rendered header
+   * Called by Renderer after every render since the header is recreated
+   */
+  bindEvents() {
+    if (!this.options.enabled) return;
+
+    const headerRow = this.table.container.querySelector('.tablix-header-row');
+    if (!headerRow) return;
+
+    headerRow.addEventListener('mousedown', this.handleMouseDown);
+    headerRow.addEventListener('dblclick', this.handleDoubleClick);
+    // Capture phase, so handle clicks never reach the sort handler
+    headerRow.addEventListener('click', this.handleHeaderClick, true);
+  }
+
+  /**
+   * Check if a column can be resized (column option `resizable: false` disables it)
+   * @param {Object} column - Column definition
+   * @returns {boolean}
+   */
+  isColumnResizable(column) {
+    return this.options.enabled && column.resizable !== false;
+  }
+
+  /**
+   * @returns {boolean} True while a handle is being dragged
+   */
+  isResizing() {
+    return this.activeResize !== null;
+  }
+
+  /**
+   * Start dragging a resize handle
+   * @param {MouseEvent} event
+   */
+  handleMouseDown(event) {
+    const handle = event.target.closest('.tablix-resize-handle');
+    if (!handle || event.button !== 0) return;
+
+    // Keep the header from starting a text selection or a column drag
+    event.preventDefault();
+    event.stopPropagation();
+
+    const th = handle.closest('.tablix-th');
+    this.freezeColumnWidths();
+
+    const currentWidth = this.table.columnManager.getColumnWidth(handle.dataset.column);
+    this.activeResize = {
+      columnName: handle.dataset.column,
+      startX: event.clientX,
+      startWidth: typeof currentWidth === 'number' ? currentWidth : th.offsetWidth
+    };
+
+    const wrapper = this.table.container.querySelector('.tablix-wrapper');
+    if (wrapper) {
+      wrapper.classList.add('tablix-resizing');
+    }
+
+    document.addEventListener('mousemove', this.handleMouseMove);
+    document.addEventListener('mouseup', this.handleMouseUp);
+  }
+
+  /**
+   * Resize the column while dragging (DOM only, committed on mouseup)
+   * @param {MouseEvent} event
+   */
+  handleMouseMove(event) {
+    if (!this.activeResize) return;
+
+    const { columnName, startX, startWidth } = this.activeResize;
+    const column = this.table.columnManager.getColumn(columnName);
+    const width = this.table.columnManager.clampColumnWidth(column, startWidth + event.clientX - startX);
+
+    this.table.renderer.updateColumnWidths({ [columnName]: width });
+  }
+
+  /**
+   * Finish dragging and commit the new width
+   * @param {MouseEvent} event
+   */
+  async handleMouseUp(event) {
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    document.removeEventListener('mouseup', this.handleMouseUp);
+    if (!this.activeResize) return;
+
+    const { columnName, startX, startWidth } = this.activeResize;
+    this.activeResize = null;
+
+    const wrapper = this.table.container.querySelector('.tablix-wrapper');
+    if (wrapper) {
+      wrapper.classList.remove('tablix-resizing');
+    }
+
+    // The mouseup is followed by a click on the header
+    this.suppressClick = true;
+    setTimeout(() => {
+      this.suppressClick = false;
+    }, 0);
+
+    await this.table.setColumnWidth(columnName, startWidth + event.clientX - startX);
+  }
+
+  /**
+   * Auto-fit a column when its handle is double-clicked
+   * @param {MouseEvent} event
+   */
+  async handleDoubleClick(event) {
+    const handle = event.target.closest('.tablix-resize-handle');
+    if (!handle || !this.options.autoFit) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    await this.table.autoFitColumn(handle.dataset.column);
+  }
+
+  /**
+   * Swallow clicks on handles and the click that ends a drag
+   * @param {MouseEvent} event
+   */
+  handleHeaderClick(event) {
+    if (this.suppressClick || event.target.closest('.tablix-resize-handle')) {
+      event.stopPropagation();
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Store the rendered width of every visible column that has no pixel width yet
+   * Once one column is dragged, the others keep their current size instead of redistributing space.
+   */
+  freezeColumnWidths() {
+    const widths = {};
+
+    this.table.container.querySelectorAll('.tablix-th[data-column]').forEach(th => {
+      const column = this.table.columnManager.getColumn(th.dataset.column);
+      if (column && typeof column.width !== 'number' && th.offsetWidth > 0) {
+        column.width = this.table.columnManager.clampColumnWidth(column, th.offsetWidth);
+        widths[column.name] = column.width;
+      }
+    });
+
+    if (Object.keys(widths).length > 0) {
+      this.table.renderer.updateColumnWidths(widths);
+    }
+  }
+
+  /**
+   * Measure the width needed to show a column's header and rendered cells without wrapping
+   * Only rows currently in the DOM are measured (the current page or the virtual scroll window).
+   * @param {string} columnName - Column name
+   * @returns {number} Width in pixels
+   */
+  measureColumnWidth(columnName) {
+    const cells = Array.from(this.table.container.querySelectorAll('.tablix-th[data-column], .tablix-td[data-column]'))
+      .filter(cell => cell.dataset.column === columnName);
+
+    let width = 0;
+    cells.forEach(cell => {
+      const content = cell.classList.contains('tablix-th') ? cell.querySelector('.tablix-th-content') : cell;
+      if (!content) return;
+
+      // Measure a copy inside the cell so it inherits the cell's font
+      const probe = document.createElement('div');
+      probe.style.cssText = 'position:absolute;visibility:hidden;white-space:nowrap;width:auto;height:auto;left:0;top:0;';
+      if (content !== cell) {
+        probe.style.display = 'flex';
+      }
+      probe.innerHTML = content.innerHTML;
+      cell.appendChild(probe);
+
+      const style = window.getComputedStyle(cell);
+      const extra = ['paddingLeft', 'paddingRight', 'borderLeftWidth', 'borderRightWidth']
+        .reduce((sum, prop) => sum + (parseFloat(style[prop]) || 0), 0);
+      width = Math.max(width, probe.scrollWidth + extra);
+
+      cell.removeChild(probe);
+    });
+
+    return Math.ceil(width);
+  }
+
+  /**
+   * Remove document-level listeners
+   */
+  destroy() {
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    document.removeEventListener('mouseup', this.handleMouseUp);
+    this.activeResize = null;
+  }
+}
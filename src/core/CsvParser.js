@@ -0,0 +1,224 @@
+/**
+ * CsvParser - Streaming CSV/TSV parser
+ *
+ * Features:
+ * - Text is pushed in chunks; complete records are returned as soon as they are parsed
+ * - Quoted fields with escaped quotes ("") and embedded delimiters and line breaks (RFC 4180)
+ * - LF, CRLF and CR line endings; a leading byte order mark is skipped
+ * - Delimiter detection when no delimiter is given: input is buffered until the first record is complete,
+ *   so detection does not depend on how the text is split into chunks
+ */
+export default class CsvParser {
+  constructor(options = {}) {
+    this.options = {
+      delimiter: null, // Field delimiter; detected from the first record when null
+      skipEmptyLines: true,
+      ...options
+    };
+
+    this.delimiter = this.options.delimiter;
+    this.record = [];
+    this.field = '';
+    this.quoted = false;       // The current field started with a quote
+    this.inQuotes = false;     // Inside a quoted field
+    this.quotePending = false; // A quote inside a quoted field: either an escaped quote or the closing quote
+    this.skipLineFeed = false; // Previous character was CR (a following LF belongs to the same line break)
+    this.started = false;
+
+    // Delimiter detection: text buffered until the first record ends (scanned incrementally)
+    this.buffer = '';
+    this.scanIndex = 0;
+    this.scanInQuotes = false;
+    this.scanHasContent = false;
+  }
+
+  /**
+   * Detect the delimiter of CSV text: the candidate that occurs equally often
+   * (and most often) on the first lines, outside of quotes
+   * @param {string} sample - Start of the text
+   * @param {Array<string>} candidates - Delimiters to consider
+   * @returns {string} Delimiter (',' if none is found)
+   */
+  static detectDelimiter(sample, candidates = [',', ';', '\t', '|']) {
+    const lines = [];
+    let counts = {};
+    let inQuotes = false;
+
+    for (let i = 0; i < sample.length && lines.length < 10; i++) {
+      const char = sample[i];
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && (char === '\n' || char === '\r')) {
+        if (Object.keys(counts).length > 0) lines.push(counts);
+        counts = {};
+      } else if (!inQuotes && candidates.includes(char)) {
+        counts[char] = (counts[char] || 0) + 1;
+      }
+    }
+    if (Object.keys(counts).length > 0 && lines.length < 10) lines.push(counts);
+
+    let best = ',';
+    let bestScore = 0;
+    candidates.forEach(candidate => {
+      const perLine = lines.map(line => line[candidate] || 0);
+      if (perLine.length === 0 || perLine[0] === 0) return;
+      // Delimiters occurring the same number of times on every line are preferred
+      const consistent = perLine.every(count => count === perLine[0]);
+      const score = (consistent ? 1000 : 0) + perLine[0];
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Parse a chunk of text
+   * @param {string} text - Next chunk
+   * @returns {Array<Array<string>>} Records completed by this chunk
+   */
+  push(text) {
+    const records = [];
+    if (!text) return records;
+
+    if (!this.started) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+      }
+    }
+
+    if (!this.delimiter) {
+      this.buffer += text;
+      if (!this._scanFirstRecord()) return records;
+
+      text = this.buffer;
+      this.buffer = '';
+      this.delimiter = CsvParser.detectDelimiter(text);
+    }
+
+    this._parse(text, records);
+    return records;
+  }
+
+  /**
+   * Finish parsing (an unterminated quoted field is closed at the end of the text)
+   * @returns {Array<Array<string>>} The last record, if the text did not end with a line break
+   */
+  end() {
+    const records = [];
+
+    // The text had no complete record yet: detect the delimiter from what there is
+    if (!this.delimiter && this.buffer) {
+      this.delimiter = CsvParser.detectDelimiter(this.buffer);
+      this._parse(this.buffer, records);
+      this.buffer = '';
+    }
+
+    this.inQuotes = false;
+    this.quotePending = false;
+    if (this.record.length > 0 || this.field !== '' || this.quoted) {
+      this._endRecord(records);
+    }
+    return records;
+  }
+
+  /**
+   * Parse a complete text
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>} Records
+   */
+  parse(text) {
+    return [...this.push(text), ...this.end()];
+  }
+
+  /**
+   * Continue scanning the buffered text for the end of the first (non-empty) record
+   * @returns {boolean} True once the buffer holds a complete record
+   * @private
+   */
+  _scanFirstRecord() {
+    for (; this.scanIndex < this.buffer.length; this.scanIndex++) {
+      const char = this.buffer[this.scanIndex];
+      if (char === '"') {
+        this.scanInQuotes = !this.scanInQuotes;
+        this.scanHasContent = true;
+      } else if (!this.scanInQuotes && (char === '\n' || char === '\r')) {
+        if (this.scanHasContent) return true;
+      } else {
+        this.scanHasContent = true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Parse text with the known delimiter, adding completed records
+   * @private
+   */
+  _parse(text, records) {
+    const delimiter = this.delimiter;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.inQuotes) {
+        if (this.quotePending) {
+          this.quotePending = false;
+          if (char === '"') {
+            this.field += '"';
+            continue;
+          }
+          // The pending quote closed the field; handle this character as unquoted
+          this.inQuotes = false;
+        } else {
+          if (char === '"') {
+            this.quotePending = true;
+          } else {
+            this.field += char;
+          }
+          continue;
+        }
+      }
+
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (char === '"' && this.field === '' && !this.quoted) {
+        this.inQuotes = true;
+        this.quoted = true;
+      } else if (char === delimiter) {
+        this._endField();
+      } else if (char === '\n' || char === '\r') {
+        this.skipLineFeed = char === '\r';
+        this._endRecord(records);
+      } else {
+        this.field += char;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _endField() {
+    this.record.push(this.field);
+    this.field = '';
+    this.quoted = false;
+  }
+
+  /**
+   * @private
+   */
+  _endRecord(records) {
+    const isEmptyLine = this.record.length === 0 && this.field === '' && !this.quoted;
+    if (isEmptyLine && this.options.skipEmptyLines) return;
+
+    this._endField();
+    records.push(this.record);
+    this.record = [];
+  }
+}
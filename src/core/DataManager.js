@@ -1,3 +1,6 @@
+// Marks the group header entries mixed into getDisplayRows()
+const GROUP_ROW = Symbol('tablixGroupRow');
+
 export default class DataManager {
   constructor(table, data = []) {
     this.table = table;
@@ -6,6 +9,18 @@ export default class DataManager {
     this.currentFilters = {};   // current filter criteria
     this.currentSorts = [];     // current sort criteria (deprecated - use SortingManager)
     this.serverTotalRows = null; // for server-side pagination
+
+    // Change tracking for row-level mutations (see addRow/updateRow/removeRow)
+    this._resetChanges();
+
+    // Row grouping (see setGroupBy/getDisplayRows); not available for tree data
+    const grouping = (table.options && table.options.grouping) || {};
+    this.groupBy = this.isTree() ? [] : this._normalizeGroupBy(grouping.columns);
+    this.groupsCollapsed = !!grouping.collapsed; // Default state of every group
+    this.toggledGroups = new Set(); // Keys of groups whose state differs from the default
+    this.rowIndexes = null; // row -> index in filteredData, refreshed by getDisplayRows()
+    // Tree rows are built by refreshView() once the table has set up its managers
+    this.filteredData = this.isTree() ? [] : this.orderByGroups(this.filteredData);
   }
 
   getData() {
@@ -14,7 +29,8 @@ export default class DataManager {
 
   setData(data) {
     this.originalData = data;
-    this.filteredData = [...data];
+    this.filteredData = this._buildUnfilteredView(data);
+    this._resetChanges();
     
     // Update pagination info after data change
     if (this.table.paginationManager) {
@@ -27,8 +43,9 @@ export default class DataManager {
    */
   setServerData(data, totalRows = null) {
     this.originalData = data;
-    this.filteredData = [...data];
+    this.filteredData = this._buildUnfilteredView(data);
     this.serverTotalRows = totalRows;
+    this._resetChanges();
     
     // Update pagination info after data change
     if (this.table.paginationManager) {
@@ -36,6 +53,574 @@ export default class DataManager {
     }
   }
 
+  /**
+   * Update a single cell value in the data set
+   * Rows in filteredData are the same objects as in originalData, so the change
+   * is seen by subsequent sorting, filtering and search operations.
+   * @param {Object} row - Row object (from getData() or originalData)
+   * @param {string} columnName - Column to update
+   * @param {*} value - New value
+   * @returns {*} Previous value
+   */
+  updateCellValue(row, columnName, value) {
+    let target = row;
+
+    // Fall back to an id lookup when the caller holds a copy of the row
+    const rows = this.getAllRows();
+    if (!rows.includes(row)) {
+      const idKey = this._getIdKey();
+      target = rows.find(item => item[idKey] !== undefined && item[idKey] === row[idKey]) || row;
+    }
+
+    this._trackUpdate(target);
+
+    const { columnManager } = this.table;
+    const oldValue = columnManager.getCellValue(target, columnName);
+    columnManager.setCellValue(target, columnName, value);
+    return oldValue;
+  }
+
+  /**
+   * Find a row in the full data set by its id (selection `dataIdKey`)
+   * Ids are compared as strings, matching SelectionManager. Child rows of tree data are included.
+   * @param {*} id - Row id
+   * @returns {Object|null} Row object or null
+   */
+  findRowById(id) {
+    const idKey = this._getIdKey();
+    return this.getAllRows().find(row => row[idKey] != null && String(row[idKey]) === String(id)) || null;
+  }
+
+  /**
+   * Insert a row into the data set
+   * @param {Object} row - Row data
+   * @param {number} [index] - Position in the full data set (appended when omitted)
+   * @returns {Object} The inserted row
+   */
+  addRow(row, index = this.originalData.length) {
+    this._ensureBaseline();
+
+    const position = Math.max(0, Math.min(index, this.originalData.length));
+    this.originalData.splice(position, 0, row);
+
+    if (this.changes.deleted.has(row)) {
+      // Re-adding a removed row (e.g. undo) restores it rather than inserting a new one
+      this.changes.deleted.delete(row);
+    } else {
+      this.changes.inserted.add(row);
+    }
+
+    this.refreshView();
+    return row;
+  }
+
+  /**
+   * Merge new values into an existing row
+   * The row object is updated in place so references held elsewhere stay valid.
+   * @param {*} id - Row id
+   * @param {Object} values - Values to merge
+   * @returns {Object|null} { row, oldValues } or null if the row was not found
+   */
+  updateRow(id, values) {
+    const row = this.findRowById(id);
+    if (!row) return null;
+
+    this._trackUpdate(row);
+
+    const oldValues = {};
+    Object.keys(values).forEach(key => {
+      oldValues[key] = row[key];
+    });
+    Object.assign(row, values);
+
+    this.refreshView();
+    return { row, oldValues };
+  }
+
+  /**
+   * Remove a row from the data set
+   * @param {*} id - Row id
+   * @returns {Object|null} The removed row or null if it was not found
+   */
+  removeRow(id) {
+    const row = this.findRowById(id);
+    if (!row) return null;
+
+    this._ensureBaseline();
+    const siblings = this.isTree() ? this.table.treeManager.findSiblings(row) : this.originalData;
+    siblings.splice(siblings.indexOf(row), 1);
+
+    if (this.changes.inserted.has(row)) {
+      // Added and removed in the same batch - nothing to report
+      this.changes.inserted.delete(row);
+    } else {
+      this.changes.deleted.add(row);
+    }
+
+    this.refreshView();
+    return row;
+  }
+
+  /**
+   * Rebuild filteredData from originalData after a row mutation
+   * Re-applies active filters, search and sorting without resetting the current page.
+   */
+  refreshView() {
+    const isServerMode = this.table._isServerMode && this.table._isServerMode();
+
+    // The server owns filtering and sorting, keep the loaded page as is
+    this.filteredData = isServerMode ? this._buildUnfilteredView(this.originalData) : this.buildView();
+
+    // Keep the current page, only clamp it if the data got shorter
+    if (this.table.paginationManager) {
+      this.table.paginationManager.updatePaginationInfo(isServerMode ? this.serverTotalRows : null);
+    }
+  }
+
+  /**
+   * Apply active filters, search and sorting to the full data set
+   * @returns {Array} New array of visible rows
+   */
+  buildView() {
+    const { filterManager, searchManager, sortingManager } = this.table;
+    const searchTerm = searchManager && searchManager.isSearchActive() ? searchManager.currentSearchTerm : '';
+
+    const matches = row => {
+      if (filterManager && !filterManager.matchesRow(row)) return false;
+      return !searchTerm || searchManager.matchesRow(row, searchTerm);
+    };
+
+    if (this.isTree()) {
+      // Filtering keeps the ancestors of matching rows; sorting orders siblings
+      const activeFilters = filterManager ? filterManager.getActiveFilters() : {};
+      const advancedFilter = filterManager ? filterManager.getAdvancedFilter() : null;
+      const isFiltered = !!searchTerm || Object.keys(activeFilters).length > 0 || !!advancedFilter;
+      return this.table.treeManager.buildView(
+        this.originalData,
+        isFiltered ? matches : null,
+        isFiltered ? JSON.stringify([activeFilters, advancedFilter, searchTerm]) : null
+      );
+    }
+
+    const rows = this.originalData.filter(matches);
+    return this.orderByGroups(sortingManager ? sortingManager.sortRows(rows) : rows);
+  }
+
+  /**
+   * @returns {boolean} True if rows are hierarchical (tree data)
+   */
+  isTree() {
+    return !!(this.table.treeManager && this.table.treeManager.isEnabled());
+  }
+
+  /**
+   * All rows of the data set; for tree data including the loaded child rows
+   * @returns {Array}
+   */
+  getAllRows() {
+    return this.isTree() ? this.table.treeManager.flatten(this.originalData) : this.originalData;
+  }
+
+  /**
+   * Stable id of a row (same as SelectionManager)
+   * @param {Object} row - Row data
+   * @returns {string}
+   */
+  getRowId(row) {
+    if (this.table.selectionManager) {
+      return this.table.selectionManager.getRowId(row);
+    }
+    return String(row[this._getIdKey()]);
+  }
+
+  /**
+   * Set the columns rows are grouped by
+   * @param {string|Array<string>|null} columns - Column name(s), outermost group first; empty to ungroup
+   * @returns {boolean} True if the grouping changed
+   */
+  setGroupBy(columns) {
+    const groupBy = this._normalizeGroupBy(columns);
+    if (groupBy.length === this.groupBy.length && groupBy.every((column, i) => column === this.groupBy[i])) {
+      return false;
+    }
+
+    this.groupBy = groupBy;
+    this.toggledGroups.clear();
+    return true;
+  }
+
+  /**
+   * @returns {Array<string>} Columns rows are grouped by, outermost first
+   */
+  getGroupBy() {
+    return [...this.groupBy];
+  }
+
+  /**
+   * @returns {boolean} True if rows are grouped
+   */
+  isGrouped() {
+    return this.groupBy.length > 0;
+  }
+
+  /**
+   * Sort rows in place so the rows of each group are adjacent
+   * The sort is stable, so the existing order (e.g. the user's sort) is kept within each group.
+   * Groups are ordered by value, descending if the grouped column is sorted descending.
+   * @param {Array} rows - Rows to order
+   * @returns {Array} The same array
+   */
+  orderByGroups(rows) {
+    if (!this.isGrouped()) return rows;
+
+    const sortingManager = this.table.sortingManager;
+    const keys = this.groupBy.map(column => {
+      const sort = sortingManager && sortingManager.currentSorts.find(item => item.column === column);
+      return {
+        column,
+        definition: this.table.columnManager ? this.table.columnManager.getColumn(column) : null,
+        direction: sort ? sort.direction : 'asc'
+      };
+    });
+
+    const columnManager = this.table.columnManager;
+    return rows.sort((a, b) => {
+      for (const key of keys) {
+        const rawA = columnManager.getCellValue(a, key.column);
+        const rawB = columnManager.getCellValue(b, key.column);
+        const valueA = this._getGroupValueKey(rawA);
+        const valueB = this._getGroupValueKey(rawB);
+        if (valueA === valueB) continue;
+
+        // Empty values always go last
+        if (valueA === '') return 1;
+        if (valueB === '') return -1;
+
+        let comparison = sortingManager
+          ? sortingManager._compareValues(rawA, rawB, key.definition)
+          : String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+        // Values the comparator considers equal must still form separate groups
+        if (comparison === 0) {
+          comparison = valueA < valueB ? -1 : 1;
+        }
+        return key.direction === 'desc' ? -comparison : comparison;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Build the group tree for the current rows
+   * @returns {Array} Groups: { key, path, column, value, level, count, rows, collapsed, groups }
+   *   `groups` holds the next grouping level, or null for the innermost level
+   */
+  getGroups() {
+    return this.isGrouped() ? this._buildGroups(this.filteredData, 0, []) : [];
+  }
+
+  /**
+   * Rows in display order: group header entries (see isGroupRow) followed by the rows or
+   * subgroups of expanded groups. Without grouping this is filteredData itself.
+   * @returns {Array}
+   */
+  getDisplayRows() {
+    if (!this.isGrouped()) {
+      this.rowIndexes = null;
+      return this.filteredData;
+    }
+
+    this.rowIndexes = new Map();
+    this.filteredData.forEach((row, index) => this.rowIndexes.set(row, index));
+
+    const displayRows = [];
+    const append = group => {
+      displayRows.push(group);
+      if (group.collapsed) return;
+      if (group.groups) {
+        group.groups.forEach(append);
+      } else {
+        displayRows.push(...group.rows);
+      }
+    };
+    this.getGroups().forEach(append);
+
+    return displayRows;
+  }
+
+  /**
+   * Slice of the display rows for one page
+   * When the page starts inside a group, the headers of the enclosing groups are repeated
+   * at the top with `continued: true`. They do not count towards the page size.
+   * @param {number} start - First display row
+   * @param {number} end - Display row after the last one
+   * @returns {Array}
+   */
+  sliceDisplayRows(start, end) {
+    const displayRows = this.getDisplayRows();
+    const page = displayRows.slice(start, end);
+    if (!this.isGrouped() || page.length === 0) return page;
+
+    const continued = [];
+    let level = this.isGroupRow(page[0]) ? page[0].level : this.groupBy.length;
+    for (let i = start - 1; i >= 0 && level > 0; i--) {
+      const item = displayRows[i];
+      if (this.isGroupRow(item) && item.level < level) {
+        continued.unshift({ ...item, continued: true });
+        level = item.level;
+      }
+    }
+
+    return [...continued, ...page];
+  }
+
+  /**
+   * Check if a display row is a group header
+   * @param {*} item - Entry from getDisplayRows()
+   * @returns {boolean}
+   */
+  isGroupRow(item) {
+    return !!item && item[GROUP_ROW] === true;
+  }
+
+  /**
+   * Index of a row in filteredData (the index rendered as data-row-index)
+   * @param {Object} row - Row object
+   * @returns {number} Index or -1
+   */
+  getRowIndex(row) {
+    if (this.rowIndexes && this.rowIndexes.has(row)) {
+      return this.rowIndexes.get(row);
+    }
+    return this.filteredData.indexOf(row);
+  }
+
+  /**
+   * Key identifying a group
+   * @param {*|Array} path - Group value, or the values of each level from the outermost group down
+   * @returns {string}
+   */
+  getGroupKey(path) {
+    const values = Array.isArray(path) ? path : [path];
+    return JSON.stringify(values.map(value => this._getGroupValueKey(value)));
+  }
+
+  /**
+   * @param {string} key - Group key (see getGroupKey)
+   * @returns {boolean} True if the group is collapsed
+   */
+  isGroupCollapsed(key) {
+    return this.groupsCollapsed !== this.toggledGroups.has(key);
+  }
+
+  /**
+   * Expand or collapse one group
+   * @param {string} key - Group key (see getGroupKey)
+   * @param {boolean} collapsed - New state
+   * @returns {boolean} True if the state changed
+   */
+  setGroupCollapsed(key, collapsed) {
+    if (this.isGroupCollapsed(key) === collapsed) return false;
+
+    if (this.toggledGroups.has(key)) {
+      this.toggledGroups.delete(key);
+    } else {
+      this.toggledGroups.add(key);
+    }
+    return true;
+  }
+
+  /**
+   * Expand or collapse all groups, including groups that appear later (e.g. after a filter change)
+   * @param {boolean} collapsed - New state
+   */
+  setAllGroupsCollapsed(collapsed) {
+    this.groupsCollapsed = collapsed;
+    this.toggledGroups.clear();
+  }
+
+  /**
+   * Group one level of rows, keeping the order in which values first appear
+   * @private
+   */
+  _buildGroups(rows, level, parentPath) {
+    const column = this.groupBy[level];
+    const buckets = new Map();
+
+    rows.forEach(row => {
+      const value = this.table.columnManager.getCellValue(row, column);
+      const valueKey = this._getGroupValueKey(value);
+      if (!buckets.has(valueKey)) {
+        buckets.set(valueKey, { value, rows: [] });
+      }
+      buckets.get(valueKey).rows.push(row);
+    });
+
+    return Array.from(buckets.values()).map(bucket => {
+      const path = [...parentPath, bucket.value];
+      const key = this.getGroupKey(path);
+      return {
+        [GROUP_ROW]: true,
+        key,
+        path,
+        column,
+        value: bucket.value,
+        level,
+        count: bucket.rows.length,
+        rows: bucket.rows,
+        collapsed: this.isGroupCollapsed(key),
+        groups: level + 1 < this.groupBy.length ? this._buildGroups(bucket.rows, level + 1, path) : null
+      };
+    });
+  }
+
+  /**
+   * String identifying a group value; null, undefined and '' share the empty group
+   * @private
+   */
+  _getGroupValueKey(value) {
+    if (value == null || value === '') return '';
+    if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * @private
+   */
+  _normalizeGroupBy(columns) {
+    if (!columns) return [];
+    return (Array.isArray(columns) ? columns : [columns]).filter(column => typeof column === 'string' && column);
+  }
+
+  /**
+   * Get rows changed since the last commitChanges()/setData()
+   * @returns {Object} { inserted, updated, deleted } - arrays of row copies
+   */
+  getChanges() {
+    const updated = [];
+    this.changes.snapshots.forEach((snapshot, row) => {
+      if (!this.changes.deleted.has(row) && !this._rowsEqual(row, snapshot)) {
+        updated.push({ ...row });
+      }
+    });
+
+    return {
+      inserted: [...this.changes.inserted].map(row => ({ ...row })),
+      updated,
+      deleted: [...this.changes.deleted].map(row => ({ ...row }))
+    };
+  }
+
+  /**
+   * Check whether there are uncommitted changes
+   * @returns {boolean}
+   */
+  hasChanges() {
+    const { inserted, updated, deleted } = this.getChanges();
+    return inserted.length > 0 || updated.length > 0 || deleted.length > 0;
+  }
+
+  /**
+   * Accept current data as the new baseline
+   * @returns {Object} The changes that were committed
+   */
+  commitChanges() {
+    const changes = this.getChanges();
+    this._resetChanges();
+    return changes;
+  }
+
+  /**
+   * Restore the data set to the last committed state
+   * Row order, removed rows and edited values are restored; inserted rows are dropped.
+   * @returns {Object} The changes that were reverted
+   */
+  revertChanges() {
+    const changes = this.getChanges();
+
+    if (this.changes.baseline) {
+      // Restore in place so other holders of the array (e.g. SearchManager) stay in sync
+      this.originalData.splice(0, this.originalData.length, ...this.changes.baseline);
+
+      this.changes.snapshots.forEach((snapshot, row) => {
+        Object.keys(row).forEach(key => {
+          if (!(key in snapshot)) delete row[key];
+        });
+        Object.assign(row, snapshot);
+      });
+    }
+
+    this._resetChanges();
+    this.refreshView();
+    return changes;
+  }
+
+  /**
+   * Clear change tracking
+   * @private
+   */
+  _resetChanges() {
+    this.changes = {
+      baseline: null, // Row order at the last commit, captured lazily on first change
+      inserted: new Set(),
+      deleted: new Set(),
+      snapshots: new Map() // row -> copy of its values at the last commit
+    };
+  }
+
+  /**
+   * Capture the committed row order before the first change
+   * @private
+   */
+  _ensureBaseline() {
+    if (!this.changes.baseline) {
+      this.changes.baseline = [...this.originalData];
+    }
+  }
+
+  /**
+   * Remember a row's committed values before it is modified
+   * @private
+   */
+  _trackUpdate(row) {
+    this._ensureBaseline();
+    if (!this.changes.inserted.has(row) && !this.changes.snapshots.has(row)) {
+      this.changes.snapshots.set(row, { ...row });
+    }
+  }
+
+  /**
+   * Shallow row comparison (dates compared by time)
+   * @private
+   */
+  _rowsEqual(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => {
+      if (a[key] instanceof Date && b[key] instanceof Date) {
+        return a[key].getTime() === b[key].getTime();
+      }
+      return a[key] === b[key];
+    });
+  }
+
+  /**
+   * Rows in their loaded order without filters or sorting applied
+   * (grouped rows ordered by group, tree data flattened to the expanded rows)
+   * @private
+   */
+  _buildUnfilteredView(rows) {
+    return this.isTree() ? this.table.treeManager.buildView(rows) : this.orderByGroups([...rows]);
+  }
+
+  /**
+   * Key used as stable row identifier (shared with SelectionManager)
+   * @private
+   */
+  _getIdKey() {
+    const selectionOptions = this.table.options.selection;
+    return (selectionOptions && selectionOptions.dataIdKey) || 'id';
+  }
+
   /**
    * Get total rows (for server-side pagination)
    */
@@ -53,7 +638,7 @@ export default class DataManager {
       // Simple filtering: supports multiple criteria (legacy format)
       this.filteredData = this.originalData.filter(item => {
         return Object.entries(criteria).every(([key, value]) => {
-          const itemValue = (item[key] + '').toLowerCase();
+          const itemValue = (this.table.columnManager.getCellValue(item, key) + '').toLowerCase();
           const searchValue = (value + '').toLowerCase();
           return itemValue.includes(searchValue);
         });
@@ -94,8 +679,8 @@ export default class DataManager {
       this.filteredData.sort((a, b) => {
         for (const sort of sorts) {
           const { column, direction } = sort;
-          const aVal = a[column];
-          const bVal = b[column];
+          const aVal = this.table.columnManager.getCellValue(a, column);
+          const bVal = this.table.columnManager.getCellValue(b, column);
           
           let comparison = 0;
           if (aVal < bVal) comparison = -1;
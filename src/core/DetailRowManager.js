@@ -0,0 +1,411 @@
+/**
+ * DetailRowManager - Expandable detail rows (master/detail)
+ *
+ * Features:
+ * - Expand toggle in the cells of one column (`detailToggle: true`, the first visible column by default)
+ * - Full-width detail row below an expanded row, rendered by `detailRenderer(row)` (may be async)
+ * - Expanded state keyed by the stable row id (selection `dataIdKey`), so it survives sorting, filtering and paging
+ * - Rendered content is kept while a row stays expanded; async renderers are not called again on every render
+ * - Variable-height detail rows with virtual scrolling
+ */
+export default class DetailRowManager {
+  constructor(table, options = null) {
+    this.table = table;
+
+    // Opt-in: passing options enables detail rows unless enabled is false
+    this.options = {
+      detailRenderer: null, // (row) => HTML string, DOM node, or a Promise resolving to either
+      expandable: null,     // (row) => boolean; rows for which it returns false get no toggle
+      multiple: true,       // false: expanding a row collapses the other expanded rows
+      estimatedHeight: 100, // Detail row height in pixels assumed by virtual scrolling until it is measured
+      ...(options || {}),
+      enabled: !!options && options.enabled !== false
+    };
+
+    if (this.options.enabled && typeof this.options.detailRenderer !== 'function') {
+      console.warn('TablixJS: detailRows requires a detailRenderer function; detail rows are disabled.');
+      this.options.enabled = false;
+    }
+
+    // Ids of expanded rows
+    this.expandedRows = new Set();
+
+    // Rendered content per row id: { status: 'loading' | 'ready' | 'error', value, promise }
+    this.content = new Map();
+
+    // Measured detail row heights per row id (virtual scrolling)
+    this.heights = new Map();
+
+    // Bind methods to preserve context
+    this.handleClick = this.handleClick.bind(this);
+    this.handleDataLoad = this.handleDataLoad.bind(this);
+    this.handleRowChange = this.handleRowChange.bind(this);
+
+    if (this.options.enabled) {
+      this.table.eventManager.on('beforeLoad', this.handleDataLoad);
+      this.table.eventManager.on('afterRowUpdate', this.handleRowChange);
+      this.table.eventManager.on('afterCellEdit', this.handleRowChange);
+    }
+  }
+
+  /**
+   * @returns {boolean} True if detail rows are enabled
+   */
+  isEnabled() {
+    return this.options.enabled;
+  }
+
+  /**
+   * Stable id of a row (same as SelectionManager)
+   * @param {Object} row - Row data
+   * @returns {string}
+   */
+  getRowId(row) {
+    return this.table.dataManager.getRowId(row);
+  }
+
+  /**
+   * Find a row of the loaded data by its id
+   * @param {string} rowId - Row id
+   * @returns {Object|null}
+   */
+  findRow(rowId) {
+    return this.table.dataManager.getAllRows().find(row => this.getRowId(row) === rowId) || null;
+  }
+
+  /**
+   * Check if a row can be expanded
+   * @param {Object} row - Row data
+   * @returns {boolean}
+   */
+  isExpandable(row) {
+    if (!this.options.enabled || !row || this.table.dataManager.isGroupRow(row)) return false;
+    return typeof this.options.expandable !== 'function' || !!this.options.expandable(row);
+  }
+
+  /**
+   * Check if a row is expanded
+   * @param {Object} row - Row data
+   * @returns {boolean}
+   */
+  isExpanded(row) {
+    if (this.expandedRows.size === 0 || !this.isExpandable(row)) return false;
+    return this.expandedRows.has(this.getRowId(row));
+  }
+
+  /**
+   * @param {string} rowId - Row id
+   * @returns {boolean} True if the row with this id is expanded
+   */
+  isExpandedId(rowId) {
+    return this.expandedRows.has(String(rowId));
+  }
+
+  /**
+   * @returns {Array<string>} Ids of expanded rows
+   */
+  getExpandedIds() {
+    return Array.from(this.expandedRows);
+  }
+
+  /**
+   * @returns {boolean} True if any row is expanded
+   */
+  hasExpandedRows() {
+    return this.options.enabled && this.expandedRows.size > 0;
+  }
+
+  /**
+   * Expand or collapse a row and update the rendered table in place
+   * @param {string} rowId - Row id
+   * @param {boolean} expanded - New state
+   * @param {Object|null} row - Row data (needed to render the detail when expanding)
+   */
+  setExpanded(rowId, expanded, row) {
+    if (expanded) {
+      this.expandedRows.add(rowId);
+    } else {
+      this.expandedRows.delete(rowId);
+      // Expanding again renders fresh content
+      this.content.delete(rowId);
+    }
+
+    // Virtual scrolling re-renders the visible rows with the new row heights
+    const virtualScroll = this.table.virtualScrollManager;
+    if (virtualScroll && virtualScroll.isEnabled()) {
+      virtualScroll.refreshLayout();
+      return;
+    }
+
+    const toggle = this._findToggle(rowId);
+    if (!toggle) return;
+
+    this._updateToggle(toggle, expanded);
+    const tr = toggle.closest('.tablix-row');
+    const next = tr.nextElementSibling;
+    const hasDetail = next && next.classList.contains('tablix-detail-row') && next.dataset.detailFor === rowId;
+
+    if (expanded && !hasDetail && row) {
+      tr.after(this.createDetailRowElement(row, tr.children.length));
+    } else if (!expanded && hasDetail) {
+      next.remove();
+    }
+  }
+
+  /**
+   * Name of the column whose cells hold the expand toggle
+   * @returns {string|null}
+   */
+  getToggleColumn() {
+    if (!this.options.enabled) return null;
+    const columns = this.table.columnManager.getVisibleColumns();
+    const column = columns.find(col => col.detailToggle) || columns[0];
+    return column ? column.name : null;
+  }
+
+  /**
+   * Render the expand toggle for a row
+   * @param {Object} row - Row data
+   * @returns {string} HTML (a spacer for rows that cannot be expanded)
+   */
+  renderToggle(row) {
+    if (!this.isExpandable(row)) {
+      return '<span class="tablix-detail-toggle-spacer" aria-hidden="true"></span>';
+    }
+
+    const expanded = this.isExpanded(row);
+    const rowId = this.table.renderer.escapeHtml(this.getRowId(row)).replace(/"/g, '&quot;');
+    const label = this.table.t(expanded ? 'detail.collapse' : 'detail.expand');
+    return `<button type="button" class="tablix-detail-toggle${expanded ? ' tablix-detail-expanded' : ''}" data-row-id="${rowId}" aria-expanded="${expanded}" aria-label="${label}">${expanded ? '▾' : '▸'}</button>`;
+  }
+
+  /**
+   * Add the expand toggle to a rendered cell of the toggle column
+   * Used by virtual scrolling and for cells restored after editing.
+   * @param {Element} td - Cell element
+   * @param {Object} row - Row data
+   */
+  decorateCell(td, row) {
+    td.classList.add('tablix-detail-toggle-cell');
+    td.insertAdjacentHTML('afterbegin', this.renderToggle(row));
+  }
+
+  /**
+   * Render the detail row of an expanded row; the content is filled in once it is in the DOM
+   * @param {Object} row - Row data
+   * @param {number} columnCount - Number of rendered columns
+   * @returns {string} HTML
+   */
+  renderDetailRow(row, columnCount) {
+    const rowId = this.table.renderer.escapeHtml(this.getRowId(row)).replace(/"/g, '&quot;');
+    return `<tr class="tablix-detail-row" data-detail-for="${rowId}">` +
+      `<td class="tablix-detail-cell" colspan="${columnCount}"><div class="tablix-detail-content"></div></td>` +
+      '</tr>';
+  }
+
+  /**
+   * Create a detail row element with its content
+   * @param {Object} row - Row data
+   * @param {number} columnCount - Number of rendered columns
+   * @returns {Element} tr element
+   */
+  createDetailRowElement(row, columnCount) {
+    const tbody = document.createElement('tbody');
+    tbody.innerHTML = this.renderDetailRow(row, columnCount);
+    const tr = tbody.firstElementChild;
+    this._fillContent(tr.querySelector('.tablix-detail-content'), row);
+    return tr;
+  }
+
+  /**
+   * Bind toggle clicks and fill the detail rows rendered by Renderer
+   * Delegated on the body, so rows added later by virtual scrolling are covered too.
+   */
+  bindEvents() {
+    if (!this.options.enabled) return;
+
+    const tbody = this.table.container.querySelector('.tablix-tbody');
+    if (!tbody) return;
+
+    tbody.addEventListener('click', this.handleClick);
+
+    Array.from(tbody.children).forEach(tr => {
+      if (!tr.classList.contains('tablix-detail-row')) return;
+      const row = this.findRow(tr.dataset.detailFor);
+      if (row) {
+        this._fillContent(tr.querySelector('.tablix-detail-content'), row);
+      }
+    });
+  }
+
+  /**
+   * Handle clicks on expand toggles
+   * @param {Event} event - Click event
+   */
+  async handleClick(event) {
+    const toggle = event.target.closest('.tablix-detail-toggle');
+    // Ignore toggles of tables nested in detail rows
+    if (!toggle || toggle.closest('.tablix-tbody') !== event.currentTarget) return;
+
+    event.preventDefault();
+    await this.table.toggleRow(toggle.dataset.rowId);
+  }
+
+  /**
+   * Drop rendered content when the data is replaced
+   */
+  handleDataLoad() {
+    this.content.clear();
+  }
+
+  /**
+   * Render the detail of a changed row again
+   * @param {Object} event - afterRowUpdate or afterCellEdit payload
+   */
+  handleRowChange({ row }) {
+    if (!row || !this.isExpanded(row)) return;
+
+    const rowId = this.getRowId(row);
+    this.content.delete(rowId);
+
+    const tbody = this.table.container.querySelector('.tablix-tbody');
+    const tr = tbody && Array.from(tbody.children)
+      .find(el => el.classList.contains('tablix-detail-row') && el.dataset.detailFor === rowId);
+    if (tr) {
+      this._fillContent(tr.querySelector('.tablix-detail-content'), row);
+    }
+  }
+
+  /**
+   * Height of a row's detail row
+   * @param {Object} row - Row data
+   * @returns {number} Measured or estimated height in pixels, 0 when the row is not expanded
+   */
+  getDetailHeight(row) {
+    if (!this.isExpanded(row)) return 0;
+    const height = this.heights.get(this.getRowId(row));
+    return height != null ? height : this.options.estimatedHeight;
+  }
+
+  /**
+   * Store the measured height of a detail row
+   * @param {string} rowId - Row id
+   * @param {number} height - Height in pixels
+   * @returns {boolean} True if the height changed
+   */
+  setDetailHeight(rowId, height) {
+    if (!(height > 0)) return false;
+    const previous = this.heights.get(rowId);
+    if (previous != null && Math.abs(previous - height) < 1) return false;
+    this.heights.set(rowId, height);
+    return true;
+  }
+
+  /**
+   * Stop listening for table events
+   */
+  destroy() {
+    if (this.table.eventManager) {
+      this.table.eventManager.off('beforeLoad', this.handleDataLoad);
+      this.table.eventManager.off('afterRowUpdate', this.handleRowChange);
+      this.table.eventManager.off('afterCellEdit', this.handleRowChange);
+    }
+    this.expandedRows.clear();
+    this.content.clear();
+    this.heights.clear();
+  }
+
+  /**
+   * Fill a detail row with the rendered content, loading it first if needed
+   * @private
+   */
+  _fillContent(element, row) {
+    const rowId = this.getRowId(row);
+    const entry = this.content.get(rowId) || this._loadContent(rowId, row);
+
+    if (entry.status !== 'loading') {
+      this._setContent(element, entry);
+      return;
+    }
+
+    element.innerHTML = `<div class="tablix-detail-loading">${this.table.t('detail.loading')}</div>`;
+    entry.promise.then(() => {
+      // The row may have been collapsed or re-rendered meanwhile
+      if (!element.isConnected || this.content.get(rowId) !== entry) return;
+      this._setContent(element, entry);
+
+      const virtualScroll = this.table.virtualScrollManager;
+      if (virtualScroll && virtualScroll.isEnabled()) {
+        virtualScroll.measureDetailRows();
+      }
+    });
+  }
+
+  /**
+   * Call the detail renderer and cache its result
+   * @private
+   */
+  _loadContent(rowId, row) {
+    const entry = { status: 'loading', value: null, promise: null };
+    this.content.set(rowId, entry);
+
+    let result;
+    try {
+      result = this.options.detailRenderer(row);
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    if (result && typeof result.then === 'function') {
+      entry.promise = Promise.resolve(result).then(value => {
+        entry.status = 'ready';
+        entry.value = value;
+      }, error => {
+        console.error('Failed to render detail row:', error);
+        entry.status = 'error';
+        entry.value = error;
+      });
+    } else {
+      entry.status = 'ready';
+      entry.value = result;
+    }
+
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  _setContent(element, entry) {
+    if (entry.status === 'error') {
+      element.innerHTML = `<div class="tablix-detail-error">${this.table.t('detail.error')}</div>`;
+    } else if (entry.value && typeof entry.value === 'object' && entry.value.nodeType) {
+      // DOM content is moved into the new row on re-render, keeping its state
+      element.innerHTML = '';
+      element.appendChild(entry.value);
+    } else {
+      element.innerHTML = entry.value == null ? '' : String(entry.value);
+    }
+  }
+
+  /**
+   * Find the rendered toggle of a row
+   * @private
+   */
+  _findToggle(rowId) {
+    const tbody = this.table.container.querySelector('.tablix-tbody');
+    if (!tbody) return null;
+    return Array.from(tbody.querySelectorAll('.tablix-detail-toggle'))
+      .find(toggle => toggle.dataset.rowId === rowId && toggle.closest('.tablix-tbody') === tbody) || null;
+  }
+
+  /**
+   * @private
+   */
+  _updateToggle(toggle, expanded) {
+    toggle.classList.toggle('tablix-detail-expanded', expanded);
+    toggle.setAttribute('aria-expanded', String(expanded));
+    toggle.setAttribute('aria-label', this.table.t(expanded ? 'detail.collapse' : 'detail.expand'));
+    toggle.textContent = expanded ? '▾' : '▸';
+  }
+}
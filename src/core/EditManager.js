@@ -0,0 +1,564 @@
+/**
+ * EditManager - Inline cell editing for TablixJS
+ *
+ * Features:
+ * - Double-click (or Enter on a focused cell) turns a cell into a typed editor
+ * - Editor types: text, number, date, select, checkbox (inferred from the column definition)
+ * - Per-column sync or async validators
+ * - beforeCellEdit / afterCellEdit events through EventManager
+ * - Commits values to DataManager so sorting, filtering and search see the edited data
+ */
+export default class EditManager {
+  constructor(table, options = {}) {
+    this.table = table;
+    this.options = {
+      enabled: false,
+      trigger: 'dblclick', // 'dblclick', 'click' or 'none' (programmatic/keyboard only)
+      enterToEdit: true, // Pressing Enter on a focused cell opens the editor
+      saveOnBlur: true, // Commit when the editor loses focus (otherwise cancel)
+      ...options
+    };
+
+    this.editorTypes = ['text', 'number', 'date', 'select', 'checkbox'];
+
+    // Active editor state: { td, row, column, rowIndex, oldValue, editor, type }
+    this.activeEdit = null;
+
+    // Guard against blur firing while a commit is already running
+    this.isCommitting = false;
+
+    // Bind methods to preserve context
+    this.handleCellTrigger = this.handleCellTrigger.bind(this);
+    this.handleCellKeydown = this.handleCellKeydown.bind(this);
+  }
+
+  /**
+   * Bind editing events to the rendered table body
+   * Called by Renderer after every render since the tbody is recreated
+   */
+  bindEvents() {
+    // Any re-render discards an open editor
+    this.activeEdit = null;
+
+    if (!this.options.enabled) return;
+
+    const tbody = this.table.container.querySelector('.tablix-tbody');
+    if (!tbody) return;
+
+    if (this.options.trigger === 'dblclick' || this.options.trigger === 'click') {
+      tbody.addEventListener(this.options.trigger, this.handleCellTrigger);
+    }
+    tbody.addEventListener('keydown', this.handleCellKeydown);
+  }
+
+  /**
+   * Handle the configured mouse trigger on a cell
+   * @param {Event} event - Mouse event
+   */
+  handleCellTrigger(event) {
+    if (event.target.closest('.tablix-detail-toggle, .tablix-tree-toggle')) return;
+
+    const td = event.target.closest('.tablix-td.tablix-editable');
+    if (!td || td.classList.contains('tablix-editing') || td.closest('.tablix-tbody') !== event.currentTarget) return;
+
+    this.startEditFromCell(td);
+  }
+
+  /**
+   * Handle keyboard editing shortcuts on a focused cell
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleCellKeydown(event) {
+    if (!this.options.enterToEdit || event.key !== 'Enter') return;
+    if (event.target.classList.contains('tablix-editor') || event.target.closest('.tablix-detail-toggle, .tablix-tree-toggle')) return;
+
+    const td = event.target.closest('.tablix-td.tablix-editable');
+    if (!td || td.classList.contains('tablix-editing') || td.closest('.tablix-tbody') !== event.currentTarget) return;
+
+    event.preventDefault();
+    this.startEditFromCell(td);
+  }
+
+  /**
+   * Resolve row and column for a cell element and open the editor
+   * @param {Element} td - Cell element
+   * @returns {Promise<boolean>} Whether the editor was opened
+   */
+  async startEditFromCell(td) {
+    const tr = td.closest('.tablix-row');
+    if (!tr) return false;
+
+    const rowIndex = parseInt(tr.dataset.rowIndex, 10);
+    if (isNaN(rowIndex)) return false;
+
+    return this.startEdit(rowIndex, td.dataset.column, td);
+  }
+
+  /**
+   * Open an editor for a cell
+   * @param {number} rowIndex - Row index in the current data set (as rendered in data-row-index)
+   * @param {string} columnName - Column name
+   * @param {Element} [cellElement] - Cell element (looked up if omitted)
+   * @returns {Promise<boolean>} Whether the editor was opened
+   */
+  async startEdit(rowIndex, columnName, cellElement = null) {
+    if (!this.options.enabled) return false;
+
+    const column = this.table.columnManager.getColumn(columnName);
+    const row = this.table.dataManager.getData()[rowIndex];
+    if (!column || !row || !this.isCellEditable(column, row)) return false;
+
+    const td = cellElement || this._findCell(rowIndex, columnName);
+    if (!td) return false;
+
+    // Only one editor at a time - commit the previous one first
+    if (this.activeEdit) {
+      const committed = await this.commitEdit();
+      if (!committed) return false;
+    }
+
+    const value = this.table.columnManager.getCellValue(row, columnName);
+    const beforeEditData = { row, column: columnName, rowIndex, value, cancel: false };
+    this.table.eventManager.trigger('beforeCellEdit', beforeEditData);
+    if (beforeEditData.cancel) return false;
+
+    const type = this.getEditorType(column);
+    const editor = this.createEditor(type, column, value);
+
+    td.classList.add('tablix-editing');
+    td.innerHTML = '';
+    td.appendChild(editor);
+
+    this.activeEdit = { td, row, column, rowIndex, oldValue: value, editor, type };
+    this._bindEditorEvents(editor);
+
+    editor.focus();
+    if (typeof editor.select === 'function' && type !== 'checkbox' && type !== 'select') {
+      editor.select();
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate and commit the active editor's value
+   * @returns {Promise<boolean>} True when committed (or nothing to commit), false when validation failed
+   */
+  async commitEdit() {
+    if (!this.activeEdit || this.isCommitting) return !this.activeEdit;
+
+    const edit = this.activeEdit;
+    this.isCommitting = true;
+
+    try {
+      const parsed = this.parseEditorValue(edit);
+      const error = parsed.error || await this.validate(edit.column, parsed.value, edit.row);
+
+      // The editor may have been discarded by a re-render while validating
+      if (this.activeEdit !== edit) return false;
+
+      if (error) {
+        this._showValidationError(edit, error);
+        this.table.eventManager.trigger('cellValidationError', {
+          row: edit.row,
+          column: edit.column.name,
+          rowIndex: edit.rowIndex,
+          value: parsed.value,
+          error
+        });
+        return false;
+      }
+
+      const newValue = parsed.value;
+      const changed = !this._valuesEqual(edit.oldValue, newValue);
+
+      if (changed) {
+        this.table.dataManager.updateCellValue(edit.row, edit.column.name, newValue);
+      }
+
+      this.activeEdit = null;
+      this._restoreCell(edit);
+
+      if (changed) {
+        this.table.eventManager.trigger('afterCellEdit', {
+          row: edit.row,
+          column: edit.column.name,
+          rowIndex: edit.rowIndex,
+          oldValue: edit.oldValue,
+          newValue
+        });
+      }
+
+      return true;
+    } finally {
+      this.isCommitting = false;
+    }
+  }
+
+  /**
+   * Close the active editor without saving
+   */
+  cancelEdit() {
+    if (!this.activeEdit) return;
+
+    const edit = this.activeEdit;
+    this.activeEdit = null;
+    this._restoreCell(edit);
+
+    this.table.eventManager.trigger('cellEditCancel', {
+      row: edit.row,
+      column: edit.column.name,
+      rowIndex: edit.rowIndex,
+      value: edit.oldValue
+    });
+  }
+
+  /**
+   * Check whether an editor is open
+   * @returns {boolean}
+   */
+  isEditing() {
+    return this.activeEdit !== null;
+  }
+
+  /**
+   * Check whether a cell can be edited
+   * @param {Object} column - Column definition
+   * @param {Object} row - Row data
+   * @returns {boolean}
+   */
+  isCellEditable(column, row) {
+    if (!this.options.enabled || !column) return false;
+
+    if (typeof column.editable === 'function') {
+      return !!column.editable(row, column);
+    }
+
+    return column.editable === true;
+  }
+
+  /**
+   * Determine the editor type for a column
+   * Priority: explicit `editor`, select options, format, sortType, text
+   * @param {Object} column - Column definition
+   * @returns {string} Editor type
+   */
+  getEditorType(column) {
+    if (column.editor && this.editorTypes.includes(column.editor)) {
+      return column.editor;
+    }
+
+    if (column.editorOptions && Array.isArray(column.editorOptions.options)) {
+      return 'select';
+    }
+
+    switch (column.format) {
+      case 'number':
+      case 'currency':
+      case 'percent':
+        return 'number';
+      case 'date':
+        return 'date';
+    }
+
+    switch (column.sortType) {
+      case 'number':
+        return 'number';
+      case 'date':
+        return 'date';
+      case 'boolean':
+        return 'checkbox';
+    }
+
+    return 'text';
+  }
+
+  /**
+   * Create the editor element for a cell
+   * @param {string} type - Editor type
+   * @param {Object} column - Column definition
+   * @param {*} value - Current cell value
+   * @returns {Element} Editor element
+   */
+  createEditor(type, column, value) {
+    const editorOptions = column.editorOptions || {};
+    let editor;
+
+    if (type === 'select') {
+      editor = document.createElement('select');
+      (editorOptions.options || []).forEach(option => {
+        const optionValue = option !== null && typeof option === 'object' ? option.value : option;
+        const optionLabel = option !== null && typeof option === 'object'
+          ? (option.label !== undefined ? option.label : option.value)
+          : option;
+        const optionEl = document.createElement('option');
+        optionEl.value = String(optionValue);
+        optionEl.textContent = String(optionLabel);
+        optionEl.selected = String(optionValue) === String(value);
+        editor.appendChild(optionEl);
+      });
+    } else {
+      editor = document.createElement('input');
+
+      switch (type) {
+        case 'number':
+          editor.type = 'number';
+          if (editorOptions.step !== undefined) editor.step = editorOptions.step;
+          if (editorOptions.min !== undefined) editor.min = editorOptions.min;
+          if (editorOptions.max !== undefined) editor.max = editorOptions.max;
+          editor.value = value == null ? '' : String(value);
+          break;
+        case 'date':
+          editor.type = 'date';
+          editor.value = this._toDateInputValue(value);
+          break;
+        case 'checkbox':
+          editor.type = 'checkbox';
+          editor.checked = value === true || value === 'true' || value === 1;
+          break;
+        default:
+          editor.type = 'text';
+          editor.value = value == null ? '' : String(value);
+      }
+    }
+
+    editor.className = `tablix-editor tablix-editor-${type}`;
+    editor.setAttribute('aria-label', column.title || column.name);
+
+    return editor;
+  }
+
+  /**
+   * Read and convert the editor value to the column's data type
+   * @param {Object} edit - Active edit state
+   * @returns {Object} { value, error }
+   */
+  parseEditorValue(edit) {
+    const { editor, type, oldValue, column } = edit;
+    const options = (column.editorOptions && column.editorOptions.options) || [];
+
+    switch (type) {
+      case 'checkbox':
+        return { value: editor.checked };
+
+      case 'number': {
+        if (editor.value.trim() === '') return { value: null };
+        const number = Number(editor.value);
+        return isNaN(number)
+          ? { value: editor.value, error: this.table.t('edit.invalidNumber') }
+          : { value: number };
+      }
+
+      case 'date': {
+        if (!editor.value) return { value: null };
+        // Preserve the original storage type (Date objects stay Date objects)
+        return { value: oldValue instanceof Date ? new Date(`${editor.value}T00:00:00`) : editor.value };
+      }
+
+      case 'select': {
+        // Map back to the original option value so numbers/booleans keep their type
+        const match = options.find(option => {
+          const optionValue = option !== null && typeof option === 'object' ? option.value : option;
+          return String(optionValue) === editor.value;
+        });
+        if (match === undefined) return { value: editor.value };
+        return { value: match !== null && typeof match === 'object' ? match.value : match };
+      }
+
+      default:
+        return { value: editor.value };
+    }
+  }
+
+  /**
+   * Run column validators for a value
+   * A validator returns true/undefined when valid, false or an error message when invalid,
+   * and may return a Promise. Throwing is treated as invalid with the error's message.
+   * @param {Object} column - Column definition
+   * @param {*} value - Candidate value
+   * @param {Object} row - Row data
+   * @returns {Promise<string|null>} Error message or null when valid
+   */
+  async validate(column, value, row) {
+    if (!column.validator) return null;
+
+    const validators = Array.isArray(column.validator) ? column.validator : [column.validator];
+
+    for (const validator of validators) {
+      if (typeof validator !== 'function') continue;
+
+      try {
+        const result = await validator(value, row, column);
+        if (result === false) return this.table.t('edit.invalidValue');
+        if (typeof result === 'string' && result !== '') return result;
+      } catch (error) {
+        return (error && error.message) || this.table.t('edit.invalidValue');
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Bind keyboard and focus events on an editor element
+   * @param {Element} editor - Editor element
+   * @private
+   */
+  _bindEditorEvents(editor) {
+    // Keep clicks inside the editor away from row selection and drag handlers
+    ['click', 'dblclick', 'mousedown'].forEach(type => {
+      editor.addEventListener(type, (e) => e.stopPropagation());
+    });
+
+    editor.addEventListener('keydown', async (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        e.stopPropagation();
+        const td = this.activeEdit && this.activeEdit.td;
+        if (await this.commitEdit() && td) td.focus();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        const td = this.activeEdit && this.activeEdit.td;
+        this.cancelEdit();
+        if (td) td.focus();
+      } else if (e.key === 'Tab') {
+        e.preventDefault();
+        e.stopPropagation();
+        await this._moveToAdjacentCell(e.shiftKey ? -1 : 1);
+      }
+    });
+
+    editor.addEventListener('blur', () => {
+      // Defer so Enter/Tab handlers and programmatic moves run first
+      setTimeout(() => {
+        if (!this.activeEdit || this.activeEdit.editor !== editor) return;
+        if (this.options.saveOnBlur) {
+          this.commitEdit();
+        } else {
+          this.cancelEdit();
+        }
+      }, 0);
+    });
+  }
+
+  /**
+   * Commit and open the next (or previous) editable cell in the same row
+   * @param {number} step - 1 for next, -1 for previous
+   * @private
+   */
+  async _moveToAdjacentCell(step) {
+    if (!this.activeEdit) return;
+
+    const { td, rowIndex } = this.activeEdit;
+    const cells = Array.from(td.closest('.tablix-row').querySelectorAll('.tablix-td.tablix-editable'));
+    const target = cells[cells.indexOf(td) + step];
+
+    if (!await this.commitEdit()) return;
+
+    if (target) {
+      await this.startEdit(rowIndex, target.dataset.column, target);
+    } else {
+      td.focus();
+    }
+  }
+
+  /**
+   * Render the cell's display value again after editing
+   * @param {Object} edit - Edit state
+   * @private
+   */
+  _restoreCell(edit) {
+    const { td, row, column } = edit;
+    td.classList.remove('tablix-editing', 'tablix-cell-invalid');
+    td.removeAttribute('title');
+
+    const result = this.table.columnManager.formatCellValue(column, this.table.columnManager.getCellValue(row, column.name), row);
+    const searchManager = this.table.searchManager;
+    if (result.isHtml) {
+      td.innerHTML = result.value;
+    } else if (searchManager && searchManager.isHighlightActive()) {
+      td.innerHTML = searchManager.highlightText(result.value, column.name);
+    } else {
+      td.textContent = result.value == null ? '' : String(result.value);
+    }
+
+    const detailRowManager = this.table.detailRowManager;
+    if (detailRowManager && detailRowManager.getToggleColumn() === column.name) {
+      detailRowManager.decorateCell(td, row);
+    }
+
+    const treeManager = this.table.dataManager.isTree() ? this.table.treeManager : null;
+    if (treeManager && treeManager.getToggleColumn() === column.name) {
+      treeManager.decorateCell(td, row);
+    }
+  }
+
+  /**
+   * Mark the editor as invalid and keep it open
+   * @param {Object} edit - Edit state
+   * @param {string} message - Error message
+   * @private
+   */
+  _showValidationError(edit, message) {
+    edit.td.classList.add('tablix-cell-invalid');
+    edit.td.title = message;
+    edit.editor.setAttribute('aria-invalid', 'true');
+    edit.editor.focus();
+  }
+
+  /**
+   * Find a rendered cell by row index and column name
+   * @private
+   */
+  _findCell(rowIndex, columnName) {
+    const tr = this.table.container.querySelector(`.tablix-row[data-row-index="${rowIndex}"]`);
+    if (!tr) return null;
+    return Array.from(tr.querySelectorAll('.tablix-td')).find(td => td.dataset.column === columnName) || null;
+  }
+
+  /**
+   * Convert a value to the yyyy-mm-dd format used by date inputs
+   * @private
+   */
+  _toDateInputValue(value) {
+    if (value == null || value === '') return '';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+      return value.slice(0, 10);
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return '';
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Compare old and new values (dates by time)
+   * @private
+   */
+  _valuesEqual(a, b) {
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() === b.getTime();
+    }
+    return a === b;
+  }
+
+  /**
+   * Enable/disable editing
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    if (!enabled) this.cancelEdit();
+    this.options.enabled = enabled;
+  }
+
+  /**
+   * Destroy the edit manager
+   */
+  destroy() {
+    this.cancelEdit();
+    this.table = null;
+  }
+}
@@ -0,0 +1,322 @@
+import XlsxWriter from './XlsxWriter.js';
+
+/**
+ * ExportManager - Export pipeline with pluggable writers
+ *
+ * Features:
+ * - Built-in writers: CSV (RFC 4180), TSV, JSON, HTML table, Markdown and Excel (XLSX)
+ * - Custom writers via registerWriter()
+ * - Row scopes: all rows, filtered rows, the current page or the selected rows
+ * - Raw or formatted values, all or visible columns only, optional header row and BOM
+ * - Downloads a file, and returns the content (string or Blob) for programmatic use
+ * - Hidden columns are exported unless they opt out with `exportable: false`
+ */
+export default class ExportManager {
+  constructor(table, options = {}) {
+    this.table = table;
+    this.options = {
+      format: 'csv',        // Default writer
+      scope: 'filtered',    // Default rows: 'all', 'filtered', 'page' or 'selected'
+      filename: 'table-data', // File name without extension
+      download: true,       // false: only return the content
+      header: true,         // Include a header row with the column titles
+      formatted: false,     // true: values formatted with the column format (as displayed, without custom renderers)
+      visibleOnly: false,   // true: skip hidden columns
+      delimiter: null,      // Field delimiter (CSV: ',', TSV: tab)
+      bom: false,           // Prepend a UTF-8 byte order mark to text output (helps Excel detect UTF-8 in CSV files)
+      sheetName: 'Sheet1',  // XLSX worksheet name
+      ...options
+    };
+
+    this.scopes = ['all', 'filtered', 'page', 'selected'];
+
+    // Writers: { extension, mimeType, binary, write(context) => string | Uint8Array | Blob }
+    this.writers = {};
+    this.registerWriter('csv', {
+      extension: 'csv',
+      mimeType: 'text/csv;charset=utf-8',
+      write: context => this._writeDelimited(context, context.options.delimiter || ',')
+    });
+    this.registerWriter('tsv', {
+      extension: 'tsv',
+      mimeType: 'text/tab-separated-values;charset=utf-8',
+      write: context => this._writeDelimited(context, context.options.delimiter || '\t')
+    });
+    this.registerWriter('json', {
+      extension: 'json',
+      mimeType: 'application/json;charset=utf-8',
+      write: context => this._writeJson(context)
+    });
+    this.registerWriter('html', {
+      extension: 'html',
+      mimeType: 'text/html;charset=utf-8',
+      write: context => this._writeHtml(context)
+    });
+    this.registerWriter('markdown', {
+      extension: 'md',
+      label: 'Markdown',
+      mimeType: 'text/markdown;charset=utf-8',
+      write: context => this._writeMarkdown(context)
+    });
+    this.registerWriter('xlsx', {
+      extension: 'xlsx',
+      label: 'Excel',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      binary: true,
+      write: context => new XlsxWriter({
+        sheetName: context.options.sheetName,
+        header: context.options.header,
+        getValue: (row, column) => this.table.columnManager.getCellValue(row, column.name)
+      }).write(context.columns, context.rows)
+    });
+  }
+
+  /**
+   * Register an export writer (replaces a writer with the same name)
+   * @param {string} name - Format name used as `format` option
+   * @param {Object} writer - { write(context), extension, mimeType, binary, label }
+   */
+  registerWriter(name, writer) {
+    if (!writer || typeof writer.write !== 'function') {
+      throw new Error('TablixJS: Export writer must have a write function');
+    }
+
+    this.writers[name] = {
+      extension: name,
+      mimeType: 'text/plain;charset=utf-8',
+      binary: false,
+      label: name.toUpperCase(),
+      ...writer
+    };
+  }
+
+  /**
+   * @returns {Array<string>} Names of the registered formats
+   */
+  getFormats() {
+    return Object.keys(this.writers);
+  }
+
+  /**
+   * @param {string} name - Format name
+   * @returns {Object|null} Writer
+   */
+  getWriter(name) {
+    return this.writers[name] || null;
+  }
+
+  /**
+   * Export rows with a writer
+   * @param {Object} options - Export options; defaults from the table's export options
+   * @returns {Promise<string|Blob|null>} Exported content (a Blob for binary formats), or null if nothing was exported
+   */
+  async export(options = {}) {
+    const settings = { ...this.options, ...options };
+    const writer = this.writers[settings.format];
+
+    if (!writer) {
+      console.warn(`TablixJS: Unknown export format '${settings.format}'. Supported formats: ${this.getFormats().join(', ')}`);
+      return null;
+    }
+    if (!this.scopes.includes(settings.scope)) {
+      console.warn(`TablixJS: Unknown export scope '${settings.scope}'. Supported scopes: ${this.scopes.join(', ')}`);
+      return null;
+    }
+
+    const columns = this.getColumns(settings.visibleOnly);
+    const data = this.getRows(settings.scope);
+    const context = this._createContext(columns, data, settings);
+
+    let content;
+    try {
+      content = await writer.write(context);
+      if (writer.binary && !(content instanceof Blob)) {
+        content = new Blob([content], { type: writer.mimeType });
+      } else if (!writer.binary && settings.bom && typeof content === 'string') {
+        content = '\uFEFF' + content;
+      }
+
+      if (settings.download) {
+        this.download(content, `${settings.filename}.${writer.extension}`, writer.mimeType);
+      }
+    } catch (error) {
+      console.error('Failed to export data:', error);
+      return null;
+    }
+
+    this.table.eventManager.trigger('afterExport', {
+      data,
+      format: settings.format,
+      scope: settings.scope,
+      content
+    });
+    return content;
+  }
+
+  /**
+   * Columns to export: hidden columns are exported too, unless the column opts out with `exportable: false`
+   * @param {boolean} visibleOnly - Skip hidden columns
+   * @returns {Array} Column definitions
+   */
+  getColumns(visibleOnly = false) {
+    const columnManager = this.table.columnManager;
+    const columns = columnManager
+      ? (visibleOnly ? columnManager.getVisibleColumns() : columnManager.getColumns())
+      : (this.table.options.columns || []);
+    return columns.filter(col => col.exportable !== false);
+  }
+
+  /**
+   * Rows of an export scope
+   * @param {string} scope - 'all', 'filtered', 'page' or 'selected'
+   * @returns {Array} Row objects (group headers excluded)
+   */
+  getRows(scope) {
+    const dataManager = this.table.dataManager;
+    let rows;
+
+    switch (scope) {
+      case 'all':
+        rows = dataManager.getAllRows();
+        break;
+      case 'page':
+        rows = this.table.paginationManager
+          ? this.table.paginationManager.getCurrentPageData()
+          : dataManager.getData();
+        break;
+      case 'selected':
+        rows = this.table.selectionManager ? this.table.selectionManager.getSelectedData() : [];
+        break;
+      default:
+        rows = dataManager.getData();
+    }
+
+    return rows.filter(row => !dataManager.isGroupRow(row));
+  }
+
+  /**
+   * Download file contents
+   * @param {string|Blob|Uint8Array} content - File contents
+   * @param {string} filename - File name
+   * @param {string} mimeType - MIME type
+   */
+  download(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Writer input: columns, rows, header titles and the cell values of every row
+   * @private
+   */
+  _createContext(columns, rows, options) {
+    const columnManager = this.table.columnManager;
+    const getValue = (row, column) => {
+      const value = columnManager.getCellValue(row, column.name);
+      return options.formatted && columnManager ? columnManager.formatValue(column, value) : value;
+    };
+
+    return {
+      columns,
+      rows,
+      options,
+      headers: columns.map(col => col.title || col.name),
+      values: rows.map(row => columns.map(col => getValue(row, col))),
+      getValue,
+      table: this.table
+    };
+  }
+
+  /**
+   * Text of a cell value: empty for null/undefined, ISO strings for dates, JSON for objects
+   * @private
+   */
+  _toText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * CSV/TSV per RFC 4180: fields with the delimiter, quotes or line breaks are quoted, records end with CRLF
+   * @private
+   */
+  _writeDelimited(context, delimiter) {
+    const escapeField = value => {
+      const text = this._toText(value);
+      return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = context.values.map(values => values.map(escapeField).join(delimiter));
+    if (context.options.header) {
+      lines.unshift(context.headers.map(escapeField).join(delimiter));
+    }
+    return lines.map(line => line + '\r\n').join('');
+  }
+
+  /**
+   * JSON array of objects keyed by column name
+   * @private
+   */
+  _writeJson(context) {
+    const records = context.values.map(values => {
+      const record = {};
+      context.columns.forEach((col, index) => {
+        record[col.name] = values[index] === undefined ? null : values[index];
+      });
+      return record;
+    });
+    return JSON.stringify(records, null, 2);
+  }
+
+  /**
+   * Standalone HTML document with a table
+   * @private
+   */
+  _writeHtml(context) {
+    const escapeHtml = value => this._toText(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    let html = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+      `<title>${escapeHtml(context.options.filename)}</title>\n</head>\n<body>\n<table>\n`;
+    if (context.options.header) {
+      html += `<thead>\n<tr>${context.headers.map(title => `<th>${escapeHtml(title)}</th>`).join('')}</tr>\n</thead>\n`;
+    }
+    html += '<tbody>\n';
+    context.values.forEach(values => {
+      html += `<tr>${values.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>\n`;
+    });
+    html += '</tbody>\n</table>\n</body>\n</html>\n';
+    return html;
+  }
+
+  /**
+   * Markdown (GFM) table; a header row is required by the syntax, so it is always written
+   * @private
+   */
+  _writeMarkdown(context) {
+    const escapeCell = value => this._toText(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/\|/g, '\\|')
+      .replace(/\r?\n/g, '<br>');
+    const line = cells => `| ${cells.map(escapeCell).join(' | ')} |`;
+
+    const lines = [
+      line(context.headers),
+      `| ${context.columns.map(() => '---').join(' | ')} |`,
+      ...context.values.map(line)
+    ];
+    return lines.join('\n') + '\n';
+  }
+}
@@ -4,10 +4,85 @@
  * Features:
  * - Multi-column filtering with independent filter states
  * - Two filter types: "value" (checkbox selection) and "condition" (operators)
- * - Supports multiple conditions per column
+ * - Supports multiple conditions per column, combined with AND or OR
+ * - Advanced filter: nested AND/OR groups of conditions across columns
  * - Extensible operator system for custom filters
  * - Integration with sorting and pagination
+ * - Type-aware operators for number and date columns
  */
+
+// Typed comparisons used by the number and date operators
+const DAY = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Type of a single value: 'number', 'date' or 'string'
+ */
+function getValueType(value) {
+  if (typeof value === 'number') return 'number';
+  if (value instanceof Date) return 'date';
+  return 'string';
+}
+
+/**
+ * Number of a cell or filter value; NaN for empty and non-numeric values
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return Number(value.trim());
+}
+
+/**
+ * Calendar day of a date value as a UTC timestamp, or null if it is not a date
+ * Date-only strings ('2024-03-15') keep their day; other values use the local day.
+ */
+function toDay(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const match = typeof value === 'string' ? value.trim().match(DATE_ONLY_PATTERN) : null;
+  if (match) return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Compare two values as numbers or calendar days
+ * @returns {number} Negative, zero or positive; NaN if either value is not a number/date
+ */
+function compareValues(value, filterValue, type) {
+  if (type === 'date') {
+    const day = toDay(value);
+    const filterDay = toDay(filterValue);
+    return day === null || filterDay === null ? NaN : day - filterDay;
+  }
+  return toNumber(value) - toNumber(filterValue);
+}
+
+/**
+ * Equality by column type: numbers numerically (10 equals '10.0'), dates by day, text case-insensitively
+ */
+function isEqual(value, filterValue, type) {
+  if (type === 'number' || type === 'date') {
+    const difference = compareValues(value, filterValue, type);
+    if (!isNaN(difference)) return difference === 0;
+  }
+  return String(value).toLowerCase() === String(filterValue).toLowerCase();
+}
+
+/**
+ * Inclusive range test; an empty bound leaves that side of the range open
+ */
+function isBetween(value, from, to, type) {
+  const isEmpty = bound => bound === null || bound === undefined || bound === '';
+  if (isEmpty(from) && isEmpty(to)) return true;
+  if (!isEmpty(from) && !(compareValues(value, from, type) >= 0)) return false;
+  if (!isEmpty(to) && !(compareValues(value, to, type) <= 0)) return false;
+  return true;
+}
+
 export default class FilterManager {
   constructor(table, options = {}) {
     this.table = table;
@@ -23,18 +98,57 @@ export default class FilterManager {
 
     // Filter state per column
     this.columnFilters = new Map(); // { columnName: { type, config, isActive } }
+
+    // Cross-column filter: { logic: 'and' | 'or', conditions: [{ column, operator, value }, { logic, conditions }, ...] }
+    this.advancedFilter = null;
     
     // Supported filter operators
+    // `types` limits an operator to columns of these types ('string', 'number', 'date'; all when omitted),
+    // `inputs` is the number of values it takes (default 1; 'between' also reads `condition.valueTo`)
     this.operators = {
-      'none': { label: 'None', apply: () => true },
-      'isEmpty': { label: 'Is empty', apply: (value) => value === null || value === undefined || value === '' },
-      'isNotEmpty': { label: 'Is not empty', apply: (value) => value !== null && value !== undefined && value !== '' },
-      'equals': { label: 'Is equal to', apply: (value, filterValue) => String(value).toLowerCase() === String(filterValue).toLowerCase() },
-      'notEquals': { label: 'Is not equal to', apply: (value, filterValue) => String(value).toLowerCase() !== String(filterValue).toLowerCase() },
-      'beginsWith': { label: 'Begins with', apply: (value, filterValue) => String(value).toLowerCase().startsWith(String(filterValue).toLowerCase()) },
-      'endsWith': { label: 'Ends with', apply: (value, filterValue) => String(value).toLowerCase().endsWith(String(filterValue).toLowerCase()) },
-      'contains': { label: 'Contains', apply: (value, filterValue) => String(value).toLowerCase().includes(String(filterValue).toLowerCase()) },
-      'notContains': { label: 'Does not contain', apply: (value, filterValue) => !String(value).toLowerCase().includes(String(filterValue).toLowerCase()) }
+      'none': { label: 'None', inputs: 0, apply: () => true },
+      'isEmpty': { label: 'Is empty', inputs: 0, apply: (value) => value === null || value === undefined || value === '' },
+      'isNotEmpty': { label: 'Is not empty', inputs: 0, apply: (value) => value !== null && value !== undefined && value !== '' },
+      'equals': { label: 'Is equal to', apply: (value, filterValue, { type }) => isEqual(value, filterValue, type) },
+      'notEquals': { label: 'Is not equal to', apply: (value, filterValue, { type }) => !isEqual(value, filterValue, type) },
+      'beginsWith': { label: 'Begins with', types: ['string'], apply: (value, filterValue) => String(value).toLowerCase().startsWith(String(filterValue).toLowerCase()) },
+      'endsWith': { label: 'Ends with', types: ['string'], apply: (value, filterValue) => String(value).toLowerCase().endsWith(String(filterValue).toLowerCase()) },
+      'contains': { label: 'Contains', types: ['string'], apply: (value, filterValue) => String(value).toLowerCase().includes(String(filterValue).toLowerCase()) },
+      'notContains': { label: 'Does not contain', types: ['string'], apply: (value, filterValue) => !String(value).toLowerCase().includes(String(filterValue).toLowerCase()) },
+      'gt': { label: 'Greater than', types: ['number'], apply: (value, filterValue) => compareValues(value, filterValue, 'number') > 0 },
+      'gte': { label: 'Greater than or equal to', types: ['number'], apply: (value, filterValue) => compareValues(value, filterValue, 'number') >= 0 },
+      'lt': { label: 'Less than', types: ['number'], apply: (value, filterValue) => compareValues(value, filterValue, 'number') < 0 },
+      'lte': { label: 'Less than or equal to', types: ['number'], apply: (value, filterValue) => compareValues(value, filterValue, 'number') <= 0 },
+      'before': { label: 'Before', types: ['date'], apply: (value, filterValue) => compareValues(value, filterValue, 'date') < 0 },
+      'after': { label: 'After', types: ['date'], apply: (value, filterValue) => compareValues(value, filterValue, 'date') > 0 },
+      'between': {
+        label: 'Between',
+        types: ['number', 'date'],
+        inputs: 2,
+        apply: (value, filterValue, { type, condition }) => isBetween(value, filterValue, condition.valueTo, type === 'date' ? 'date' : 'number')
+      },
+      'lastNDays': {
+        label: 'In the last N days',
+        types: ['date'],
+        inputType: 'number', // The value is a number of days, not a date
+        apply: (value, filterValue) => {
+          const days = parseInt(filterValue, 10);
+          const today = toDay(new Date());
+          const day = toDay(value);
+          return days > 0 && day !== null && day <= today && day > today - days * DAY;
+        }
+      },
+      'thisMonth': {
+        label: 'This month',
+        types: ['date'],
+        inputs: 0,
+        apply: (value) => {
+          const day = toDay(value);
+          const now = new Date();
+          return day !== null && day >= Date.UTC(now.getFullYear(), now.getMonth(), 1) &&
+            day < Date.UTC(now.getFullYear(), now.getMonth() + 1, 1);
+        }
+      }
     };
 
     // Debounce timer for input filtering
@@ -142,7 +256,7 @@ export default class FilterManager {
    * Clear all filters
    */
   async clearAllFilters() {
-    if (this.columnFilters.size === 0) return;
+    if (this.columnFilters.size === 0 && !this.advancedFilter) return;
 
     const beforeFilterData = { 
       columnName: null, 
@@ -152,10 +266,12 @@ export default class FilterManager {
     this.table.eventManager.trigger('beforeFilter', beforeFilterData);
 
     this.columnFilters.clear();
+    this.advancedFilter = null;
 
     // Update state manager with empty filters
     if (this.table.stateManager) {
       this.table.stateManager.updateFilters({});
+      this.table.stateManager.updateAdvancedFilter(null);
       this.table.stateManager.resetPage();
     }
 
@@ -176,6 +292,169 @@ export default class FilterManager {
     });
   }
 
+  /**
+   * Replace all column filters at once (used to restore saved or previous state)
+   * @param {Object} filters - Filter configs by column name; an empty object clears all filters
+   * @param {Object|null} [advancedFilter] - Advanced filter to restore as well; kept when omitted
+   */
+  async setFilters(filters = {}, advancedFilter) {
+    this.table.eventManager.trigger('beforeFilter', {
+      columnName: null,
+      filterConfig: null,
+      currentFilters: this.getActiveFilters(),
+      filters
+    });
+
+    this.applyFilterState(filters);
+    if (advancedFilter !== undefined) {
+      this.applyAdvancedFilterState(advancedFilter);
+    }
+
+    if (this.table.stateManager) {
+      this.table.stateManager.resetPage();
+    }
+
+    if (this.options.mode !== 'server') {
+      this._filterClient();
+    }
+    await this.table.refreshTable();
+
+    this.updateFilterIndicators();
+
+    this.table.eventManager.trigger('afterFilter', {
+      columnName: null,
+      filterConfig: null,
+      filteredData: this.table.dataManager.getData(),
+      activeFilters: this.getActiveFilters()
+    });
+  }
+
+  /**
+   * Replace column filters without filtering data, re-rendering or triggering events
+   * Used when restoring saved state before a single refresh.
+   * @param {Object} filters - Filter configs by column name
+   */
+  applyFilterState(filters = {}) {
+    this.columnFilters.clear();
+    Object.entries(filters || {}).forEach(([columnName, filterConfig]) => {
+      if (!this.validateFilterConfig(filterConfig)) {
+        console.warn(`TablixJS: Invalid filter config for column '${columnName}'`);
+        return;
+      }
+      this.columnFilters.set(columnName, {
+        type: filterConfig.type,
+        config: filterConfig,
+        isActive: this.isFilterActive(filterConfig)
+      });
+    });
+
+    if (this.table.stateManager) {
+      this.table.stateManager.updateFilters(this.getActiveFilters());
+    }
+  }
+
+  /**
+   * Set the advanced filter: nested AND/OR groups of conditions on any columns
+   * It applies in addition to the column filters.
+   * @param {Object|null} group - { logic: 'and' | 'or', conditions: [...] }; null clears the advanced filter
+   * @example
+   * // (status = open OR status = pending) AND amount > 100
+   * filterManager.setAdvancedFilter({
+   *   logic: 'and',
+   *   conditions: [
+   *     { logic: 'or', conditions: [
+   *       { column: 'status', operator: 'equals', value: 'open' },
+   *       { column: 'status', operator: 'equals', value: 'pending' }
+   *     ] },
+   *     { column: 'amount', operator: 'gt', value: 100 }
+   *   ]
+   * });
+   */
+  async setAdvancedFilter(group) {
+    if (group && !this.validateFilterGroup(group)) {
+      console.warn('TablixJS: Invalid advanced filter');
+      return;
+    }
+
+    this.table.eventManager.trigger('beforeFilter', {
+      columnName: null,
+      filterConfig: null,
+      currentFilters: this.getActiveFilters(),
+      advancedFilter: group || null
+    });
+
+    this.applyAdvancedFilterState(group);
+
+    if (this.table.stateManager) {
+      this.table.stateManager.resetPage();
+    }
+
+    if (this.options.mode !== 'server') {
+      this._filterClient();
+    }
+    await this.table.refreshTable();
+
+    this.updateFilterIndicators();
+
+    this.table.eventManager.trigger('afterFilter', {
+      columnName: null,
+      filterConfig: null,
+      filteredData: this.table.dataManager.getData(),
+      activeFilters: this.getActiveFilters(),
+      advancedFilter: this.advancedFilter
+    });
+  }
+
+  /**
+   * Remove the advanced filter
+   */
+  async clearAdvancedFilter() {
+    if (!this.advancedFilter) return;
+    await this.setAdvancedFilter(null);
+  }
+
+  /**
+   * Get the advanced filter
+   * @returns {Object|null} Filter group or null if none is set
+   */
+  getAdvancedFilter() {
+    return this.advancedFilter;
+  }
+
+  /**
+   * Replace the advanced filter without filtering data, re-rendering or triggering events
+   * @param {Object|null} group - Filter group
+   */
+  applyAdvancedFilterState(group) {
+    if (group && !this.validateFilterGroup(group)) {
+      console.warn('TablixJS: Invalid advanced filter');
+      group = null;
+    }
+    // A group without conditions does not filter anything
+    this.advancedFilter = group && group.conditions.length > 0 ? group : null;
+
+    if (this.table.stateManager) {
+      this.table.stateManager.updateAdvancedFilter(this.advancedFilter);
+    }
+  }
+
+  /**
+   * Columns used by the conditions of the advanced filter
+   * @returns {Array<string>} Column names
+   */
+  getAdvancedFilterColumns() {
+    const columns = new Set();
+    const collect = group => group.conditions.forEach(node => {
+      if (Array.isArray(node.conditions)) {
+        collect(node);
+      } else {
+        columns.add(node.column);
+      }
+    });
+    if (this.advancedFilter) collect(this.advancedFilter);
+    return Array.from(columns);
+  }
+
   /**
    * Get active filters
    * @returns {Object} Active filters by column
@@ -190,6 +469,18 @@ export default class FilterManager {
     return activeFilters;
   }
 
+  /**
+   * Check whether a single row passes all active filters
+   * @param {Object} row - Row data
+   * @returns {boolean} True if the row matches every active filter
+   */
+  matchesRow(row) {
+    const matchesColumnFilters = Object.entries(this.getActiveFilters()).every(([columnName, filterConfig]) => {
+      return this._testRowAgainstFilter(row, columnName, filterConfig);
+    });
+    return matchesColumnFilters && (!this.advancedFilter || this._testGroup(row, this.advancedFilter));
+  }
+
   /**
    * Get unique values for a column (for value filtering)
    * @param {string} columnName - Column name
@@ -200,13 +491,13 @@ export default class FilterManager {
     // For client mode, use the original data
     const data = this.options.mode === 'server' 
       ? this.table.dataManager.filteredData 
-      : this.table.dataManager.originalData;
+      : this.table.dataManager.getAllRows();
     
     const values = new Set();
     let hasComplexData = false;
     
     data.forEach(row => {
-      const value = row[columnName];
+      const value = this.table.columnManager.getCellValue(row, columnName);
       if (value !== null && value !== undefined) {
         // Check if value is a complex object (not a primitive or Date)
         if (typeof value === 'object' && !(value instanceof Date)) {
@@ -259,6 +550,7 @@ export default class FilterManager {
     
     if (filterConfig.type === 'condition') {
       return Array.isArray(filterConfig.conditions) && 
+             (filterConfig.logic === undefined || ['and', 'or'].includes(filterConfig.logic)) &&
              filterConfig.conditions.every(cond => 
                cond.operator && this.operators[cond.operator]
              );
@@ -267,6 +559,23 @@ export default class FilterManager {
     return false;
   }
 
+  /**
+   * Validate an advanced filter group
+   * Groups have `conditions` (conditions or nested groups) and an optional `logic` ('and' by default);
+   * conditions have a `column` and a known `operator`.
+   * @param {Object} group - Filter group
+   * @returns {boolean} Whether the group is valid
+   */
+  validateFilterGroup(group) {
+    if (!group || !Array.isArray(group.conditions)) return false;
+    if (group.logic !== undefined && !['and', 'or'].includes(group.logic)) return false;
+
+    return group.conditions.every(node => {
+      if (node && Array.isArray(node.conditions)) return this.validateFilterGroup(node);
+      return !!node && typeof node.column === 'string' && !!this.operators[node.operator];
+    });
+  }
+
   /**
    * Check if filter config represents an active filter
    * @param {Object} filterConfig - Filter configuration
@@ -283,7 +592,7 @@ export default class FilterManager {
       return filterConfig.conditions && 
              filterConfig.conditions.some(cond => 
                cond.operator && cond.operator !== 'none' && 
-               (cond.operator === 'isEmpty' || cond.operator === 'isNotEmpty' || cond.value !== undefined)
+               (this.getOperatorInputs(cond.operator) === 0 || cond.value !== undefined || cond.valueTo !== undefined)
              );
     }
     
@@ -295,21 +604,8 @@ export default class FilterManager {
    * @private
    */
   _filterClient() {
-    const originalData = this.table.dataManager.originalData;
-    const activeFilters = this.getActiveFilters();
-    
-    let filteredData;
-    if (Object.keys(activeFilters).length === 0) {
-      // No filters, show all data
-      filteredData = [...originalData];
-    } else {
-      // Apply all active filters
-      filteredData = originalData.filter(row => {
-        return Object.entries(activeFilters).every(([columnName, filterConfig]) => {
-          return this._testRowAgainstFilter(row, columnName, filterConfig);
-        });
-      });
-    }
+    // Rebuild from the full data set so the global search and sorting stay applied
+    const filteredData = this.table.dataManager.buildView();
 
     // Update DataManager with filtered data
     this.table.dataManager.setFilteredData(filteredData);
@@ -353,7 +649,7 @@ export default class FilterManager {
    * @private
    */
   _testRowAgainstFilter(row, columnName, filterConfig) {
-    const cellValue = row[columnName];
+    const cellValue = this.table.columnManager.getCellValue(row, columnName);
     
     if (filterConfig.type === 'value') {
       // Value filter: check if cell value is in selected values
@@ -363,18 +659,45 @@ export default class FilterManager {
     }
     
     if (filterConfig.type === 'condition') {
-      // Condition filter: test all conditions (AND logic)
-      return filterConfig.conditions.every(condition => {
-        const operator = this.operators[condition.operator];
-        if (!operator) return true; // Unknown operator, pass
-        
-        return operator.apply(cellValue, condition.value);
-      });
+      // Condition filter: all conditions (AND logic, default) or any of them (OR logic)
+      const conditions = filterConfig.conditions.filter(condition => condition.operator !== 'none');
+      if (conditions.length === 0) return true;
+
+      const test = condition => this._testCondition(row, columnName, condition);
+      return filterConfig.logic === 'or' ? conditions.some(test) : conditions.every(test);
     }
     
     return true;
   }
 
+  /**
+   * Test a row against a single operator condition
+   * @private
+   */
+  _testCondition(row, columnName, condition) {
+    const operator = this.operators[condition.operator];
+    if (!operator) return true; // Unknown operator, pass
+
+    const cellValue = this.table.columnManager.getCellValue(row, columnName);
+    // Values of untyped columns are compared by their own type (numbers numerically)
+    const type = this._getDeclaredType(columnName) || getValueType(cellValue);
+    return operator.apply(cellValue, condition.value, { type, condition, columnName, row });
+  }
+
+  /**
+   * Test a row against an advanced filter group (empty groups match every row)
+   * @private
+   */
+  _testGroup(row, group) {
+    const nodes = group.conditions.filter(node => Array.isArray(node.conditions) || node.operator !== 'none');
+    if (nodes.length === 0) return true;
+
+    const test = node => Array.isArray(node.conditions)
+      ? this._testGroup(row, node)
+      : this._testCondition(row, node.column, node);
+    return group.logic === 'or' ? nodes.some(test) : nodes.every(test);
+  }
+
   /**
    * Update filter indicators in the UI
    */
@@ -479,4 +802,66 @@ export default class FilterManager {
   getOperators() {
     return { ...this.operators };
   }
+
+  /**
+   * Get the operators offered for a column, picked by the column type
+   * @param {string} columnName - Column name
+   * @returns {Object} Operators without `types` or with the column's type
+   */
+  getColumnOperators(columnName) {
+    const type = this.getColumnType(columnName);
+    const operators = {};
+    Object.entries(this.operators).forEach(([name, operator]) => {
+      if (!operator.types || operator.types.includes(type)) {
+        operators[name] = operator;
+      }
+    });
+    return operators;
+  }
+
+  /**
+   * Get the filter type of a column: 'number', 'date' or 'string'
+   * Priority: `filterType`, format, sortType, type of the column values
+   * @param {string} columnName - Column name
+   * @returns {string} Column type
+   */
+  getColumnType(columnName) {
+    const declaredType = this._getDeclaredType(columnName);
+    if (declaredType) return declaredType;
+
+    const data = this.table.dataManager.getAllRows() || [];
+    for (let i = 0; i < Math.min(data.length, 100); i++) {
+      const value = this.table.columnManager.getCellValue(data[i], columnName);
+      if (value !== null && value !== undefined && value !== '') {
+        return getValueType(value);
+      }
+    }
+    return 'string';
+  }
+
+  /**
+   * Number of values an operator takes (0, 1 or 2)
+   * @param {string} operatorName - Operator name
+   * @returns {number}
+   */
+  getOperatorInputs(operatorName) {
+    const operator = this.operators[operatorName];
+    if (!operator) return 1;
+    return operator.inputs === undefined ? 1 : operator.inputs;
+  }
+
+  /**
+   * Column type from the column definition, or null if it declares none
+   * @private
+   */
+  _getDeclaredType(columnName) {
+    const column = this.table.columnManager ? this.table.columnManager.getColumn(columnName) : null;
+    if (!column) return null;
+
+    if (['string', 'number', 'date'].includes(column.filterType)) return column.filterType;
+    if (['number', 'currency', 'percent'].includes(column.format)) return 'number';
+    if (column.format === 'date') return 'date';
+    if (['string', 'number', 'date'].includes(column.sortType)) return column.sortType;
+    return null;
+  }
 }
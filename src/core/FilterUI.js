@@ -43,7 +43,7 @@ export default class FilterUI {
     
     // Check first non-null value to determine if column has complex data
     for (let i = 0; i < Math.min(data.length, 100); i++) {
-      const value = data[i][columnName];
+      const value = this.table.columnManager.getCellValue(data[i], columnName);
       if (value !== null && value !== undefined) {
         // Check if value is a complex object (not a primitive or Date)
         if (typeof value === 'object' && !(value instanceof Date)) {
@@ -131,7 +131,7 @@ export default class FilterUI {
     // Create and show dropdown
     const dropdown = this.createFilterDropdown(columnName);
     this.showDropdown(dropdown, filterIndicator);
-    this.activeDropdown = { dropdown, columnName };
+    this.activeDropdown = { dropdown, columnName, trigger: filterIndicator };
   }
 
   /**
@@ -216,9 +216,9 @@ export default class FilterUI {
     if (uniqueValues.length === 0) {
       // Check if the column contains complex data by sampling the first row
       const data = this.table.dataManager.originalData;
-      const hasComplexData = data.length > 0 && 
-        typeof data[0][columnName] === 'object' && 
-        !(data[0][columnName] instanceof Date);
+      const firstValue = data.length > 0 ? this.table.columnManager.getCellValue(data[0], columnName) : undefined;
+      const hasComplexData = typeof firstValue === 'object' && firstValue !== null &&
+        !(firstValue instanceof Date);
       
       const message = hasComplexData 
         ? this.table.t('filter.complexDataNotSupported') || 'Value filtering is not available for columns with complex data. Use Condition filtering instead.'
@@ -274,11 +274,13 @@ export default class FilterUI {
   renderConditionFilterPanel(columnName, currentFilter) {
     const conditions = currentFilter && currentFilter.type === 'condition' ? 
       currentFilter.config.conditions : [{ operator: 'none', value: '' }];
+    const logic = currentFilter && currentFilter.type === 'condition' && currentFilter.config.logic === 'or' ? 'or' : 'and';
     
-    let html = '<div class="tablix-filter-conditions">';
+    let html = `<div class="tablix-filter-conditions" data-logic="${logic}">`;
     
     conditions.forEach((condition, index) => {
-      html += this.renderConditionRow(condition, index);
+      if (index > 0) html += this.renderLogicToggle(logic);
+      html += this.renderConditionRow(condition, index, columnName);
     });
     
     html += `
@@ -293,12 +295,15 @@ export default class FilterUI {
    * Render a single condition row
    * @param {Object} condition - Condition object
    * @param {number} index - Condition index
+   * @param {string} columnName - Column name (picks the operators and inputs for the column type)
    * @returns {string} HTML content
    */
-  renderConditionRow(condition, index) {
-    const operators = this.filterManager.getOperators();
-    const needsValue = condition.operator && 
-      !['none', 'isEmpty', 'isNotEmpty'].includes(condition.operator);
+  renderConditionRow(condition, index, columnName) {
+    const operators = this.filterManager.getColumnOperators(columnName);
+    // Keep an operator set through the API even if it is not offered for the column type
+    if (condition.operator && !operators[condition.operator] && this.filterManager.operators[condition.operator]) {
+      operators[condition.operator] = this.filterManager.operators[condition.operator];
+    }
     
     let html = `
       <div class="tablix-filter-condition" data-index="${index}">
@@ -314,13 +319,7 @@ export default class FilterUI {
     
     html += `
         </select>
-        <input type="text" 
-               id="tablix-filter-value-${index}" 
-               name="filter-value-${index}"
-               class="tablix-filter-value" 
-               placeholder="${this.table.t('filter.value')}" 
-               value="${this.escapeHtml(condition.value || '')}"
-               ${needsValue ? '' : 'disabled'}>
+        <span class="tablix-filter-condition-inputs">${this.renderConditionInputs(condition, index, columnName)}</span>
         <button class="tablix-filter-remove-condition" 
                 type="button" 
                 data-index="${index}"
@@ -331,6 +330,116 @@ export default class FilterUI {
     return html;
   }
 
+  /**
+   * Render the AND/OR toggle shown between condition rows
+   * @param {string} logic - 'and' or 'or'
+   * @returns {string} HTML content
+   */
+  renderLogicToggle(logic) {
+    return `<button class="tablix-filter-logic" type="button" title="${this.table.t('filter.toggleLogic')}">${this.table.t(`filter.${logic}`)}</button>`;
+  }
+
+  /**
+   * Put an AND/OR toggle between every two condition rows (after rows were added or removed)
+   * @param {Element} conditionsContainer - Conditions container element
+   */
+  updateLogicToggles(conditionsContainer) {
+    const logic = conditionsContainer.dataset.logic;
+    conditionsContainer.querySelectorAll('.tablix-filter-logic').forEach(toggle => toggle.remove());
+    conditionsContainer.querySelectorAll('.tablix-filter-condition').forEach((conditionRow, index) => {
+      if (index > 0) conditionRow.insertAdjacentHTML('beforebegin', this.renderLogicToggle(logic));
+    });
+  }
+
+  /**
+   * Render the value inputs of a condition: none (disabled), one, or two for ranges
+   * Number columns get number inputs and date columns date pickers.
+   * @param {Object} condition - Condition object
+   * @param {number} index - Condition index
+   * @param {string} columnName - Column name
+   * @returns {string} HTML content
+   */
+  renderConditionInputs(condition, index, columnName) {
+    const operatorName = condition.operator || 'none';
+    const operator = this.filterManager.operators[operatorName] || {};
+    const inputs = this.filterManager.getOperatorInputs(operatorName);
+    const inputType = operator.inputType || this._getInputType(columnName);
+    const step = inputType === 'number' ? ' step="any"' : '';
+    const value = inputs > 0 ? this._formatInputValue(condition.value, inputType) : '';
+
+    let html = `<input type="${inputType}"${step}
+               id="tablix-filter-value-${index}" 
+               name="filter-value-${index}"
+               class="tablix-filter-value" 
+               placeholder="${this.table.t(inputs === 2 ? 'filter.from' : 'filter.value')}" 
+               value="${this.escapeHtml(value)}"
+               ${inputs > 0 ? '' : 'disabled'}>`;
+
+    if (inputs === 2) {
+      html += `<input type="${inputType}"${step}
+               id="tablix-filter-value-to-${index}" 
+               name="filter-value-to-${index}"
+               class="tablix-filter-value tablix-filter-value-to" 
+               placeholder="${this.table.t('filter.to')}" 
+               value="${this.escapeHtml(this._formatInputValue(condition.valueTo, inputType))}">`;
+    }
+
+    return html;
+  }
+
+  /**
+   * Re-render the value inputs after the operator changed
+   * Values are kept unless the input type changes (e.g. date to number of days).
+   * @param {Element} conditionRow - Condition row element
+   * @param {string} columnName - Column name
+   */
+  updateConditionInputs(conditionRow, columnName) {
+    const operator = conditionRow.querySelector('.tablix-filter-operator').value;
+    const container = conditionRow.querySelector('.tablix-filter-condition-inputs');
+    const valueInput = container.querySelector('.tablix-filter-value');
+    const valueToInput = container.querySelector('.tablix-filter-value-to');
+    const previousType = valueInput.type;
+
+    container.innerHTML = this.renderConditionInputs({
+      operator,
+      value: valueInput.value,
+      valueTo: valueToInput ? valueToInput.value : ''
+    }, conditionRow.dataset.index, columnName);
+
+    if (container.querySelector('.tablix-filter-value').type !== previousType) {
+      container.querySelectorAll('.tablix-filter-value').forEach(input => { input.value = ''; });
+    }
+  }
+
+  /**
+   * Input type for the values of a column
+   * @private
+   */
+  _getInputType(columnName) {
+    const type = this.filterManager.getColumnType(columnName);
+    if (type === 'number') return 'number';
+    if (type === 'date') return 'date';
+    return 'text';
+  }
+
+  /**
+   * Value as shown in an input; date inputs need YYYY-MM-DD
+   * @private
+   */
+  _formatInputValue(value, inputType) {
+    if (value === null || value === undefined) return '';
+    if (inputType === 'date') {
+      if (value instanceof Date) {
+        if (isNaN(value.getTime())) return '';
+        const pad = number => String(number).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+      }
+      const match = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+      return match ? match[0] : '';
+    }
+    return String(value);
+  }
+
   /**
    * Bind dropdown event listeners
    * @param {Element} dropdown - Dropdown element
@@ -423,49 +532,63 @@ export default class FilterUI {
     const addButton = conditionPanel.querySelector('.tablix-filter-add-condition');
     if (addButton) {
       addButton.addEventListener('click', () => {
-        this.addCondition(conditionPanel);
+        this.addCondition(conditionPanel, columnName);
       });
     }
 
+    // AND/OR toggles: switching one switches how all conditions are combined
+    const conditionsContainer = conditionPanel.querySelector('.tablix-filter-conditions');
+    conditionsContainer.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('tablix-filter-logic')) return;
+      const logic = conditionsContainer.dataset.logic === 'or' ? 'and' : 'or';
+      conditionsContainer.dataset.logic = logic;
+      conditionsContainer.querySelectorAll('.tablix-filter-logic').forEach(toggle => {
+        toggle.textContent = this.table.t(`filter.${logic}`);
+      });
+    });
+
     // Operator and value changes
-    this.bindConditionRowEvents(conditionPanel);
+    this.bindConditionRowEvents(conditionPanel, columnName);
   }
 
   /**
    * Bind events for condition rows
    * @param {Element} conditionPanel - Condition panel element
+   * @param {string} columnName - Column name
    */
-  bindConditionRowEvents(conditionPanel) {
+  bindConditionRowEvents(conditionPanel, columnName) {
+    conditionPanel.querySelectorAll('.tablix-filter-condition').forEach(conditionRow => {
+      this.bindConditionRow(conditionRow, conditionPanel, columnName);
+    });
+  }
+
+  /**
+   * Bind the operator change and remove button of one condition row
+   * @param {Element} conditionRow - Condition row element
+   * @param {Element} conditionPanel - Condition panel element
+   * @param {string} columnName - Column name
+   */
+  bindConditionRow(conditionRow, conditionPanel, columnName) {
     // Operator changes
-    conditionPanel.querySelectorAll('.tablix-filter-operator').forEach(select => {
-      select.addEventListener('change', (e) => {
-        const valueInput = e.target.parentElement.querySelector('.tablix-filter-value');
-        const needsValue = !['none', 'isEmpty', 'isNotEmpty'].includes(e.target.value);
-        valueInput.disabled = !needsValue;
-        if (!needsValue) valueInput.value = '';
-      });
+    conditionRow.querySelector('.tablix-filter-operator').addEventListener('change', () => {
+      this.updateConditionInputs(conditionRow, columnName);
     });
 
-    // Remove condition buttons
-    conditionPanel.querySelectorAll('.tablix-filter-remove-condition').forEach(button => {
-      button.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation(); // Prevent dropdown from closing
-        
-        const conditionRow = e.target.closest('.tablix-filter-condition');
-        const conditionsContainer = conditionPanel.querySelector('.tablix-filter-conditions');
-        
-        if (conditionsContainer.querySelectorAll('.tablix-filter-condition').length > 1) {
-          conditionRow.remove();
-        } else {
-          // If it's the last condition, reset it to "none" instead of removing
-          const operatorSelect = conditionRow.querySelector('.tablix-filter-operator');
-          const valueInput = conditionRow.querySelector('.tablix-filter-value');
-          operatorSelect.value = 'none';
-          valueInput.value = '';
-          valueInput.disabled = true;
-        }
-      });
+    // Remove condition button
+    conditionRow.querySelector('.tablix-filter-remove-condition').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevent dropdown from closing
+      
+      const conditionsContainer = conditionPanel.querySelector('.tablix-filter-conditions');
+      
+      if (conditionsContainer.querySelectorAll('.tablix-filter-condition').length > 1) {
+        conditionRow.remove();
+        this.updateLogicToggles(conditionsContainer);
+      } else {
+        // If it's the last condition, reset it to "none" instead of removing
+        conditionRow.querySelector('.tablix-filter-operator').value = 'none';
+        this.updateConditionInputs(conditionRow, columnName);
+      }
     });
   }
 
@@ -540,46 +663,18 @@ export default class FilterUI {
   /**
    * Add a new condition row
    * @param {Element} conditionPanel - Condition panel element
+   * @param {string} columnName - Column name
    */
-  addCondition(conditionPanel) {
+  addCondition(conditionPanel, columnName) {
     const conditionsContainer = conditionPanel.querySelector('.tablix-filter-conditions');
-    const newIndex = conditionsContainer.children.length;
+    const newIndex = conditionsContainer.querySelectorAll('.tablix-filter-condition').length;
     
-    const conditionHtml = this.renderConditionRow({ operator: 'none', value: '' }, newIndex);
+    const conditionHtml = this.renderConditionRow({ operator: 'none', value: '' }, newIndex, columnName);
     conditionsContainer.insertAdjacentHTML('beforeend', conditionHtml);
+    this.updateLogicToggles(conditionsContainer);
     
     // Bind events for the new condition only
-    const newCondition = conditionsContainer.lastElementChild;
-    
-    // Bind operator change event
-    const operatorSelect = newCondition.querySelector('.tablix-filter-operator');
-    operatorSelect.addEventListener('change', (e) => {
-      const valueInput = e.target.parentElement.querySelector('.tablix-filter-value');
-      const needsValue = !['none', 'isEmpty', 'isNotEmpty'].includes(e.target.value);
-      valueInput.disabled = !needsValue;
-      if (!needsValue) valueInput.value = '';
-    });
-
-    // Bind remove button event
-    const removeButton = newCondition.querySelector('.tablix-filter-remove-condition');
-    removeButton.addEventListener('click', (e) => {
-      e.preventDefault();
-      e.stopPropagation(); // Prevent dropdown from closing
-      
-      const conditionRow = e.target.closest('.tablix-filter-condition');
-      const conditionsContainer = conditionPanel.querySelector('.tablix-filter-conditions');
-      
-      if (conditionsContainer.querySelectorAll('.tablix-filter-condition').length > 1) {
-        conditionRow.remove();
-      } else {
-        // If it's the last condition, reset it to "none" instead of removing
-        const operatorSelect = conditionRow.querySelector('.tablix-filter-operator');
-        const valueInput = conditionRow.querySelector('.tablix-filter-value');
-        operatorSelect.value = 'none';
-        valueInput.value = '';
-        valueInput.disabled = true;
-      }
-    });
+    this.bindConditionRow(conditionsContainer.lastElementChild, conditionPanel, columnName);
   }
 
   /**
@@ -625,18 +720,20 @@ export default class FilterUI {
   collectConditionFilter(dropdown) {
     const conditionPanel = dropdown.querySelector('.tablix-filter-condition-panel');
     const conditionRows = conditionPanel.querySelectorAll('.tablix-filter-condition');
+    const logic = conditionPanel.querySelector('.tablix-filter-conditions').dataset.logic;
     
     const conditions = Array.from(conditionRows).map(row => {
       const operator = row.querySelector('.tablix-filter-operator').value;
       const value = row.querySelector('.tablix-filter-value').value;
+      const valueToInput = row.querySelector('.tablix-filter-value-to');
       
-      return { operator, value };
+      return valueToInput ? { operator, value, valueTo: valueToInput.value } : { operator, value };
     }).filter(cond => cond.operator !== 'none');
     
-    return {
-      type: 'condition',
-      conditions: conditions
-    };
+    // AND is the default and is left out
+    return logic === 'or' && conditions.length > 1
+      ? { type: 'condition', logic, conditions }
+      : { type: 'condition', conditions };
   }
 
   /**
@@ -666,6 +763,35 @@ export default class FilterUI {
     // Force reflow to ensure accurate measurements
     dropdown.offsetHeight;
     
+    this.positionDropdown(dropdown, trigger);
+  }
+
+  /**
+   * Move the open dropdown back under its filter icon
+   * Used when the header moves without the page scrolling it along (sticky header).
+   */
+  repositionDropdown() {
+    if (!this.activeDropdown) return;
+
+    let { trigger } = this.activeDropdown;
+    if (!trigger || !trigger.isConnected) {
+      // The header was re-rendered; find the new icon of the same column
+      const header = Array.from(this.table.container.querySelectorAll('.tablix-th'))
+        .find(th => th.dataset.column === this.activeDropdown.columnName);
+      trigger = header && header.querySelector('.tablix-filter-indicator');
+      if (!trigger) return;
+      this.activeDropdown.trigger = trigger;
+    }
+
+    this.positionDropdown(this.activeDropdown.dropdown, trigger);
+  }
+
+  /**
+   * Position a dropdown below its trigger, keeping it inside the viewport
+   * @param {Element} dropdown - Dropdown element (in the document)
+   * @param {Element} trigger - Element the dropdown belongs to
+   */
+  positionDropdown(dropdown, trigger) {
     // Get accurate measurements
     const triggerRect = trigger.getBoundingClientRect();
     const dropdownRect = dropdown.getBoundingClientRect();
@@ -0,0 +1,345 @@
+/**
+ * HistoryManager - Undo/redo for TablixJS
+ *
+ * Features:
+ * - Records reversible commands for sorting, filtering, page size changes,
+ *   inline cell edits and row add/update/remove
+ * - Configurable history depth
+ * - Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z, Cmd on macOS) keyboard shortcuts
+ * - historyChange event for enabling/disabling toolbar buttons
+ *
+ * A command is a plain object: { type, undo: async () => {}, redo: async () => {} }.
+ * Custom commands can be recorded with record().
+ */
+export default class HistoryManager {
+  constructor(table, options = {}) {
+    this.table = table;
+    this.options = {
+      enabled: false,
+      depth: 50, // Maximum number of undo steps kept
+      keyboard: true, // Ctrl+Z / Ctrl+Y shortcuts on the table container
+      ...options
+    };
+
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // True while a command is being undone/redone, so the changes it causes are not recorded
+    this.isApplying = false;
+
+    // Last known view state, used as the "before" side of view commands
+    this.viewState = null;
+
+    // Bind methods to preserve context
+    this.handleKeydown = this.handleKeydown.bind(this);
+
+    if (this.options.enabled) {
+      this.init();
+    }
+  }
+
+  /**
+   * Start listening to table changes
+   */
+  init() {
+    const events = this.table.eventManager;
+    this.viewState = this._captureViewState();
+
+    events.on('afterSort', () => this._recordViewChange('sort'));
+    events.on('afterFilter', () => this._recordViewChange('filter'));
+    events.on('afterPageSizeChange', () => this._recordViewChange('pageSize'));
+
+    events.on('afterCellEdit', (data) => this._recordCellEdit(data));
+    events.on('afterRowAdd', (data) => this._recordRowAdd(data));
+    events.on('afterRowUpdate', (data) => this._recordRowUpdate(data));
+    events.on('afterRowRemove', (data) => this._recordRowRemove(data));
+
+    // Recorded data commands refer to rows of the previous data set
+    events.on('afterLoad', () => {
+      this.viewState = this._captureViewState();
+      this.clear();
+    });
+    events.on('changesReverted', () => this.clear());
+
+    // A restored view state becomes the new baseline, it is not an undoable step
+    events.on('stateRestored', () => {
+      this.viewState = this._captureViewState();
+    });
+
+    if (this.options.keyboard && this.table.container) {
+      this.table.container.addEventListener('keydown', this.handleKeydown);
+    }
+  }
+
+  /**
+   * Record a command
+   * @param {Object} command - { type, undo, redo }
+   */
+  record(command) {
+    if (this.isApplying || !command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+      return;
+    }
+
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.options.depth) {
+      this.undoStack.splice(0, this.undoStack.length - this.options.depth);
+    }
+
+    // A new action invalidates everything that was undone
+    this.redoStack = [];
+
+    this._triggerChange();
+  }
+
+  /**
+   * Undo the last command
+   * @returns {Promise<boolean>} True if a command was undone
+   */
+  async undo() {
+    if (!this.canUndo() || this.isApplying) return false;
+
+    const command = this.undoStack.pop();
+    await this._apply(command, 'undo');
+    this.redoStack.push(command);
+
+    this.table.eventManager.trigger('afterUndo', { type: command.type });
+    this._triggerChange();
+    return true;
+  }
+
+  /**
+   * Redo the last undone command
+   * @returns {Promise<boolean>} True if a command was redone
+   */
+  async redo() {
+    if (!this.canRedo() || this.isApplying) return false;
+
+    const command = this.redoStack.pop();
+    await this._apply(command, 'redo');
+    this.undoStack.push(command);
+
+    this.table.eventManager.trigger('afterRedo', { type: command.type });
+    this._triggerChange();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True if there is something to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} True if there is something to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Drop all recorded commands
+   */
+  clear() {
+    if (this.undoStack.length === 0 && this.redoStack.length === 0) return;
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this._triggerChange();
+  }
+
+  /**
+   * Get history state
+   * @returns {Object} { canUndo, canRedo, undoCount, redoCount, depth }
+   */
+  getState() {
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoCount: this.undoStack.length,
+      redoCount: this.redoStack.length,
+      depth: this.options.depth
+    };
+  }
+
+  /**
+   * Set the maximum number of undo steps (oldest steps are dropped)
+   * @param {number} depth
+   */
+  setDepth(depth) {
+    this.options.depth = Math.max(0, depth);
+    if (this.undoStack.length > this.options.depth) {
+      this.undoStack.splice(0, this.undoStack.length - this.options.depth);
+      this._triggerChange();
+    }
+  }
+
+  /**
+   * Handle undo/redo keyboard shortcuts
+   * @param {KeyboardEvent} event
+   */
+  handleKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    // Let inputs (search, filters, cell editors) keep their native undo
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+      return;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      this.undo();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+
+  /**
+   * Destroy the history manager
+   */
+  destroy() {
+    if (this.table && this.table.container) {
+      this.table.container.removeEventListener('keydown', this.handleKeydown);
+    }
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Run one side of a command with recording suspended
+   * @private
+   */
+  async _apply(command, direction) {
+    this.isApplying = true;
+    try {
+      await command[direction]();
+    } finally {
+      this.isApplying = false;
+      this.viewState = this._captureViewState();
+    }
+  }
+
+  /**
+   * Snapshot sorting, filters and page size
+   * @private
+   */
+  _captureViewState() {
+    const { sortingManager, filterManager, paginationManager } = this.table;
+    return {
+      sorts: sortingManager ? sortingManager.getSorts() : [],
+      // Filter configs are nested objects that the filter UI may keep mutating
+      filters: filterManager ? JSON.parse(JSON.stringify({
+        columns: filterManager.getActiveFilters(),
+        advanced: filterManager.getAdvancedFilter()
+      })) : {},
+      pageSize: paginationManager ? paginationManager.pageSize : null
+    };
+  }
+
+  /**
+   * Record a sort/filter/page size change
+   * @param {string} type - 'sort', 'filter' or 'pageSize'
+   * @private
+   */
+  _recordViewChange(type) {
+    const before = this.viewState;
+    const after = this._captureViewState();
+    this.viewState = after;
+
+    const keys = { sort: 'sorts', filter: 'filters', pageSize: 'pageSize' };
+    const key = keys[type];
+    if (this.isApplying || JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+
+    this.record({
+      type,
+      undo: () => this._restoreViewState(type, before[key]),
+      redo: () => this._restoreViewState(type, after[key])
+    });
+  }
+
+  /**
+   * Apply one part of a view state snapshot
+   * @private
+   */
+  async _restoreViewState(type, value) {
+    const { sortingManager, filterManager, paginationManager } = this.table;
+
+    if (type === 'sort' && sortingManager) {
+      await sortingManager.setSorts(value);
+    } else if (type === 'filter' && filterManager) {
+      const filters = JSON.parse(JSON.stringify(value));
+      await filterManager.setFilters(filters.columns, filters.advanced);
+    } else if (type === 'pageSize' && paginationManager) {
+      await paginationManager.changePageSize(value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _recordCellEdit({ row, column, oldValue, newValue }) {
+    const setValue = async (value) => {
+      this.table.dataManager.updateCellValue(row, column, value);
+      this.table.dataManager.refreshView();
+      await this.table._renderLocalChanges();
+    };
+
+    this.record({
+      type: 'cellEdit',
+      undo: () => setValue(oldValue),
+      redo: () => setValue(newValue)
+    });
+  }
+
+  /**
+   * @private
+   */
+  _recordRowAdd({ row, index }) {
+    this.record({
+      type: 'rowAdd',
+      undo: () => this.table.removeRow(this._getRowId(row)),
+      redo: () => this.table.addRow(row, index)
+    });
+  }
+
+  /**
+   * @private
+   */
+  _recordRowUpdate({ row, values, oldValues }) {
+    this.record({
+      type: 'rowUpdate',
+      // Resolve the id at call time in case the update changed it
+      undo: () => this.table.updateRow(this._getRowId(row), oldValues),
+      redo: () => this.table.updateRow(this._getRowId(row), values)
+    });
+  }
+
+  /**
+   * @private
+   */
+  _recordRowRemove({ row, index }) {
+    this.record({
+      type: 'rowRemove',
+      undo: () => this.table.addRow(row, index),
+      redo: () => this.table.removeRow(this._getRowId(row))
+    });
+  }
+
+  /**
+   * @private
+   */
+  _getRowId(row) {
+    const selectionOptions = this.table.options.selection;
+    return row[(selectionOptions && selectionOptions.dataIdKey) || 'id'];
+  }
+
+  /**
+   * @private
+   */
+  _triggerChange() {
+    this.table.eventManager.trigger('historyChange', this.getState());
+  }
+}
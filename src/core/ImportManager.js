@@ -0,0 +1,404 @@
+import CsvParser from './CsvParser.js';
+
+/**
+ * ImportManager - Load CSV, TSV or JSON files and strings into the table
+ *
+ * Features:
+ * - Streaming CSV/TSV parsing of File/Blob sources (quotes, embedded line breaks, delimiter detection)
+ * - JSON arrays of objects (or an object with a `data` array)
+ * - Column type inference (number, date, boolean, string) for sort types and column formats
+ * - Fields matched to existing columns by name or title, or mapped explicitly
+ * - Replace the table data or append to it
+ */
+
+// Value patterns used for type inference
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+// Codes like "007" or ZIP "00501" would lose their leading zeros as numbers
+const LEADING_ZERO_PATTERN = /^[-+]?0\d/;
+// Digits beyond this are not kept exactly by a JavaScript number (long ids)
+const MAX_SIGNIFICANT_DIGITS = 15;
+
+/**
+ * Whether numeric text can become a number without losing anything
+ */
+function isNumberText(text) {
+  if (!NUMBER_PATTERN.test(text) || LEADING_ZERO_PATTERN.test(text)) return false;
+  const digits = text.replace(/e.*$/i, '').replace(/\D/g, '').replace(/^0+/, '');
+  return digits.length <= MAX_SIGNIFICANT_DIGITS;
+}
+
+export default class ImportManager {
+  constructor(table, options = {}) {
+    this.table = table;
+    this.options = {
+      format: null,      // 'csv', 'tsv' or 'json'; detected from the file name or content when null
+      delimiter: null,   // CSV delimiter; detected when null
+      header: true,      // First CSV record holds the field names
+      columns: 'infer',  // 'infer', 'keep' or a mapping { sourceField: columnName | columnDefinition }
+      mode: 'replace',   // 'replace' the table data or 'append' to it
+      sampleSize: 1000,  // Rows inspected for type inference
+      ...options
+    };
+
+    this.formats = ['csv', 'tsv', 'json'];
+  }
+
+  /**
+   * Import a file or string
+   * @param {File|Blob|string} source - File/Blob (e.g. from a file input or drop) or text
+   * @param {Object} options - Import options; defaults from the table's import options
+   * @returns {Promise<Object|null>} { rows, columns, format } or null if the import failed
+   */
+  async import(source, options = {}) {
+    const settings = { ...this.options, ...options };
+
+    if (this.table._isServerMode()) {
+      console.warn('TablixJS: Importing data is not available in server mode.');
+      return null;
+    }
+
+    try {
+      const format = settings.format || await this._detectFormat(source);
+      if (!this.formats.includes(format)) {
+        throw new Error(`Unknown import format '${format}'. Supported formats: ${this.formats.join(', ')}`);
+      }
+
+      this.table.eventManager.trigger('beforeImport', { source, format });
+
+      const { fields, records } = format === 'json'
+        ? await this._readJson(source)
+        : await this._readDelimited(source, format === 'tsv' ? '\t' : settings.delimiter, settings.header);
+
+      const { columns, targets } = this._resolveColumns(fields, records, settings);
+      const rows = records.map(record => this._createRow(record, fields, targets));
+
+      await this._apply(rows, columns, settings.mode);
+
+      const result = { rows, columns, format };
+      this.table.eventManager.trigger('afterImport', result);
+      return result;
+    } catch (error) {
+      console.error('Failed to import data:', error);
+      this.table.eventManager.trigger('importError', { error, source });
+      return null;
+    }
+  }
+
+  /**
+   * Infer the type of a field from its values
+   * @param {Array} values - Field values (strings from CSV, any values from JSON)
+   * @returns {string} 'number', 'date', 'boolean' or 'string'
+   */
+  inferType(values) {
+    const present = values.filter(value => value !== null && value !== undefined && value !== '');
+    if (present.length === 0) return 'string';
+
+    const test = (check) => present.every(value => check(typeof value === 'string' ? value.trim() : value));
+
+    if (test(value => typeof value === 'number' || (typeof value === 'string' && isNumberText(value)))) {
+      return 'number';
+    }
+    if (test(value => typeof value === 'boolean' || (typeof value === 'string' && BOOLEAN_PATTERN.test(value)))) {
+      return 'boolean';
+    }
+    if (test(value => typeof value === 'string' && (DATE_PATTERN.test(value) || DATE_TIME_PATTERN.test(value)))) {
+      return 'date';
+    }
+    return 'string';
+  }
+
+  /**
+   * Convert an imported value to a type (values that do not fit are kept as they are)
+   * @param {*} value - Imported value
+   * @param {string} type - 'number', 'date', 'boolean' or 'string'
+   * @returns {*} Converted value; empty strings become null
+   */
+  convertValue(value, type) {
+    if (typeof value !== 'string') return value === undefined ? null : value;
+    if (value === '') return null;
+
+    const text = value.trim();
+    switch (type) {
+      case 'number':
+        return NUMBER_PATTERN.test(text) ? Number(text) : value;
+      case 'boolean':
+        return BOOLEAN_PATTERN.test(text) ? text.toLowerCase() === 'true' : value;
+      case 'date':
+        // Dates stay ISO strings: sortable, formattable and serializable as they are
+        return text;
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Column definition for an imported field of an inferred type
+   * @param {string} name - Column name
+   * @param {string} type - Inferred type
+   * @param {Array} values - Field values (for number precision and date/time detection)
+   * @returns {Object} Column definition
+   */
+  createColumn(name, type, values = []) {
+    const column = { name, title: name, sortType: type };
+    const present = values.filter(value => value !== null && value !== undefined && value !== '');
+
+    if (type === 'number') {
+      // Show numbers as imported: no grouping, the largest number of decimals in the data
+      const decimals = present.reduce((max, value) => {
+        const match = String(value).trim().match(/\.(\d+)(e|$)/i);
+        return Math.max(max, match ? match[1].length : 0);
+      }, 0);
+      column.format = 'number';
+      column.formatOptions = { useGrouping: false, maximumFractionDigits: Math.min(decimals, 20) };
+    } else if (type === 'date') {
+      const hasTime = present.some(value => DATE_TIME_PATTERN.test(String(value).trim()));
+      column.format = 'date';
+      // Date-only values are parsed as UTC midnight; showing them in UTC keeps the day
+      column.formatOptions = hasTime ? { dateStyle: 'short', timeStyle: 'short' } : { timeZone: 'UTC' };
+    }
+
+    return column;
+  }
+
+  /**
+   * Type of an existing column from its format or sort type, or null if it declares none
+   * @private
+   */
+  _getColumnType(column) {
+    if (['number', 'currency', 'percent'].includes(column.format)) return 'number';
+    if (column.format === 'date') return 'date';
+    if (['number', 'date', 'boolean', 'string'].includes(column.sortType)) return column.sortType;
+    return null;
+  }
+
+  /**
+   * Work out the table columns and, per imported field, the column it goes to and its type
+   * @private
+   */
+  _resolveColumns(fields, records, settings) {
+    const columnManager = this.table.columnManager;
+    const existing = columnManager.getColumns();
+    const findColumn = (key) => existing.find(col => col.name === key) || existing.find(col => col.title === key);
+    const sample = records.slice(0, settings.sampleSize);
+    const valuesOf = (index) => sample.map(record => record[index]);
+
+    const mapping = settings.columns && typeof settings.columns === 'object' ? settings.columns : null;
+    const targets = [];   // Per field: { name, type } or null to skip it
+    const columns = [];   // Columns of the imported fields
+
+    fields.forEach((field, index) => {
+      let column = null;
+
+      if (mapping) {
+        const target = mapping[field];
+        if (target && typeof target === 'object') {
+          column = columnManager.prepareColumn(target);
+        } else if (target) {
+          column = findColumn(target) || { name: target, title: target };
+        }
+      } else {
+        column = findColumn(field) || (settings.columns === 'keep' ? null : { name: field, title: field });
+      }
+
+      if (!column || columns.some(col => col.name === column.name)) {
+        targets.push(null);
+        return;
+      }
+
+      const values = valuesOf(index);
+      const type = this._getColumnType(column) || this.inferType(values);
+      if (!existing.includes(column) && !column.sortType && !column.format) {
+        column = { ...this.createColumn(column.name, type, values), ...column };
+      }
+
+      targets.push({ name: column.name, type });
+      columns.push(column);
+    });
+
+    if (settings.columns === 'keep') {
+      return { columns: existing, targets };
+    }
+
+    // Appending keeps the current columns and adds the new ones
+    if (settings.mode === 'append') {
+      return { columns: [...existing, ...columns.filter(col => !existing.includes(col))], targets };
+    }
+    return { columns, targets };
+  }
+
+  /**
+   * @private
+   */
+  _createRow(record, fields, targets) {
+    const row = {};
+    targets.forEach((target, index) => {
+      if (target) {
+        // Dot-path columns ('address.city') create nested objects
+        this.table.columnManager.setCellValue(row, target.name, this.convertValue(record[index], target.type));
+      }
+    });
+    return row;
+  }
+
+  /**
+   * Load the imported rows and columns into the table
+   * @private
+   */
+  async _apply(rows, columns, mode) {
+    const columnManager = this.table.columnManager;
+    const current = columnManager.getColumns();
+    const columnsChanged = columns.length !== current.length || columns.some((col, index) => col !== current[index]);
+
+    if (columnsChanged) {
+      // Filters, sorts and groups on columns that no longer exist would hide or misplace rows
+      const exists = name => columns.some(col => col.name === name);
+      const { filterManager, sortingManager, dataManager } = this.table;
+      if (filterManager) {
+        for (const name of Object.keys(filterManager.getActiveFilters())) {
+          if (!exists(name)) {
+            await filterManager.clearFilter(name);
+          }
+        }
+        if (!filterManager.getAdvancedFilterColumns().every(exists)) {
+          await filterManager.clearAdvancedFilter();
+        }
+      }
+      if (sortingManager) {
+        sortingManager.applySortState(sortingManager.getSorts().filter(sort => exists(sort.column)));
+      }
+      dataManager.setGroupBy(dataManager.getGroupBy().filter(exists));
+
+      this.table.options.columns = columns;
+      columnManager.initializeColumns(columns);
+    }
+
+    const data = mode === 'append' ? [...this.table.dataManager.originalData, ...rows] : rows;
+    await this.table.loadData(data);
+  }
+
+  /**
+   * Detect the format from the file name, MIME type or content
+   * @private
+   */
+  async _detectFormat(source) {
+    const name = (source && typeof source === 'object' && source.name) || '';
+    const type = (source && typeof source === 'object' && source.type) || '';
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+
+    if (extension === 'json' || type.includes('json')) return 'json';
+    if (extension === 'tsv' || type.includes('tab-separated')) return 'tsv';
+    if (extension === 'csv' || type.includes('csv')) return 'csv';
+
+    const start = typeof source === 'string' ? source : await this._readText(source.slice(0, 1024));
+    return /^\s*[[{]/.test(start.replace(/^\uFEFF/, '')) ? 'json' : 'csv';
+  }
+
+  /**
+   * Parse CSV/TSV into field names and records
+   * @private
+   */
+  async _readDelimited(source, delimiter, header) {
+    const parser = new CsvParser({ delimiter });
+    const records = [];
+
+    await this._readChunks(source, chunk => {
+      parser.push(chunk).forEach(record => records.push(record));
+    });
+    parser.end().forEach(record => records.push(record));
+
+    const width = records.reduce((max, record) => Math.max(max, record.length), 0);
+    const fields = header && records.length > 0
+      ? this._uniqueFields(records.shift().map(field => field.trim()), width)
+      : this._uniqueFields([], width);
+
+    return { fields, records };
+  }
+
+  /**
+   * Parse JSON into field names and records
+   * @private
+   */
+  async _readJson(source) {
+    const text = typeof source === 'string' ? source : await this._readText(source);
+    const parsed = JSON.parse(text.replace(/^\uFEFF/, ''));
+    const items = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.data) ? parsed.data : null);
+
+    if (!items || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+      throw new Error('JSON import expects an array of objects (or an object with a data array).');
+    }
+
+    const fields = [];
+    items.forEach(item => Object.keys(item).forEach(key => {
+      if (!fields.includes(key)) fields.push(key);
+    }));
+
+    return { fields, records: items.map(item => fields.map(field => item[field])) };
+  }
+
+  /**
+   * Field names with empty and duplicate names replaced ("Column 3", "Name 2")
+   * @private
+   */
+  _uniqueFields(names, width) {
+    const fields = [];
+    for (let index = 0; index < Math.max(names.length, width); index++) {
+      const base = names[index] || `Column ${index + 1}`;
+      let field = base;
+      for (let n = 2; fields.includes(field); n++) {
+        field = `${base} ${n}`;
+      }
+      fields.push(field);
+    }
+    return fields;
+  }
+
+  /**
+   * Read a source in text chunks (File/Blob streams are decoded as they arrive)
+   * @private
+   */
+  async _readChunks(source, onChunk) {
+    if (typeof source === 'string') {
+      onChunk(source);
+      return;
+    }
+
+    if (source && typeof source.stream === 'function' && typeof TextDecoder !== 'undefined') {
+      const reader = source.stream().getReader();
+      const decoder = new TextDecoder('utf-8');
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const text = decoder.decode(value, { stream: true });
+        if (text) onChunk(text);
+      }
+      const rest = decoder.decode();
+      if (rest) onChunk(rest);
+      return;
+    }
+
+    onChunk(await this._readText(source));
+  }
+
+  /**
+   * Read a File/Blob as text
+   * @private
+   */
+  async _readText(source) {
+    if (!source || typeof source !== 'object') {
+      throw new Error('Import source must be a File, Blob or string.');
+    }
+    if (typeof source.text === 'function') {
+      return source.text();
+    }
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(source);
+    });
+  }
+}
@@ -0,0 +1,546 @@
+/**
+ * KeyboardManager - Keyboard navigation and ARIA grid semantics (WAI-ARIA grid pattern)
+ *
+ * Features:
+ * - role="grid" (treegrid for tree data) with aria-rowcount and aria-rowindex that count all rows,
+ *   not only the rendered page or virtual scrolling window
+ * - Roving tabindex: the grid is a single tab stop, arrow keys move between cells
+ * - Arrow keys, Home/End, Ctrl+Home/Ctrl+End, PageUp/PageDown (next/previous page with pagination)
+ * - Space/Enter select the row through SelectionManager; Enter toggles group, tree and detail rows
+ * - Enter/Space sort on header cells (handled by Renderer), Alt+ArrowDown opens the column filter
+ * - Live region announcements for page, sort, filter and search changes
+ */
+export default class KeyboardManager {
+  constructor(table, options = {}) {
+    this.table = table;
+    this.options = {
+      enabled: true,        // Roving tabindex and key handling (ARIA attributes are always set)
+      announcements: true,  // Announce page, sort, filter and search changes to screen readers
+      pageStep: 10,         // Rows moved by PageUp/PageDown when the table is not paginated
+      ...options
+    };
+
+    // Focused (or last focused) cell: { rowIndex: aria-rowindex, column: column name or null }
+    this.activeCell = { rowIndex: 1, column: null };
+    this.tableElement = null;
+    this.liveRegion = null;
+    this.announceTimer = null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleFocusin = this.handleFocusin.bind(this);
+    this.handlePageChange = this.handlePageChange.bind(this);
+    this.handleSort = this.handleSort.bind(this);
+    this.handleFilter = this.handleFilter.bind(this);
+
+    if (this.options.announcements) {
+      this.table.eventManager.on('afterPageChange', this.handlePageChange);
+      this.table.eventManager.on('afterSort', this.handleSort);
+      this.table.eventManager.on('afterFilter', this.handleFilter);
+      this.table.eventManager.on('afterSearch', this.handleFilter);
+    }
+  }
+
+  /**
+   * Check whether a cell of the grid has focus (checked before re-rendering to restore it)
+   * @returns {boolean}
+   */
+  hasFocus() {
+    const table = this._getTable();
+    return !!table && table.contains(document.activeElement) && !!this._getCell(document.activeElement);
+  }
+
+  /**
+   * Add ARIA attributes and the roving tabindex to the rendered grid
+   * Called by Renderer and VirtualScrollManager after rows are rendered.
+   * @param {boolean} restoreFocus - Focus the active cell again (focus was in the grid before rendering)
+   */
+  decorate(restoreFocus = false) {
+    const table = this._getTable();
+    if (!table) return;
+
+    const dataManager = this.table.dataManager;
+    const rowCount = this._getRowCount();
+    const footerRow = table.querySelector('.tablix-tfoot > tr');
+
+    table.setAttribute('role', dataManager.isTree() ? 'treegrid' : 'grid');
+    if (!table.hasAttribute('aria-label') && !table.hasAttribute('aria-labelledby')) {
+      table.setAttribute('aria-label', this.table.t('accessibility.table'));
+    }
+    table.setAttribute('aria-rowcount', rowCount + 1 + (footerRow ? 1 : 0));
+    const selectionManager = this.table.selectionManager;
+    if (selectionManager && selectionManager.options.enabled && selectionManager.options.mode === 'multi') {
+      table.setAttribute('aria-multiselectable', 'true');
+    } else {
+      table.removeAttribute('aria-multiselectable');
+    }
+
+    const headerRow = table.querySelector('.tablix-thead > tr');
+    if (headerRow) headerRow.setAttribute('aria-rowindex', 1);
+    this._indexBodyRows(table);
+    if (footerRow) footerRow.setAttribute('aria-rowindex', rowCount + 2);
+
+    if (this.options.enabled) {
+      this._bindTable(table);
+      this._updateTabStop(table, restoreFocus);
+    }
+  }
+
+  /**
+   * Handle navigation keys on a focused cell
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  async handleKeydown(event) {
+    const target = event.target;
+    if (target.matches('input, select, textarea, [contenteditable], [contenteditable] *')) return;
+
+    const cell = this._getCell(target);
+    if (!cell) return;
+
+    const tr = cell.parentElement;
+    const isHeader = !!tr.closest('.tablix-thead');
+    const ctrl = event.ctrlKey || event.metaKey;
+
+    switch (event.key) {
+      case 'ArrowUp':
+      case 'ArrowDown':
+        if (event.altKey) {
+          // Alt+ArrowDown opens the filter of a header cell
+          const filter = isHeader && event.key === 'ArrowDown' ? cell.querySelector('.tablix-filter-indicator') : null;
+          if (filter) {
+            event.preventDefault();
+            filter.click();
+          }
+          return;
+        }
+        event.preventDefault();
+        await this._moveRow(cell, event.key === 'ArrowUp' ? -1 : 1);
+        return;
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        event.preventDefault();
+        const cells = this._getRowCells(tr);
+        const index = cells.indexOf(cell) + (event.key === 'ArrowLeft' ? -1 : 1);
+        if (index >= 0 && index < cells.length) this._focusCell(cells[index]);
+        return;
+      }
+      case 'Home':
+      case 'End': {
+        event.preventDefault();
+        if (ctrl) {
+          await this._moveRow(cell, event.key === 'Home' ? -Infinity : Infinity, true);
+          return;
+        }
+        const cells = this._getRowCells(tr);
+        this._focusCell(event.key === 'Home' ? cells[0] : cells[cells.length - 1]);
+        return;
+      }
+      case 'PageUp':
+      case 'PageDown':
+        event.preventDefault();
+        await this._movePage(cell, event.key === 'PageUp' ? -1 : 1);
+        return;
+      case ' ':
+      case 'Enter':
+        // Header cells are sorted by Renderer
+        if (!isHeader) this._activateCell(cell, event);
+        return;
+    }
+  }
+
+  /**
+   * Track the focused cell (also when it was focused with the mouse)
+   * @param {FocusEvent} event - Focus event
+   */
+  handleFocusin(event) {
+    const cell = this._getCell(event.target);
+    if (!cell) return;
+
+    this.activeCell = {
+      rowIndex: parseInt(cell.parentElement.getAttribute('aria-rowindex'), 10) || 1,
+      column: cell.dataset.column || null
+    };
+    this._setTabStop(cell);
+  }
+
+  /**
+   * Announce a message in the live region
+   * @param {string} message - Text for screen readers
+   */
+  announce(message) {
+    if (!message || typeof document === 'undefined') return;
+
+    if (!this.liveRegion) {
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = 'tablix-live-region';
+      this.liveRegion.setAttribute('role', 'status');
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      this.liveRegion.setAttribute('aria-atomic', 'true');
+      document.body.appendChild(this.liveRegion);
+    }
+
+    // Clear first so that repeating the same message is announced again
+    this.liveRegion.textContent = '';
+    clearTimeout(this.announceTimer);
+    this.announceTimer = setTimeout(() => {
+      if (this.liveRegion) this.liveRegion.textContent = message;
+    }, 100);
+  }
+
+  /**
+   * Announce the new page
+   */
+  handlePageChange() {
+    const info = this.table.paginationManager.getInfo();
+    this.announce(this.table.t('pagination.pageOf', { currentPage: info.currentPage, totalPages: info.totalPages }));
+  }
+
+  /**
+   * Announce the sorted column and direction
+   * @param {Object} event - afterSort event data
+   */
+  handleSort(event = {}) {
+    const sortingManager = this.table.sortingManager;
+    const sorts = sortingManager ? sortingManager.getSorts() : [];
+    if (sorts.length === 0) {
+      this.announce(this.table.t('accessibility.sortCleared'));
+      return;
+    }
+
+    const sort = sorts.find(item => item.column === event.columnName) || sorts[0];
+    const column = this.table.columnManager.getColumn(sort.column);
+    this.announce(this.table.t(sort.direction === 'asc' ? 'accessibility.sortedAscending' : 'accessibility.sortedDescending', {
+      column: column ? (column.title || column.name) : sort.column
+    }));
+  }
+
+  /**
+   * Announce the number of matching rows after filtering or searching
+   */
+  handleFilter() {
+    const dataManager = this.table.dataManager;
+    const count = this._isServerMode()
+      ? this.table.paginationManager.totalRows
+      : dataManager.getData().filter(row => !dataManager.isGroupRow(row)).length;
+    this.announce(this.table.t('accessibility.rowsFound', { count }));
+  }
+
+  /**
+   * Remove listeners and the live region
+   */
+  destroy() {
+    if (this.tableElement) {
+      this.tableElement.removeEventListener('keydown', this.handleKeydown);
+      this.tableElement.removeEventListener('focusin', this.handleFocusin);
+      this.tableElement = null;
+    }
+    if (this.table.eventManager) {
+      this.table.eventManager.off('afterPageChange', this.handlePageChange);
+      this.table.eventManager.off('afterSort', this.handleSort);
+      this.table.eventManager.off('afterFilter', this.handleFilter);
+      this.table.eventManager.off('afterSearch', this.handleFilter);
+    }
+    clearTimeout(this.announceTimer);
+    if (this.liveRegion) {
+      this.liveRegion.remove();
+      this.liveRegion = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getTable() {
+    return this.table.container ? this.table.container.querySelector('.tablix-table') : null;
+  }
+
+  /**
+   * @private
+   */
+  _isServerMode() {
+    return !!this.table.paginationManager && this.table.paginationManager.options.mode === 'server';
+  }
+
+  /**
+   * @private
+   */
+  _isVirtual() {
+    return !!this.table.virtualScrollManager && this.table.virtualScrollManager.isEnabled();
+  }
+
+  /**
+   * Number of body rows in the whole data set (group headers included)
+   * @private
+   */
+  _getRowCount() {
+    if (this._isServerMode()) return this.table.paginationManager.totalRows;
+    if (this._isVirtual()) return this.table.virtualScrollManager.data.length;
+    return this.table.dataManager.getDisplayRows().length;
+  }
+
+  /**
+   * Set aria-rowindex (and aria-level/aria-expanded for tree rows) on the rendered body rows
+   * @private
+   */
+  _indexBodyRows(table) {
+    const dataManager = this.table.dataManager;
+    const treeManager = dataManager.isTree() ? this.table.treeManager : null;
+    const paginationManager = this.table.paginationManager;
+    const offset = paginationManager && !this._isVirtual()
+      ? (paginationManager.currentPage - 1) * paginationManager.pageSize
+      : 0;
+    let displayRows = null;
+    let position = 0;
+
+    this._getBodyRows(table).forEach(tr => {
+      let index;
+      if (tr.hasAttribute('data-virtual-index')) {
+        index = parseInt(tr.getAttribute('data-virtual-index'), 10);
+      } else if (tr.classList.contains('tablix-group-continued')) {
+        // Group headers repeated at the top of a page keep the index of the original header
+        displayRows = displayRows || dataManager.getDisplayRows();
+        const key = tr.dataset.groupKey;
+        index = offset - 1;
+        while (index > 0 && !(dataManager.isGroupRow(displayRows[index]) && displayRows[index].key === key)) index--;
+      } else {
+        index = offset + position++;
+      }
+      tr.setAttribute('aria-rowindex', index + 2);
+
+      if (treeManager && tr.classList.contains('tablix-row')) {
+        const row = this._getRowData(tr);
+        if (row) {
+          tr.setAttribute('aria-level', treeManager.getLevel(row) + 1);
+          if (treeManager.hasChildren(row)) {
+            tr.setAttribute('aria-expanded', String(treeManager.isExpanded(row)));
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Body rows that take part in navigation (detail rows and virtual scrolling spacers excluded)
+   * @private
+   */
+  _getBodyRows(table) {
+    const tbody = table.querySelector('.tablix-tbody');
+    return tbody ? Array.from(tbody.children).filter(tr => tr.matches('.tablix-row, .tablix-group-row, .tablix-empty-row')) : [];
+  }
+
+  /**
+   * All navigable rows in document order: header, body rows, footer
+   * @private
+   */
+  _getRows(table) {
+    const header = table.querySelector('.tablix-thead > tr');
+    const footer = table.querySelector('.tablix-tfoot > tr');
+    return [header, ...this._getBodyRows(table), footer].filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  _getRowCells(tr) {
+    return Array.from(tr.children).filter(cell => cell.matches('th, td'));
+  }
+
+  /**
+   * Grid cell containing an element (cells of tables nested in detail rows are excluded)
+   * @private
+   */
+  _getCell(element) {
+    const table = this._getTable();
+    const cell = element && element.closest ? element.closest('th, td') : null;
+    if (!cell || !table || cell.closest('.tablix-table') !== table) return null;
+    return this._getRows(table).includes(cell.parentElement) ? cell : null;
+  }
+
+  /**
+   * Row data of a rendered body row
+   * @private
+   */
+  _getRowData(tr) {
+    const rowIndex = parseInt(tr.dataset.rowIndex, 10);
+    return isNaN(rowIndex) ? null : this.table.dataManager.getData()[rowIndex] || null;
+  }
+
+  /**
+   * @private
+   */
+  _bindTable(table) {
+    if (this.tableElement === table) return;
+
+    this.tableElement = table;
+    table.addEventListener('keydown', this.handleKeydown);
+    table.addEventListener('focusin', this.handleFocusin);
+  }
+
+  /**
+   * Make the active cell the only tab stop, and focus it again after a re-render
+   * @private
+   */
+  _updateTabStop(table, restoreFocus) {
+    const rows = this._getRows(table);
+    if (rows.length === 0) return;
+
+    rows.forEach(tr => this._getRowCells(tr).forEach(cell => { cell.tabIndex = -1; }));
+    // Buttons inside cells are reached through the grid (Enter), not with Tab
+    table.querySelectorAll('.tablix-group-toggle, .tablix-detail-toggle, .tablix-tree-toggle').forEach(button => {
+      if (this._getCell(button)) button.tabIndex = -1;
+    });
+
+    const { rowIndex, column } = this.activeCell;
+    const tr = rows.find(row => parseInt(row.getAttribute('aria-rowindex'), 10) === rowIndex) ||
+      (rowIndex > 1 && rows.length > 1 ? rows[1] : rows[0]);
+    const cells = this._getRowCells(tr);
+    const cell = cells.find(td => column && td.dataset.column === column) || cells[0];
+    if (!cell) return;
+
+    cell.tabIndex = 0;
+    if (restoreFocus && !table.contains(document.activeElement)) {
+      // The cell may lie in the virtual scrolling buffer; do not scroll it into view
+      cell.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setTabStop(cell) {
+    const table = this._getTable();
+    if (!table) return;
+    table.querySelectorAll('[tabindex="0"]').forEach(element => {
+      if (element !== cell && this._getCell(element) === element) element.tabIndex = -1;
+    });
+    cell.tabIndex = 0;
+  }
+
+  /**
+   * @private
+   */
+  _focusCell(cell) {
+    if (!cell) return;
+    this._setTabStop(cell);
+    cell.focus();
+  }
+
+  /**
+   * Cell in the same column of another row (group rows have a single cell)
+   * @private
+   */
+  _getCellInColumn(tr, column) {
+    const cells = this._getRowCells(tr);
+    return cells.find(td => column && td.dataset.column === column) || cells[0];
+  }
+
+  /**
+   * Move focus up or down by a number of rows
+   * Virtual scrolling renders the target row first; paginated tables stay on the current page.
+   * @private
+   */
+  async _moveRow(cell, delta, toEdge = false) {
+    const table = this._getTable();
+    const column = cell.dataset.column || this.activeCell.column;
+
+    if (this._isVirtual()) {
+      const footer = table.querySelector('.tablix-tfoot > tr');
+      const last = this._getRowCount() + 1 + (footer ? 1 : 0);
+      const current = parseInt(cell.parentElement.getAttribute('aria-rowindex'), 10) || 1;
+      const target = toEdge ? (delta < 0 ? 1 : last) : Math.min(Math.max(current + delta, 1), last);
+      this._focusRowIndex(target, column);
+      return;
+    }
+
+    const rows = this._getRows(table);
+    const index = rows.indexOf(cell.parentElement);
+    const target = toEdge ? (delta < 0 ? 0 : rows.length - 1) : Math.min(Math.max(index + delta, 0), rows.length - 1);
+    if (target !== index) {
+      this._focusCell(this._getCellInColumn(rows[target], column));
+    }
+  }
+
+  /**
+   * PageUp/PageDown: previous/next page with pagination, otherwise `pageStep` rows
+   * @private
+   */
+  async _movePage(cell, direction) {
+    const paginationManager = this.table.paginationManager;
+    if (!paginationManager || this._isVirtual()) {
+      await this._moveRow(cell, direction * this.options.pageStep);
+      return;
+    }
+
+    const page = paginationManager.currentPage + direction;
+    if (page < 1 || page > paginationManager.totalPages) return;
+
+    // Keep the row position and column on the new page (header and footer stay where they are)
+    const rowIndex = parseInt(cell.parentElement.getAttribute('aria-rowindex'), 10) || 1;
+    const isBodyRow = !!cell.closest('.tablix-tbody');
+    this.activeCell = {
+      rowIndex: isBodyRow
+        ? Math.min(Math.max(rowIndex + direction * paginationManager.pageSize, 2), this._getRowCount() + 1)
+        : rowIndex,
+      column: cell.dataset.column || this.activeCell.column
+    };
+    await paginationManager.goToPage(page);
+  }
+
+  /**
+   * Focus the row with an aria-rowindex, scrolling it into the virtual window first
+   * @private
+   */
+  _focusRowIndex(rowIndex, column) {
+    const table = this._getTable();
+    const find = () => this._getRows(table).find(tr => parseInt(tr.getAttribute('aria-rowindex'), 10) === rowIndex);
+
+    let tr = find();
+    if (!tr) {
+      this.activeCell = { rowIndex, column };
+      this.table.virtualScrollManager.scrollToRow(rowIndex - 2);
+      tr = find();
+    }
+    if (tr) this._focusCell(this._getCellInColumn(tr, column));
+  }
+
+  /**
+   * Space/Enter on a body cell: toggle group/tree/detail rows (Enter) or select the row
+   * @private
+   */
+  _activateCell(cell, event) {
+    const tr = cell.parentElement;
+
+    if (tr.classList.contains('tablix-group-row')) {
+      event.preventDefault();
+      const toggle = tr.querySelector('.tablix-group-toggle');
+      if (toggle) toggle.click();
+      return;
+    }
+    if (!tr.classList.contains('tablix-row')) return;
+
+    if (event.key === 'Enter') {
+      // Editable cells open the editor (EditManager)
+      const editManager = this.table.editManager;
+      if (editManager && editManager.options.enabled && editManager.options.enterToEdit && cell.classList.contains('tablix-editable')) {
+        return;
+      }
+
+      const toggle = cell.querySelector('.tablix-tree-toggle, .tablix-detail-toggle');
+      if (toggle) {
+        event.preventDefault();
+        toggle.click();
+        return;
+      }
+    }
+
+    const selectionManager = this.table.selectionManager;
+    const row = this._getRowData(tr);
+    if (!selectionManager || !selectionManager.options.enabled || !row) return;
+
+    // Works like a click: Ctrl toggles, Shift selects a range in multi mode
+    selectionManager.handleRowClick({
+      rowData: row,
+      rowIndex: parseInt(tr.dataset.rowIndex, 10),
+      originalEvent: event
+    });
+  }
+}
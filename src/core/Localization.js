@@ -39,6 +39,22 @@ export default class Localization {
       'search.noResults': 'No results found',
       'search.resultsFound': 'results found',
 
+      // Query bar
+      'query.placeholder': 'Filter, e.g. status:open amount>100',
+      'query.label': 'Filter query',
+      'query.unclosedQuote': 'Missing closing quote',
+      'query.missingColumn': 'Missing column name',
+      'query.unknownColumn': 'Unknown column "{column}"',
+      'query.missingValue': 'Missing value for "{column}"',
+      'query.invalidNumber': '"{value}" is not a number',
+      'query.invalidDate': '"{value}" is not a date',
+      'query.invalidComparison': '"{column}" is not a number or date column',
+      'query.unknownOperator': 'Unknown operator "@{operator}" for "{column}"',
+      'query.invalidOperator': 'Missing closing parenthesis in "{value}"',
+      'query.cannotNegate': '"{value}" cannot be negated',
+      'query.mixedLogic': 'A list of values for "{column}" cannot be combined with other terms for the same column',
+      'query.searchDisabled': '"{text}" is not a filter and search is not enabled',
+
       // Pagination
       'pagination.first': 'First',
       'pagination.previous': 'Previous',
@@ -57,6 +73,27 @@ export default class Localization {
       'sort.sortedDescending': 'Sorted descending',
       'sort.notSorted': 'Not sorted',
       'sort.clearSort': 'Clear sorting',
+      'sort.sortPriority': 'Sort priority {order}',
+
+      // Editing
+      'edit.invalidValue': 'Invalid value',
+      'edit.invalidNumber': 'Please enter a valid number',
+
+      // Grouping
+      'grouping.empty': '(Empty)',
+      'grouping.expand': 'Expand group',
+      'grouping.collapse': 'Collapse group',
+
+      // Detail rows
+      'detail.expand': 'Show details',
+      'detail.collapse': 'Hide details',
+      'detail.loading': 'Loading details...',
+      'detail.error': 'Failed to load details',
+
+      // Tree
+      'tree.expand': 'Expand row',
+      'tree.collapse': 'Collapse row',
+      'tree.loading': 'Loading rows...',
 
       // Selection
       'selection.selectRow': 'Select row',
@@ -82,6 +119,11 @@ export default class Localization {
       'filter.addCondition': 'Add Condition',
       'filter.removeCondition': 'Remove condition',
       'filter.value': 'Value',
+      'filter.from': 'From',
+      'filter.to': 'To',
+      'filter.and': 'AND',
+      'filter.or': 'OR',
+      'filter.toggleLogic': 'Switch between AND and OR',
       'filter.apply': 'Apply',
       'filter.clear': 'Clear',
       'filter.cancel': 'Cancel',
@@ -104,6 +146,9 @@ export default class Localization {
       // Controls
       'controls.refresh': 'Refresh data',
       'controls.export': 'Export data',
+      'controls.exportFormat': 'Export format',
+      'controls.import': 'Import',
+      'controls.importDrop': 'Drop a CSV, TSV or JSON file to import it',
       'controls.settings': 'Settings',
       'controls.columns': 'Columns',
       'controls.showColumns': 'Show/Hide columns',
@@ -139,6 +184,10 @@ export default class Localization {
       'accessibility.pageNavigation': 'Page navigation',
       'accessibility.searchInput': 'Search table data',
       'accessibility.filterColumn': 'Filter column',
+      'accessibility.sortedAscending': 'Sorted by {column}, ascending',
+      'accessibility.sortedDescending': 'Sorted by {column}, descending',
+      'accessibility.sortCleared': 'Sorting removed',
+      'accessibility.rowsFound': '{count} rows found',
 
       // Actions
       'action.apply': 'Apply',
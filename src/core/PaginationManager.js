@@ -44,8 +44,8 @@ export default class PaginationManager {
    */
   updatePaginationInfo(totalRows = null) {
     if (this.options.mode === 'client') {
-      // For client-side pagination, calculate from filtered data
-      this.totalRows = this.table.dataManager.filteredData.length;
+      // For client-side pagination, calculate from filtered data (group headers included)
+      this.totalRows = this.table.dataManager.getDisplayRows().length;
     } else {
       // For server-side pagination, total rows should be provided
       this.totalRows = totalRows || this.totalRows;
@@ -81,7 +81,7 @@ export default class PaginationManager {
   getClientPageData() {
     const start = (this.currentPage - 1) * this.pageSize;
     const end = start + this.pageSize;
-    return this.table.dataManager.filteredData.slice(start, end);
+    return this.table.dataManager.sliceDisplayRows(start, end);
   }
 
   /**
@@ -225,6 +225,24 @@ export default class PaginationManager {
     });
   }
 
+  /**
+   * Set page and page size without re-rendering or triggering events
+   * Used when restoring saved state before a single refresh.
+   * @param {Object} pageState - { page, pageSize }
+   */
+  applyPageState({ page, pageSize } = {}) {
+    if (pageSize > 0) {
+      this.pageSize = pageSize;
+    }
+    if (page > 0) {
+      this.currentPage = page;
+    }
+
+    if (this.table.stateManager) {
+      this.table.stateManager.updatePagination({ page: this.currentPage, pageSize: this.pageSize });
+    }
+  }
+
   /**
    * Reset pagination to first page (useful after filtering/sorting)
    */
@@ -0,0 +1,220 @@
+/**
+ * PrintManager - Print-friendly rendering of the table
+ *
+ * Features:
+ * - Prints all rows, the filtered rows or the current page
+ * - Clean document without controls, filter icons or sort indicators
+ * - Header row repeated on every printed page, rows never split across pages
+ * - Cell values formatted like the table (column formats and custom renderers)
+ * - Optional title, footer aggregates and page orientation
+ */
+
+// Fallback for browsers that never fire afterprint on the frame: remove it after this many ms
+const AFTER_PRINT_TIMEOUT = 60000;
+
+export default class PrintManager {
+  constructor(table, options = {}) {
+    this.table = table;
+    this.options = {
+      scope: 'filtered',    // 'all', 'filtered' or 'page'
+      title: null,          // Heading above the table (also the document title)
+      visibleOnly: true,    // false: print hidden columns too
+      footer: true,         // Print the footer aggregates, if any
+      orientation: null,    // 'portrait' or 'landscape'; browser default when null
+      styles: '',           // Extra CSS for the printed document
+      ...options
+    };
+
+    this.scopes = ['all', 'filtered', 'page'];
+    this.pendingFrames = new Map(); // Print frames waiting for afterprint -> cleanup function
+  }
+
+  /**
+   * Print the table from a hidden frame
+   * @param {Object} options - Print options; defaults from the table's print options
+   * @returns {boolean} True if the print dialog was opened
+   */
+  print(options = {}) {
+    const settings = { ...this.options, ...options };
+    if (!this.scopes.includes(settings.scope)) {
+      console.warn(`TablixJS: Unknown print scope '${settings.scope}'. Supported scopes: ${this.scopes.join(', ')}`);
+      return false;
+    }
+
+    const rows = this.getRows(settings.scope);
+    this.table.eventManager.trigger('beforePrint', { rows, scope: settings.scope });
+
+    const frame = document.createElement('iframe');
+    frame.className = 'tablix-print-frame';
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+    document.body.appendChild(frame);
+
+    const printWindow = frame.contentWindow;
+    let timeout = null;
+    const cleanup = () => {
+      clearTimeout(timeout);
+      printWindow.removeEventListener('afterprint', finish);
+      this.pendingFrames.delete(frame);
+      frame.remove();
+    };
+    // Some browsers print asynchronously: keep the frame until its document has been printed
+    const finish = () => {
+      if (!this.pendingFrames.has(frame)) return;
+      cleanup();
+      this.table.eventManager.trigger('afterPrint', { rows, scope: settings.scope });
+    };
+
+    try {
+      const printDocument = printWindow.document;
+      printDocument.open();
+      printDocument.write(this.buildDocument(rows, settings));
+      printDocument.close();
+
+      this.pendingFrames.set(frame, cleanup);
+      printWindow.addEventListener('afterprint', finish);
+      timeout = setTimeout(finish, AFTER_PRINT_TIMEOUT);
+
+      printWindow.focus();
+      printWindow.print();
+    } catch (error) {
+      console.error('Failed to print table:', error);
+      cleanup();
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove print frames still waiting for afterprint (no afterPrint event is triggered)
+   */
+  destroy() {
+    this.pendingFrames.forEach(cleanup => cleanup());
+  }
+
+  /**
+   * Rows of a print scope
+   * @param {string} scope - 'all', 'filtered' or 'page'
+   * @returns {Array} Row objects (group headers excluded)
+   */
+  getRows(scope) {
+    const dataManager = this.table.dataManager;
+    let rows;
+
+    if (scope === 'all') {
+      rows = dataManager.getAllRows();
+    } else if (scope === 'page' && this.table.paginationManager) {
+      rows = this.table.paginationManager.getCurrentPageData();
+    } else {
+      rows = dataManager.getData();
+    }
+
+    return rows.filter(row => !dataManager.isGroupRow(row));
+  }
+
+  /**
+   * Standalone HTML document of the printed table
+   * @param {Array} rows - Rows to print
+   * @param {Object} options - Print options
+   * @returns {string} HTML
+   */
+  buildDocument(rows, options = {}) {
+    const settings = { ...this.options, ...options };
+    const columnManager = this.table.columnManager;
+    const escapeHtml = text => this.table.renderer.escapeHtml(text);
+    const columns = (settings.visibleOnly ? columnManager.getVisibleColumns() : columnManager.getColumns())
+      .filter(col => col.printable !== false);
+    const title = settings.title || '';
+
+    let html = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+      `<title>${escapeHtml(title)}</title>\n<style>${this._getStyles(settings)}</style>\n</head>\n<body>\n`;
+    if (title) {
+      html += `<h1 class="tablix-print-title">${escapeHtml(title)}</h1>\n`;
+    }
+
+    html += '<table class="tablix-print-table">\n<thead>\n<tr>';
+    columns.forEach(col => {
+      html += `<th>${escapeHtml(col.title || col.name)}</th>`;
+    });
+    html += '</tr>\n</thead>\n<tbody>\n';
+
+    if (rows.length === 0) {
+      html += `<tr><td colspan="${columns.length}">${escapeHtml(this.table.t('general.noData'))}</td></tr>\n`;
+    }
+    rows.forEach(row => {
+      html += '<tr>';
+      columns.forEach(col => {
+        const result = columnManager.formatCellValue(col, columnManager.getCellValue(row, col.name), row);
+        const content = result.isHtml ? result.value : escapeHtml(result.value);
+        html += `<td${this._isNumeric(col) ? ' class="tablix-print-number"' : ''}>${content}</td>`;
+      });
+      html += '</tr>\n';
+    });
+    html += '</tbody>\n';
+
+    if (settings.footer) {
+      html += this._buildFooter(columns, rows);
+    }
+
+    html += '</table>\n</body>\n</html>\n';
+    return html;
+  }
+
+  /**
+   * Footer aggregates, computed over the printed rows unless the server provides totals
+   * @private
+   */
+  _buildFooter(columns, rows) {
+    const aggregationManager = this.table.aggregationManager;
+    if (!aggregationManager || !aggregationManager.hasAggregates(columns)) return '';
+
+    const escapeHtml = text => this.table.renderer.escapeHtml(text);
+    const serverAggregates = aggregationManager.serverAggregates || {};
+    const label = aggregationManager.getLabel();
+
+    let html = '<tfoot>\n<tr>';
+    columns.forEach((col, index) => {
+      const value = Object.prototype.hasOwnProperty.call(serverAggregates, col.name)
+        ? serverAggregates[col.name]
+        : aggregationManager.computeAggregate(col, rows);
+      let content = '';
+      if (value !== undefined) {
+        content = escapeHtml(aggregationManager.formatAggregate(col, value));
+      } else if (index === 0 && label) {
+        content = escapeHtml(label);
+      }
+      html += `<td${this._isNumeric(col) ? ' class="tablix-print-number"' : ''}>${content}</td>`;
+    });
+    html += '</tr>\n</tfoot>\n';
+    return html;
+  }
+
+  /**
+   * @private
+   */
+  _isNumeric(column) {
+    return ['number', 'currency', 'percent'].includes(column.format) || column.sortType === 'number';
+  }
+
+  /**
+   * CSS of the printed document: repeated header row, rows kept on one page
+   * @private
+   */
+  _getStyles(settings) {
+    const pageSize = settings.orientation ? ` size: ${settings.orientation};` : '';
+    return `
+@page {${pageSize} margin: 12mm; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-size: 10pt; color: #000; }
+.tablix-print-title { font-size: 14pt; margin: 0 0 8pt; }
+.tablix-print-table { width: 100%; border-collapse: collapse; }
+thead { display: table-header-group; }
+tfoot { display: table-row-group; }
+tr { break-inside: avoid; page-break-inside: avoid; }
+th, td { border: 1px solid #999; padding: 4pt 6pt; text-align: left; vertical-align: top; }
+th { background: #eee; font-weight: 600; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+tfoot td { font-weight: 600; border-top: 2px solid #666; }
+.tablix-print-number { text-align: right; font-variant-numeric: tabular-nums; }
+${settings.styles || ''}`;
+  }
+}
@@ -0,0 +1,508 @@
+import QueryParser from './QueryParser.js';
+
+let instanceCount = 0;
+
+/**
+ * QueryManager - Query bar: column filters and search typed as text
+ *
+ * Features:
+ * - `status:open amount>100 -owner:bob "exact phrase"` turned into FilterManager column filters
+ *   and a SearchManager search term (syntax in QueryParser)
+ * - Autocomplete of column names, column values and `@operators`
+ * - Syntax errors highlighted inline, with a message below the input
+ * - The active column filters and search term rendered back as query text
+ */
+export default class QueryManager {
+  constructor(table, options = {}) {
+    this.table = table;
+    this.options = {
+      placeholder: null,   // Input placeholder; localized example query when null
+      maxSuggestions: 10,  // Autocomplete entries shown at once
+      ...options
+    };
+
+    this.id = `tablix-query-${++instanceCount}`;
+    this.text = null;          // Text of the input, kept across re-renders; null until first rendered
+    this.errors = [];          // Errors of the text, highlighted in the input
+    this.suggestions = [];     // Open autocomplete entries
+    this.activeSuggestion = -1;
+    this.focusState = null;    // { position, start, end } of the focused input, restored after re-rendering
+    this.applying = false;
+
+    this.handleStateChange = this.handleStateChange.bind(this);
+
+    ['afterFilter', 'afterSearch', 'stateRestored'].forEach(event => {
+      this.table.eventManager.on(event, this.handleStateChange);
+    });
+  }
+
+  /**
+   * Parse query text against the table's columns
+   * @param {string} text - Query text
+   * @returns {Object} { filters, search, errors: [{ code, params, start, end, message }], terms }
+   */
+  parse(text) {
+    const result = this._createParser().parse(text);
+    result.errors.forEach(error => {
+      error.message = this.table.t(`query.${error.code}`, error.params);
+    });
+    return result;
+  }
+
+  /**
+   * Query text of the active column filters and search term
+   * The advanced filter has no query syntax and is not included.
+   * @returns {string} Query text
+   */
+  getQuery() {
+    const filters = this.table.filterManager.getActiveFilters();
+    const search = this.table.searchManager ? this.table.searchManager.getSearchTerm() : '';
+    return this._createParser().stringify(filters, search);
+  }
+
+  /**
+   * Apply query text: replaces all column filters and the search term
+   * Nothing is applied if the text has errors; they are highlighted in the query bar instead.
+   * @param {string} text - Query text
+   * @returns {Promise<boolean>} True if the query was applied
+   */
+  async apply(text) {
+    const result = this.parse(text);
+    this.text = text;
+    this.errors = result.errors;
+    this._updateInputs();
+
+    if (result.errors.length > 0) {
+      this.table.eventManager.trigger('queryError', { query: text, errors: result.errors });
+      return false;
+    }
+
+    const searchManager = this.table.searchManager;
+    this.applying = true;
+    try {
+      await this.table.filterManager.setFilters(result.filters);
+      if (searchManager && result.search !== searchManager.getSearchTerm()) {
+        await searchManager.setSearchTerm(result.search);
+      }
+    } catch (error) {
+      console.error('Failed to apply query:', error);
+      return false;
+    } finally {
+      this.applying = false;
+    }
+
+    this.table.eventManager.trigger('afterQuery', { query: text, filters: result.filters, search: result.search });
+    return true;
+  }
+
+  /**
+   * Autocomplete entries for the text at a cursor position
+   * Column names while typing a column (or a bare word), column values after `:` and `,`,
+   * operators after `@`.
+   * @param {string} text - Query text
+   * @param {number} position - Cursor position
+   * @returns {Array} [{ label, value, start, end }]: `value` replaces the text from `start` to `end`
+   */
+  getSuggestions(text, position = text.length) {
+    const parser = this._createParser();
+    const term = parser.parse(text).terms.find(t => t.start <= position && position <= t.end);
+    if (!term) return [];
+
+    if (term.type === 'search' || position <= term.keyEnd) {
+      return this._getColumnSuggestions(parser, text, term, position);
+    }
+    if (term.operator === ':' && term.column) {
+      return this._getValueSuggestions(parser, text, term, position);
+    }
+    return [];
+  }
+
+  // ===== RENDERING =====
+
+  /**
+   * Render the query bar (called by Renderer.renderControls)
+   * @param {string} position - Controls position ('top' or 'bottom')
+   * @returns {string} HTML
+   */
+  renderControl(position) {
+    // The controls are rebuilt on every render: remember focus and cursor to restore them
+    const input = this.table.container.querySelector(`.tablix-controls-${position} .tablix-query-input`);
+    if (input && document.activeElement === input) {
+      this.focusState = { position, start: input.selectionStart, end: input.selectionEnd };
+    }
+    if (this.text === null) {
+      this.text = this.getQuery();
+    }
+
+    const escapeAttribute = text => this.table.renderer.escapeHtml(text).replace(/"/g, '&quot;');
+    const placeholder = this.options.placeholder || this.table.t('query.placeholder');
+    const listId = `${this.id}-${position}-suggestions`;
+    const messageId = `${this.id}-${position}-message`;
+
+    let html = '<div class="tablix-control-group tablix-query-group">';
+    html += '<div class="tablix-query-field">';
+    html += '<div class="tablix-query-highlight" aria-hidden="true"></div>';
+    html += `<input type="text" class="tablix-query-input" role="combobox" aria-autocomplete="list" aria-expanded="false"`;
+    html += ` aria-controls="${listId}" aria-describedby="${messageId}" aria-label="${escapeAttribute(this.table.t('query.label'))}"`;
+    html += ` placeholder="${escapeAttribute(placeholder)}" autocomplete="off" spellcheck="false" />`;
+    html += `<ul class="tablix-query-suggestions" id="${listId}" role="listbox" hidden></ul>`;
+    html += '</div>';
+    html += `<div class="tablix-query-message" id="${messageId}" aria-live="polite"></div>`;
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Bind the query bar events (called by Renderer.bindControlEvents)
+   */
+  bindEvents() {
+    this.table.container.querySelectorAll('.tablix-query-group').forEach(group => {
+      const input = group.querySelector('.tablix-query-input');
+      input.value = this.text || '';
+      this._renderErrors(group, this.errors);
+
+      input.addEventListener('input', () => {
+        this.text = input.value;
+        this._validate(group, true);
+        this._openSuggestions(group);
+      });
+
+      input.addEventListener('keydown', (e) => this._handleKeydown(e, group));
+
+      input.addEventListener('scroll', () => {
+        group.querySelector('.tablix-query-highlight').scrollLeft = input.scrollLeft;
+      });
+
+      input.addEventListener('blur', () => this._closeSuggestions(group));
+
+      const list = group.querySelector('.tablix-query-suggestions');
+      // mousedown keeps the focus in the input
+      list.addEventListener('mousedown', (e) => {
+        const option = e.target.closest('.tablix-query-suggestion');
+        if (!option) return;
+        e.preventDefault();
+        this._acceptSuggestion(group, parseInt(option.dataset.index, 10));
+      });
+
+      const position = group.closest('.tablix-controls-bottom') ? 'bottom' : 'top';
+      if (this.focusState && this.focusState.position === position) {
+        input.focus();
+        input.setSelectionRange(this.focusState.start, this.focusState.end);
+        this.focusState = null;
+      }
+    });
+  }
+
+  /**
+   * Show the active filters and search as text after they change elsewhere (filter dropdowns,
+   * search input, undo, restored state); text being edited in the query bar is kept
+   */
+  handleStateChange() {
+    if (this.applying) return;
+
+    const focused = Array.from(this.table.container.querySelectorAll('.tablix-query-input'))
+      .some(input => document.activeElement === input);
+    if (focused) return;
+
+    this.text = this.getQuery();
+    this.errors = [];
+    this._updateInputs();
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    if (this.table.eventManager) {
+      ['afterFilter', 'afterSearch', 'stateRestored'].forEach(event => {
+        this.table.eventManager.off(event, this.handleStateChange);
+      });
+    }
+  }
+
+  // ===== PRIVATE =====
+
+  /**
+   * @private
+   */
+  _createParser() {
+    const filterManager = this.table.filterManager;
+    return new QueryParser({
+      columns: this.table.columnManager ? this.table.columnManager.getColumns() : (this.table.options.columns || []),
+      getColumnType: columnName => filterManager.getColumnType(columnName),
+      getColumnOperators: columnName => filterManager.getColumnOperators(columnName),
+      getOperatorInputs: operatorName => filterManager.getOperatorInputs(operatorName),
+      search: !!this.table.searchManager
+    });
+  }
+
+  /**
+   * @private
+   */
+  _handleKeydown(e, group) {
+    const isOpen = this.suggestions.length > 0;
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        e.preventDefault();
+        if (!isOpen) {
+          this._openSuggestions(group);
+        } else {
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          const count = this.suggestions.length;
+          // Cycles through the entries and back to the typed text (-1)
+          this._setActiveSuggestion(group, (this.activeSuggestion + 1 + step + count + 1) % (count + 1) - 1);
+        }
+        break;
+      case 'Tab':
+        if (isOpen) {
+          e.preventDefault();
+          this._acceptSuggestion(group, Math.max(this.activeSuggestion, 0));
+        }
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (isOpen && this.activeSuggestion >= 0) {
+          this._acceptSuggestion(group, this.activeSuggestion);
+        } else {
+          this._closeSuggestions(group);
+          this.apply(e.target.value);
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          e.preventDefault();
+          this._closeSuggestions(group);
+        } else {
+          // Discard the edits: back to the applied query
+          this.text = this.getQuery();
+          this.errors = [];
+          this._updateInputs();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Parse the input text and highlight its errors
+   * @param {Element} group - Query bar
+   * @param {boolean} typing - Skip errors ending at the cursor (the term being typed)
+   * @private
+   */
+  _validate(group, typing = false) {
+    const input = group.querySelector('.tablix-query-input');
+    const { errors } = this.parse(input.value);
+    const cursor = input.selectionStart;
+    this.errors = typing ? errors.filter(error => error.end !== cursor) : errors;
+    this._renderErrors(group, this.errors);
+  }
+
+  /**
+   * Write the current text and errors to all rendered query bars
+   * @private
+   */
+  _updateInputs() {
+    this.table.container.querySelectorAll('.tablix-query-group').forEach(group => {
+      const input = group.querySelector('.tablix-query-input');
+      if (input.value !== this.text) {
+        input.value = this.text;
+      }
+      this._renderErrors(group, this.errors);
+    });
+  }
+
+  /**
+   * Mark error ranges in the highlight layer behind the input and show the first message
+   * @private
+   */
+  _renderErrors(group, errors) {
+    const escapeHtml = text => this.table.renderer.escapeHtml(text);
+    const input = group.querySelector('.tablix-query-input');
+    const highlight = group.querySelector('.tablix-query-highlight');
+    const message = group.querySelector('.tablix-query-message');
+    const text = input.value;
+
+    // Ranges in text order, merged where they overlap; empty ranges mark the next character
+    const ranges = errors
+      .map(error => ({ start: error.start, end: Math.max(error.end, error.start + 1) }))
+      .sort((a, b) => a.start - b.start)
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+          last.end = Math.max(last.end, range.end);
+        } else {
+          merged.push({ ...range });
+        }
+        return merged;
+      }, []);
+
+    let html = '';
+    let offset = 0;
+    ranges.forEach(({ start, end }) => {
+      html += escapeHtml(text.slice(offset, start));
+      html += `<mark class="tablix-query-error">${escapeHtml(text.slice(start, end))}</mark>`;
+      offset = end;
+    });
+    html += escapeHtml(text.slice(offset));
+
+    highlight.innerHTML = html;
+    highlight.scrollLeft = input.scrollLeft;
+    message.textContent = errors.length > 0 ? errors[0].message : '';
+    group.classList.toggle('tablix-query-invalid', errors.length > 0);
+    if (errors.length > 0) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _openSuggestions(group) {
+    const input = group.querySelector('.tablix-query-input');
+    const list = group.querySelector('.tablix-query-suggestions');
+    const escapeHtml = text => this.table.renderer.escapeHtml(text);
+
+    this.suggestions = this.getSuggestions(input.value, input.selectionStart).slice(0, this.options.maxSuggestions);
+    this.activeSuggestion = -1;
+
+    if (this.suggestions.length === 0) {
+      this._closeSuggestions(group);
+      return;
+    }
+
+    list.innerHTML = this.suggestions.map((suggestion, index) =>
+      `<li class="tablix-query-suggestion" id="${list.id}-${index}" role="option" aria-selected="false" data-index="${index}">` +
+      `${escapeHtml(suggestion.label)}</li>`
+    ).join('');
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * @private
+   */
+  _closeSuggestions(group) {
+    const input = group.querySelector('.tablix-query-input');
+    const list = group.querySelector('.tablix-query-suggestions');
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    list.hidden = true;
+    list.innerHTML = '';
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * @private
+   */
+  _setActiveSuggestion(group, index) {
+    const input = group.querySelector('.tablix-query-input');
+    this.activeSuggestion = index;
+
+    group.querySelectorAll('.tablix-query-suggestion').forEach((option, i) => {
+      const active = i === index;
+      option.classList.toggle('tablix-query-suggestion-active', active);
+      option.setAttribute('aria-selected', active ? 'true' : 'false');
+      if (active) {
+        input.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView && option.scrollIntoView({ block: 'nearest' });
+      }
+    });
+    if (index < 0) {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Replace the text of a suggestion and continue with the suggestions for the new text
+   * @private
+   */
+  _acceptSuggestion(group, index) {
+    const suggestion = this.suggestions[index];
+    if (!suggestion) return;
+
+    const input = group.querySelector('.tablix-query-input');
+    const text = input.value;
+    input.value = text.slice(0, suggestion.start) + suggestion.value + text.slice(suggestion.end);
+    const cursor = suggestion.start + suggestion.value.length;
+    input.setSelectionRange(cursor, cursor);
+
+    this.text = input.value;
+    this._validate(group, true);
+    this._openSuggestions(group);
+  }
+
+  /**
+   * Columns whose name or title starts with the typed text
+   * @private
+   */
+  _getColumnSuggestions(parser, text, term, position) {
+    let keyStart = term.type === 'search' ? term.start : term.keyStart;
+    if (term.type === 'search' && text[keyStart] === '-') keyStart++;
+    const keyEnd = term.type === 'search' ? term.end : term.keyEnd;
+    const prefix = text.slice(keyStart, position).replace(/^"/, '').toLowerCase();
+    if (prefix === '') return [];
+
+    return parser.options.columns
+      .filter(col => col.name.toLowerCase().startsWith(prefix) ||
+        (col.title && String(col.title).toLowerCase().startsWith(prefix)))
+      .map(col => ({
+        label: col.title && col.title !== col.name ? `${col.title} (${col.name})` : col.name,
+        value: parser.quoteKey(col.name) + (term.type === 'search' ? ':' : ''),
+        start: keyStart,
+        end: keyEnd
+      }));
+  }
+
+  /**
+   * Values of the column containing the typed text, or operators after `@`
+   * @private
+   */
+  _getValueSuggestions(parser, text, term, position) {
+    // The list item under the cursor: between unquoted commas
+    let itemStart = term.valueStart;
+    let itemEnd = term.end;
+    let inQuotes = false;
+    for (let i = term.valueStart; i < term.end; i++) {
+      if (text[i] === '\\' && inQuotes) {
+        i++;
+      } else if (text[i] === '"') {
+        inQuotes = !inQuotes;
+      } else if (text[i] === ',' && !inQuotes) {
+        if (i < position) {
+          itemStart = i + 1;
+        } else {
+          itemEnd = i;
+          break;
+        }
+      }
+    }
+
+    const typed = text.slice(itemStart, position);
+    const item = { start: itemStart, end: itemEnd };
+
+    if (typed.startsWith('@')) {
+      const prefix = typed.slice(1).toLowerCase();
+      return Object.entries(this.table.filterManager.getColumnOperators(term.column))
+        .filter(([name]) => name !== 'none' && name.toLowerCase().startsWith(prefix))
+        .map(([name, operator]) => ({
+          label: `@${name} - ${operator.label}`,
+          value: this.table.filterManager.getOperatorInputs(name) > 0 ? `@${name}(` : `@${name}`,
+          ...item
+        }));
+    }
+
+    const prefix = typed.replace(/^"/, '').replace(/\\(.)/g, '$1').toLowerCase();
+    const values = this.table.filterManager.getColumnUniqueValues(term.column)
+      .filter(value => value.toLowerCase().includes(prefix) && parser.quote(value) !== typed);
+
+    // Values starting with the typed text first
+    const starting = values.filter(value => value.toLowerCase().startsWith(prefix));
+    const containing = values.filter(value => !value.toLowerCase().startsWith(prefix));
+    return starting.concat(containing).map(value => ({ label: value, value: parser.quote(value), ...item }));
+  }
+}
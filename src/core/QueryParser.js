@@ -0,0 +1,591 @@
+/**
+ * QueryParser - Parser for the query filter syntax
+ *
+ * Features:
+ * - `column:value` terms with value lists (OR), wildcards, ranges and `@operator(...)` items
+ * - `column>value`, `>=`, `<` and `<=` comparisons on number and date columns
+ * - `-column:value` negation
+ * - Bare words and "quoted phrases" become the global search term
+ * - Errors with their position in the text, for inline highlighting
+ * - Filter configs and a search term turned back into query text
+ */
+
+const COMPARISONS = ['>=', '<=', '>', '<'];
+const FLIPPED_COMPARISONS = { '>': '<=', '>=': '<', '<': '>=', '<=': '>' };
+const NUMBER_OPERATORS = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+const NEGATED_OPERATORS = {
+  equals: 'notEquals',
+  notEquals: 'equals',
+  contains: 'notContains',
+  notContains: 'contains',
+  isEmpty: 'isNotEmpty',
+  isNotEmpty: 'isEmpty'
+};
+
+/**
+ * Text of a run of scanned characters
+ */
+function textOf(chars) {
+  return chars.map(c => c.char).join('');
+}
+
+/**
+ * Check whether a scanned character is an unquoted `char`
+ */
+function isUnquoted(c, char) {
+  return !!c && !c.quoted && c.char === char;
+}
+
+export default class QueryParser {
+  constructor(options = {}) {
+    this.options = {
+      columns: [],                      // Column definitions ({ name, title })
+      getColumnType: () => 'string',    // (columnName) => 'string', 'number' or 'date'
+      getColumnOperators: () => ({}),   // (columnName) => operators usable with `@name`
+      getOperatorInputs: () => 1,       // (operatorName) => number of values the operator takes
+      search: true,                     // false: bare words are an error
+      ...options
+    };
+  }
+
+  /**
+   * Parse query text
+   * @param {string} text - Query text
+   * @returns {Object} { filters: column filter configs by column name, search: search term,
+   *   errors: [{ code, params, start, end }], terms: [{ type, start, end, ... }] }
+   */
+  parse(text = '') {
+    const errors = [];
+    const terms = this._scan(text, errors);
+    const columns = new Map(); // columnName -> { conditions, logic }
+    const search = [];
+
+    terms.forEach(term => {
+      if (term.type === 'search') {
+        if (!this.options.search) {
+          errors.push(this._error('searchDisabled', { text: term.text }, term.start, term.end));
+        } else if (term.text !== '') {
+          search.push(term.text);
+        }
+        return;
+      }
+
+      const result = this._parseFilterTerm(term, errors);
+      if (!result) return;
+
+      const entry = columns.get(result.column);
+      if (!entry) {
+        columns.set(result.column, result);
+      } else if (entry.logic === 'or' || result.logic === 'or') {
+        // OR lists cannot be mixed with other terms on the same column
+        errors.push(this._error('mixedLogic', { column: term.key }, term.start, term.end));
+      } else {
+        entry.conditions.push(...result.conditions);
+      }
+    });
+
+    const filters = {};
+    columns.forEach(({ conditions, logic }, columnName) => {
+      filters[columnName] = logic === 'or'
+        ? { type: 'condition', logic, conditions }
+        : { type: 'condition', conditions };
+    });
+
+    return {
+      filters,
+      search: search.join(' '),
+      errors,
+      terms: terms.map(({ chars, value, ...term }) => {
+        if (term.type !== 'filter') return term;
+        const column = this.resolveColumn(term.key);
+        return { ...term, column: column ? column.name : null };
+      })
+    };
+  }
+
+  /**
+   * Turn column filter configs and a search term into query text
+   * @param {Object} filters - Filter configs by column name (as from FilterManager.getActiveFilters())
+   * @param {string} search - Search term
+   * @returns {string} Query text
+   */
+  stringify(filters = {}, search = '') {
+    const parts = [];
+    Object.entries(filters || {}).forEach(([columnName, config]) => {
+      parts.push(...this._stringifyFilter(columnName, config));
+    });
+    if (search) {
+      parts.push(this._stringifySearch(search));
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Find a column by name, or by name or title ignoring case
+   * @param {string} name - Column name or title
+   * @returns {Object|null} Column definition
+   */
+  resolveColumn(name) {
+    const columns = this.options.columns;
+    const lower = name.toLowerCase();
+    return columns.find(col => col.name === name) ||
+      columns.find(col => col.name.toLowerCase() === lower) ||
+      columns.find(col => col.title && String(col.title).toLowerCase() === lower) ||
+      null;
+  }
+
+  /**
+   * Quote a value if it would not be read back as the same literal value
+   * @param {*} value - Value
+   * @returns {string} Value as query text
+   */
+  quote(value) {
+    const text = String(value);
+    const needsQuotes = text === '' || /[\s",()\\]/.test(text) || text.includes('..') ||
+      /^[@*]/.test(text) || text.endsWith('*');
+    return needsQuotes ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+  }
+
+  /**
+   * Quote a column name if it would not be read back as a column name
+   * @param {string} columnName - Column name
+   * @returns {string} Column name as query text
+   */
+  quoteKey(columnName) {
+    return /[\s":<>\\]/.test(columnName) || columnName.startsWith('-') || columnName === ''
+      ? `"${columnName.replace(/["\\]/g, '\\$&')}"`
+      : columnName;
+  }
+
+  // ===== SCANNING =====
+
+  /**
+   * Split the text into filter and search terms
+   * @private
+   */
+  _scan(text, errors) {
+    const terms = [];
+    let i = 0;
+
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+      const negate = text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1]);
+      const keyStart = negate ? i + 1 : i;
+      const keyErrors = [];
+      const key = this._readChars(text, keyStart, ':<>', keyErrors);
+      const operator = COMPARISONS.find(op => text.startsWith(op, key.end)) || (text[key.end] === ':' ? ':' : null);
+
+      if (!operator) {
+        // A bare word or a quoted phrase
+        const word = this._readChars(text, start, '', errors);
+        terms.push({ type: 'search', start, end: word.end, text: textOf(word.chars) });
+        i = word.end;
+        continue;
+      }
+
+      errors.push(...keyErrors);
+      const valueStart = key.end + operator.length;
+      const value = this._readChars(text, valueStart, '', errors);
+      terms.push({
+        type: 'filter',
+        start,
+        end: value.end,
+        negate,
+        key: textOf(key.chars),
+        keyStart,
+        keyEnd: key.end,
+        operator,
+        valueStart,
+        chars: key.chars,
+        value: value.chars
+      });
+      i = value.end;
+    }
+
+    return terms;
+  }
+
+  /**
+   * Read characters up to unquoted whitespace or one of `stopChars`
+   * Quotes are removed (backslash escapes the next character); each quoted part
+   * leaves an empty marker so that `""` can be told apart from nothing.
+   * @private
+   */
+  _readChars(text, i, stopChars, errors) {
+    const chars = [];
+
+    while (i < text.length && !/\s/.test(text[i]) && !stopChars.includes(text[i])) {
+      if (text[i] !== '"') {
+        chars.push({ char: text[i], quoted: false, index: i });
+        i++;
+        continue;
+      }
+
+      const quoteStart = i;
+      chars.push({ char: '', quoted: true, index: i });
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) i++;
+        chars.push({ char: text[i], quoted: true, index: i });
+        i++;
+      }
+      if (i >= text.length) {
+        errors.push(this._error('unclosedQuote', {}, quoteStart, text.length));
+      } else {
+        i++; // Closing quote
+      }
+    }
+
+    return { chars, end: i };
+  }
+
+  // ===== TERMS =====
+
+  /**
+   * Conditions of a `column:value` or `column>value` term
+   * @private
+   * @returns {Object|null} { column, conditions, logic } or null on errors
+   */
+  _parseFilterTerm(term, errors) {
+    if (term.chars.length === 0) {
+      errors.push(this._error('missingColumn', {}, term.start, term.valueStart));
+      return null;
+    }
+
+    const column = this.resolveColumn(term.key);
+    if (!column) {
+      errors.push(this._error('unknownColumn', { column: term.key }, term.keyStart, term.keyEnd));
+      return null;
+    }
+
+    const type = this.options.getColumnType(column.name);
+    const errorCount = errors.length;
+    let conditions;
+    let logic = 'and';
+
+    if (term.value.length === 0) {
+      errors.push(this._error('missingValue', { column: term.key }, term.start, term.end));
+      return null;
+    }
+
+    if (term.operator === ':') {
+      const items = this._splitItems(term.value, term.valueStart, term.end);
+      conditions = items.map(item => {
+        const condition = this._parseItem(item, column, type, errors);
+        if (condition && term.negate) {
+          return this._negate(condition, item, errors);
+        }
+        return condition;
+      });
+      // A negated list excludes every item: NOT (a OR b) = NOT a AND NOT b
+      if (items.length > 1 && !term.negate) {
+        logic = 'or';
+      }
+    } else {
+      conditions = [this._parseComparison(term, type, errors)];
+    }
+
+    if (errors.length > errorCount) return null;
+    return { column: column.name, conditions, logic };
+  }
+
+  /**
+   * Condition of a comparison term
+   * @private
+   */
+  _parseComparison(term, type, errors) {
+    const value = textOf(term.value);
+    if (type !== 'number' && type !== 'date') {
+      errors.push(this._error('invalidComparison', { column: term.key }, term.start, term.end));
+      return null;
+    }
+    if (!this._validateValue(value, type, term.valueStart, term.end, errors)) {
+      return null;
+    }
+
+    const comparison = term.negate ? FLIPPED_COMPARISONS[term.operator] : term.operator;
+    if (type === 'number') {
+      return { operator: NUMBER_OPERATORS[comparison], value };
+    }
+    switch (comparison) {
+      case '>': return { operator: 'after', value };
+      case '<': return { operator: 'before', value };
+      case '>=': return { operator: 'between', value, valueTo: '' };
+      default: return { operator: 'between', value: '', valueTo: value };
+    }
+  }
+
+  /**
+   * Split a value at unquoted commas outside of parentheses
+   * @private
+   * @returns {Array} [{ chars, start, end }]
+   */
+  _splitItems(chars, start, end) {
+    const items = [];
+    let current = [];
+    let itemStart = start;
+    let depth = 0;
+
+    chars.forEach(c => {
+      if (isUnquoted(c, '(')) depth++;
+      if (isUnquoted(c, ')')) depth = Math.max(0, depth - 1);
+      if (isUnquoted(c, ',') && depth === 0) {
+        items.push({ chars: current, start: itemStart, end: c.index });
+        current = [];
+        itemStart = c.index + 1;
+      } else {
+        current.push(c);
+      }
+    });
+    items.push({ chars: current, start: itemStart, end });
+
+    return items;
+  }
+
+  /**
+   * Condition of one item of a `column:` value list
+   * @private
+   */
+  _parseItem(item, column, type, errors) {
+    const { chars, start, end } = item;
+    const text = textOf(chars);
+
+    if (chars.length === 0) {
+      errors.push(this._error('missingValue', { column: column.name }, start, end));
+      return null;
+    }
+
+    // "" - empty cells
+    if (text === '' && chars.every(c => c.quoted)) {
+      return { operator: 'isEmpty' };
+    }
+
+    // @operator or @operator(value, valueTo)
+    if (isUnquoted(chars[0], '@')) {
+      return this._parseOperatorItem(item, column, errors);
+    }
+
+    // from..to ranges on number and date columns
+    const rangeIndex = chars.findIndex((c, i) => isUnquoted(c, '.') && isUnquoted(chars[i + 1], '.'));
+    if (rangeIndex !== -1 && (type === 'number' || type === 'date')) {
+      const from = textOf(chars.slice(0, rangeIndex));
+      const to = textOf(chars.slice(rangeIndex + 2));
+      if (from === '' && to === '') {
+        errors.push(this._error('missingValue', { column: column.name }, start, end));
+        return null;
+      }
+      const valid = (from === '' || this._validateValue(from, type, start, end, errors)) &&
+        (to === '' || this._validateValue(to, type, start, end, errors));
+      return valid ? { operator: 'between', value: from, valueTo: to } : null;
+    }
+
+    // Wildcards on text columns: value*, *value, *value*
+    const leading = type === 'string' && isUnquoted(chars[0], '*');
+    const trailing = type === 'string' && chars.length > (leading ? 1 : 0) && isUnquoted(chars[chars.length - 1], '*');
+    if (leading || trailing) {
+      const value = textOf(chars.slice(leading ? 1 : 0, trailing ? -1 : chars.length));
+      if (value === '') {
+        errors.push(this._error('missingValue', { column: column.name }, start, end));
+        return null;
+      }
+      const operator = leading && trailing ? 'contains' : (leading ? 'endsWith' : 'beginsWith');
+      return { operator, value };
+    }
+
+    if (!this._validateValue(text, type, start, end, errors)) {
+      return null;
+    }
+    return { operator: 'equals', value: text };
+  }
+
+  /**
+   * Condition of an `@operator` or `@operator(value, valueTo)` item
+   * @private
+   */
+  _parseOperatorItem(item, column, errors) {
+    const { chars, start, end } = item;
+    const open = chars.findIndex(c => isUnquoted(c, '('));
+    const name = textOf(chars.slice(1, open === -1 ? chars.length : open));
+    let args = [];
+
+    if (open !== -1) {
+      if (!isUnquoted(chars[chars.length - 1], ')')) {
+        errors.push(this._error('invalidOperator', { value: textOf(chars) }, start, end));
+        return null;
+      }
+      args = this._splitItems(chars.slice(open + 1, -1), start, end).map(arg => textOf(arg.chars));
+    }
+
+    const operator = this.options.getColumnOperators(column.name)[name];
+    if (!operator || name === 'none') {
+      errors.push(this._error('unknownOperator', { operator: name, column: column.name }, start, end));
+      return null;
+    }
+
+    const inputs = operator.inputs === undefined ? 1 : operator.inputs;
+    if (inputs === 0) {
+      return { operator: name };
+    }
+    if (args.length === 0 || args.every(arg => arg === '')) {
+      errors.push(this._error('missingValue', { column: column.name }, start, end));
+      return null;
+    }
+    return inputs === 2
+      ? { operator: name, value: args[0], valueTo: args[1] === undefined ? '' : args[1] }
+      : { operator: name, value: args[0] };
+  }
+
+  /**
+   * Inverse of a condition (for `-column:value`)
+   * @private
+   */
+  _negate(condition, item, errors) {
+    const operator = NEGATED_OPERATORS[condition.operator];
+    if (!operator) {
+      errors.push(this._error('cannotNegate', { value: textOf(item.chars) }, item.start, item.end));
+      return null;
+    }
+    return { ...condition, operator };
+  }
+
+  /**
+   * Check that a value can be read as a number or date on columns of that type
+   * @private
+   */
+  _validateValue(value, type, start, end, errors) {
+    if (type === 'number' && (value.trim() === '' || isNaN(Number(value)))) {
+      errors.push(this._error('invalidNumber', { value }, start, end));
+      return false;
+    }
+    if (type === 'date' && isNaN(new Date(value).getTime())) {
+      errors.push(this._error('invalidDate', { value }, start, end));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _error(code, params, start, end) {
+    return { code, params, start, end };
+  }
+
+  // ===== STRINGIFY =====
+
+  /**
+   * Query terms of one column filter
+   * @private
+   */
+  _stringifyFilter(columnName, config) {
+    if (!config) return [];
+
+    const key = this.quoteKey(columnName);
+
+    if (config.type === 'value') {
+      const values = config.values || [];
+      return values.length > 0 ? [`${key}:${values.map(value => this.quote(value)).join(',')}`] : [];
+    }
+
+    const type = this.options.getColumnType(columnName);
+    const conditions = (config.conditions || []).filter(cond => cond.operator && cond.operator !== 'none');
+    if (conditions.length === 0) return [];
+
+    if (config.logic === 'or' && conditions.length > 1) {
+      return [`${key}:${conditions.map(cond => this._stringifyItem(cond, type)).join(',')}`];
+    }
+    return conditions.map(cond => this._stringifyCondition(key, cond, type));
+  }
+
+  /**
+   * A condition as a separate term (conditions combined with AND)
+   * @private
+   */
+  _stringifyCondition(key, condition, type) {
+    const value = this.quote(condition.value === undefined ? '' : condition.value);
+
+    switch (condition.operator) {
+      case 'notEquals':
+        return `-${key}:${value}`;
+      case 'notContains':
+        return `-${key}:*${value}*`;
+      case 'isNotEmpty':
+        return `-${key}:""`;
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+        if (type === 'number') {
+          const comparison = Object.keys(NUMBER_OPERATORS).find(op => NUMBER_OPERATORS[op] === condition.operator);
+          return `${key}${comparison}${value}`;
+        }
+        break;
+      case 'after':
+        if (type === 'date') return `${key}>${value}`;
+        break;
+      case 'before':
+        if (type === 'date') return `${key}<${value}`;
+        break;
+    }
+    return `${key}:${this._stringifyItem(condition, type)}`;
+  }
+
+  /**
+   * A condition as an item of a `column:` value list
+   * @private
+   */
+  _stringifyItem(condition, type) {
+    const value = condition.value === undefined ? '' : condition.value;
+
+    switch (condition.operator) {
+      case 'equals':
+        if (value !== '') return this.quote(value);
+        break;
+      case 'isEmpty':
+        return '""';
+      case 'beginsWith':
+        if (type === 'string') return `${this.quote(value)}*`;
+        break;
+      case 'endsWith':
+        if (type === 'string') return `*${this.quote(value)}`;
+        break;
+      case 'contains':
+        if (type === 'string') return `*${this.quote(value)}*`;
+        break;
+      case 'between':
+        if ((type === 'number' || type === 'date') && (value !== '' || condition.valueTo)) {
+          return `${this._quoteBound(value)}..${this._quoteBound(condition.valueTo)}`;
+        }
+        break;
+    }
+
+    // Any other operator: @name or @name(value) or @name(value, valueTo)
+    const args = [value, condition.valueTo === undefined ? '' : condition.valueTo]
+      .slice(0, this.options.getOperatorInputs(condition.operator));
+    return args.length > 0
+      ? `@${condition.operator}(${args.map(arg => this.quote(arg)).join(',')})`
+      : `@${condition.operator}`;
+  }
+
+  /**
+   * @private
+   */
+  _quoteBound(value) {
+    return value === undefined || value === null || value === '' ? '' : this.quote(value);
+  }
+
+  /**
+   * Search term as bare words, or as a quoted phrase if the words would not be read back as search text
+   * @private
+   */
+  _stringifySearch(search) {
+    const words = search.split(/\s+/).filter(Boolean);
+    const bare = words.join(' ') === search && words.every(word => !/[":<>]/.test(word) && !word.startsWith('-'));
+    return bare ? search : `"${search.replace(/["\\]/g, '\\$&')}"`;
+  }
+}
@@ -1,10 +1,13 @@
 export default class Renderer {
   constructor(table) {
     this.table = table;
+    this.openColumnChooser = null; // Controls position ('top'/'bottom') whose column chooser is open
+    this.pinnedLayout = new Map(); // columnName -> { side, offset, edge } for pinned columns
+    this.pinnedResizeObserver = null;
   }
 
   renderTable(data, virtualMode = false) {
-    const columns = this.table.columnManager ? this.table.columnManager.getColumns() : (this.table.options.columns || []);
+    const columns = this.table.columnManager ? this.table.columnManager.getVisibleColumns() : (this.table.options.columns || []);
     const controlsOptions = this.table.options.controls;
     const isVirtualScrollEnabled = this.table.virtualScrollManager && this.table.virtualScrollManager.isEnabled();
 
@@ -19,12 +22,19 @@ export default class Renderer {
       cursorPosition = existingSearchInput.selectionStart || 0;
     }
 
+    // Keyboard focus inside the grid is restored on the new cells
+    const keyboardManager = this.table.keyboardManager;
+    const gridHadFocus = keyboardManager ? keyboardManager.hasFocus() : false;
+
     // Determine selection attributes
     const selectionEnabled = this.table.selectionManager && this.table.selectionManager.options.enabled;
     const selectionAttributes = selectionEnabled 
       ? `data-selection-enabled data-selection-mode="${this.table.selectionManager.options.mode}"` 
       : 'data-selection-disabled';
 
+    // Sticky offsets of pinned columns, refined from the rendered header below
+    this.pinnedLayout = this._computePinnedLayout(columns);
+
     let html = `<div class="tablix-wrapper" ${selectionAttributes}>`;
     
     // Top controls
@@ -42,17 +52,26 @@ export default class Renderer {
     html += '<div class="tablix-table-wrapper" style="overflow-x: auto;">';
     
     // Table
-    html += '<table class="tablix-table" style="width:100%; border-collapse:collapse;">';
+    html += `<table class="tablix-table" style="${this._getTableStyle(columns)}">`;
+    html += this._renderColGroup(columns);
 
     // Header
     html += '<thead class="tablix-thead"><tr class="tablix-header-row">';
     columns.forEach(col => {
       const isSortable = this._isColumnSortable(col);
       const sortDirection = this._getSortDirection(col.name);
+      const sortIndex = this._getSortIndex(col.name);
       const sortClass = isSortable ? ' tablix-sortable' : '';
       const sortDirectionClass = sortDirection ? ` tablix-sorted tablix-sorted-${sortDirection}` : '';
       
-      html += `<th class="tablix-th${sortClass}${sortDirectionClass}" data-column="${col.name}">`;
+      const ariaSort = sortDirection ? ` aria-sort="${sortDirection === 'asc' ? 'ascending' : 'descending'}"` : '';
+      const reorderAttributes = this._isColumnReorderable(col) ? ' draggable="true"' : '';
+      const reorderClass = reorderAttributes ? ' tablix-th-draggable' : '';
+      
+      const pinnedClass = this._getPinnedClass(col.name);
+      const pinnedStyle = this._getPinnedStyle(col.name);
+      
+      html += `<th class="tablix-th${sortClass}${sortDirectionClass}${reorderClass}${pinnedClass}" data-column="${col.name}"${ariaSort}${reorderAttributes}${pinnedStyle ? ` style="${pinnedStyle}"` : ''}>`;
       html += `<div class="tablix-th-content">`;
       html += `<span class="tablix-th-text">${col.title || col.name}</span>`;
       
@@ -65,10 +84,17 @@ export default class Renderer {
         } else {
           html += `<span class="tablix-sort-arrow tablix-sort-none" aria-label="${this.table.t('sort.notSorted')}">↕</span>`;
         }
+        // Priority number is only meaningful once more than one column is sorted
+        if (sortIndex && this._getSortCount() > 1) {
+          html += `<span class="tablix-sort-order" title="${this.table.t('sort.sortPriority', { order: sortIndex })}">${sortIndex}</span>`;
+        }
         html += `</span>`;
       }
       
       html += `</div>`;
+      if (this.table.columnResizeManager && this.table.columnResizeManager.isColumnResizable(col)) {
+        html += `<span class="tablix-resize-handle" data-column="${col.name}" aria-hidden="true"></span>`;
+      }
       html += `</th>`;
     });
     html += '</tr></thead>';
@@ -79,14 +105,31 @@ export default class Renderer {
     // For virtual scrolling, only render empty structure or limited rows
     if (isVirtualScrollEnabled && virtualMode) {
       // Empty body for virtual scrolling - rows will be added by VirtualScrollManager
-      html += `<tr class="tablix-placeholder-row" style="display: none;"><td colspan="${columns.length}"></td></tr>`;
+      html += `<tr class="tablix-placeholder-row" style="display: none;" aria-hidden="true"><td colspan="${columns.length}"></td></tr>`;
     } else if (data.length === 0) {
       html += `<tr class="tablix-empty-row"><td colspan="${columns.length}" class="tablix-empty-cell">${this.table.t('general.noData')}</td></tr>`;
     } else {
+      const dataManager = this.table.dataManager;
+      const isGrouped = dataManager.isGrouped();
+      const detailRowManager = this.table.detailRowManager && this.table.detailRowManager.isEnabled()
+        ? this.table.detailRowManager
+        : null;
+      const detailToggleColumn = detailRowManager ? detailRowManager.getToggleColumn() : null;
+      const treeManager = dataManager.isTree() ? this.table.treeManager : null;
+      const treeColumn = treeManager ? treeManager.getToggleColumn() : null;
+      const searchManager = this.table.searchManager;
       data.forEach((row, index) => {
+        // Group header rows are mixed into the page when rows are grouped
+        if (isGrouped && dataManager.isGroupRow(row)) {
+          html += this._renderGroupRow(row, columns.length);
+          return;
+        }
+
         // Calculate global row index for pagination
         let globalIndex = index;
-        if (this.table.paginationManager && this.table.paginationManager.options.mode === 'client') {
+        if (isGrouped) {
+          globalIndex = dataManager.getRowIndex(row);
+        } else if (this.table.paginationManager && this.table.paginationManager.options.mode === 'client') {
           const currentPage = this.table.paginationManager.currentPage;
           const pageSize = this.table.paginationManager.pageSize;
           globalIndex = (currentPage - 1) * pageSize + index;
@@ -94,7 +137,7 @@ export default class Renderer {
         
         html += `<tr class="tablix-row" data-row-index="${globalIndex}">`;
         columns.forEach(col => {
-          const cell = row[col.name];
+          const cell = this.table.columnManager.getCellValue(row, col.name);
           let renderedCell;
           
           // Use ColumnManager for formatting if available
@@ -104,6 +147,9 @@ export default class Renderer {
             if (result.isHtml) {
               // Custom renderer returned HTML - use as is
               renderedCell = result.value;
+            } else if (searchManager && searchManager.isHighlightActive()) {
+              // Escaped per segment, with the search matches marked
+              renderedCell = searchManager.highlightText(result.value, col.name);
             } else {
               // Formatted or raw value - escape for safety
               renderedCell = this.escapeHtml(result.value);
@@ -112,13 +158,29 @@ export default class Renderer {
             // Fallback to original renderer logic
             renderedCell = col.renderer ? col.renderer(cell, row) : this.escapeHtml(cell);
           }
+
+          let cellClass = this._getCellClass(col, row);
+          if (col.name === detailToggleColumn) {
+            cellClass += ' tablix-detail-toggle-cell';
+            renderedCell = detailRowManager.renderToggle(row) + renderedCell;
+          }
+          if (col.name === treeColumn) {
+            cellClass += ' tablix-tree-cell';
+            renderedCell = treeManager.renderToggle(row) + renderedCell;
+          }
           
-          html += `<td class="tablix-td">${renderedCell}</td>`;
+          html += `<td class="${cellClass}" data-column="${col.name}"${this._getCellAttributes(col, row)}>${renderedCell}</td>`;
         });
         html += '</tr>';
+
+        // Detail row below an expanded row (content is filled in after the DOM update)
+        if (detailRowManager && detailRowManager.isExpanded(row)) {
+          html += detailRowManager.renderDetailRow(row, columns.length);
+        }
       });
     }
     html += '</tbody>';
+    html += this._renderFooter(columns, data);
     html += '</table>';
     html += '</div>'; // Close tablix-table-wrapper
     
@@ -166,16 +228,59 @@ export default class Renderer {
       this.bindSortEvents();
     }
 
+    // Bind header drag-and-drop if column reordering is enabled
+    if (this._isColumnReorderEnabled()) {
+      this.bindColumnReorderEvents();
+    }
+
+    // Bind column resize handles
+    if (this.table.columnResizeManager) {
+      this.table.columnResizeManager.bindEvents();
+    }
+
     // Bind row click events if selection is enabled
     if (this.table.selectionManager && this.table.selectionManager.options.enabled) {
       this.bindRowClickEvents();
     }
 
+    // Bind inline editing events if editing is enabled
+    if (this.table.editManager) {
+      this.table.editManager.bindEvents();
+    }
+
+    // Bind group header toggles if rows are grouped
+    if (this.table.dataManager.isGrouped()) {
+      this.bindGroupEvents();
+    }
+
+    // Bind detail row toggles and render the content of expanded rows
+    if (this.table.detailRowManager) {
+      this.table.detailRowManager.bindEvents();
+    }
+
+    // Bind tree row chevrons
+    if (this.table.treeManager) {
+      this.table.treeManager.bindEvents();
+    }
+
     // Render filter icons and bind events if filtering is enabled
     if (this.table.filterUI) {
       this.table.filterUI.renderFilterIcons();
     }
 
+    // Grid roles, row indexes and the keyboard tab stop
+    if (keyboardManager) {
+      keyboardManager.decorate(gridHadFocus);
+    }
+
+    // Measure pinned columns now that the header is in the DOM
+    this.applyPinnedOffsets();
+
+    // Position the new header for the current page scroll
+    if (this.table.stickyHeaderManager) {
+      this.table.stickyHeaderManager.update();
+    }
+
     // Restore focus AFTER all event binding is complete
     if (searchInputHadFocus) {
       const newSearchInput = this.table.container.querySelector('.tablix-search-input');
@@ -403,12 +508,32 @@ export default class Renderer {
       html += `<button type="button" class="tablix-btn tablix-control-btn" data-action="refresh" title="${this.table.t('controls.refresh')}">⟳</button>`;
       html += '</div>';
     }
+
+    // Export control with a format picker
+    if (controlsOptions.export && this.table.exportManager) {
+      html += this.renderExportControl(controlsOptions.export);
+    }
+
+    // Import control: file picker and drop zone
+    if (controlsOptions.import && this.table.importManager) {
+      html += this.renderImportControl();
+    }
     
     html += '</div>'; // Close left controls
     
     // Right side controls
     html += '<div class="tablix-controls-right">';
     
+    // Column chooser control
+    if (controlsOptions.columns && this.table.columnManager) {
+      html += this.renderColumnChooser(position);
+    }
+    
+    // Query bar
+    if (controlsOptions.query && this.table.queryManager) {
+      html += this.table.queryManager.renderControl(position);
+    }
+
     // Search control
     if (controlsOptions.search && searchOptions.enabled) {
       // Use localized placeholder or provided one
@@ -431,6 +556,116 @@ export default class Renderer {
     return html;
   }
 
+  /**
+   * Render the column chooser dropdown
+   * @param {string} position - Controls position ('top' or 'bottom')
+   * @returns {string} HTML
+   */
+  renderColumnChooser(position) {
+    const columns = this.table.columnManager.getColumns();
+    const visibleCount = this.table.columnManager.getVisibleColumns().length;
+    const isOpen = this.openColumnChooser === position;
+
+    let html = '<div class="tablix-control-group tablix-column-chooser">';
+    html += `<button type="button" class="tablix-btn tablix-control-btn tablix-column-chooser-btn" aria-haspopup="true" aria-expanded="${isOpen}" title="${this.table.t('controls.showColumns')}">${this.table.t('controls.columns')}</button>`;
+    html += `<div class="tablix-column-chooser-menu" role="menu"${isOpen ? '' : ' hidden'}>`;
+    columns.forEach(col => {
+      const visible = col.visible !== false;
+      // Locked columns and the last visible column cannot be unchecked
+      const disabled = col.hideable === false || (visible && visibleCount === 1);
+      html += `<label class="tablix-column-chooser-item${disabled ? ' tablix-disabled' : ''}">`;
+      html += `<input type="checkbox" class="tablix-column-chooser-checkbox" data-column="${this.escapeHtml(col.name)}"${visible ? ' checked' : ''}${disabled ? ' disabled' : ''} />`;
+      html += `<span>${this.escapeHtml(col.title || col.name)}</span>`;
+      html += '</label>';
+    });
+    html += '</div>';
+    html += '</div>';
+
+    return html;
+  }
+
+  /**
+   * Bind column chooser events
+   * The open menu is kept open across re-renders so several columns can be toggled in a row.
+   */
+  bindColumnChooserEvents() {
+    const controls = this.table.container.querySelectorAll('.tablix-controls');
+
+    controls.forEach(control => {
+      const chooser = control.querySelector('.tablix-column-chooser');
+      if (!chooser) return;
+
+      const position = control.classList.contains('tablix-controls-bottom') ? 'bottom' : 'top';
+
+      chooser.querySelector('.tablix-column-chooser-btn').addEventListener('click', (e) => {
+        e.preventDefault();
+        this._setColumnChooserOpen(this.openColumnChooser === position ? null : position);
+      });
+
+      chooser.addEventListener('change', async (e) => {
+        const checkbox = e.target.closest('.tablix-column-chooser-checkbox');
+        if (!checkbox) return;
+
+        try {
+          await this.table.toggleColumn(checkbox.dataset.column, checkbox.checked);
+        } catch (error) {
+          console.error('Failed to toggle column:', error);
+        }
+      });
+
+      chooser.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && this.openColumnChooser) {
+          e.preventDefault();
+          this._setColumnChooserOpen(null);
+          chooser.querySelector('.tablix-column-chooser-btn').focus();
+        }
+      });
+    });
+  }
+
+  /**
+   * Open the column chooser of the given controls position, or close it (null)
+   * @private
+   */
+  _setColumnChooserOpen(position) {
+    this.openColumnChooser = position;
+
+    this.table.container.querySelectorAll('.tablix-controls').forEach(control => {
+      const chooser = control.querySelector('.tablix-column-chooser');
+      if (!chooser) return;
+
+      const isOpen = position !== null && control.classList.contains(`tablix-controls-${position}`);
+      chooser.querySelector('.tablix-column-chooser-menu').hidden = !isOpen;
+      chooser.querySelector('.tablix-column-chooser-btn').setAttribute('aria-expanded', String(isOpen));
+    });
+
+    // Close when clicking anywhere outside the chooser
+    if (position && !this._columnChooserOutsideHandler) {
+      this._columnChooserOutsideHandler = (e) => {
+        if (!e.target.closest || !e.target.closest('.tablix-column-chooser') ||
+            !this.table.container || !this.table.container.contains(e.target)) {
+          this._setColumnChooserOpen(null);
+        }
+      };
+      document.addEventListener('mousedown', this._columnChooserOutsideHandler);
+    } else if (!position && this._columnChooserOutsideHandler) {
+      document.removeEventListener('mousedown', this._columnChooserOutsideHandler);
+      this._columnChooserOutsideHandler = null;
+    }
+  }
+
+  /**
+   * Remove document-level listeners
+   */
+  destroy() {
+    this._observePinnedLayout(null);
+    if (this._columnChooserOutsideHandler) {
+      document.removeEventListener('mousedown', this._columnChooserOutsideHandler);
+      this._columnChooserOutsideHandler = null;
+    }
+    this.openColumnChooser = null;
+  }
+
   /**
    * Bind control panel events
    */
@@ -451,6 +686,17 @@ export default class Renderer {
       });
     }
 
+    // Column chooser
+    this.bindColumnChooserEvents();
+
+    // Import file picker and drop zone
+    this.bindImportEvents();
+
+    // Query bar input and autocomplete
+    if (this.table.queryManager) {
+      this.table.queryManager.bindEvents();
+    }
+
     // Control buttons
     wrapper.addEventListener('click', async (e) => {
       if (e.target.classList.contains('tablix-control-btn')) {
@@ -475,7 +721,7 @@ export default class Renderer {
               await this.handleRefresh();
               break;
             case 'export':
-              this.handleExport();
+              await this.handleExport(e.target);
               break;
           }
         } catch (error) {
@@ -512,47 +758,101 @@ export default class Renderer {
     this.table.eventManager.trigger('afterRefresh');
   }
 
+  /**
+   * Render the export button and format picker
+   * @param {boolean|Array<string>} formats - true for all registered formats, or the format names to offer
+   * @returns {string} HTML
+   */
+  renderExportControl(formats) {
+    const exportManager = this.table.exportManager;
+    const names = (Array.isArray(formats) ? formats : exportManager.getFormats())
+      .filter(name => exportManager.getWriter(name));
+    const defaultFormat = exportManager.options.format;
+
+    let html = '<div class="tablix-control-group tablix-export-group">';
+    if (names.length > 1) {
+      html += `<select class="tablix-export-format" aria-label="${this.table.t('controls.exportFormat')}">`;
+      names.forEach(name => {
+        const selected = name === defaultFormat ? ' selected' : '';
+        html += `<option value="${this.escapeHtml(name).replace(/"/g, '&quot;')}"${selected}>${this.escapeHtml(exportManager.getWriter(name).label)}</option>`;
+      });
+      html += '</select>';
+    }
+    const format = names.length === 1 ? ` data-format="${this.escapeHtml(names[0]).replace(/"/g, '&quot;')}"` : '';
+    html += `<button type="button" class="tablix-btn tablix-control-btn" data-action="export"${format}>${this.table.t('controls.export')}</button>`;
+    html += '</div>';
+    return html;
+  }
+
   /**
    * Handle export functionality
+   * Exports with the table's export options in the format chosen in the picker (see Table.export)
+   * @param {Element} [button] - Clicked export button
    */
-  handleExport() {
-    const data = this.table.getData();
-    const columns = this.table.options.columns || [];
-    
-    // Simple CSV export
-    let csv = columns.map(col => col.title || col.name).join(',') + '\n';
-    
-    data.forEach(row => {
-      const values = columns.map(col => {
-        const value = row[col.name];
-        
-        // Handle complex objects
-        if (typeof value === 'object' && value !== null && !(value instanceof Date)) {
-          return `"${JSON.stringify(value).replace(/"/g, '""')}"`;
+  async handleExport(button = null) {
+    const group = button && button.closest('.tablix-export-group');
+    const picker = group && group.querySelector('.tablix-export-format');
+    const format = picker ? picker.value : (button && button.dataset.format);
+    await this.table.export(format ? { format } : {});
+  }
+
+  /**
+   * Render the import file picker and drop zone
+   * @returns {string} HTML
+   */
+  renderImportControl() {
+    let html = '<div class="tablix-control-group tablix-import-group tablix-drop-zone">';
+    html += `<label class="tablix-btn tablix-import-btn" title="${this.table.t('controls.importDrop')}">`;
+    html += `<input type="file" class="tablix-import-input" accept=".csv,.tsv,.json,.txt" />`;
+    html += `<span>${this.table.t('controls.import')}</span>`;
+    html += '</label>';
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Bind import events: file selection and files dropped on the drop zone
+   */
+  bindImportEvents() {
+    this.table.container.querySelectorAll('.tablix-import-group').forEach(zone => {
+      const input = zone.querySelector('.tablix-import-input');
+
+      input.addEventListener('change', async () => {
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (file) {
+          await this.handleImport(file);
         }
-        
-        // Simple CSV escaping for strings
-        if (typeof value === 'string' && value.includes(',')) {
-          return `"${value.replace(/"/g, '""')}"`;
+      });
+
+      zone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        zone.classList.add('tablix-drop-active');
+      });
+
+      zone.addEventListener('dragleave', () => {
+        zone.classList.remove('tablix-drop-active');
+      });
+
+      zone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        zone.classList.remove('tablix-drop-active');
+        const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+        if (file) {
+          await this.handleImport(file);
         }
-        
-        return value;
       });
-      csv += values.join(',') + '\n';
     });
-    
-    // Download CSV
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'table-data.csv';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    this.table.eventManager.trigger('afterExport', { data, format: 'csv' });
+  }
+
+  /**
+   * Handle import functionality
+   * Imports with the table's import options; `controls.import` may hold options for the control (see Table.importData)
+   * @param {File} file - Selected or dropped file
+   */
+  async handleImport(file) {
+    const controlOptions = this.table.options.controls.import;
+    await this.table.importData(file, typeof controlOptions === 'object' ? controlOptions : {});
   }
 
   /**
@@ -571,7 +871,8 @@ export default class Renderer {
       const columnName = th.dataset.column;
       
       try {
-        await this.table.toggleSort(columnName);
+        // Shift+click adds the column to the existing sort chain
+        await this.table.toggleSort(columnName, e.shiftKey);
       } catch (error) {
         console.error('Failed to sort column:', error);
       }
@@ -587,13 +888,103 @@ export default class Renderer {
       const columnName = th.dataset.column;
       
       try {
-        await this.table.toggleSort(columnName);
+        await this.table.toggleSort(columnName, e.shiftKey);
       } catch (error) {
         console.error('Failed to sort column:', error);
       }
     });
   }
 
+  /**
+   * Bind header drag-and-drop for column reordering
+   */
+  bindColumnReorderEvents() {
+    const headerRow = this.table.container.querySelector('.tablix-header-row');
+    if (!headerRow) return;
+
+    let draggedColumn = null;
+
+    const clearDropMarkers = () => {
+      headerRow.querySelectorAll('.tablix-th-drop-before, .tablix-th-drop-after').forEach(th => {
+        th.classList.remove('tablix-th-drop-before', 'tablix-th-drop-after');
+      });
+    };
+
+    // Drop before the target when the pointer is over its first half, after it otherwise
+    const getDropSide = (th, e) => {
+      const rect = th.getBoundingClientRect();
+      return e.clientX < rect.left + rect.width / 2 ? 'before' : 'after';
+    };
+
+    headerRow.addEventListener('dragstart', (e) => {
+      // A resize handle drag is not a column move
+      if (this.table.columnResizeManager && this.table.columnResizeManager.isResizing()) {
+        e.preventDefault();
+        return;
+      }
+
+      // Only the header cell itself is draggable; ignore drags of links or images inside it
+      const th = e.target.closest && e.target.closest('.tablix-th-draggable');
+      if (!th || th !== e.target) return;
+
+      draggedColumn = th.dataset.column;
+      th.classList.add('tablix-th-dragging');
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', draggedColumn);
+      }
+    });
+
+    headerRow.addEventListener('dragover', (e) => {
+      const th = e.target.closest('.tablix-th-draggable');
+      if (!draggedColumn || !th || th.dataset.column === draggedColumn) return;
+
+      e.preventDefault();
+      if (e.dataTransfer) {
+        e.dataTransfer.dropEffect = 'move';
+      }
+
+      clearDropMarkers();
+      th.classList.add(`tablix-th-drop-${getDropSide(th, e)}`);
+    });
+
+    headerRow.addEventListener('dragleave', (e) => {
+      const th = e.target.closest('.tablix-th-draggable');
+      if (th && !th.contains(e.relatedTarget)) {
+        th.classList.remove('tablix-th-drop-before', 'tablix-th-drop-after');
+      }
+    });
+
+    headerRow.addEventListener('drop', async (e) => {
+      const th = e.target.closest('.tablix-th-draggable');
+      if (!draggedColumn || !th || th.dataset.column === draggedColumn) return;
+
+      e.preventDefault();
+
+      const columnName = draggedColumn;
+      const columns = this.table.columnManager.getColumns();
+      const fromIndex = columns.findIndex(col => col.name === columnName);
+      let toIndex = columns.findIndex(col => col.name === th.dataset.column);
+      if (getDropSide(th, e) === 'after') toIndex += 1;
+      if (fromIndex < toIndex) toIndex -= 1;
+
+      draggedColumn = null;
+      clearDropMarkers();
+
+      try {
+        await this.table.moveColumn(columnName, toIndex);
+      } catch (error) {
+        console.error('Failed to move column:', error);
+      }
+    });
+
+    headerRow.addEventListener('dragend', () => {
+      draggedColumn = null;
+      clearDropMarkers();
+      headerRow.querySelectorAll('.tablix-th-dragging').forEach(th => th.classList.remove('tablix-th-dragging'));
+    });
+  }
+
   /**
    * Bind row click events for selection
    */
@@ -605,9 +996,26 @@ export default class Renderer {
       const row = e.target.closest('.tablix-row');
       if (!row || row.classList.contains('tablix-empty-row')) return;
 
+      // Ignore expand toggles and rows of tables nested in detail rows
+      if (e.target.closest('.tablix-detail-toggle, .tablix-tree-toggle') || row.closest('.tablix-tbody') !== tbody) return;
+
       const globalRowIndex = parseInt(row.dataset.rowIndex, 10);
       if (isNaN(globalRowIndex)) return;
 
+      // Grouped pages mix in group headers, so the row is looked up by its data index
+      if (this.table.dataManager.isGrouped()) {
+        const rowData = this.table.dataManager.getData()[globalRowIndex];
+        if (rowData) {
+          this.table.eventManager.trigger('rowClick', {
+            rowData,
+            rowIndex: globalRowIndex,
+            localRowIndex: this.getCurrentPageData().indexOf(rowData),
+            originalEvent: e
+          });
+        }
+        return;
+      }
+
       // Convert global index to local index for current page data
       let localRowIndex = globalRowIndex;
       if (this.table.paginationManager && this.table.paginationManager.options.mode === 'client') {
@@ -632,6 +1040,131 @@ export default class Renderer {
     });
   }
 
+  /**
+   * Re-render the aggregate footer in place (e.g. after an inline edit)
+   */
+  updateFooter() {
+    const tfoot = this.table.container.querySelector('.tablix-tfoot');
+    if (!tfoot) return;
+
+    const columns = this.table.columnManager.getVisibleColumns();
+    tfoot.outerHTML = this._renderFooter(columns, null);
+    if (this.table.keyboardManager) {
+      this.table.keyboardManager.decorate();
+    }
+    this.applyPinnedOffsets();
+  }
+
+  /**
+   * Render the aggregate footer (empty when no visible column has an aggregate)
+   * @param {Array} columns - Visible columns
+   * @param {Array|null} pageRows - Rows on the current page (null: look them up)
+   * @returns {string} HTML
+   * @private
+   */
+  _renderFooter(columns, pageRows) {
+    const aggregationManager = this.table.aggregationManager;
+    if (!aggregationManager || !aggregationManager.hasAggregates(columns)) return '';
+
+    const aggregates = aggregationManager.getAggregates(pageRows && pageRows.length > 0 ? pageRows : null);
+    const label = aggregationManager.getLabel();
+
+    let html = '<tfoot class="tablix-tfoot"><tr class="tablix-footer-row">';
+    columns.forEach((col, index) => {
+      const hasAggregate = Object.prototype.hasOwnProperty.call(aggregates, col.name);
+      let content = '';
+      let aggregateAttribute = '';
+
+      if (hasAggregate) {
+        content = this.escapeHtml(aggregationManager.formatAggregate(col, aggregates[col.name]));
+        const name = typeof col.aggregate === 'function' ? 'custom' : col.aggregate;
+        aggregateAttribute = ` data-aggregate="${name}"`;
+      } else if (index === 0 && label) {
+        content = `<span class="tablix-footer-label">${this.escapeHtml(label)}</span>`;
+      }
+
+      const pinnedStyle = this._getPinnedStyle(col.name);
+      html += `<td class="tablix-footer-cell${this._getPinnedClass(col.name)}" data-column="${col.name}"${aggregateAttribute}${pinnedStyle ? ` style="${pinnedStyle}"` : ''}>${content}</td>`;
+    });
+    html += '</tr></tfoot>';
+
+    return html;
+  }
+
+  /**
+   * Bind clicks on group header rows (the whole row toggles its group)
+   * Delegated on the body, so rows added later by virtual scrolling are covered too.
+   */
+  bindGroupEvents() {
+    const tbody = this.table.container.querySelector('.tablix-tbody');
+    if (!tbody) return;
+
+    tbody.addEventListener('click', async (e) => {
+      const row = e.target.closest('.tablix-group-row');
+      if (!row || row.closest('.tablix-tbody') !== tbody) return;
+
+      e.preventDefault();
+      await this.table._toggleGroupByKey(row.dataset.groupKey);
+    });
+  }
+
+  /**
+   * Render a group header row
+   * @param {Object} group - Group entry from DataManager.getDisplayRows()
+   * @param {number} columnCount - Number of rendered columns
+   * @returns {string} HTML
+   * @private
+   */
+  _renderGroupRow(group, columnCount) {
+    const column = this.table.columnManager ? this.table.columnManager.getColumn(group.column) : null;
+    const formatter = this.table.options.grouping && this.table.options.grouping.formatter;
+
+    let label;
+    if (typeof formatter === 'function') {
+      label = formatter(group);
+    } else {
+      let valueHtml;
+      if (group.value == null || group.value === '') {
+        valueHtml = this.escapeHtml(this.table.t('grouping.empty'));
+      } else if (column) {
+        // Group values are shown the way the column shows them
+        const result = this.table.columnManager.formatCellValue(column, group.value, group.rows[0]);
+        valueHtml = result.isHtml ? result.value : this.escapeHtml(result.value);
+      } else {
+        valueHtml = this.escapeHtml(group.value);
+      }
+
+      const title = column ? (column.title || column.name) : group.column;
+      label = `<span class="tablix-group-title">${this.escapeHtml(title)}:</span> ` +
+        `<span class="tablix-group-value">${valueHtml}</span> ` +
+        `<span class="tablix-group-count">(${group.count})</span>`;
+    }
+
+    const stateClass = group.collapsed ? ' tablix-group-collapsed' : '';
+    const continuedClass = group.continued ? ' tablix-group-continued' : '';
+    const toggleLabel = this.table.t(group.collapsed ? 'grouping.expand' : 'grouping.collapse');
+    const key = this.escapeHtml(group.key).replace(/"/g, '&quot;');
+
+    return `<tr class="tablix-group-row tablix-group-level-${group.level}${stateClass}${continuedClass}" data-group-key="${key}" data-group-level="${group.level}">` +
+      `<td class="tablix-group-cell" colspan="${columnCount}">` +
+      `<div class="tablix-group-label" style="--tablix-group-level:${group.level};">` +
+      `<button type="button" class="tablix-group-toggle" aria-expanded="${!group.collapsed}" aria-label="${toggleLabel}">${group.collapsed ? '▸' : '▾'}</button>` +
+      label +
+      '</div></td></tr>';
+  }
+
+  /**
+   * Create a group header row element (used by virtual scrolling)
+   * @param {Object} group - Group entry from DataManager.getDisplayRows()
+   * @returns {Element} tr element
+   */
+  renderGroupRowElement(group) {
+    const columns = this.table.columnManager ? this.table.columnManager.getVisibleColumns() : (this.table.options.columns || []);
+    const tbody = document.createElement('tbody');
+    tbody.innerHTML = this._renderGroupRow(group, columns.length);
+    return tbody.firstElementChild;
+  }
+
   /**
    * Get current page data (same logic as SelectionManager)
    */
@@ -644,16 +1177,20 @@ export default class Renderer {
 
   /**
    * Update sort indicators in headers
+   * @param {Array|Object|null} currentSorts - Ordered sort chain (a single sort object is also accepted)
    */
-  updateSortIndicators(currentSort) {
+  updateSortIndicators(currentSorts) {
+    const sorts = Array.isArray(currentSorts) ? currentSorts : (currentSorts ? [currentSorts] : []);
     const headers = this.table.container.querySelectorAll('.tablix-th[data-column]');
     
     headers.forEach(th => {
       const columnName = th.dataset.column;
-      const isSorted = currentSort && currentSort.column === columnName;
+      const sortIndex = sorts.findIndex(sort => sort.column === columnName);
+      const currentSort = sortIndex !== -1 ? sorts[sortIndex] : null;
       
       // Remove all sort classes
       th.classList.remove('tablix-sorted', 'tablix-sorted-asc', 'tablix-sorted-desc');
+      th.removeAttribute('aria-sort');
       
       const indicator = th.querySelector('.tablix-sort-indicator');
       if (!indicator) return;
@@ -661,14 +1198,31 @@ export default class Renderer {
       const arrow = indicator.querySelector('.tablix-sort-arrow');
       if (!arrow) return;
 
-      if (isSorted) {
+      let orderBadge = indicator.querySelector('.tablix-sort-order');
+
+      if (currentSort) {
         // Column is sorted
         th.classList.add('tablix-sorted', `tablix-sorted-${currentSort.direction}`);
+        th.setAttribute('aria-sort', currentSort.direction === 'asc' ? 'ascending' : 'descending');
         arrow.classList.remove('tablix-sort-none', 'tablix-sort-asc', 'tablix-sort-desc');
         arrow.classList.add(`tablix-sort-${currentSort.direction}`);
         arrow.textContent = currentSort.direction === 'asc' ? '↑' : '↓';
-        arrow.setAttribute('aria-label', `${this.table.t('sort.sorted')}${currentSort.direction === 'asc' ? this.table.t('sort.sortedAscending') : this.table.t('sort.sortedDescending')}`);
-        arrow.removeAttribute('data-sort-order');
+        arrow.setAttribute('aria-label', currentSort.direction === 'asc' ? this.table.t('sort.sortedAscending') : this.table.t('sort.sortedDescending'));
+
+        if (sorts.length > 1) {
+          // Show priority number for multi-column sorts
+          arrow.setAttribute('data-sort-order', sortIndex + 1);
+          if (!orderBadge) {
+            orderBadge = document.createElement('span');
+            orderBadge.className = 'tablix-sort-order';
+            indicator.appendChild(orderBadge);
+          }
+          orderBadge.textContent = sortIndex + 1;
+          orderBadge.title = this.table.t('sort.sortPriority', { order: sortIndex + 1 });
+        } else {
+          arrow.removeAttribute('data-sort-order');
+          if (orderBadge) orderBadge.remove();
+        }
       } else {
         // Column is not sorted
         arrow.classList.remove('tablix-sort-asc', 'tablix-sort-desc');
@@ -676,8 +1230,246 @@ export default class Renderer {
         arrow.textContent = '↕';
         arrow.setAttribute('aria-label', this.table.t('sort.notSorted'));
         arrow.removeAttribute('data-sort-order');
+        if (orderBadge) orderBadge.remove();
+      }
+    });
+  }
+
+  /**
+   * Get class list for a body cell
+   * @param {Object} column - Column definition
+   * @param {Object} row - Row data
+   * @returns {string} Space separated classes
+   */
+  _getCellClass(column, row) {
+    let className = 'tablix-td';
+    if (this.table.editManager && this.table.editManager.isCellEditable(column, row)) {
+      className += ' tablix-editable';
+    }
+    return className + this._getPinnedClass(column.name);
+  }
+
+  /**
+   * Get extra attributes for a body cell (leading space included)
+   * @param {Object} column - Column definition
+   * @param {Object} row - Row data
+   * @returns {string} Attribute string
+   */
+  _getCellAttributes(column, row) {
+    let attributes = '';
+    // Editable cells are focusable so Enter can open the editor
+    if (this.table.editManager && this.table.editManager.isCellEditable(column, row)) {
+      attributes += ' tabindex="-1"';
+    }
+    const pinnedStyle = this._getPinnedStyle(column.name);
+    if (pinnedStyle) {
+      attributes += ` style="${pinnedStyle}"`;
+    }
+    return attributes;
+  }
+
+  /**
+   * Update column widths in place, without re-rendering
+   * @param {Object} [overrides] - { columnName: width } to show instead of the stored widths (e.g. while dragging)
+   * @returns {boolean} False if the table was rendered without a colgroup and needs a full render
+   */
+  updateColumnWidths(overrides = {}) {
+    const table = this.table.container.querySelector('.tablix-table');
+    const colgroup = table && table.querySelector('.tablix-colgroup');
+    if (!colgroup) return false;
+
+    colgroup.querySelectorAll('col[data-column]').forEach(col => {
+      const column = this.table.columnManager.getColumn(col.dataset.column);
+      const width = col.dataset.column in overrides ? overrides[col.dataset.column] : (column && column.width);
+      col.style.width = this._formatWidth(width);
+    });
+
+    table.style.width = this._getTableWidth(this.table.columnManager.getVisibleColumns(), overrides);
+    this.applyPinnedOffsets();
+    return true;
+  }
+
+  /**
+   * Measure pinned header cells and update the sticky offsets of all pinned cells
+   * Called after every render and width change; also runs when the table is resized.
+   */
+  applyPinnedOffsets() {
+    if (this.pinnedLayout.size === 0) {
+      this._observePinnedLayout(null);
+      return;
+    }
+
+    const headers = Array.from(this.table.container.querySelectorAll('.tablix-th[data-column]'));
+    const measure = (list, side) => {
+      let offset = 0;
+      list.forEach(th => {
+        const entry = this.pinnedLayout.get(th.dataset.column);
+        if (!entry || entry.side !== side) return;
+        // Keep the width-based estimate when the table is not laid out (e.g. hidden container)
+        if (th.offsetWidth > 0) {
+          entry.offset = offset;
+          offset += th.offsetWidth;
+        } else {
+          offset = entry.offset + (entry.width || 0);
+        }
+      });
+    };
+    measure(headers, 'left');
+    measure(headers.slice().reverse(), 'right');
+
+    this.table.container.querySelectorAll('.tablix-pinned[data-column]').forEach(cell => {
+      const entry = this.pinnedLayout.get(cell.dataset.column);
+      if (entry) {
+        cell.style[entry.side] = `${entry.offset}px`;
       }
     });
+
+    this._observePinnedLayout(this.table.container.querySelector('.tablix-table'));
+  }
+
+  /**
+   * Re-measure pinned offsets when the table changes size (e.g. auto-sized columns after a window resize)
+   * @private
+   */
+  _observePinnedLayout(tableElement) {
+    if (this.pinnedResizeObserver) {
+      this.pinnedResizeObserver.disconnect();
+      this.pinnedResizeObserver = null;
+    }
+    if (!tableElement || typeof ResizeObserver === 'undefined') return;
+
+    let firstCall = true;
+    this.pinnedResizeObserver = new ResizeObserver(() => {
+      // The observer reports the initial size right away; offsets were just applied
+      if (firstCall) {
+        firstCall = false;
+        return;
+      }
+      this.applyPinnedOffsets();
+    });
+    this.pinnedResizeObserver.observe(tableElement);
+  }
+
+  /**
+   * Compute pinned column sides, edges and initial offsets from pixel widths
+   * @param {Array} columns - Visible columns in display order
+   * @returns {Map} columnName -> { side, offset, width, edge }
+   * @private
+   */
+  _computePinnedLayout(columns) {
+    const layout = new Map();
+    if (!this.table.columnManager) return layout;
+
+    const sideColumns = side => columns.filter(col => this.table.columnManager.getPinnedSide(col) === side);
+
+    let offset = 0;
+    const left = sideColumns('left');
+    left.forEach((col, index) => {
+      const width = typeof col.width === 'number' ? col.width : 0;
+      layout.set(col.name, { side: 'left', offset, width, edge: index === left.length - 1 });
+      offset += width;
+    });
+
+    offset = 0;
+    const right = sideColumns('right').reverse();
+    right.forEach((col, index) => {
+      const width = typeof col.width === 'number' ? col.width : 0;
+      layout.set(col.name, { side: 'right', offset, width, edge: index === right.length - 1 });
+      offset += width;
+    });
+
+    return layout;
+  }
+
+  /**
+   * Classes for a pinned cell (leading space included)
+   * @private
+   */
+  _getPinnedClass(columnName) {
+    const entry = this.pinnedLayout.get(columnName);
+    if (!entry) return '';
+    return ` tablix-pinned tablix-pinned-${entry.side}${entry.edge ? ' tablix-pinned-edge' : ''}`;
+  }
+
+  /**
+   * Inline sticky offset for a pinned cell
+   * @private
+   */
+  _getPinnedStyle(columnName) {
+    const entry = this.pinnedLayout.get(columnName);
+    return entry ? `${entry.side}:${entry.offset}px;` : '';
+  }
+
+  /**
+   * Render a colgroup with column widths (only when widths are configured or resizing is enabled)
+   * @param {Array} columns - Visible columns
+   * @returns {string} HTML
+   */
+  _renderColGroup(columns) {
+    if (!this._hasColumnSizing(columns)) return '';
+
+    let html = '<colgroup class="tablix-colgroup">';
+    columns.forEach(col => {
+      const width = this._formatWidth(col.width);
+      html += `<col data-column="${col.name}"${width ? ` style="width:${width};"` : ''}>`;
+    });
+    html += '</colgroup>';
+    return html;
+  }
+
+  /**
+   * Inline style of the table element
+   * With column widths the table uses a fixed layout; when every column has a pixel width
+   * the table is exactly as wide as its columns (the wrapper scrolls horizontally).
+   */
+  _getTableStyle(columns) {
+    if (!this._hasColumnSizing(columns)) {
+      return 'width:100%; border-collapse:collapse;';
+    }
+    return `width:${this._getTableWidth(columns)}; table-layout:fixed; border-collapse:collapse;`;
+  }
+
+  /**
+   * @private
+   */
+  _getTableWidth(columns, overrides = {}) {
+    const widths = columns.map(col => (col.name in overrides ? overrides[col.name] : col.width));
+    if (widths.length > 0 && widths.every(width => typeof width === 'number')) {
+      return `${widths.reduce((sum, width) => sum + width, 0)}px`;
+    }
+    return '100%';
+  }
+
+  /**
+   * @private
+   */
+  _hasColumnSizing(columns) {
+    const resizeEnabled = this.table.columnResizeManager && this.table.columnResizeManager.options.enabled;
+    return !!(this.table.columnManager && (resizeEnabled || columns.some(col => col.width != null)));
+  }
+
+  /**
+   * Convert a width option to CSS
+   * @private
+   */
+  _formatWidth(width) {
+    if (typeof width === 'number') return `${width}px`;
+    return width ? String(width) : '';
+  }
+
+  /**
+   * Check if header drag-and-drop is enabled
+   */
+  _isColumnReorderEnabled() {
+    const reorderOptions = this.table.options.columnReorder;
+    return !!(this.table.columnManager && reorderOptions && reorderOptions.enabled);
+  }
+
+  /**
+   * Check if a column can be dragged (column option `reorderable: false` disables it)
+   */
+  _isColumnReorderable(column) {
+    return this._isColumnReorderEnabled() && column.reorderable !== false;
   }
 
   /**
@@ -695,4 +1487,20 @@ export default class Renderer {
     if (!this.table.sortingManager) return null;
     return this.table.sortingManager.getSortDirection(columnName);
   }
+
+  /**
+   * Get sort priority (1-based) for a column
+   */
+  _getSortIndex(columnName) {
+    if (!this.table.sortingManager) return null;
+    return this.table.sortingManager.getSortIndex(columnName);
+  }
+
+  /**
+   * Get number of columns in the current sort chain
+   */
+  _getSortCount() {
+    if (!this.table.sortingManager) return 0;
+    return this.table.sortingManager.currentSorts.length;
+  }
 }
\ No newline at end of file
@@ -1,7 +1,99 @@
 /**
  * SearchManager - Global search functionality for TablixJS
  * Provides real-time search across all table columns
+ *
+ * Features:
+ * - Matching modes: contains, startsWith, wholeWord, fuzzy (with a score threshold) and regex
+ * - Accent-insensitive matching: "Zarkovic" finds "Žarković"
+ * - Values inside arrays and objects are searched too
+ * - Per-column searchValue(row) accessors and optional matching of the formatted cell text
+ * - Optional highlighting of the matched text in rendered cells
  */
+
+// Combining diacritical marks left after NFD decomposition (accents, carons, cedillas, ...)
+const DIACRITICS = /[\u0300-\u036f\u1ab0-\u1aff\u1dc0-\u1dff\u20d0-\u20ff\ufe20-\ufe2f]/g;
+
+// Letters without a decomposition to a base letter
+const SPECIAL_LETTERS = {
+  'ß': 'ss', 'ẞ': 'SS', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+  'đ': 'd', 'Đ': 'D', 'ł': 'l', 'Ł': 'L', 'ı': 'i', 'þ': 'th', 'Þ': 'TH', 'ð': 'd', 'Ð': 'D'
+};
+const SPECIAL_LETTERS_PATTERN = new RegExp(`[${Object.keys(SPECIAL_LETTERS).join('')}]`, 'g');
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+const MAX_VALUE_DEPTH = 3;
+
+/**
+ * Fold text for comparison: accents removed (when `normalize`), lower-cased (when `lowerCase`)
+ */
+function foldText(text, normalize, lowerCase) {
+  let folded = text;
+  if (normalize) {
+    folded = folded.normalize('NFD').replace(DIACRITICS, '').replace(SPECIAL_LETTERS_PATTERN, char => SPECIAL_LETTERS[char]);
+  }
+  return lowerCase ? folded.toLowerCase() : folded;
+}
+
+/**
+ * Fold text like foldText, keeping the position in the original text of every folded character
+ * @returns {Object} { text, starts, ends }: folded character i comes from text.slice(starts[i], ends[i])
+ */
+function foldTextWithPositions(text, normalize, lowerCase) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+
+  for (const char of text) {
+    const piece = foldText(char, normalize, lowerCase);
+    for (let i = 0; i < piece.length; i++) {
+      starts.push(index);
+      ends.push(index + char.length);
+    }
+    folded += piece;
+    index += char.length;
+  }
+
+  return { text: folded, starts, ends };
+}
+
+/**
+ * Shortest window of the text that contains the term as a subsequence
+ * @returns {Object|null} { score: term length / window length (1 for a contiguous match), positions }
+ */
+function fuzzyMatch(text, term) {
+  if (term.length === 0) return { score: 1, positions: [] };
+
+  let best = null;
+  for (let start = text.indexOf(term[0]); start !== -1; start = text.indexOf(term[0], start + 1)) {
+    const positions = [start];
+    let position = start;
+    for (let i = 1; i < term.length; i++) {
+      position = text.indexOf(term[i], position + 1);
+      if (position === -1) return best;
+      positions.push(position);
+    }
+    if (!best || position - start < best.positions[best.positions.length - 1] - best.positions[0]) {
+      best = { score: term.length / (position - start + 1), positions };
+    }
+    if (best.score === 1) break;
+  }
+  return best;
+}
+
+/**
+ * Searchable texts of a cell: the value itself, or the values inside arrays and plain objects
+ */
+function collectTexts(value, texts = [], depth = 0) {
+  if (value === null || value === undefined) return texts;
+  if (typeof value !== 'object' || value instanceof Date) {
+    texts.push(String(value));
+  } else if (depth < MAX_VALUE_DEPTH) {
+    Object.values(value).forEach(item => collectTexts(item, texts, depth + 1));
+  }
+  return texts;
+}
+
 export default class SearchManager {
   constructor(table, options = {}) {
     this.table = table;
@@ -12,6 +104,11 @@ export default class SearchManager {
       caseSensitive: false,
       searchColumns: [], // Empty array means search all columns
       minLength: 1, // Minimum characters before search starts (changed from 0 to 1)
+      mode: 'contains', // 'contains', 'startsWith', 'wholeWord', 'fuzzy' or 'regex'
+      fuzzyThreshold: 0.5, // Minimum fuzzy score (0-1): term length / length of the matched span
+      normalize: true, // Ignore accents and diacritics ("Zarkovic" finds "Žarković")
+      highlight: false, // Wrap matched text in rendered cells in <mark class="tablix-search-highlight">
+      searchFormatted: false, // Also match the formatted cell text ("$1,200", "Jan 5, 2024")
       ...options
     };
 
@@ -24,6 +121,8 @@ export default class SearchManager {
     this.currentSearchTerm = '';
     this.searchTimeout = null;
     this.originalData = null;
+    this.matcherCache = null;
+    this.textDocument = null; // Inert document for reading the text of renderer HTML
 
     // Bind methods to preserve context
     this.handleSearchInput = this.handleSearchInput.bind(this);
@@ -38,10 +137,12 @@ export default class SearchManager {
     this.originalData = this.table.dataManager.originalData;
     
     // Listen for data changes
-    this.table.eventManager.on('afterLoad', (data) => {
-      this.originalData = data.data || data.source;
+    this.table.eventManager.on('afterLoad', (payload) => {
+      // Always search the full data set - the initial afterLoad payload is the filtered view
+      this.originalData = this.table.dataManager.originalData;
       // Reapply search if there's an active search term
-      if (this.currentSearchTerm) {
+      // (on initialization a restored search term has already been applied)
+      if (this.currentSearchTerm && payload.source !== 'initialization') {
         this.performSearch(this.currentSearchTerm);
       }
     });
@@ -146,13 +247,8 @@ export default class SearchManager {
       }
       await this.table.refreshTable();
     } else {
-      // Client mode - filter data locally
-      if (searchTerm.length < this.options.minLength) {
-        this.table.dataManager.filteredData = [...this.originalData];
-      } else {
-        const filteredData = this.filterData(searchTerm);
-        this.table.dataManager.filteredData = filteredData;
-      }
+      // Client mode - filter data locally, keeping column filters and sorting applied
+      this.table.dataManager.filteredData = this.table.dataManager.buildView();
 
       // Reset pagination to first page
       if (this.table.paginationManager) {
@@ -202,28 +298,223 @@ export default class SearchManager {
       return [...this.originalData];
     }
 
-    const term = this.options.caseSensitive ? searchTerm : searchTerm.toLowerCase();
     const columns = this.getSearchableColumns();
 
-    return this.originalData.filter(row => {
-      return columns.some(columnName => {
-        const cellValue = row[columnName];
-        if (cellValue === null || cellValue === undefined) {
-          return false;
+    return this.originalData.filter(row => this.matchesRow(row, searchTerm, columns));
+  }
+
+  /**
+   * Set the search term without filtering data, re-rendering or triggering events
+   * Used when restoring saved state before a single refresh.
+   * @param {string} searchTerm - Search term
+   */
+  applySearchState(searchTerm) {
+    this.currentSearchTerm = searchTerm || '';
+    this.updateInputValue(this.currentSearchTerm);
+
+    if (this.table.stateManager) {
+      this.table.stateManager.updateSearch(this.currentSearchTerm);
+    }
+  }
+
+  /**
+   * Check whether a single row matches a search term
+   * @param {Object} row - Row data
+   * @param {string} searchTerm - Search term
+   * @param {Array} [columns] - Columns to search (defaults to searchable columns)
+   * @returns {boolean} True if any searchable cell contains the term
+   */
+  matchesRow(row, searchTerm, columns = this.getSearchableColumns()) {
+    if (!searchTerm || searchTerm.trim() === '') {
+      return true;
+    }
+
+    const matcher = this.getMatcher(searchTerm);
+    const { normalize } = this.options;
+
+    return columns.some(columnName =>
+      this.getSearchTexts(row, columnName).some(text => matcher.test(foldText(text, normalize, matcher.lowerCase)))
+    );
+  }
+
+  /**
+   * Texts of a cell that the search term is matched against
+   * A column's `searchValue(row)` replaces the cell value; with `searchFormatted` the
+   * formatted (displayed) text is matched in addition to the raw value.
+   * @param {Object} row - Row data
+   * @param {string} columnName - Column name (dot paths read nested values)
+   * @returns {Array<string>} Texts
+   */
+  getSearchTexts(row, columnName) {
+    const columnManager = this.table.columnManager;
+    const column = columnManager.getColumn(columnName);
+
+    if (column && typeof column.searchValue === 'function') {
+      return collectTexts(column.searchValue(row));
+    }
+
+    const value = columnManager.getCellValue(row, columnName);
+    const texts = collectTexts(value);
+
+    if (this.options.searchFormatted && column && value !== null && value !== undefined) {
+      const result = columnManager.formatCellValue(column, value, row);
+      const text = result.isHtml ? this._htmlToText(result.value) : result.value;
+      if (text !== null && text !== undefined && text !== '') {
+        texts.push(String(text));
+      }
+    }
+
+    return texts;
+  }
+
+  /**
+   * Get the matcher for a search term in the configured mode (cached per term and options)
+   * @param {string} searchTerm - Search term
+   * @returns {Object} { lowerCase, test(foldedText), ranges(foldedText) } - texts are folded with foldText(text, normalize, lowerCase)
+   */
+  getMatcher(searchTerm) {
+    const { mode, caseSensitive, normalize, fuzzyThreshold } = this.options;
+    const key = JSON.stringify([searchTerm, mode, caseSensitive, normalize, fuzzyThreshold]);
+
+    if (!this.matcherCache || this.matcherCache.key !== key) {
+      this.matcherCache = { key, matcher: this.createMatcher(searchTerm) };
+    }
+    return this.matcherCache.matcher;
+  }
+
+  /**
+   * Build a matcher for a search term
+   * @param {string} searchTerm - Search term
+   * @returns {Object} Matcher
+   */
+  createMatcher(searchTerm) {
+    const { mode, caseSensitive, normalize, fuzzyThreshold } = this.options;
+
+    if (mode === 'regex') {
+      try {
+        // Case is left to the 'i' flag so character classes like [A-Z] keep their meaning
+        const regex = new RegExp(foldText(searchTerm, normalize, false), caseSensitive ? 'g' : 'gi');
+        return {
+          lowerCase: false,
+          test: text => {
+            regex.lastIndex = 0;
+            return regex.test(text);
+          },
+          ranges: text => {
+            const ranges = [];
+            regex.lastIndex = 0;
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+              if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+              }
+              ranges.push([match.index, match.index + match[0].length]);
+            }
+            return ranges;
+          }
+        };
+      } catch (error) {
+        // Half-typed patterns are common while typing - search for the literal text instead
+      }
+    }
+
+    const lowerCase = !caseSensitive;
+    const term = foldText(searchTerm, normalize, lowerCase);
+
+    if (mode === 'fuzzy') {
+      const fuzzyTerm = term.replace(/\s+/g, '');
+      const find = text => {
+        const match = fuzzyMatch(text, fuzzyTerm);
+        return match && match.score >= fuzzyThreshold ? match : null;
+      };
+      return {
+        lowerCase,
+        test: text => find(text) !== null,
+        ranges: text => {
+          const match = find(text);
+          return match ? match.positions.map(position => [position, position + 1]) : [];
         }
+      };
+    }
+
+    if (mode === 'wholeWord') {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const regex = new RegExp(`(?<!${WORD_CHAR})${escaped}(?!${WORD_CHAR})`, 'gu');
+      return {
+        lowerCase,
+        test: text => {
+          regex.lastIndex = 0;
+          return regex.test(text);
+        },
+        ranges: text => Array.from(text.matchAll(regex), match => [match.index, match.index + match[0].length])
+      };
+    }
 
-        // Skip complex objects (not primitive values or Dates) in search
-        if (typeof cellValue === 'object' && !(cellValue instanceof Date)) {
-          return false;
+    if (mode === 'startsWith') {
+      return {
+        lowerCase,
+        test: text => text.startsWith(term),
+        ranges: text => (text.startsWith(term) ? [[0, term.length]] : [])
+      };
+    }
+
+    return {
+      lowerCase,
+      test: text => text.includes(term),
+      ranges: text => {
+        const ranges = [];
+        for (let index = text.indexOf(term); index !== -1 && term; index = text.indexOf(term, index + term.length)) {
+          ranges.push([index, index + term.length]);
         }
+        return ranges;
+      }
+    };
+  }
+
+  /**
+   * Escape a cell value for HTML, wrapping the text that matches the active search in <mark> elements
+   * Used by the renderers for plain-text cells when `highlight` is enabled; custom renderers
+   * can call it to highlight their own output. Every text segment is escaped.
+   * @param {*} value - Display value
+   * @param {string} [columnName] - Column of the cell; text in columns that are not searched is not highlighted
+   * @returns {string} HTML
+   */
+  highlightText(value, columnName) {
+    const escapeHtml = text => this.table.renderer.escapeHtml(text);
+    const text = value === null || value === undefined ? '' : String(value);
 
-        const stringValue = this.options.caseSensitive ? 
-          String(cellValue) : 
-          String(cellValue).toLowerCase();
+    if (!this.isHighlightActive() || text === '' ||
+        (columnName && !this.getSearchableColumns().includes(columnName))) {
+      return escapeHtml(text);
+    }
 
-        return stringValue.includes(term);
+    const matcher = this.getMatcher(this.currentSearchTerm);
+    const folded = foldTextWithPositions(text, this.options.normalize, matcher.lowerCase);
+
+    // Map the ranges in the folded text back to the original text and merge overlapping ones
+    const ranges = [];
+    matcher.ranges(folded.text)
+      .map(([start, end]) => [folded.starts[start], folded.ends[end - 1]])
+      .sort((a, b) => a[0] - b[0])
+      .forEach(([start, end]) => {
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last[1]) {
+          last[1] = Math.max(last[1], end);
+        } else {
+          ranges.push([start, end]);
+        }
       });
+
+    let html = '';
+    let offset = 0;
+    ranges.forEach(([start, end]) => {
+      html += escapeHtml(text.slice(offset, start));
+      html += `<mark class="tablix-search-highlight">${escapeHtml(text.slice(start, end))}</mark>`;
+      offset = end;
     });
+    html += escapeHtml(text.slice(offset));
+    return html;
   }
 
   /**
@@ -236,12 +527,15 @@ export default class SearchManager {
       return this.options.searchColumns;
     }
 
-    // Otherwise, search all available columns
+    // Otherwise, search all available columns (hidden ones included) unless a column opts out
     const columns = this.table.columnManager ? 
       this.table.columnManager.getColumns() : 
       (this.table.options.columns || []);
 
-    return columns.map(col => col.name || col.key).filter(name => name);
+    return columns
+      .filter(col => col.searchable !== false)
+      .map(col => col.name || col.key)
+      .filter(name => name);
   }
 
   /**
@@ -316,6 +610,14 @@ export default class SearchManager {
     return this.currentSearchTerm && this.currentSearchTerm.length >= this.options.minLength;
   }
 
+  /**
+   * Check if rendered cells should highlight the search matches
+   * @returns {boolean} Whether highlighting is enabled and a search is active
+   */
+  isHighlightActive() {
+    return Boolean(this.options.highlight && this.isSearchActive());
+  }
+
   /**
    * Get search results count
    * @returns {Object} Search results information
@@ -350,8 +652,9 @@ export default class SearchManager {
       }
     }
     
-    // If minLength changed and we have an active search, re-evaluate
-    if (newOptions.minLength !== undefined && this.currentSearchTerm) {
+    // If a matching option changed and we have an active search, re-evaluate
+    const matchingOptions = ['minLength', 'mode', 'fuzzyThreshold', 'normalize', 'caseSensitive', 'searchColumns', 'highlight', 'searchFormatted'];
+    if (matchingOptions.some(option => newOptions[option] !== undefined) && this.currentSearchTerm) {
       this.performSearch(this.currentSearchTerm);
     }
   }
@@ -364,6 +667,19 @@ export default class SearchManager {
     return { ...this.options };
   }
 
+  /**
+   * Text content of renderer HTML, parsed in an inert document so nothing loads or runs
+   * @private
+   */
+  _htmlToText(html) {
+    if (!this.textDocument) {
+      this.textDocument = document.implementation.createHTMLDocument('');
+    }
+    const element = this.textDocument.createElement('div');
+    element.innerHTML = html === null || html === undefined ? '' : String(html);
+    return element.textContent;
+  }
+
   /**
    * Destroy search manager and clean up
    */
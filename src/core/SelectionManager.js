@@ -257,7 +257,7 @@ export default class SelectionManager {
       if (!this.table || !this.options.enabled || this.options.mode !== 'multi') return;
       
       const row = e.target.closest('.tablix-row');
-      if (!row || row.classList.contains('tablix-empty-row')) return;
+      if (!row || row.classList.contains('tablix-empty-row') || this.isNestedRow(row)) return;
 
       const globalRowIndex = parseInt(row.dataset.rowIndex, 10);
       if (isNaN(globalRowIndex)) return;
@@ -357,12 +357,22 @@ export default class SelectionManager {
     }
   }
 
+  /**
+   * Check if a row belongs to a table nested in one of this table's detail rows
+   * @param {Element} row - Row element
+   * @returns {boolean}
+   */
+  isNestedRow(row) {
+    const detailRow = row.closest('.tablix-detail-row');
+    return !!detailRow && this.table.container.contains(detailRow);
+  }
+
   /**
    * Update drag selection based on current mouse position
    */
   updateDragSelection(event) {
     const row = event.target.closest('.tablix-row');
-    if (!row || row.classList.contains('tablix-empty-row')) return;
+    if (!row || row.classList.contains('tablix-empty-row') || this.isNestedRow(row)) return;
 
     const globalRowIndex = parseInt(row.dataset.rowIndex, 10);
     if (isNaN(globalRowIndex)) return;
@@ -548,6 +558,7 @@ export default class SelectionManager {
     const allRows = tableElement.querySelectorAll('.tablix-row');
     allRows.forEach(row => {
       row.classList.remove('tablix-selected', 'tablix-last-selected');
+      row.setAttribute('aria-selected', 'false');
     });
 
     // Check if we're in virtual scroll mode by looking for data-virtual-index attributes
@@ -564,6 +575,7 @@ export default class SelectionManager {
           
           if (this.selectedRows.has(rowId)) {
             row.classList.add('tablix-selected');
+            row.setAttribute('aria-selected', 'true');
             
             // Mark the last selected row for special styling
             if (rowId === this.lastSelectedRow) {
@@ -586,6 +598,7 @@ export default class SelectionManager {
           
           if (this.selectedRows.has(rowId)) {
             row.classList.add('tablix-selected');
+            row.setAttribute('aria-selected', 'true');
             
             // Mark the last selected row for special styling
             if (rowId === this.lastSelectedRow) {
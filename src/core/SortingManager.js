@@ -12,11 +12,12 @@ export default class SortingManager {
       defaultSortType: 'auto', // 'auto', 'string', 'number', 'date'
       caseSensitive: false,
       nullsFirst: false,
+      multiColumn: true, // Allow shift+click to build a sort chain
       ...options
     };
 
-    // Current sort state - single column only
-    this.currentSort = null; // { column: 'name', direction: 'asc' }
+    // Current sort state - ordered by priority (first entry is the primary sort)
+    this.currentSorts = []; // [{ column: 'name', direction: 'asc' }, ...]
     this.sortOrder = ['asc', 'desc', null]; // Click cycle order
 
     // Predefined sort types
@@ -29,26 +30,37 @@ export default class SortingManager {
     };
   }
 
+  /**
+   * Primary sort (first entry of the sort chain), kept for backward compatibility
+   * @returns {Object|null} { column, direction } or null
+   */
+  get currentSort() {
+    return this.currentSorts.length > 0 ? this.currentSorts[0] : null;
+  }
+
   /**
    * Sort by a column
    * @param {string} columnName - Column to sort by
    * @param {string|null} direction - 'asc', 'desc', or null (unsorted)
+   * @param {boolean} addToExisting - Add to the existing sort chain instead of replacing it
    */
-  async sort(columnName, direction = 'asc') {
+  async sort(columnName, direction = 'asc', addToExisting = false) {
     // Trigger beforeSort event
-    const beforeSortData = { columnName, direction, currentSort: this.currentSort };
+    const beforeSortData = {
+      columnName,
+      direction,
+      addToExisting,
+      currentSort: this.currentSort,
+      currentSorts: this.getSorts()
+    };
     this.table.eventManager.trigger('beforeSort', beforeSortData);
 
     // Set current sort state
-    if (direction !== null) {
-      this.currentSort = { column: columnName, direction };
-    } else {
-      this.currentSort = null;
-    }
+    this.currentSorts = this._buildSorts(columnName, direction, addToExisting);
 
     // Update state manager
     if (this.table.stateManager) {
-      this.table.stateManager.updateSort(this.currentSort);
+      this.table.stateManager.updateSorts(this.getSorts());
       // Reset to first page when sorting changes
       this.table.stateManager.resetPage();
     }
@@ -63,42 +75,127 @@ export default class SortingManager {
     }
 
     // Update UI
-    this.table.renderer.updateSortIndicators(this.currentSort);
+    this.table.renderer.updateSortIndicators(this.currentSorts);
 
     // Trigger afterSort event
     this.table.eventManager.trigger('afterSort', {
       columnName,
       direction,
-      currentSort: this.currentSort
+      addToExisting,
+      currentSort: this.currentSort,
+      currentSorts: this.getSorts()
     });
   }
 
+  /**
+   * Replace the whole sort chain at once (used to restore saved or previous state)
+   * @param {Array} sorts - Ordered [{ column, direction }, ...]; an empty array clears sorting
+   */
+  async setSorts(sorts = []) {
+    this.table.eventManager.trigger('beforeSort', {
+      columnName: null,
+      direction: null,
+      addToExisting: false,
+      currentSort: this.currentSort,
+      currentSorts: this.getSorts(),
+      sorts
+    });
+
+    this.applySortState(sorts);
+
+    if (this.table.stateManager) {
+      this.table.stateManager.resetPage();
+    }
+
+    if (this.options.mode !== 'server') {
+      this._applySorting();
+    }
+    await this.table.refreshTable();
+
+    this.table.renderer.updateSortIndicators(this.currentSorts);
+
+    this.table.eventManager.trigger('afterSort', {
+      columnName: null,
+      direction: null,
+      addToExisting: false,
+      currentSort: this.currentSort,
+      currentSorts: this.getSorts()
+    });
+  }
+
+  /**
+   * Set the sort chain without sorting data, re-rendering or triggering events
+   * Used when restoring saved state before a single refresh.
+   * @param {Array} sorts - Ordered [{ column, direction }, ...]
+   */
+  applySortState(sorts = []) {
+    let nextSorts = (sorts || [])
+      .filter(sort => sort && sort.column && (sort.direction === 'asc' || sort.direction === 'desc'))
+      .map(sort => ({ column: sort.column, direction: sort.direction }));
+
+    if (!this.options.multiColumn) {
+      nextSorts = nextSorts.slice(0, 1);
+    }
+
+    this.currentSorts = nextSorts;
+
+    if (this.table.stateManager) {
+      this.table.stateManager.updateSorts(this.getSorts());
+    }
+  }
+
   /**
    * Toggle sort for a column (handles click cycling)
+   * @param {string} columnName - Column to toggle
+   * @param {boolean} addToExisting - Toggle within the existing sort chain (shift+click)
    */
-  async toggleSort(columnName) {
-    const currentDirection = this.currentSort && this.currentSort.column === columnName 
-      ? this.currentSort.direction 
-      : null;
+  async toggleSort(columnName, addToExisting = false) {
+    const currentDirection = this.getSortDirection(columnName);
     
     // Get next direction in cycle
     const currentIndex = this.sortOrder.indexOf(currentDirection);
     const nextDirection = this.sortOrder[(currentIndex + 1) % this.sortOrder.length];
     
-    await this.sort(columnName, nextDirection);
+    await this.sort(columnName, nextDirection, addToExisting);
   }
 
   /**
-   * Client-side sorting
+   * Build the next sort chain for a sort request
+   * @param {string} columnName - Column to sort by
+   * @param {string|null} direction - 'asc', 'desc', or null (remove from chain)
+   * @param {boolean} addToExisting - Keep the other sorted columns
+   * @returns {Array} New ordered sort chain
+   * @private
    */
-  _sortClient(columnName, direction) {
-    // Set current sort
-    if (direction !== null) {
-      this.currentSort = { column: columnName, direction };
+  _buildSorts(columnName, direction, addToExisting) {
+    if (!addToExisting || !this.options.multiColumn) {
+      return direction !== null ? [{ column: columnName, direction }] : [];
+    }
+
+    const sorts = this.getSorts();
+    const index = sorts.findIndex(sort => sort.column === columnName);
+
+    if (direction === null) {
+      // Remove the column and let lower-priority sorts move up
+      if (index !== -1) sorts.splice(index, 1);
+    } else if (index !== -1) {
+      // Keep the column's priority, only flip its direction
+      sorts[index] = { column: columnName, direction };
     } else {
-      this.currentSort = null;
+      // New columns are appended as the lowest priority
+      sorts.push({ column: columnName, direction });
     }
 
+    return sorts;
+  }
+
+  /**
+   * Client-side sorting
+   */
+  _sortClient(columnName, direction, addToExisting = false) {
+    // Set current sort
+    this.currentSorts = this._buildSorts(columnName, direction, addToExisting);
+
     // Apply sorting to data
     this._applySorting();
   }
@@ -117,21 +214,17 @@ export default class SortingManager {
    * Apply current sort to filtered data
    */
   _applySorting() {
-    if (!this.currentSort) return;
-    
-    const columns = this.table.options.columns || [];
-    
-    this.table.dataManager.filteredData.sort((a, b) => {
-      // Support both 'name' and 'key' properties for column identification
-      const column = columns.find(col => (col.name === this.currentSort.column) || (col.key === this.currentSort.column));
-      const comparison = this._compareValues(
-        a[this.currentSort.column], 
-        b[this.currentSort.column], 
-        column
-      );
-      
-      return this.currentSort.direction === 'desc' ? -comparison : comparison;
-    });
+    const dataManager = this.table.dataManager;
+
+    if (dataManager.isTree()) {
+      // Siblings are sorted within each parent, so the tree is rebuilt (also when sorting is cleared)
+      dataManager.filteredData = dataManager.buildView();
+    } else {
+      if (this.currentSorts.length === 0) return;
+
+      this.sortRows(dataManager.filteredData);
+      dataManager.orderByGroups(dataManager.filteredData);
+    }
 
     // Reset pagination to first page after sorting
     if (this.table.paginationManager) {
@@ -139,6 +232,41 @@ export default class SortingManager {
     }
   }
 
+  /**
+   * Sort an array of rows in place by the current sort chain
+   * Does not touch pagination, so it can be used to keep data in order after row changes
+   * @param {Array} rows - Rows to sort
+   * @returns {Array} The same array, sorted
+   */
+  sortRows(rows) {
+    if (this.currentSorts.length === 0) return rows;
+
+    const columns = this.table.options.columns || [];
+
+    // Resolve column definitions once, not per comparison
+    // Support both 'name' and 'key' properties for column identification
+    const sortKeys = this.currentSorts.map(sort => ({
+      ...sort,
+      definition: columns.find(col => (col.name === sort.column) || (col.key === sort.column))
+    }));
+    
+    const { columnManager } = this.table;
+    return rows.sort((a, b) => {
+      // Later keys only break ties left by earlier ones
+      for (const key of sortKeys) {
+        const comparison = this._compareValues(
+          columnManager.getCellValue(a, key.column),
+          columnManager.getCellValue(b, key.column),
+          key.definition
+        );
+        if (comparison !== 0) {
+          return key.direction === 'desc' ? -comparison : comparison;
+        }
+      }
+      return 0;
+    });
+  }
+
   /**
    * Compare two values based on column configuration
    */
@@ -249,8 +377,13 @@ export default class SortingManager {
 
   /**
    * Clear all sorting
-   */  async clearSorting() {
-    this.currentSort = null;
+   */
+  async clearSorting() {
+    this.currentSorts = [];
+
+    if (this.table.stateManager) {
+      this.table.stateManager.updateSorts([]);
+    }
 
     if (this.options.mode === 'server') {
       // Reload data without sorting
@@ -258,6 +391,7 @@ export default class SortingManager {
         try {
           const result = await this.options.serverSortLoader({
             sort: null,
+            sorts: [],
             filters: this.table.dataManager.currentFilters,
             page: this.table.paginationManager ? this.table.paginationManager.currentPage : 1,
             pageSize: this.table.paginationManager ? this.table.paginationManager.pageSize : 10
@@ -271,22 +405,34 @@ export default class SortingManager {
     }
 
     // Update UI and refresh table
-    this.table.renderer.updateSortIndicators(null);
+    this.table.renderer.updateSortIndicators([]);
     await this.table.refreshTable();
     
-    this.table.eventManager.trigger('afterSort', { currentSort: null });
+    this.table.eventManager.trigger('afterSort', { currentSort: null, currentSorts: [] });
   }
 
   /**
    * Get current sort state
+   * @returns {Object} { sorts, sort, mode, multiColumn } - `sorts` is ordered by priority,
+   *   `sort` is the primary sort (kept for backward compatibility)
    */
   getSortState() {
     return {
+      sorts: this.getSorts(),
       sort: this.currentSort,
-      mode: this.options.mode
+      mode: this.options.mode,
+      multiColumn: this.options.multiColumn
     };
   }
 
+  /**
+   * Get a copy of the ordered sort chain
+   * @returns {Array} [{ column, direction }, ...]
+   */
+  getSorts() {
+    return this.currentSorts.map(sort => ({ ...sort }));
+  }
+
   /**
    * Set sorting options
    */
@@ -310,8 +456,17 @@ export default class SortingManager {
    * Get sort direction for a column
    */
   getSortDirection(columnName) {
-    return this.currentSort && this.currentSort.column === columnName 
-      ? this.currentSort.direction 
-      : null;
+    const sort = this.currentSorts.find(s => s.column === columnName);
+    return sort ? sort.direction : null;
+  }
+
+  /**
+   * Get sort priority for a column (1-based)
+   * @param {string} columnName - Column name
+   * @returns {number|null} Priority in the sort chain or null if not sorted
+   */
+  getSortIndex(columnName) {
+    const index = this.currentSorts.findIndex(s => s.column === columnName);
+    return index !== -1 ? index + 1 : null;
   }
 }
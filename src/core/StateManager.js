@@ -3,10 +3,23 @@
  * 
  * This class manages the persistent state for pagination, sorting, filtering, and search
  * to ensure consistency across all server requests and prevent state loss during operations.
+ * It also creates/restores view snapshots and optionally persists them (stateSave option).
  */
 export default class StateManager {
-  constructor(table) {
+  constructor(table, options = null) {
     this.table = table;
+
+    // View state persistence is opt-in: passing options (or true) enables it unless enabled is false
+    const persistence = options === true ? {} : options;
+    this.options = {
+      storage: 'localStorage', // 'localStorage', 'sessionStorage' or { getItem, setItem, removeItem }
+      key: null, // Storage key (derived from the container id if not set)
+      ...(persistence || {}),
+      enabled: !!persistence && persistence.enabled !== false
+    };
+
+    // Snapshot format version, bump when the snapshot structure changes
+    this.snapshotVersion = 1;
     
     // Centralized state
     this.state = {
@@ -15,11 +28,12 @@ export default class StateManager {
       pageSize: 10,
       totalRows: 0,
       
-      // Sorting state
-      sort: null, // { column: 'name', direction: 'asc' } or null
+      // Sorting state - ordered by priority, first entry is the primary sort
+      sorts: [], // [{ column: 'name', direction: 'asc' }, ...]
       
       // Filtering state
       filters: {}, // { columnName: { type: 'value', values: [...] } }
+      advancedFilter: null, // { logic: 'and', conditions: [...] } (see FilterManager.setAdvancedFilter)
       
       // Search state
       search: '', // Global search term
@@ -37,7 +51,7 @@ export default class StateManager {
    * @returns {Object} Current state
    */
   getState() {
-    return { ...this.state };
+    return { ...this.state, sort: this.state.sorts[0] || null };
   }
 
   /**
@@ -57,11 +71,19 @@ export default class StateManager {
   }
 
   /**
-   * Update sorting state
+   * Update sorting state with a single sort (replaces the whole sort chain)
    * @param {Object|null} sortState - Sort state { column, direction } or null
    */
   updateSort(sortState) {
-    this.state.sort = sortState;
+    this.updateSorts(sortState ? [sortState] : []);
+  }
+
+  /**
+   * Update sorting state with an ordered sort chain
+   * @param {Array} sorts - [{ column, direction }, ...] ordered by priority
+   */
+  updateSorts(sorts) {
+    this.state.sorts = (sorts || []).map(sort => ({ column: sort.column, direction: sort.direction }));
   }
 
   /**
@@ -72,6 +94,14 @@ export default class StateManager {
     this.state.filters = { ...filters };
   }
 
+  /**
+   * Update the advanced (cross-column) filter
+   * @param {Object|null} advancedFilter - Filter group or null
+   */
+  updateAdvancedFilter(advancedFilter) {
+    this.state.advancedFilter = advancedFilter || null;
+  }
+
   /**
    * Update search state
    * @param {string} searchTerm - Search term
@@ -101,11 +131,14 @@ export default class StateManager {
    * @returns {Object} Server request parameters
    */
   getServerParams() {
+    const sorts = this.state.sorts.map(sort => ({ ...sort }));
     return {
       page: this.state.page,
       pageSize: this.state.pageSize,
-      sort: this.state.sort || {}, // Always send object, never null/undefined
+      sort: sorts[0] || {}, // Primary sort - always send object, never null/undefined
+      sorts, // Full sort chain ordered by priority
       filters: this.state.filters || {},
+      advancedFilter: this.state.advancedFilter || null, // Nested { logic, conditions } groups
       search: this.state.search || ''
     };
   }
@@ -125,6 +158,180 @@ export default class StateManager {
     return this.isInitialized;
   }
 
+  // ===== VIEW SNAPSHOTS =====
+
+  /**
+   * Create a serializable snapshot of the current view
+   * @returns {Object} { version, page, pageSize, sorts, filters, advancedFilter, search, columns, selection }
+   */
+  getSnapshot() {
+    const { paginationManager, sortingManager, filterManager, searchManager, columnManager, selectionManager } = this.table;
+
+    return {
+      version: this.snapshotVersion,
+      page: paginationManager ? paginationManager.currentPage : this.state.page,
+      pageSize: paginationManager ? paginationManager.pageSize : this.state.pageSize,
+      sorts: sortingManager ? sortingManager.getSorts() : this.state.sorts.map(sort => ({ ...sort })),
+      filters: JSON.parse(JSON.stringify(filterManager ? filterManager.getActiveFilters() : this.state.filters)),
+      advancedFilter: JSON.parse(JSON.stringify(filterManager ? filterManager.getAdvancedFilter() : this.state.advancedFilter)),
+      search: searchManager ? searchManager.getSearchTerm() : this.state.search,
+      columns: columnManager ? columnManager.getColumnState() : [],
+      selection: selectionManager && selectionManager.options.enabled ? selectionManager.getSelectedIds() : []
+    };
+  }
+
+  /**
+   * Push a snapshot into the managers without re-rendering or triggering events
+   * Selection is not applied here since it needs rendered rows (see Table.restoreState).
+   * @param {Object} snapshot - Snapshot from getSnapshot()
+   * @returns {boolean} False if the snapshot is not usable
+   */
+  applySnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return false;
+
+    if (snapshot.version !== this.snapshotVersion) {
+      console.warn(`TablixJS: Ignoring saved state with unsupported version ${snapshot.version}.`);
+      return false;
+    }
+
+    const { paginationManager, sortingManager, filterManager, searchManager, columnManager } = this.table;
+
+    if (columnManager && Array.isArray(snapshot.columns)) {
+      columnManager.applyColumnState(snapshot.columns);
+    }
+    if (filterManager && snapshot.filters) {
+      filterManager.applyFilterState(snapshot.filters);
+      filterManager.applyAdvancedFilterState(snapshot.advancedFilter || null);
+    }
+    if (searchManager && typeof snapshot.search === 'string') {
+      searchManager.applySearchState(snapshot.search);
+    }
+    if (sortingManager && Array.isArray(snapshot.sorts)) {
+      sortingManager.applySortState(snapshot.sorts);
+    }
+    if (paginationManager) {
+      paginationManager.applyPageState({ page: snapshot.page, pageSize: snapshot.pageSize });
+    } else {
+      this.updatePagination({ page: snapshot.page, pageSize: snapshot.pageSize });
+    }
+
+    // Client mode: rebuild the visible data from the restored filters, search and sorting
+    if (!this.table._isServerMode()) {
+      this.table.dataManager.refreshView();
+    }
+
+    return true;
+  }
+
+  // ===== PERSISTENCE =====
+
+  /**
+   * Check if view state persistence is enabled
+   * @returns {boolean}
+   */
+  isPersistenceEnabled() {
+    return this.options.enabled;
+  }
+
+  /**
+   * Start saving the view state whenever it changes
+   */
+  initPersistence() {
+    if (!this.isPersistenceEnabled()) return;
+
+    const save = () => this.save();
+    [
+      'afterSort', 'afterFilter', 'afterSearch', 'afterPageChange', 'afterPageSizeChange',
+      'afterSelect', 'selectionCleared', 'afterColumnVisibilityChange', 'columnReorder', 'columnResize', 'columnPin',
+      'stateRestored'
+    ].forEach(event => this.table.eventManager.on(event, save));
+  }
+
+  /**
+   * Create a snapshot and write it to the configured storage (if persistence is enabled)
+   * @returns {Object} The snapshot
+   */
+  save() {
+    const snapshot = this.getSnapshot();
+
+    const storage = this.isPersistenceEnabled() ? this._getStorage() : null;
+    if (storage) {
+      try {
+        storage.setItem(this._getStorageKey(), JSON.stringify(snapshot));
+      } catch (error) {
+        console.warn('TablixJS: Failed to save table state:', error);
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Read the saved snapshot from storage
+   * @returns {Object|null} Snapshot or null if nothing was saved
+   */
+  loadSaved() {
+    const storage = this._getStorage();
+    if (!storage) return null;
+
+    try {
+      const saved = storage.getItem(this._getStorageKey());
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn('TablixJS: Failed to read saved table state:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the saved snapshot from storage
+   */
+  clearSaved() {
+    const storage = this._getStorage();
+    if (storage && typeof storage.removeItem === 'function') {
+      try {
+        storage.removeItem(this._getStorageKey());
+      } catch (error) {
+        console.warn('TablixJS: Failed to clear saved table state:', error);
+      }
+    }
+  }
+
+  /**
+   * Stop persisting state (called when the table is destroyed, so teardown does not overwrite it)
+   */
+  destroy() {
+    this.options.enabled = false;
+  }
+
+  /**
+   * Resolve the storage option to an object with getItem/setItem
+   * @private
+   */
+  _getStorage() {
+    const { storage } = this.options;
+
+    if (storage && typeof storage === 'object') {
+      return typeof storage.getItem === 'function' && typeof storage.setItem === 'function' ? storage : null;
+    }
+
+    try {
+      // Accessing web storage can throw (e.g. blocked cookies, sandboxed iframes)
+      return (typeof window !== 'undefined' && window[storage]) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getStorageKey() {
+    if (this.options.key) return this.options.key;
+    const id = this.table.container && this.table.container.id;
+    return id ? `tablixjs-state-${id}` : 'tablixjs-state';
+  }
+
   /**
    * Reset all state to defaults
    */
@@ -133,8 +340,9 @@ export default class StateManager {
       page: 1,
       pageSize: this.state.pageSize, // Preserve page size
       totalRows: 0,
-      sort: null,
+      sorts: [],
       filters: {},
+      advancedFilter: null,
       search: '',
       isLoading: false
     };
@@ -0,0 +1,106 @@
+/**
+ * StickyHeaderManager - Keeps the header row visible while the page scrolls
+ *
+ * Features:
+ * - Header cells follow the viewport while the table body is scrolled past
+ * - Works with the horizontally scrolling table wrapper and pinned columns
+ * - Configurable top offset (e.g. for a fixed navigation bar)
+ * - Keeps an open filter dropdown anchored to its header
+ *
+ * CSS `position: sticky` cannot be used against the page here: the table wrapper scrolls
+ * horizontally, which makes it the sticky containing scroller. Header cells are shifted with
+ * a transform instead. With virtual scrolling the header is sticky inside `.tablix-scroll-container`.
+ */
+export default class StickyHeaderManager {
+  constructor(table, options = null) {
+    this.table = table;
+
+    // Opt-in: passing options (or true) enables the sticky header unless enabled is false
+    const sticky = options === true ? {} : options;
+    this.options = {
+      offset: 0, // Distance from the top of the viewport in pixels, or a function returning it
+      ...(sticky || {}),
+      enabled: !!sticky && sticky.enabled !== false
+    };
+
+    // Current header shift in pixels
+    this.shift = 0;
+
+    // Bind methods to preserve context
+    this.update = this.update.bind(this);
+
+    this.init();
+  }
+
+  /**
+   * Start following page scroll and viewport size
+   */
+  init() {
+    if (!this.options.enabled || typeof window === 'undefined') return;
+
+    // Capture phase also catches scrolling of ancestor elements
+    window.addEventListener('scroll', this.update, { capture: true, passive: true });
+    window.addEventListener('resize', this.update);
+  }
+
+  /**
+   * Position the header for the current scroll position
+   * Called on scroll and by Renderer after every render since the header is recreated
+   */
+  update() {
+    if (!this.options.enabled) return;
+
+    const wrapper = this.table.container.querySelector('.tablix-wrapper');
+    const tableElement = this.table.container.querySelector('.tablix-table');
+    const thead = this.table.container.querySelector('.tablix-thead');
+    if (!wrapper || !tableElement || !thead) return;
+
+    wrapper.classList.add('tablix-sticky-header');
+
+    // Virtual scrolling: the header is sticky inside the scroll container (CSS only)
+    if (this.table.container.querySelector('.tablix-scroll-container')) return;
+
+    const rect = tableElement.getBoundingClientRect();
+    const maxShift = Math.max(0, rect.height - thead.offsetHeight);
+    const shift = Math.round(Math.min(Math.max(0, this.getOffset() - rect.top), maxShift));
+
+    const changed = shift !== this.shift || tableElement.style.getPropertyValue('--tablix-sticky-header-shift') === '';
+    this.shift = shift;
+
+    if (changed) {
+      tableElement.style.setProperty('--tablix-sticky-header-shift', `${shift}px`);
+      thead.classList.toggle('tablix-thead-stuck', shift > 0);
+    }
+
+    // A stuck header stays in the viewport, so a dropdown opened from it has to follow
+    if ((changed || shift > 0) && this.table.filterUI) {
+      this.table.filterUI.repositionDropdown();
+    }
+  }
+
+  /**
+   * @returns {number} Top offset in pixels
+   */
+  getOffset() {
+    const offset = typeof this.options.offset === 'function' ? this.options.offset() : this.options.offset;
+    return Number(offset) || 0;
+  }
+
+  /**
+   * @returns {boolean} True while the header is detached from the top of the table
+   */
+  isStuck() {
+    return this.shift > 0;
+  }
+
+  /**
+   * Remove window listeners
+   */
+  destroy() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('scroll', this.update, { capture: true });
+      window.removeEventListener('resize', this.update);
+    }
+    this.options.enabled = false;
+  }
+}
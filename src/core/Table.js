@@ -9,8 +9,21 @@ import FilterUI from './FilterUI.js';
 import SearchManager from './SearchManager.js';
 import SelectionManager from './SelectionManager.js';
 import VirtualScrollManager from './VirtualScroll.js';
+import EditManager from './EditManager.js';
+import ColumnResizeManager from './ColumnResizeManager.js';
+import StickyHeaderManager from './StickyHeaderManager.js';
+import AggregationManager from './AggregationManager.js';
+import DetailRowManager from './DetailRowManager.js';
+import TreeManager from './TreeManager.js';
+import ExportManager from './ExportManager.js';
+import ImportManager from './ImportManager.js';
+import PrintManager from './PrintManager.js';
+import QueryManager from './QueryManager.js';
+import KeyboardManager from './KeyboardManager.js';
+import HistoryManager from './HistoryManager.js';
 import Localization from './Localization.js';
 import StateManager from './StateManager.js';
+import UrlSyncManager from './UrlSyncManager.js';
 import { frenchTranslations } from '../locales/fr.js';
 import { spanishTranslations } from '../locales/es.js';
 import { serbianTranslations } from '../locales/sr.js';
@@ -57,7 +70,10 @@ export default class Table {
         pagination: true,
         pageSize: true,
         refresh: true,
-        export: false,
+        export: false,  // Export button with a format picker; true for all formats or an array of format names
+        import: false,  // File picker and drop zone for CSV/TSV/JSON files; true or import options
+        columns: false, // Column chooser dropdown (show/hide columns)
+        query: false,   // Query bar: column filters and search typed as text (needs filtering)
         position: 'top' // 'top', 'bottom', 'both'
       },
       search: {
@@ -65,7 +81,17 @@ export default class Table {
         placeholder: null, // Will use localized string if not provided
         searchDelay: 300, // Debounce delay in milliseconds
         minLength: 1, // Minimum characters before search starts
-        caseSensitive: false
+        caseSensitive: false,
+        mode: 'contains', // 'contains', 'startsWith', 'wholeWord', 'fuzzy' or 'regex'
+        fuzzyThreshold: 0.5, // Minimum fuzzy score (0-1) in 'fuzzy' mode
+        normalize: true, // Accent-insensitive matching
+        highlight: false, // Mark matched text in rendered cells
+        searchFormatted: false // Also match the formatted cell text
+      },
+      // Query bar (see setQuery())
+      query: {
+        placeholder: null,  // Will use localized example query if not provided
+        maxSuggestions: 10  // Autocomplete entries shown at once
       },
       // Selection options
       selection: {
@@ -80,6 +106,111 @@ export default class Table {
         rowHeight: null, // Auto-detected if null
         containerHeight: 400 // Default container height in pixels
       },
+      // Inline editing options
+      editing: {
+        enabled: false,  // Default: editing is disabled
+        trigger: 'dblclick', // 'dblclick', 'click' or 'none'
+        enterToEdit: true,
+        saveOnBlur: true
+      },
+      // View state persistence (page, sorting, filters, search, columns, selection)
+      stateSave: {
+        enabled: false,  // Default: state is not persisted
+        storage: 'localStorage', // 'localStorage', 'sessionStorage' or custom { getItem, setItem, removeItem }
+        key: null        // Storage key (defaults to one derived from the container id)
+      },
+      // URL synchronisation of page, sorting, filters and search
+      urlSync: {
+        enabled: false,  // Default: the URL is not touched (passing urlSync enables it)
+        mode: 'query',   // 'query' (location.search) or 'hash' (location.hash)
+        prefix: '',      // Parameter name prefix for multiple tables on one page
+        pushState: false // Add a browser history entry per change instead of replacing it
+      },
+      // Drag-and-drop column reordering
+      columnReorder: {
+        enabled: false   // Default: header drag-and-drop is disabled
+      },
+      // Interactive column resizing
+      columnResize: {
+        enabled: false,  // Default: no resize handles
+        minWidth: 30,    // Minimum width in pixels (column minWidth overrides it)
+        autoFit: true    // Double-click a handle to fit the content
+      },
+      // Header row that stays visible while the page scrolls
+      stickyHeader: {
+        enabled: false,  // Default: the header scrolls with the table
+        offset: 0        // Top offset in pixels (e.g. height of a fixed navbar), or a function returning it
+      },
+      // Footer aggregates (columns opt in with the `aggregate` option)
+      aggregation: {
+        scope: 'filtered', // 'filtered' (all matching rows) or 'page' (current page only)
+        label: true      // "Total" label in the first footer cell; false or a custom string
+      },
+      // Row grouping
+      grouping: {
+        columns: [],     // Default: no grouping; column name(s) to group by, outermost first
+        collapsed: false, // Start with all groups collapsed
+        formatter: null  // (group) => HTML for the group header label
+      },
+      // Expandable detail rows (master/detail)
+      detailRows: {
+        enabled: false,       // Default: no detail rows (passing detailRows with a detailRenderer enables them)
+        detailRenderer: null, // (row) => HTML string, DOM node or a Promise of either
+        expandable: null,     // (row) => boolean; rows without a toggle when it returns false
+        multiple: true,       // Allow several expanded rows at once
+        estimatedHeight: 100  // Detail row height assumed by virtual scrolling until measured
+      },
+      // Hierarchical rows (tree data)
+      tree: {
+        enabled: false,       // Default: flat rows (passing tree options enables tree data)
+        childrenKey: 'children', // Property holding the child rows
+        lazyLoader: null,     // async (row) => child rows, for rows with `children: true`
+        hasChildren: null,    // (row) => boolean; overrides the children check
+        expanded: false       // Start with all loaded rows expanded
+      },
+      // Export defaults (see export())
+      export: {
+        format: 'csv',        // 'csv', 'tsv', 'json', 'html', 'markdown', 'xlsx' or a registered writer
+        scope: 'filtered',    // 'all', 'filtered', 'page' or 'selected'
+        filename: 'table-data', // File name without extension
+        download: true,       // false: only return the content
+        header: true,         // Include the column titles
+        formatted: false,     // Export values formatted with the column format instead of raw values
+        visibleOnly: false,   // Skip hidden columns
+        delimiter: null,      // CSV/TSV field delimiter (',' / tab by default)
+        bom: false,           // Prepend a UTF-8 BOM to text formats
+        sheetName: 'Sheet1'   // XLSX worksheet name
+      },
+      // Import defaults (see importData())
+      import: {
+        format: null,         // 'csv', 'tsv' or 'json'; detected from the file name or content when null
+        delimiter: null,      // CSV field delimiter; detected when null
+        header: true,         // First CSV row holds the field names
+        columns: 'infer',     // 'infer', 'keep' or a mapping { sourceField: columnName | columnDefinition }
+        mode: 'replace',      // 'replace' the data or 'append' to it
+        sampleSize: 1000      // Rows inspected for type inference
+      },
+      // Print defaults (see print())
+      print: {
+        scope: 'filtered',    // 'all', 'filtered' or 'page'
+        title: null,          // Heading above the printed table
+        visibleOnly: true,    // false: print hidden columns too
+        footer: true,         // Print the footer aggregates
+        orientation: null,    // 'portrait' or 'landscape'
+        styles: ''            // Extra CSS for the printed document
+      },
+      // Keyboard navigation and screen reader support (ARIA grid)
+      keyboard: {
+        enabled: true,        // Arrow key navigation with a single tab stop for the grid
+        announcements: true,  // Announce page, sort, filter and search changes
+        pageStep: 10          // Rows moved by PageUp/PageDown without pagination
+      },
+      // Undo/redo options
+      history: {
+        enabled: false,  // Default: history is disabled
+        depth: 50,       // Maximum number of undo steps
+        keyboard: true   // Ctrl+Z / Ctrl+Y shortcuts
+      },
       // Localization options
       language: 'en',
       translations: {},
@@ -109,11 +240,20 @@ export default class Table {
     // Initialize managers
     this.eventManager = new EventManager();
     this.columnManager = new ColumnManager(this);
+    // Tree data changes how DataManager builds the view, so it is set up first
+    if (this.options.tree) {
+      this.treeManager = new TreeManager(this, this.options.tree);
+    }
     this.dataManager = new DataManager(this, options.data || []);
     this.renderer = new Renderer(this);
     
     // Initialize state manager for server-side operations
-    this.stateManager = new StateManager(this);
+    this.stateManager = new StateManager(this, this.options.stateSave);
+    
+    // Initialize URL synchronisation (reads and writes StateManager snapshots)
+    if (this.options.urlSync) {
+      this.urlSyncManager = new UrlSyncManager(this, this.options.urlSync);
+    }
     
     // Initialize columns if provided
     if (options.columns) {
@@ -145,6 +285,11 @@ export default class Table {
       this.searchManager = new SearchManager(this, this.options.search);
     }
 
+    // Initialize the query bar (filters and search typed as text)
+    if (this.filterManager && this.options.query) {
+      this.queryManager = new QueryManager(this, this.options.query);
+    }
+
     // Initialize selection if enabled
     if (this.options.selection) {
       this.selectionManager = new SelectionManager(this, this.options.selection);
@@ -155,6 +300,51 @@ export default class Table {
       this.virtualScrollManager = new VirtualScrollManager(this, this.options.virtualScroll);
     }
 
+    // Initialize inline editing
+    if (this.options.editing) {
+      this.editManager = new EditManager(this, this.options.editing);
+    }
+
+    // Initialize column resizing
+    if (this.options.columnResize) {
+      this.columnResizeManager = new ColumnResizeManager(this, this.options.columnResize);
+    }
+
+    // Initialize footer aggregates
+    this.aggregationManager = new AggregationManager(this, this.options.aggregation);
+
+    // Initialize export
+    this.exportManager = new ExportManager(this, this.options.export);
+
+    // Initialize import
+    this.importManager = new ImportManager(this, this.options.import);
+
+    // Initialize printing
+    this.printManager = new PrintManager(this, this.options.print);
+
+    // Initialize keyboard navigation and ARIA grid semantics
+    this.keyboardManager = new KeyboardManager(this, this.options.keyboard);
+
+    // Initialize expandable detail rows
+    if (this.options.detailRows) {
+      this.detailRowManager = new DetailRowManager(this, this.options.detailRows);
+    }
+
+    // Initialize sticky header
+    if (this.options.stickyHeader) {
+      this.stickyHeaderManager = new StickyHeaderManager(this, this.options.stickyHeader);
+    }
+
+    // Initialize undo/redo history (after the managers whose events it records)
+    if (this.options.history) {
+      this.historyManager = new HistoryManager(this, this.options.history);
+    }
+
+    // Build the visible tree rows now that row ids and sorting are available
+    if (this.dataManager.isTree()) {
+      this.dataManager.refreshView();
+    }
+
     this.init();
   }
 
@@ -165,6 +355,23 @@ export default class Table {
         this.searchManager.init();
       }
 
+      // Rehydrate saved view state before the first load
+      let savedState = null;
+      if (this.stateManager.isPersistenceEnabled()) {
+        savedState = this.stateManager.loadSaved();
+        if (savedState && !this.stateManager.applySnapshot(savedState)) {
+          savedState = null;
+        }
+      }
+
+      // State in the URL (e.g. a shared link) takes priority over stored state
+      if (this.urlSyncManager && this.urlSyncManager.options.enabled) {
+        const urlState = this.urlSyncManager.readState();
+        if (urlState) {
+          this.stateManager.applySnapshot(urlState);
+        }
+      }
+
       // Determine if we're using server-side operations
       const isServerMode = this._isServerMode();
       
@@ -188,6 +395,16 @@ export default class Table {
       
       // Explicitly trigger afterRender to ensure selection works on first load
       this.eventManager.trigger('afterRender');
+
+      if (savedState) {
+        this._restoreSelection(savedState.selection);
+      }
+      this.stateManager.initPersistence();
+
+      if (this.urlSyncManager && this.urlSyncManager.options.enabled) {
+        this.urlSyncManager.init();
+        this.urlSyncManager.writeUrl();
+      }
     } catch (error) {
       console.error('Failed to initialize table:', error);
       this.eventManager.trigger('loadError', { error, source: 'initialization' });
@@ -232,7 +449,7 @@ export default class Table {
       if (this.options.filtering && 
           this.options.filtering.mode === 'server' && 
           this.options.filtering.serverFilterLoader &&
-          Object.keys(params.filters).length > 0) {
+          (Object.keys(params.filters).length > 0 || params.advancedFilter)) {
         // Use filter loader if filters are active
         result = await this.options.filtering.serverFilterLoader(params);
       } else if (this.options.sorting && 
@@ -251,6 +468,7 @@ export default class Table {
 
       // Update data manager with server response
       this.dataManager.setServerData(result.data, result.totalRows);
+      this.aggregationManager.setServerAggregates(result.aggregates);
       
       // Update state manager with total rows
       this.stateManager.updatePagination({ totalRows: result.totalRows });
@@ -261,7 +479,7 @@ export default class Table {
       }
 
       // Render the table with the loaded data
-      this.renderer.renderTable(result.data);
+      this.renderer.renderTable(this.dataManager.getDisplayRows());
 
       this.stateManager.updateLoading(false);
       this.eventManager.trigger('afterServerLoad', { params, result });
@@ -290,8 +508,8 @@ export default class Table {
     }
     
     if (this.virtualScrollManager && this.virtualScrollManager.isEnabled()) {
-      // Virtual scrolling mode - get all data for virtual scrolling manager
-      dataToRender = this.dataManager.getData();
+      // Virtual scrolling mode - get all data (with group headers) for virtual scrolling manager
+      dataToRender = this.dataManager.getDisplayRows();
       
       // Initialize or update virtual scrolling with full dataset
       this.virtualScrollManager.updateData(dataToRender);
@@ -307,7 +525,7 @@ export default class Table {
       this.renderer.renderTable(dataToRender);
     } else {
       // No pagination, show all data (traditional mode)
-      dataToRender = this.dataManager.getData();
+      dataToRender = this.dataManager.getDisplayRows();
       this.renderer.renderTable(dataToRender);
     }
   }
@@ -400,10 +618,11 @@ export default class Table {
    * Sort data by column
    * @param {string} columnName - Column to sort by
    * @param {string|null} direction - 'asc', 'desc', or null (unsorted)
+   * @param {boolean} addToExisting - Add to the existing sort chain (multi-column sort)
    */
-  async sort(columnName, direction = 'asc') {
+  async sort(columnName, direction = 'asc', addToExisting = false) {
     if (this.sortingManager) {
-      await this.sortingManager.sort(columnName, direction);
+      await this.sortingManager.sort(columnName, direction, addToExisting);
     } else {
       // Fallback to legacy sorting
       this.dataManager.applySorting([{ column: columnName, direction }]);
@@ -414,10 +633,12 @@ export default class Table {
 
   /**
    * Toggle sort for a column (handles click cycling)
+   * @param {string} columnName - Column to toggle
+   * @param {boolean} addToExisting - Toggle within the existing sort chain (shift+click)
    */
-  async toggleSort(columnName) {
+  async toggleSort(columnName, addToExisting = false) {
     if (this.sortingManager) {
-      await this.sortingManager.toggleSort(columnName);
+      await this.sortingManager.toggleSort(columnName, addToExisting);
     }
   }
 
@@ -442,7 +663,7 @@ export default class Table {
     if (this.sortingManager) {
       return this.sortingManager.getSortState();
     }
-    return { sort: null, mode: 'client' };
+    return { sorts: [], sort: null, mode: 'client', multiColumn: false };
   }
 
   /**
@@ -518,6 +739,47 @@ export default class Table {
     return this.filterManager ? this.filterManager.getActiveFilters() : {};
   }
 
+  /**
+   * Set the advanced filter: nested AND/OR groups of conditions across columns
+   * @param {Object|null} group - { logic: 'and' | 'or', conditions: [...] }; null clears it
+   * @example
+   * // (status = open OR status = pending) AND amount > 100
+   * table.setAdvancedFilter({
+   *   logic: 'and',
+   *   conditions: [
+   *     { logic: 'or', conditions: [
+   *       { column: 'status', operator: 'equals', value: 'open' },
+   *       { column: 'status', operator: 'equals', value: 'pending' }
+   *     ] },
+   *     { column: 'amount', operator: 'gt', value: 100 }
+   *   ]
+   * });
+   */
+  async setAdvancedFilter(group) {
+    if (this.filterManager) {
+      await this.filterManager.setAdvancedFilter(group);
+    } else {
+      console.warn('TablixJS: Filtering is not enabled. Set filtering.enabled to true in options.');
+    }
+  }
+
+  /**
+   * Get the advanced filter
+   * @returns {Object|null} Filter group or null
+   */
+  getAdvancedFilter() {
+    return this.filterManager ? this.filterManager.getAdvancedFilter() : null;
+  }
+
+  /**
+   * Remove the advanced filter
+   */
+  async clearAdvancedFilter() {
+    if (this.filterManager) {
+      await this.filterManager.clearAdvancedFilter();
+    }
+  }
+
   /**
    * Get filter state for a column
    * @param {string} columnName - Column name
@@ -566,6 +828,39 @@ export default class Table {
     return this.searchManager ? this.searchManager.getSearchInfo() : null;
   }
 
+  // ===== QUERY API =====
+
+  /**
+   * Apply filters and search typed as query text, e.g. `status:open amount>100 -owner:bob "exact phrase"`
+   * Replaces all column filters and the search term; nothing is applied if the text has errors.
+   * @param {string} query - Query text
+   * @returns {Promise<boolean>} True if the query was applied
+   */
+  async setQuery(query) {
+    if (!this.queryManager) {
+      console.warn('TablixJS: Filtering is not enabled. Set filtering.enabled to true in options.');
+      return false;
+    }
+    return this.queryManager.apply(query);
+  }
+
+  /**
+   * Get the active column filters and search term as query text
+   * @returns {string} Query text
+   */
+  getQuery() {
+    return this.queryManager ? this.queryManager.getQuery() : '';
+  }
+
+  /**
+   * Parse query text without applying it
+   * @param {string} query - Query text
+   * @returns {Object|null} { filters, search, errors, terms }, or null if filtering is not enabled
+   */
+  parseQuery(query) {
+    return this.queryManager ? this.queryManager.parse(query) : null;
+  }
+
   // ===== PAGINATION API =====
 
   /**
@@ -698,204 +993,1134 @@ export default class Table {
     return this.dataManager.originalData;
   }
 
+  // ===== COLUMN API =====
+
   /**
-   * Get table options
+   * Show a hidden column
+   * @param {string} columnName - Column name
+   * @returns {Promise<boolean>} True if the column was shown
    */
-  getOptions() {
-    return this.options;
+  async showColumn(columnName) {
+    return this._setColumnVisibility(columnName, true);
   }
 
   /**
-   * Update table options
+   * Hide a column
+   * Hidden columns are not rendered but are still searched, filtered and exported.
+   * @param {string} columnName - Column name
+   * @returns {Promise<boolean>} True if the column was hidden
    */
-  async setOptions(newOptions) {
-    this.options = { ...this.options, ...newOptions };
-    
-    // Update pagination options if provided
-    if (newOptions.pagination && this.paginationManager) {
-      this.paginationManager.options = { ...this.paginationManager.options, ...newOptions.pagination };
-    }
-    
-    // Update selection options if provided
-    if (newOptions.selection && this.selectionManager) {
-      this.selectionManager.options = { ...this.selectionManager.options, ...newOptions.selection };
-      
-      // Re-initialize if enabled state changed
-      if (newOptions.selection.enabled !== undefined) {
-        if (newOptions.selection.enabled) {
-          this.selectionManager.enable();
-        } else {
-          this.selectionManager.disable();
-        }
-      }
-      
-      // Update mode if provided
-      if (newOptions.selection.mode) {
-        this.selectionManager.setMode(newOptions.selection.mode);
-      }
-    }
-    
-    await this.refreshTable();
+  async hideColumn(columnName) {
+    return this._setColumnVisibility(columnName, false);
   }
 
-  // ===== SELECTION API =====
+  /**
+   * Toggle column visibility
+   * @param {string} columnName - Column name
+   * @param {boolean} [visible] - Force a visibility instead of toggling
+   * @returns {Promise<boolean>} True if the visibility changed
+   */
+  async toggleColumn(columnName, visible) {
+    const show = typeof visible === 'boolean' ? visible : !this.columnManager.isColumnVisible(columnName);
+    return this._setColumnVisibility(columnName, show);
+  }
 
   /**
-   * Get selected row data
-   * @returns {Array} Array of selected row data objects
+   * Check if a column is visible
+   * @param {string} columnName - Column name
+   * @returns {boolean}
    */
-  getSelectedData() {
-    return this.selectionManager ? this.selectionManager.getSelectedData() : [];
+  isColumnVisible(columnName) {
+    return this.columnManager.isColumnVisible(columnName);
   }
 
   /**
-   * Get selected row IDs
-   * @returns {Array} Array of selected row IDs
+   * Get the columns that are currently rendered
+   * @returns {Array} Visible column definitions in display order
    */
-  getSelectedIds() {
-    return this.selectionManager ? this.selectionManager.getSelectedIds() : [];
+  getVisibleColumns() {
+    return this.columnManager.getVisibleColumns();
   }
 
   /**
-   * Programmatically select rows by ID
-   * @param {String|Array} rowIds - Single row ID or array of row IDs
+   * Move a column to a new position
+   * @param {string} columnName - Column name
+   * @param {number} toIndex - Target index among all columns (hidden columns included)
+   * @returns {Promise<boolean>} True if the column moved
    */
-  selectRows(rowIds) {
-    if (this.selectionManager) {
-      this.selectionManager.selectRows(rowIds);
+  async moveColumn(columnName, toIndex) {
+    const result = this.columnManager.moveColumn(columnName, toIndex);
+    if (!result) {
+      return false;
     }
+
+    await this._renderLocalChanges();
+
+    this.eventManager.trigger('columnReorder', {
+      column: columnName,
+      fromIndex: result.fromIndex,
+      toIndex: result.toIndex,
+      order: this.columnManager.getColumns().map(col => col.name)
+    });
+    return true;
   }
 
   /**
-   * Programmatically deselect rows by ID
-   * @param {String|Array} rowIds - Single row ID or array of row IDs
+   * Get the width of a column
+   * @param {string} columnName - Column name
+   * @returns {number|string|null} Configured width, the rendered pixel width when none is configured, or null
    */
-  deselectRows(rowIds) {
-    if (this.selectionManager) {
-      this.selectionManager.deselectRows(rowIds);
+  getColumnWidth(columnName) {
+    const width = this.columnManager.getColumnWidth(columnName);
+    if (width !== null) return width;
+
+    const th = Array.from(this.container.querySelectorAll('.tablix-th[data-column]'))
+      .find(header => header.dataset.column === columnName);
+    return th && th.offsetWidth > 0 ? th.offsetWidth : null;
+  }
+
+  /**
+   * Get the widths of all columns
+   * @returns {Object} { columnName: width }
+   */
+  getColumnWidths() {
+    const widths = {};
+    this.columnManager.getColumns().forEach(col => {
+      widths[col.name] = this.getColumnWidth(col.name);
+    });
+    return widths;
+  }
+
+  /**
+   * Set the width of a column
+   * @param {string} columnName - Column name
+   * @param {number|string|null} width - Pixels (clamped to minWidth/maxWidth), a CSS width, or null for automatic
+   * @returns {Promise<boolean>} True if the width changed
+   */
+  async setColumnWidth(columnName, width) {
+    const result = this.columnManager.setColumnWidth(columnName, width);
+    if (!result) {
+      return false;
+    }
+
+    // Resize in place when possible so scroll position, focus and open menus are kept
+    if (!this.renderer.updateColumnWidths()) {
+      await this._renderLocalChanges();
     }
+
+    this.eventManager.trigger('columnResize', {
+      column: columnName,
+      width: result.width,
+      oldWidth: result.oldWidth
+    });
+    return true;
   }
 
   /**
-   * Clear all selections
+   * Fit a column to the width of its header and rendered cells
+   * @param {string} columnName - Column name
+   * @returns {Promise<boolean>} True if the width changed
    */
-  clearSelection() {
-    if (this.selectionManager) {
-      this.selectionManager.clearSelection();
+  async autoFitColumn(columnName) {
+    if (!this.columnResizeManager || !this.columnManager.isColumnVisible(columnName)) {
+      return false;
     }
+    return this.setColumnWidth(columnName, this.columnResizeManager.measureColumnWidth(columnName));
   }
 
   /**
-   * Check if a row is selected
-   * @param {String} rowId - Row ID to check
-   * @returns {Boolean} True if row is selected
+   * Pin a column so it stays visible while scrolling horizontally
+   * @param {string} columnName - Column name
+   * @param {string} side - 'left' (default) or 'right'
+   * @returns {Promise<boolean>} True if the column's pinned side changed
    */
-  isRowSelected(rowId) {
-    return this.selectionManager ? this.selectionManager.isRowSelected(rowId) : false;
+  async pinColumn(columnName, side = 'left') {
+    return this._setColumnPinned(columnName, side);
   }
 
   /**
-   * Get selection count
-   * @returns {Number} Number of selected rows
+   * Unpin a column
+   * @param {string} columnName - Column name
+   * @returns {Promise<boolean>} True if the column was pinned
    */
-  getSelectionCount() {
-    return this.selectionManager ? this.selectionManager.getSelectionCount() : 0;
+  async unpinColumn(columnName) {
+    return this._setColumnPinned(columnName, null);
   }
 
   /**
-   * Enable selection
+   * Get the side a column is pinned to
+   * @param {string} columnName - Column name
+   * @returns {string|null} 'left', 'right' or null
    */
-  enableSelection() {
-    if (this.selectionManager) {
-      this.selectionManager.enable();
-    }
+  getColumnPinned(columnName) {
+    return this.columnManager.getPinnedSide(columnName);
   }
 
   /**
-   * Disable selection
+   * Change the pinned side of a column and re-render
+   * @private
    */
-  disableSelection() {
-    if (this.selectionManager) {
-      this.selectionManager.disable();
+  async _setColumnPinned(columnName, side) {
+    if (!this.columnManager.setColumnPinned(columnName, side)) {
+      return false;
     }
+
+    await this._renderLocalChanges();
+
+    this.eventManager.trigger('columnPin', {
+      column: columnName,
+      pinned: side
+    });
+    return true;
   }
 
   /**
-   * Set selection mode
-   * @param {String} mode - 'single' or 'multi'
+   * Change column visibility and re-render
+   * @private
    */
-  setSelectionMode(mode) {
-    if (this.selectionManager) {
-      this.selectionManager.setMode(mode);
+  async _setColumnVisibility(columnName, visible) {
+    if (!this.columnManager.setColumnVisibility(columnName, visible)) {
+      return false;
     }
+
+    await this._renderLocalChanges();
+
+    this.eventManager.trigger('afterColumnVisibilityChange', {
+      column: columnName,
+      visible,
+      visibleColumns: this.columnManager.getVisibleColumns().map(col => col.name)
+    });
+    return true;
   }
 
+  // ===== GROUPING API =====
+
   /**
-   * Select all rows (currently visible/filtered rows)
-   * This will select all rows that are currently visible based on applied filters and search
-   * @returns {Number} Number of rows selected
+   * Group rows by one or more columns
+   * @param {string|Array<string>|null} columns - Column name(s), outermost group first; empty to ungroup
+   * @returns {Promise<boolean>} True if the grouping changed
    */
-  selectAllRows() {
-    if (!this.selectionManager) {
-      console.warn('TablixJS: Selection is not enabled. Set selection.enabled to true in options.');
-      return 0;
+  async groupBy(columns) {
+    if (this.dataManager.isTree()) {
+      console.warn('TablixJS: Row grouping is not available for tree data.');
+      return false;
     }
 
-    // Get currently visible/filtered data
-    const allData = this.getData();
-    
-    if (allData.length === 0) {
-      console.warn('TablixJS: No rows available to select.');
-      return 0;
+    const unknown = (Array.isArray(columns) ? columns : [columns])
+      .filter(column => column && !this.columnManager.getColumn(column));
+    if (unknown.length > 0) {
+      console.warn(`TablixJS: Cannot group by unknown column(s): ${unknown.join(', ')}`);
+      return false;
     }
 
-    // Extract all IDs from current data
-    const dataIdKey = this.options.selection.dataIdKey || 'id';
-    const allIds = allData.map(row => String(row[dataIdKey]));
+    if (!this.dataManager.setGroupBy(columns)) {
+      return false;
+    }
 
-    // Select all rows
-    this.selectionManager.selectRows(allIds);
+    // Regroup (or restore the ungrouped order) and start from the first page
+    this.dataManager.refreshView();
+    if (this.paginationManager && !this._isServerMode()) {
+      await this.paginationManager.resetToFirstPage();
+    } else {
+      await this._renderLocalChanges();
+    }
 
-    // Trigger custom event for select all action
-    this.eventManager.trigger('selectAll', { 
-      selectedIds: allIds, 
-      selectedData: allData,
-      count: allData.length 
+    this.eventManager.trigger('afterGroup', {
+      groupBy: this.dataManager.getGroupBy(),
+      groups: this.dataManager.getGroups()
     });
-
-    return allData.length;
+    return true;
   }
 
-  // ===== LOCALIZATION API =====
+  /**
+   * Remove row grouping
+   * @returns {Promise<boolean>} True if rows were grouped
+   */
+  async ungroup() {
+    return this.groupBy([]);
+  }
 
   /**
-   * Get localized string by key
-   * @param {string} key - Translation key (e.g., 'pagination.next')
-   * @param {Object} params - Parameters to substitute in the translation
-   * @returns {string} Localized string
+   * @returns {Array<string>} Columns rows are grouped by, outermost first
    */
-  t(key, params = {}) {
-    return this.localization.t(key, params);
+  getGroupBy() {
+    return this.dataManager.getGroupBy();
   }
 
   /**
-   * Set the current language
-   * @param {string} language - Language code (e.g., 'en', 'fr', 'es')
+   * Get the groups of the current (filtered) rows
+   * @returns {Array} Group tree: { key, path, column, value, level, count, rows, collapsed, groups }
    */
-  setLanguage(language) {
-    // Close any open filter dropdowns before changing language
-    if (this.filterUI && this.filterUI.activeDropdown) {
-      this.filterUI.closeAllDropdowns();
-    }
-    
-    this.localization.setLanguage(language);
-    this.options.language = language;
-    
-    // Ensure language translations are available
-    this.ensureLanguageTranslations(language);
-    
-    // Re-render table to apply new translations
-    this.refreshTable();
+  getGroups() {
+    return this.dataManager.getGroups();
+  }
+
+  /**
+   * Expand a group
+   * @param {*|Array} path - Group value, or the values from the outermost group down for nested groups
+   * @returns {Promise<boolean>} True if the group was collapsed
+   */
+  async expandGroup(path) {
+    return this._setGroupCollapsed(this.dataManager.getGroupKey(path), false);
+  }
+
+  /**
+   * Collapse a group
+   * @param {*|Array} path - Group value, or the values from the outermost group down for nested groups
+   * @returns {Promise<boolean>} True if the group was expanded
+   */
+  async collapseGroup(path) {
+    return this._setGroupCollapsed(this.dataManager.getGroupKey(path), true);
+  }
+
+  /**
+   * Toggle a group
+   * @param {*|Array} path - Group value, or the values from the outermost group down for nested groups
+   * @returns {Promise<boolean>}
+   */
+  async toggleGroup(path) {
+    return this._toggleGroupByKey(this.dataManager.getGroupKey(path));
+  }
+
+  /**
+   * Expand all groups
+   * @returns {Promise<void>}
+   */
+  async expandAll() {
+    await this._setAllGroupsCollapsed(false);
+  }
+
+  /**
+   * Collapse all groups
+   * @returns {Promise<void>}
+   */
+  async collapseAll() {
+    await this._setAllGroupsCollapsed(true);
+  }
+
+  /**
+   * Toggle the group with the given key (used by group header clicks)
+   * @private
+   */
+  async _toggleGroupByKey(key) {
+    return this._setGroupCollapsed(key, !this.dataManager.isGroupCollapsed(key));
+  }
+
+  /**
+   * Expand or collapse one group and re-render
+   * @private
+   */
+  async _setGroupCollapsed(key, collapsed) {
+    if (!this.dataManager.isGrouped() || !this.dataManager.setGroupCollapsed(key, collapsed)) {
+      return false;
+    }
+
+    await this._renderGroupChanges();
+
+    const group = this._findGroup(key);
+    this.eventManager.trigger(collapsed ? 'groupCollapse' : 'groupExpand', {
+      key,
+      column: group ? group.column : null,
+      value: group ? group.value : null,
+      path: group ? group.path : null,
+      all: false
+    });
+    return true;
+  }
+
+  /**
+   * Expand or collapse all groups and re-render
+   * @private
+   */
+  async _setAllGroupsCollapsed(collapsed) {
+    this.dataManager.setAllGroupsCollapsed(collapsed);
+    if (!this.dataManager.isGrouped()) return;
+
+    await this._renderGroupChanges();
+
+    this.eventManager.trigger(collapsed ? 'groupCollapse' : 'groupExpand', {
+      key: null,
+      column: null,
+      value: null,
+      path: null,
+      all: true
+    });
+  }
+
+  /**
+   * Re-render after groups were expanded or collapsed (the page count changes with them)
+   * @private
+   */
+  async _renderGroupChanges() {
+    if (this.paginationManager && !this._isServerMode()) {
+      this.paginationManager.updatePaginationInfo();
+    }
+    await this._renderLocalChanges();
+  }
+
+  /**
+   * Find a group in the group tree by key
+   * @private
+   */
+  _findGroup(key, groups = this.dataManager.getGroups()) {
+    for (const group of groups) {
+      if (group.key === key) return group;
+      const found = group.groups && this._findGroup(key, group.groups);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // ===== AGGREGATION API =====
+
+  /**
+   * Get the footer aggregates of all columns that define one
+   * Uses the configured scope ('filtered' or 'page') and server totals when provided.
+   * @returns {Object} { columnName: value }
+   */
+  getAggregates() {
+    const pageRows = this.paginationManager ? this.paginationManager.getCurrentPageData() : null;
+    return this.aggregationManager.getAggregates(pageRows);
+  }
+
+  // ===== EXPORT API =====
+
+  /**
+   * Export rows with a registered writer, as a file download and/or returned content
+   * Excel files keep numbers, dates and currencies as native cell types based on the column formats.
+   * @param {Object} options - Export options, defaults from the `export` table options
+   * @param {string} options.format - 'csv', 'tsv', 'json', 'html', 'markdown', 'xlsx' or a registered writer
+   * @param {string} options.scope - 'all', 'filtered' (default), 'page' or 'selected'
+   * @param {string} options.filename - File name without extension
+   * @param {boolean} options.download - false to only return the content
+   * @param {boolean} options.header - Include the column titles
+   * @param {boolean} options.formatted - Formatted instead of raw values
+   * @param {boolean} options.visibleOnly - Skip hidden columns
+   * @param {string} options.delimiter - CSV/TSV field delimiter
+   * @param {boolean} options.bom - Prepend a UTF-8 BOM to text formats
+   * @param {string} options.sheetName - XLSX worksheet name
+   * @returns {Promise<string|Blob|null>} Exported content (a Blob for binary formats), or null if nothing was exported
+   */
+  async export(options = {}) {
+    return this.exportManager.export(options);
+  }
+
+  /**
+   * Register a custom export writer
+   * @param {string} name - Format name
+   * @param {Object} writer - { write(context) => string | Uint8Array | Blob, extension, mimeType, binary, label }
+   */
+  registerExportWriter(name, writer) {
+    this.exportManager.registerWriter(name, writer);
+  }
+
+  /**
+   * @returns {Array<string>} Registered export formats
+   */
+  getExportFormats() {
+    return this.exportManager.getFormats();
+  }
+
+  // ===== IMPORT API =====
+
+  /**
+   * Import a CSV, TSV or JSON file or string into the table
+   * Column types are inferred from the values: numbers, dates and booleans get a matching sort type and format.
+   * @param {File|Blob|string} source - File/Blob (e.g. from a file input or drop event) or text
+   * @param {Object} options - Import options, defaults from the `import` table options
+   * @param {string} options.format - 'csv', 'tsv' or 'json'; detected when not set
+   * @param {string} options.delimiter - CSV field delimiter; detected when not set
+   * @param {boolean} options.header - First CSV row holds the field names
+   * @param {string|Object} options.columns - 'infer' (build columns from the fields), 'keep' (only fields
+   *   matching existing columns) or a mapping { sourceField: columnName | columnDefinition }
+   * @param {string} options.mode - 'replace' or 'append'
+   * @param {number} options.sampleSize - Rows inspected for type inference
+   * @returns {Promise<Object|null>} { rows, columns, format }, or null if the import failed
+   */
+  async importData(source, options = {}) {
+    return this.importManager.import(source, options);
+  }
+
+  // ===== PRINT API =====
+
+  /**
+   * Print the table without controls, with the header row repeated on every printed page
+   * Cells are formatted like the table (column formats and renderers).
+   * @param {Object} options - Print options, defaults from the `print` table options
+   * @param {string} options.scope - 'all', 'filtered' (default) or 'page'
+   * @param {string} options.title - Heading above the table
+   * @param {boolean} options.visibleOnly - false to print hidden columns too
+   * @param {boolean} options.footer - Print the footer aggregates
+   * @param {string} options.orientation - 'portrait' or 'landscape'
+   * @param {string} options.styles - Extra CSS for the printed document
+   * @returns {boolean} True if the print dialog was opened
+   */
+  print(options = {}) {
+    return this.printManager.print(options);
+  }
+
+  // ===== DETAIL ROW API =====
+
+  /**
+   * Expand a row's detail row
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @returns {Promise<boolean>} True if the row was collapsed
+   */
+  async expandRow(id) {
+    return this._setRowExpanded(id, true);
+  }
+
+  /**
+   * Collapse a row's detail row
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @returns {Promise<boolean>} True if the row was expanded
+   */
+  async collapseRow(id) {
+    return this._setRowExpanded(id, false);
+  }
+
+  /**
+   * Toggle a row's detail row
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @returns {Promise<boolean>}
+   */
+  async toggleRow(id) {
+    return this._setRowExpanded(id, !this.isRowExpanded(id));
+  }
+
+  /**
+   * Collapse all expanded rows
+   * @returns {Promise<void>}
+   */
+  async collapseAllRows() {
+    if (!this.detailRowManager) return;
+    for (const id of this.detailRowManager.getExpandedIds()) {
+      await this._setRowExpanded(id, false);
+    }
+  }
+
+  /**
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @returns {boolean} True if the row is expanded
+   */
+  isRowExpanded(id) {
+    return !!this.detailRowManager && this.detailRowManager.isExpandedId(id);
+  }
+
+  /**
+   * @returns {Array<string>} Ids of expanded rows
+   */
+  getExpandedRows() {
+    return this.detailRowManager ? this.detailRowManager.getExpandedIds() : [];
+  }
+
+  /**
+   * Expand or collapse a row and trigger rowExpand/rowCollapse
+   * @private
+   */
+  async _setRowExpanded(id, expanded) {
+    const detailRowManager = this.detailRowManager;
+    if (!detailRowManager || !detailRowManager.isEnabled()) {
+      console.warn('TablixJS: Detail rows are not enabled. Set detailRows.detailRenderer in options.');
+      return false;
+    }
+
+    const rowId = String(id);
+    if (detailRowManager.isExpandedId(rowId) === expanded) {
+      return false;
+    }
+
+    const rowData = detailRowManager.findRow(rowId);
+    if (expanded && !detailRowManager.isExpandable(rowData)) {
+      return false;
+    }
+
+    if (expanded && !detailRowManager.options.multiple) {
+      for (const otherId of detailRowManager.getExpandedIds()) {
+        await this._setRowExpanded(otherId, false);
+      }
+    }
+
+    detailRowManager.setExpanded(rowId, expanded, rowData);
+    this.eventManager.trigger(expanded ? 'rowExpand' : 'rowCollapse', { rowId, rowData });
+    return true;
+  }
+
+  // ===== TREE API =====
+
+  /**
+   * Expand a tree row, loading its children first when they are loaded lazily
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @returns {Promise<boolean>} True if the row was collapsed
+   */
+  async expandNode(id) {
+    return this._setNodeExpanded(id, true);
+  }
+
+  /**
+   * Collapse a tree row
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @returns {Promise<boolean>} True if the row was expanded
+   */
+  async collapseNode(id) {
+    return this._setNodeExpanded(id, false);
+  }
+
+  /**
+   * Toggle a tree row
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @returns {Promise<boolean>}
+   */
+  async toggleNode(id) {
+    return this._setNodeExpanded(id, !this.isNodeExpanded(id));
+  }
+
+  /**
+   * Expand all tree rows whose children are loaded
+   * @returns {Promise<void>}
+   */
+  async expandAllNodes() {
+    await this._setAllNodesExpanded(true);
+  }
+
+  /**
+   * Collapse all tree rows
+   * @returns {Promise<void>}
+   */
+  async collapseAllNodes() {
+    await this._setAllNodesExpanded(false);
+  }
+
+  /**
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @returns {boolean} True if the tree row is expanded
+   */
+  isNodeExpanded(id) {
+    if (!this.dataManager.isTree()) return false;
+    const row = this.treeManager.findRow(String(id));
+    return !!row && this.treeManager.isExpanded(row);
+  }
+
+  /**
+   * Expand or collapse a tree row and trigger nodeExpand/nodeCollapse
+   * @private
+   */
+  async _setNodeExpanded(id, expanded) {
+    if (!this.dataManager.isTree()) {
+      console.warn('TablixJS: Tree data is not enabled. Set tree in options.');
+      return false;
+    }
+
+    const rowId = String(id);
+    const rowData = this.treeManager.findRow(rowId);
+    if (!rowData || !await this.treeManager.setExpanded(rowData, expanded)) {
+      return false;
+    }
+
+    await this._renderTreeChanges();
+    this.eventManager.trigger(expanded ? 'nodeExpand' : 'nodeCollapse', { rowId, rowData });
+    return true;
+  }
+
+  /**
+   * Expand or collapse all tree rows and re-render
+   * @private
+   */
+  async _setAllNodesExpanded(expanded) {
+    if (!this.dataManager.isTree()) return;
+
+    this.treeManager.setAllExpanded(expanded);
+    await this._renderTreeChanges();
+    this.eventManager.trigger(expanded ? 'nodeExpand' : 'nodeCollapse', { rowId: null, rowData: null, all: true });
+  }
+
+  /**
+   * Rebuild the visible tree rows and re-render, keeping the page (or scroll position)
+   * @private
+   */
+  async _renderTreeChanges() {
+    this.dataManager.refreshView();
+
+    if (this.virtualScrollManager && this.virtualScrollManager.isEnabled()) {
+      this.virtualScrollManager.updateData(this.dataManager.getDisplayRows());
+      this.renderer.updateFooter();
+      return;
+    }
+
+    await this._renderGroupChanges();
+  }
+
+  // ===== ROW API =====
+
+  /**
+   * Add a row without reloading the table
+   * Active filters, search and sorting are re-applied and the current page is kept.
+   * @param {Object} row - Row data (should contain the `selection.dataIdKey` property)
+   * @param {number} [index] - Position in the full data set (appended when omitted)
+   * @returns {Promise<Object>} The added row
+   */
+  async addRow(row, index) {
+    const idKey = (this.options.selection && this.options.selection.dataIdKey) || 'id';
+    if (row[idKey] === undefined) {
+      console.warn(`TablixJS: Added row has no "${idKey}" value and cannot be updated or removed by id.`);
+    }
+
+    this.dataManager.addRow(row, index);
+    await this._renderLocalChanges();
+
+    this.eventManager.trigger('afterRowAdd', { row, index: this.dataManager.originalData.indexOf(row) });
+    return row;
+  }
+
+  /**
+   * Update a row by id
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @param {Object} values - Values to merge into the row
+   * @returns {Promise<Object|null>} The updated row or null if not found
+   */
+  async updateRow(id, values) {
+    const result = this.dataManager.updateRow(id, values);
+    if (!result) {
+      console.warn(`TablixJS: Row with id "${id}" not found.`);
+      return null;
+    }
+
+    await this._renderLocalChanges();
+
+    this.eventManager.trigger('afterRowUpdate', { id, row: result.row, values, oldValues: result.oldValues });
+    return result.row;
+  }
+
+  /**
+   * Remove a row by id
+   * @param {*} id - Row id (`selection.dataIdKey` value)
+   * @returns {Promise<Object|null>} The removed row or null if not found
+   */
+  async removeRow(id) {
+    const index = this.dataManager.originalData.indexOf(this.dataManager.findRowById(id));
+    const row = this.dataManager.removeRow(id);
+    if (!row) {
+      console.warn(`TablixJS: Row with id "${id}" not found.`);
+      return null;
+    }
+
+    // Removed rows can no longer be selected
+    if (this.selectionManager && this.selectionManager.isRowSelected(String(id))) {
+      this.selectionManager.deselectRows([String(id)]);
+    }
+
+    await this._renderLocalChanges();
+
+    this.eventManager.trigger('afterRowRemove', { id, row, index });
+    return row;
+  }
+
+  /**
+   * Re-render after a local row or column change
+   * In server mode the loaded page is re-rendered as is; a server reload would discard the change.
+   * @private
+   */
+  async _renderLocalChanges() {
+    if (this._isServerMode()) {
+      this.renderer.renderTable(this.dataManager.getDisplayRows());
+    } else {
+      await this.refreshTable();
+    }
+  }
+
+  /**
+   * Get rows inserted, updated (including inline edits) and deleted since the last commit
+   * @returns {Object} { inserted: [], updated: [], deleted: [] }
+   */
+  getChanges() {
+    return this.dataManager.getChanges();
+  }
+
+  /**
+   * Check if there are uncommitted row changes
+   * @returns {boolean}
+   */
+  hasChanges() {
+    return this.dataManager.hasChanges();
+  }
+
+  /**
+   * Accept all pending changes (e.g. after they were saved to the server)
+   * @returns {Object} The committed changes
+   */
+  commitChanges() {
+    const changes = this.dataManager.commitChanges();
+    this.eventManager.trigger('changesCommitted', changes);
+    return changes;
+  }
+
+  /**
+   * Discard all pending changes and restore the last committed data
+   * @returns {Promise<Object>} The reverted changes
+   */
+  async revertChanges() {
+    const changes = this.dataManager.revertChanges();
+    await this._renderLocalChanges();
+    this.eventManager.trigger('changesReverted', changes);
+    return changes;
+  }
+
+  /**
+   * Get table options
+   */
+  getOptions() {
+    return this.options;
+  }
+
+  /**
+   * Update table options
+   */
+  async setOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+    
+    // Update pagination options if provided
+    if (newOptions.pagination && this.paginationManager) {
+      this.paginationManager.options = { ...this.paginationManager.options, ...newOptions.pagination };
+    }
+    
+    // Update selection options if provided
+    if (newOptions.selection && this.selectionManager) {
+      this.selectionManager.options = { ...this.selectionManager.options, ...newOptions.selection };
+      
+      // Re-initialize if enabled state changed
+      if (newOptions.selection.enabled !== undefined) {
+        if (newOptions.selection.enabled) {
+          this.selectionManager.enable();
+        } else {
+          this.selectionManager.disable();
+        }
+      }
+      
+      // Update mode if provided
+      if (newOptions.selection.mode) {
+        this.selectionManager.setMode(newOptions.selection.mode);
+      }
+    }
+    
+    await this.refreshTable();
+  }
+
+  // ===== SELECTION API =====
+
+  /**
+   * Get selected row data
+   * @returns {Array} Array of selected row data objects
+   */
+  getSelectedData() {
+    return this.selectionManager ? this.selectionManager.getSelectedData() : [];
+  }
+
+  /**
+   * Get selected row IDs
+   * @returns {Array} Array of selected row IDs
+   */
+  getSelectedIds() {
+    return this.selectionManager ? this.selectionManager.getSelectedIds() : [];
+  }
+
+  /**
+   * Programmatically select rows by ID
+   * @param {String|Array} rowIds - Single row ID or array of row IDs
+   */
+  selectRows(rowIds) {
+    if (this.selectionManager) {
+      this.selectionManager.selectRows(rowIds);
+    }
+  }
+
+  /**
+   * Programmatically deselect rows by ID
+   * @param {String|Array} rowIds - Single row ID or array of row IDs
+   */
+  deselectRows(rowIds) {
+    if (this.selectionManager) {
+      this.selectionManager.deselectRows(rowIds);
+    }
+  }
+
+  /**
+   * Clear all selections
+   */
+  clearSelection() {
+    if (this.selectionManager) {
+      this.selectionManager.clearSelection();
+    }
+  }
+
+  /**
+   * Check if a row is selected
+   * @param {String} rowId - Row ID to check
+   * @returns {Boolean} True if row is selected
+   */
+  isRowSelected(rowId) {
+    return this.selectionManager ? this.selectionManager.isRowSelected(rowId) : false;
+  }
+
+  /**
+   * Get selection count
+   * @returns {Number} Number of selected rows
+   */
+  getSelectionCount() {
+    return this.selectionManager ? this.selectionManager.getSelectionCount() : 0;
+  }
+
+  /**
+   * Enable selection
+   */
+  enableSelection() {
+    if (this.selectionManager) {
+      this.selectionManager.enable();
+    }
+  }
+
+  /**
+   * Disable selection
+   */
+  disableSelection() {
+    if (this.selectionManager) {
+      this.selectionManager.disable();
+    }
+  }
+
+  /**
+   * Set selection mode
+   * @param {String} mode - 'single' or 'multi'
+   */
+  setSelectionMode(mode) {
+    if (this.selectionManager) {
+      this.selectionManager.setMode(mode);
+    }
+  }
+
+  /**
+   * Select all rows (currently visible/filtered rows)
+   * This will select all rows that are currently visible based on applied filters and search
+   * @returns {Number} Number of rows selected
+   */
+  selectAllRows() {
+    if (!this.selectionManager) {
+      console.warn('TablixJS: Selection is not enabled. Set selection.enabled to true in options.');
+      return 0;
+    }
+
+    // Get currently visible/filtered data
+    const allData = this.getData();
+    
+    if (allData.length === 0) {
+      console.warn('TablixJS: No rows available to select.');
+      return 0;
+    }
+
+    // Extract all IDs from current data
+    const dataIdKey = this.options.selection.dataIdKey || 'id';
+    const allIds = allData.map(row => String(row[dataIdKey]));
+
+    // Select all rows
+    this.selectionManager.selectRows(allIds);
+
+    // Trigger custom event for select all action
+    this.eventManager.trigger('selectAll', { 
+      selectedIds: allIds, 
+      selectedData: allData,
+      count: allData.length 
+    });
+
+    return allData.length;
+  }
+
+  // ===== EDITING API =====
+
+  /**
+   * Open the inline editor for a cell
+   * @param {number} rowIndex - Row index in the current (filtered/sorted) data
+   * @param {string} columnName - Column name
+   * @returns {Promise<boolean>} Whether the editor was opened
+   */
+  async editCell(rowIndex, columnName) {
+    if (!this.editManager || !this.editManager.options.enabled) {
+      console.warn('TablixJS: Editing is not enabled. Set editing.enabled to true in options.');
+      return false;
+    }
+    return this.editManager.startEdit(rowIndex, columnName);
+  }
+
+  /**
+   * Validate and save the open editor
+   * @returns {Promise<boolean>} False when validation failed
+   */
+  async commitEdit() {
+    return this.editManager ? this.editManager.commitEdit() : true;
+  }
+
+  /**
+   * Close the open editor without saving
+   */
+  cancelEdit() {
+    if (this.editManager) {
+      this.editManager.cancelEdit();
+    }
+  }
+
+  /**
+   * Check if a cell editor is open
+   * @returns {boolean}
+   */
+  isEditing() {
+    return this.editManager ? this.editManager.isEditing() : false;
+  }
+
+  // ===== STATE API =====
+
+  /**
+   * Get a snapshot of the current view state
+   * When stateSave is enabled the snapshot is also written to the configured storage.
+   * @returns {Object} { version, page, pageSize, sorts, filters, search, columns, selection }
+   */
+  saveState() {
+    return this.stateManager.save();
+  }
+
+  /**
+   * Restore a view state snapshot
+   * @param {Object} [snapshot] - Snapshot from saveState(); read from storage when omitted
+   * @returns {Promise<boolean>} True if a snapshot was restored
+   */
+  async restoreState(snapshot = null) {
+    const state = snapshot || this.stateManager.loadSaved();
+    if (!state || !this.stateManager.applySnapshot(state)) {
+      return false;
+    }
+
+    await this.refreshTable();
+
+    if (this.filterManager) {
+      this.filterManager.updateFilterIndicators();
+    }
+    this._restoreSelection(state.selection);
+
+    this.eventManager.trigger('stateRestored', { state });
+    return true;
+  }
+
+  /**
+   * Remove the persisted view state from storage
+   */
+  clearSavedState() {
+    this.stateManager.clearSaved();
+  }
+
+  /**
+   * Replace the selection with saved row ids
+   * @private
+   */
+  _restoreSelection(ids) {
+    if (!this.selectionManager || !this.selectionManager.options.enabled || !Array.isArray(ids)) {
+      return;
+    }
+
+    this.selectionManager.selectedRows.clear();
+    if (ids.length > 0) {
+      this.selectionManager.selectRows(this.selectionManager.options.mode === 'single' ? ids.slice(0, 1) : ids);
+    } else {
+      this.selectionManager.updateUI();
+    }
+  }
+
+  // ===== HISTORY API =====
+
+  /**
+   * Undo the last sort, filter, page size or data change
+   * @returns {Promise<boolean>} True if something was undone
+   */
+  async undo() {
+    if (!this.historyManager || !this.historyManager.options.enabled) {
+      console.warn('TablixJS: History is not enabled. Set history.enabled to true in options.');
+      return false;
+    }
+    return this.historyManager.undo();
+  }
+
+  /**
+   * Redo the last undone change
+   * @returns {Promise<boolean>} True if something was redone
+   */
+  async redo() {
+    if (!this.historyManager || !this.historyManager.options.enabled) {
+      console.warn('TablixJS: History is not enabled. Set history.enabled to true in options.');
+      return false;
+    }
+    return this.historyManager.redo();
+  }
+
+  /**
+   * Check if there is something to undo
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.historyManager ? this.historyManager.canUndo() : false;
+  }
+
+  /**
+   * Check if there is something to redo
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.historyManager ? this.historyManager.canRedo() : false;
+  }
+
+  /**
+   * Clear undo/redo history
+   */
+  clearHistory() {
+    if (this.historyManager) {
+      this.historyManager.clear();
+    }
+  }
+
+  /**
+   * Get undo/redo state
+   * @returns {Object} { canUndo, canRedo, undoCount, redoCount, depth }
+   */
+  getHistoryState() {
+    return this.historyManager ? this.historyManager.getState() : 
+      { canUndo: false, canRedo: false, undoCount: 0, redoCount: 0, depth: 0 };
+  }
+
+  // ===== LOCALIZATION API =====
+
+  /**
+   * Get localized string by key
+   * @param {string} key - Translation key (e.g., 'pagination.next')
+   * @param {Object} params - Parameters to substitute in the translation
+   * @returns {string} Localized string
+   */
+  t(key, params = {}) {
+    return this.localization.t(key, params);
+  }
+
+  /**
+   * Set the current language
+   * @param {string} language - Language code (e.g., 'en', 'fr', 'es')
+   */
+  setLanguage(language) {
+    // Close any open filter dropdowns before changing language
+    if (this.filterUI && this.filterUI.activeDropdown) {
+      this.filterUI.closeAllDropdowns();
+    }
+    
+    this.localization.setLanguage(language);
+    this.options.language = language;
+    
+    // Ensure language translations are available
+    this.ensureLanguageTranslations(language);
+    
+    // Re-render table to apply new translations
+    this.refreshTable();
   }
 
   /**
@@ -1008,6 +2233,39 @@ export default class Table {
    * Destroy the table and clean up all resources
    */
   destroy() {
+    // Stop persisting view state before managers tear down their state
+    if (this.stateManager) {
+      this.stateManager.destroy();
+    }
+
+    if (this.urlSyncManager) {
+      this.urlSyncManager.destroy();
+    }
+
+    if (this.renderer) {
+      this.renderer.destroy();
+    }
+
+    if (this.columnResizeManager) {
+      this.columnResizeManager.destroy();
+    }
+
+    if (this.stickyHeaderManager) {
+      this.stickyHeaderManager.destroy();
+    }
+
+    if (this.aggregationManager) {
+      this.aggregationManager.destroy();
+    }
+
+    if (this.detailRowManager) {
+      this.detailRowManager.destroy();
+    }
+
+    if (this.treeManager) {
+      this.treeManager.destroy();
+    }
+
     // Clean up virtual scrolling
     if (this.virtualScrollManager) {
       this.virtualScrollManager.destroy();
@@ -1034,6 +2292,26 @@ export default class Table {
       this.paginationManager.destroy && this.paginationManager.destroy();
     }
 
+    if (this.editManager) {
+      this.editManager.destroy();
+    }
+
+    if (this.historyManager) {
+      this.historyManager.destroy();
+    }
+
+    if (this.keyboardManager) {
+      this.keyboardManager.destroy();
+    }
+
+    if (this.queryManager) {
+      this.queryManager.destroy();
+    }
+
+    if (this.printManager) {
+      this.printManager.destroy();
+    }
+
     // Clear container
     if (this.container) {
       this.container.innerHTML = '';
@@ -1046,6 +2324,18 @@ export default class Table {
     this.filterManager = null;
     this.sortingManager = null;
     this.paginationManager = null;
+    this.editManager = null;
+    this.historyManager = null;
+    this.urlSyncManager = null;
+    this.stickyHeaderManager = null;
+    this.aggregationManager = null;
+    this.detailRowManager = null;
+    this.treeManager = null;
+    this.exportManager = null;
+    this.importManager = null;
+    this.printManager = null;
+    this.keyboardManager = null;
+    this.queryManager = null;
     this.dataManager = null;
     this.renderer = null;
     this.eventManager = null;
@@ -1055,6 +2345,39 @@ export default class Table {
    * Destroy table and clean up event listeners
    */
   destroy() {
+    // Stop persisting view state before managers tear down their state
+    if (this.stateManager) {
+      this.stateManager.destroy();
+    }
+
+    if (this.urlSyncManager) {
+      this.urlSyncManager.destroy();
+    }
+
+    if (this.renderer) {
+      this.renderer.destroy();
+    }
+
+    if (this.columnResizeManager) {
+      this.columnResizeManager.destroy();
+    }
+
+    if (this.stickyHeaderManager) {
+      this.stickyHeaderManager.destroy();
+    }
+
+    if (this.aggregationManager) {
+      this.aggregationManager.destroy();
+    }
+
+    if (this.detailRowManager) {
+      this.detailRowManager.destroy();
+    }
+
+    if (this.treeManager) {
+      this.treeManager.destroy();
+    }
+
     // Clean up any event listeners
     const paginationContainer = this.container.querySelector('.tablix-pagination');
     if (paginationContainer) {
@@ -1066,6 +2389,26 @@ export default class Table {
       this.selectionManager.destroy();
     }
 
+    if (this.editManager) {
+      this.editManager.destroy();
+    }
+
+    if (this.historyManager) {
+      this.historyManager.destroy();
+    }
+
+    if (this.keyboardManager) {
+      this.keyboardManager.destroy();
+    }
+
+    if (this.queryManager) {
+      this.queryManager.destroy();
+    }
+
+    if (this.printManager) {
+      this.printManager.destroy();
+    }
+
     // Clear container
     this.container.innerHTML = '';
     
@@ -1076,5 +2419,17 @@ export default class Table {
     this.paginationManager = null;
     this.sortingManager = null;
     this.selectionManager = null;
+    this.editManager = null;
+    this.historyManager = null;
+    this.urlSyncManager = null;
+    this.stickyHeaderManager = null;
+    this.aggregationManager = null;
+    this.detailRowManager = null;
+    this.treeManager = null;
+    this.exportManager = null;
+    this.importManager = null;
+    this.printManager = null;
+    this.keyboardManager = null;
+    this.queryManager = null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,422 @@
+/**
+ * TreeManager - Hierarchical rows (tree data)
+ *
+ * Features:
+ * - Child rows nested under `childrenKey`, indented under their parent with expand/collapse chevrons
+ * - Children loaded on demand by an async `lazyLoader(row)`
+ * - Filtering and search keep the ancestors of matching rows (and expand them)
+ * - Sorting orders siblings within each parent using SortingManager's sort types
+ *
+ * The visible rows (expanded branches only) are flattened into DataManager's filteredData,
+ * so pagination, selection, editing and virtual scrolling work on them like on flat data.
+ */
+export default class TreeManager {
+  constructor(table, options = null) {
+    this.table = table;
+
+    // Opt-in: passing options (or true) enables tree data unless enabled is false
+    const tree = options === true ? {} : options;
+    this.options = {
+      childrenKey: 'children', // Property holding the child rows
+      lazyLoader: null,        // async (row) => child rows, called the first time a row is expanded
+      hasChildren: null,       // (row) => boolean; default: non-empty children array, or `children: true` for lazy rows
+      expanded: false,         // Start with all loaded rows expanded
+      ...(tree || {}),
+      enabled: !!tree && tree.enabled !== false
+    };
+
+    // Expanded state: ids whose state differs from the default (see expandAll/collapseAll)
+    this.expandedByDefault = !!this.options.expanded;
+    this.toggledRows = new Set();
+
+    // Ancestors of filter matches, shown expanded while the filter is active
+    this.revealedRows = new Set();
+    // Revealed rows the user collapsed; reset when the filter changes
+    this.concealedRows = new Set();
+    this.filterKey = null;
+
+    // Nesting level of each row of the last built view
+    this.levels = new Map();
+
+    // Pending lazy loads: rowId -> Promise<boolean>
+    this.loading = new Map();
+
+    // Bind methods to preserve context
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * @returns {boolean} True if rows are shown as a tree
+   */
+  isEnabled() {
+    return this.options.enabled;
+  }
+
+  /**
+   * Loaded child rows of a row
+   * @param {Object} row - Row data
+   * @returns {Array|null} Child rows, or null if not loaded (or a leaf)
+   */
+  getChildren(row) {
+    const children = row[this.options.childrenKey];
+    return Array.isArray(children) ? children : null;
+  }
+
+  /**
+   * Check if a row has (or may lazily load) child rows
+   * @param {Object} row - Row data
+   * @returns {boolean}
+   */
+  hasChildren(row) {
+    if (typeof this.options.hasChildren === 'function') {
+      return !!this.options.hasChildren(row);
+    }
+    const children = row[this.options.childrenKey];
+    if (Array.isArray(children)) return children.length > 0;
+    return children === true && typeof this.options.lazyLoader === 'function';
+  }
+
+  /**
+   * @param {Object} row - Row data
+   * @returns {boolean} True if the row's children still have to be loaded
+   */
+  needsLoading(row) {
+    return this.hasChildren(row) && !this.getChildren(row) && typeof this.options.lazyLoader === 'function';
+  }
+
+  /**
+   * @param {Object} row - Row data
+   * @returns {boolean} True while the row's children are loading
+   */
+  isLoading(row) {
+    return this.loading.has(this.table.dataManager.getRowId(row));
+  }
+
+  /**
+   * Check if a row is shown expanded
+   * @param {Object} row - Row data
+   * @returns {boolean}
+   */
+  isExpanded(row) {
+    if (!this.getChildren(row) || !this.hasChildren(row)) return false;
+    const rowId = this.table.dataManager.getRowId(row);
+    return this._isOpen(rowId) || (this.revealedRows.has(rowId) && !this.concealedRows.has(rowId));
+  }
+
+  /**
+   * Nesting level of a row in the current view
+   * @param {Object} row - Row data
+   * @returns {number} 0 for top-level rows
+   */
+  getLevel(row) {
+    return this.levels.get(row) || 0;
+  }
+
+  /**
+   * Build the visible rows: siblings sorted, filtered rows dropped unless a descendant matches,
+   * children of expanded rows following their parent
+   * @param {Array} roots - Top-level rows
+   * @param {Function|null} matches - (row) => boolean when filters or search are active
+   * @param {string|null} filterKey - Identifies the active filters; a new key resets collapsed revealed rows
+   * @returns {Array} Flat list of visible rows
+   */
+  buildView(roots, matches = null, filterKey = null) {
+    if (filterKey !== this.filterKey) {
+      this.filterKey = filterKey;
+      this.concealedRows.clear();
+    }
+    this.levels = new Map();
+    this.revealedRows = new Set();
+
+    const dataManager = this.table.dataManager;
+    const rows = [];
+
+    // Appends the kept rows of one sibling list; returns true if any row was kept
+    const collect = (siblings, level, output) => {
+      let kept = false;
+
+      this._sortSiblings(siblings).forEach(row => {
+        const children = this.getChildren(row);
+        const childRows = [];
+        // Without a filter, collapsed branches do not need to be visited
+        const visitChildren = children && children.length > 0 && (matches || this.isExpanded(row));
+        const childMatches = visitChildren ? collect(children, level + 1, childRows) : false;
+
+        if (matches && !matches(row) && !childMatches) return;
+
+        if (matches && childMatches) {
+          this.revealedRows.add(dataManager.getRowId(row));
+        }
+
+        kept = true;
+        this.levels.set(row, level);
+        output.push(row);
+        if (this.isExpanded(row)) {
+          childRows.forEach(child => output.push(child));
+        }
+      });
+
+      return kept;
+    };
+
+    collect(roots, 0, rows);
+    return rows;
+  }
+
+  /**
+   * All loaded rows of the tree, parents before their children
+   * @param {Array} roots - Top-level rows
+   * @returns {Array}
+   */
+  flatten(roots) {
+    const rows = [];
+    const visit = siblings => siblings.forEach(row => {
+      rows.push(row);
+      const children = this.getChildren(row);
+      if (children) visit(children);
+    });
+    visit(roots);
+    return rows;
+  }
+
+  /**
+   * Find a loaded row anywhere in the tree by its id
+   * @param {string} rowId - Row id
+   * @returns {Object|null}
+   */
+  findRow(rowId) {
+    const dataManager = this.table.dataManager;
+    const find = siblings => {
+      for (const row of siblings) {
+        if (dataManager.getRowId(row) === rowId) return row;
+        const children = this.getChildren(row);
+        const found = children && find(children);
+        if (found) return found;
+      }
+      return null;
+    };
+    return find(this.table.dataManager.originalData);
+  }
+
+  /**
+   * Find the sibling list (top-level rows or a parent's children) that holds a row
+   * @param {Object} row - Row data
+   * @returns {Array|null}
+   */
+  findSiblings(row) {
+    const find = siblings => {
+      if (siblings.includes(row)) return siblings;
+      for (const sibling of siblings) {
+        const children = this.getChildren(sibling);
+        const found = children && find(children);
+        if (found) return found;
+      }
+      return null;
+    };
+    return find(this.table.dataManager.originalData);
+  }
+
+  /**
+   * Expand or collapse a row, loading its children first if needed
+   * @param {Object} row - Row data
+   * @param {boolean} expanded - New state
+   * @returns {Promise<boolean>} True if the state changed
+   */
+  async setExpanded(row, expanded) {
+    if (expanded === this.isExpanded(row) || (expanded && !this.hasChildren(row))) return false;
+
+    if (expanded && this.needsLoading(row) && !await this.loadChildren(row)) {
+      return false;
+    }
+
+    const rowId = this.table.dataManager.getRowId(row);
+    this._setOpen(rowId, expanded);
+    // Rows revealed by the active filter stay collapsed until the filter changes
+    if (expanded) {
+      this.concealedRows.delete(rowId);
+    } else if (this.revealedRows.has(rowId)) {
+      this.concealedRows.add(rowId);
+    }
+    return true;
+  }
+
+  /**
+   * Expand or collapse all rows (children that are not loaded yet are not loaded)
+   * @param {boolean} expanded - New state
+   */
+  setAllExpanded(expanded) {
+    this.expandedByDefault = expanded;
+    this.toggledRows.clear();
+    this.concealedRows.clear();
+    if (!expanded) {
+      this.revealedRows.forEach(rowId => this.concealedRows.add(rowId));
+    }
+  }
+
+  /**
+   * Load a row's children with the lazy loader and store them in the row
+   * @param {Object} row - Row data
+   * @returns {Promise<boolean>} True if the children were loaded
+   */
+  loadChildren(row) {
+    const rowId = this.table.dataManager.getRowId(row);
+    if (this.loading.has(rowId)) {
+      return this.loading.get(rowId);
+    }
+
+    const load = async () => {
+      try {
+        const children = await this.options.lazyLoader(row);
+        row[this.options.childrenKey] = Array.isArray(children) ? children : [];
+        this.table.eventManager.trigger('nodeLoad', { rowId, rowData: row, children: row[this.options.childrenKey] });
+        return true;
+      } catch (error) {
+        console.error('Failed to load child rows:', error);
+        this.table.eventManager.trigger('nodeLoadError', { rowId, rowData: row, error });
+        return false;
+      } finally {
+        this.loading.delete(rowId);
+        this._updateToggle(rowId);
+      }
+    };
+
+    const promise = load();
+    this.loading.set(rowId, promise);
+    this._updateToggle(rowId);
+    return promise;
+  }
+
+  /**
+   * Name of the column whose cells hold the indentation and chevrons
+   * @returns {string|null}
+   */
+  getToggleColumn() {
+    if (!this.options.enabled) return null;
+    const columns = this.table.columnManager.getVisibleColumns();
+    const column = columns.find(col => col.treeColumn) || columns[0];
+    return column ? column.name : null;
+  }
+
+  /**
+   * Render the indentation and expand toggle for a row
+   * @param {Object} row - Row data
+   * @returns {string} HTML
+   */
+  renderToggle(row) {
+    const indent = `<span class="tablix-tree-indent" style="--tablix-tree-level:${this.getLevel(row)};"></span>`;
+    if (!this.hasChildren(row)) {
+      return indent + '<span class="tablix-tree-toggle-spacer" aria-hidden="true"></span>';
+    }
+
+    return indent + this._renderButton(row);
+  }
+
+  /**
+   * Add the indentation and expand toggle to a rendered cell of the toggle column
+   * Used by virtual scrolling and for cells restored after editing.
+   * @param {Element} td - Cell element
+   * @param {Object} row - Row data
+   */
+  decorateCell(td, row) {
+    td.classList.add('tablix-tree-cell');
+    td.insertAdjacentHTML('afterbegin', this.renderToggle(row));
+  }
+
+  /**
+   * Bind chevron clicks (delegated on the body, so virtual scrolling rows are covered too)
+   */
+  bindEvents() {
+    if (!this.options.enabled) return;
+
+    const tbody = this.table.container.querySelector('.tablix-tbody');
+    if (tbody) {
+      tbody.addEventListener('click', this.handleClick);
+    }
+  }
+
+  /**
+   * Handle clicks on chevrons
+   * @param {Event} event - Click event
+   */
+  async handleClick(event) {
+    const toggle = event.target.closest('.tablix-tree-toggle');
+    // Ignore toggles of tables nested in detail rows
+    if (!toggle || toggle.closest('.tablix-tbody') !== event.currentTarget) return;
+
+    event.preventDefault();
+    await this.table.toggleNode(toggle.dataset.rowId);
+  }
+
+  /**
+   * Reset state
+   */
+  destroy() {
+    this.toggledRows.clear();
+    this.revealedRows.clear();
+    this.concealedRows.clear();
+    this.levels.clear();
+    this.loading.clear();
+  }
+
+  /**
+   * @private
+   */
+  _isOpen(rowId) {
+    return this.expandedByDefault !== this.toggledRows.has(rowId);
+  }
+
+  /**
+   * @private
+   */
+  _setOpen(rowId, open) {
+    if (this._isOpen(rowId) === open) return;
+
+    if (this.toggledRows.has(rowId)) {
+      this.toggledRows.delete(rowId);
+    } else {
+      this.toggledRows.add(rowId);
+    }
+  }
+
+  /**
+   * Order siblings by the current sort chain (the data itself keeps its order)
+   * @private
+   */
+  _sortSiblings(siblings) {
+    const sortingManager = this.table.sortingManager;
+    if (!sortingManager || sortingManager.currentSorts.length === 0) return siblings;
+    return sortingManager.sortRows([...siblings]);
+  }
+
+  /**
+   * Render the expand toggle button of a row with children
+   * @private
+   */
+  _renderButton(row) {
+    const rowId = this.table.renderer.escapeHtml(this.table.dataManager.getRowId(row)).replace(/"/g, '&quot;');
+
+    if (this.isLoading(row)) {
+      return `<button type="button" class="tablix-tree-toggle tablix-tree-loading" data-row-id="${rowId}" aria-expanded="false" aria-busy="true" aria-label="${this.table.t('tree.loading')}">…</button>`;
+    }
+
+    const expanded = this.isExpanded(row);
+    const label = this.table.t(expanded ? 'tree.collapse' : 'tree.expand');
+    return `<button type="button" class="tablix-tree-toggle" data-row-id="${rowId}" aria-expanded="${expanded}" aria-label="${label}">${expanded ? '▾' : '▸'}</button>`;
+  }
+
+  /**
+   * Show or clear the loading state of a rendered toggle
+   * @private
+   */
+  _updateToggle(rowId) {
+    const tbody = this.table.container.querySelector('.tablix-tbody');
+    const row = this.findRow(rowId);
+    if (!tbody || !row) return;
+
+    tbody.querySelectorAll('.tablix-tree-toggle').forEach(toggle => {
+      if (toggle.dataset.rowId === rowId && toggle.closest('.tablix-tbody') === tbody) {
+        toggle.outerHTML = this._renderButton(row);
+      }
+    });
+  }
+}
@@ -0,0 +1,367 @@
+/**
+ * UrlSyncManager - Keeps table view state in the page URL
+ *
+ * Features:
+ * - Serializes page, page size, sorting, filters (including the advanced filter) and search into location.search or the hash
+ * - Rebuilds the table view from the URL on initialization (shareable links)
+ * - Follows back/forward navigation (popstate)
+ * - Optional parameter prefix for multiple tables on one page
+ *
+ * URL format (with an empty prefix):
+ *   ?page=2&pageSize=25&sort=name:asc,salary:desc&search=smith&f.status=in:Active,Pending&f.name=c:contains:ann
+ * Values inside lists escape "," and "\" with a backslash. Filter configs that do not fit the
+ * compact `in:` / `c:` forms are stored as JSON (`j:{...}`).
+ */
+export default class UrlSyncManager {
+  constructor(table, options = null) {
+    this.table = table;
+
+    // Opt-in like stateSave: passing options (or true) enables syncing unless enabled is false
+    const sync = options === true ? {} : options;
+    this.options = {
+      mode: 'query', // 'query' (location.search) or 'hash' (location.hash)
+      prefix: '', // Parameter name prefix, e.g. 'orders.' -> orders.page, orders.sort
+      pushState: false, // Create a history entry per change instead of replacing the current one
+      ...(sync || {}),
+      enabled: !!sync && sync.enabled !== false
+    };
+
+    // Page size the table starts with; it is omitted from the URL
+    this.defaultPageSize = (table.options.pagination && table.options.pagination.pageSize) || 10;
+
+    // True while the URL is being applied, so the resulting changes are not written back
+    this.isApplying = false;
+
+    // Bind methods to preserve context
+    this.handlePopState = this.handlePopState.bind(this);
+    this.writeUrl = this.writeUrl.bind(this);
+  }
+
+  /**
+   * Start writing state changes to the URL and listening for back/forward navigation
+   */
+  init() {
+    if (!this.options.enabled || typeof window === 'undefined') return;
+
+    [
+      'afterSort', 'afterFilter', 'afterSearch', 'afterPageChange', 'afterPageSizeChange', 'stateRestored'
+    ].forEach(event => this.table.eventManager.on(event, this.writeUrl));
+
+    window.addEventListener('popstate', this.handlePopState);
+  }
+
+  /**
+   * Read table state from the current URL
+   * @returns {Object|null} Snapshot for StateManager.applySnapshot, or null if the URL has no table parameters
+   */
+  readState() {
+    const params = this._getParams();
+    const prefix = this.options.prefix;
+
+    const snapshot = {
+      version: this.table.stateManager.snapshotVersion,
+      page: 1,
+      pageSize: this.defaultPageSize,
+      sorts: [],
+      filters: {},
+      advancedFilter: null,
+      search: ''
+    };
+    let found = false;
+
+    params.forEach((value, key) => {
+      if (!key.startsWith(prefix)) return;
+      const name = key.slice(prefix.length);
+
+      if (name === 'page') {
+        snapshot.page = parseInt(value, 10) || 1;
+      } else if (name === 'pageSize') {
+        snapshot.pageSize = parseInt(value, 10) || this.defaultPageSize;
+      } else if (name === 'sort') {
+        snapshot.sorts = this.decodeSorts(value);
+      } else if (name === 'search') {
+        snapshot.search = value;
+      } else if (name.startsWith('f.')) {
+        const filterConfig = this.decodeFilter(value);
+        if (filterConfig) {
+          snapshot.filters[name.slice(2)] = filterConfig;
+        }
+      } else if (name === 'filter') {
+        try {
+          snapshot.advancedFilter = JSON.parse(value);
+        } catch (error) {
+          console.warn('TablixJS: Ignoring unreadable filter in URL:', value);
+        }
+      } else {
+        return;
+      }
+      found = true;
+    });
+
+    return found ? snapshot : null;
+  }
+
+  /**
+   * Build the URL for the current table state
+   * @returns {string} URL (path, query and hash)
+   */
+  buildUrl() {
+    const params = this._getParams();
+    const prefix = this.options.prefix;
+
+    // Drop this table's parameters, keep everything else on the URL
+    Array.from(params.keys()).forEach(key => {
+      if (!key.startsWith(prefix)) return;
+      const name = key.slice(prefix.length);
+      if (['page', 'pageSize', 'sort', 'search', 'filter'].includes(name) || name.startsWith('f.')) {
+        params.delete(key);
+      }
+    });
+
+    const state = this.table.stateManager.getSnapshot();
+
+    if (state.page > 1) {
+      params.set(`${prefix}page`, String(state.page));
+    }
+    if (state.pageSize && state.pageSize !== this.defaultPageSize) {
+      params.set(`${prefix}pageSize`, String(state.pageSize));
+    }
+    if (state.sorts.length > 0) {
+      params.set(`${prefix}sort`, this.encodeSorts(state.sorts));
+    }
+    if (state.search) {
+      params.set(`${prefix}search`, state.search);
+    }
+    Object.entries(state.filters).forEach(([columnName, filterConfig]) => {
+      params.set(`${prefix}f.${columnName}`, this.encodeFilter(filterConfig));
+    });
+    if (state.advancedFilter) {
+      params.set(`${prefix}filter`, JSON.stringify(state.advancedFilter));
+    }
+
+    const query = this._stringifyParams(params);
+    const { pathname, search, hash } = window.location;
+
+    if (this.options.mode === 'hash') {
+      return `${pathname}${search}${query ? `#${query}` : ''}`;
+    }
+    return `${pathname}${query ? `?${query}` : ''}${hash}`;
+  }
+
+  /**
+   * Write the current state to the URL
+   */
+  writeUrl() {
+    if (this.isApplying || !this.options.enabled) return;
+
+    const url = this.buildUrl();
+    const { pathname, search, hash } = window.location;
+    if (url === `${pathname}${search}${hash}`) return;
+
+    try {
+      if (this.options.pushState) {
+        window.history.pushState(window.history.state, '', url);
+      } else {
+        window.history.replaceState(window.history.state, '', url);
+      }
+    } catch (error) {
+      console.warn('TablixJS: Failed to update URL with table state:', error);
+    }
+  }
+
+  /**
+   * Rebuild the table from the URL after back/forward navigation
+   */
+  async handlePopState() {
+    const snapshot = this.readState() || this._getDefaultState();
+
+    this.isApplying = true;
+    try {
+      await this.table.restoreState(snapshot);
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  /**
+   * Encode a sort chain: name:asc,salary:desc
+   * @param {Array} sorts - [{ column, direction }]
+   * @returns {string}
+   */
+  encodeSorts(sorts) {
+    return sorts.map(sort => `${this._escape(sort.column)}:${sort.direction}`).join(',');
+  }
+
+  /**
+   * Decode a sort chain
+   * @param {string} value
+   * @returns {Array} [{ column, direction }]
+   */
+  decodeSorts(value) {
+    return this._split(value)
+      .map(part => {
+        const index = part.lastIndexOf(':');
+        const column = index === -1 ? part : part.slice(0, index);
+        const direction = index === -1 ? 'asc' : part.slice(index + 1);
+        return { column, direction };
+      })
+      .filter(sort => sort.column && (sort.direction === 'asc' || sort.direction === 'desc'));
+  }
+
+  /**
+   * Encode a filter config
+   * - value filter:     in:Active,Pending
+   * - condition filter: c:contains:ann,notEquals:x  (operator:value, value omitted for isEmpty/isNotEmpty)
+   * - anything else:    j:<JSON>
+   * @param {Object} filterConfig
+   * @returns {string}
+   */
+  encodeFilter(filterConfig) {
+    const keys = Object.keys(filterConfig).sort().join(',');
+
+    if (filterConfig.type === 'value' && keys === 'type,values' &&
+        filterConfig.values.length > 0 &&
+        filterConfig.values.every(value => typeof value === 'string' && value !== '')) {
+      return `in:${filterConfig.values.map(value => this._escape(value)).join(',')}`;
+    }
+
+    if (filterConfig.type === 'condition' && keys === 'conditions,type' &&
+        filterConfig.conditions.every(cond => this._isCompactCondition(cond))) {
+      return `c:${filterConfig.conditions.map(cond => {
+        return cond.value === undefined ? cond.operator : `${cond.operator}:${this._escape(cond.value)}`;
+      }).join(',')}`;
+    }
+
+    return `j:${JSON.stringify(filterConfig)}`;
+  }
+
+  /**
+   * Decode a filter config
+   * @param {string} value
+   * @returns {Object|null} Filter config or null if it cannot be read
+   */
+  decodeFilter(value) {
+    const type = value.slice(0, 2);
+    const body = value.slice(2);
+
+    if (type === 'in') {
+      return { type: 'value', values: this._split(body.slice(1)) };
+    }
+
+    if (type === 'c:') {
+      return {
+        type: 'condition',
+        conditions: this._split(body).map(part => {
+          const index = part.indexOf(':');
+          return index === -1
+            ? { operator: part }
+            : { operator: part.slice(0, index), value: part.slice(index + 1) };
+        })
+      };
+    }
+
+    if (type === 'j:') {
+      try {
+        return JSON.parse(body);
+      } catch (error) {
+        console.warn('TablixJS: Ignoring unreadable filter in URL:', value);
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Stop syncing
+   */
+  destroy() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('popstate', this.handlePopState);
+    }
+    this.options.enabled = false;
+  }
+
+  /**
+   * Condition that can be written as operator:value
+   * @private
+   */
+  _isCompactCondition(condition) {
+    const keys = Object.keys(condition).filter(key => !(key === 'value' && condition.value === undefined));
+    return /^[A-Za-z0-9_]+$/.test(condition.operator) &&
+      keys.every(key => key === 'operator' || key === 'value') &&
+      (condition.value === undefined || typeof condition.value === 'string');
+  }
+
+  /**
+   * State used when the URL has no table parameters (e.g. navigating back to the unfiltered view)
+   * @private
+   */
+  _getDefaultState() {
+    return {
+      version: this.table.stateManager.snapshotVersion,
+      page: 1,
+      pageSize: this.defaultPageSize,
+      sorts: [],
+      filters: {},
+      advancedFilter: null,
+      search: ''
+    };
+  }
+
+  /**
+   * Current URL parameters for the configured mode
+   * @private
+   */
+  _getParams() {
+    const source = this.options.mode === 'hash'
+      ? window.location.hash.replace(/^#/, '')
+      : window.location.search;
+    return new URLSearchParams(source);
+  }
+
+  /**
+   * Serialize parameters, leaving ":" and "," readable (both are valid in a query string)
+   * @private
+   */
+  _stringifyParams(params) {
+    const encode = value => encodeURIComponent(value).replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+    return Array.from(params.entries())
+      .map(([key, value]) => `${encode(key)}=${encode(value)}`)
+      .join('&');
+  }
+
+  /**
+   * Escape list separators in a value
+   * @private
+   */
+  _escape(value) {
+    return String(value).replace(/[\\,]/g, match => `\\${match}`);
+  }
+
+  /**
+   * Split a list on unescaped commas and unescape the parts
+   * @private
+   */
+  _split(value) {
+    if (value === '') return [];
+
+    const parts = [];
+    let current = '';
+
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      if (char === '\\' && i + 1 < value.length) {
+        current += value[++i];
+      } else if (char === ',') {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts;
+  }
+}
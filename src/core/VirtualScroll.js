@@ -6,6 +6,7 @@
  * - Configurable buffer zones
  * - Smooth scrolling with no visual gaps
  * - Selection state preservation
+ * - Variable-height expanded detail rows
  * - Performance optimizations for 100k+ rows
  */
 export default class VirtualScrollManager {
@@ -33,6 +34,9 @@ export default class VirtualScrollManager {
     this.visibleEnd = 0;
     this.renderedStart = 0;
     this.renderedEnd = 0;
+
+    // Cumulative row tops (length totalRows + 1) while expanded detail rows make heights vary; null otherwise
+    this.offsets = null;
     
     // Performance tracking
     this.performanceData = {
@@ -69,6 +73,7 @@ export default class VirtualScrollManager {
     
     this.setupScrollContainer();
     this.detectRowHeight();
+    this.buildOffsets();
     this.calculateViewport();
     this.scheduleUpdate();
     
@@ -107,6 +112,9 @@ export default class VirtualScrollManager {
       const row = event.target.closest('.tablix-row');
       if (!row) return;
 
+      // Ignore expand toggles and rows of tables nested in detail rows
+      if (event.target.closest('.tablix-detail-toggle, .tablix-tree-toggle') || row.closest('.tablix-tbody') !== this.tableBody) return;
+
       // Skip click handling if we just finished a drag
       if (this.justFinishedDrag) {
         console.log('Skipping click - just finished drag');
@@ -229,11 +237,13 @@ export default class VirtualScrollManager {
     this.topSpacer = document.createElement('tr');
     this.topSpacer.className = 'tablix-top-spacer';
     this.topSpacer.style.cssText = 'height: 0px; border: none;';
+    this.topSpacer.setAttribute('aria-hidden', 'true');
     this.topSpacer.innerHTML = `<td colspan="100" style="padding: 0; border: none; height: 0;"></td>`;
 
     this.bottomSpacer = document.createElement('tr');
     this.bottomSpacer.className = 'tablix-bottom-spacer';
     this.bottomSpacer.style.cssText = 'height: 0px; border: none;';
+    this.bottomSpacer.setAttribute('aria-hidden', 'true');
     this.bottomSpacer.innerHTML = `<td colspan="100" style="padding: 0; border: none; height: 0;"></td>`;
 
     this.tableBody.insertBefore(this.topSpacer, this.tableBody.firstChild);
@@ -253,8 +263,10 @@ export default class VirtualScrollManager {
       return;
     }
 
-    // Render a single sample row to measure height
-    const sampleRow = this.renderSingleRow(this.data[0], 0);
+    // Render a single sample row to measure height (a data row, not a group header)
+    const dataManager = this.table.dataManager;
+    const sampleIndex = Math.max(0, this.data.findIndex(item => !dataManager.isGroupRow(item)));
+    const sampleRow = this.renderItem(this.data[sampleIndex], sampleIndex);
     this.tableBody.appendChild(sampleRow);
     
     // Measure the row height
@@ -277,11 +289,16 @@ export default class VirtualScrollManager {
     this.containerHeight = rect.height;
     
     const scrollTop = this.scrollContainer.scrollTop;
-    const visibleRowCount = Math.ceil(this.containerHeight / this.rowHeight);
     
     // Calculate visible range
-    this.visibleStart = Math.floor(scrollTop / this.rowHeight);
-    this.visibleEnd = Math.min(this.visibleStart + visibleRowCount, this.totalRows);
+    if (this.offsets) {
+      this.visibleStart = this.getIndexAtOffset(scrollTop);
+      this.visibleEnd = Math.min(this.getIndexAtOffset(scrollTop + this.containerHeight) + 1, this.totalRows);
+    } else {
+      const visibleRowCount = Math.ceil(this.containerHeight / this.rowHeight);
+      this.visibleStart = Math.floor(scrollTop / this.rowHeight);
+      this.visibleEnd = Math.min(this.visibleStart + visibleRowCount, this.totalRows);
+    }
     
     // Calculate rendered range with buffer
     this.renderedStart = Math.max(0, this.visibleStart - this.options.buffer);
@@ -297,8 +314,10 @@ export default class VirtualScrollManager {
   updateSpacers() {
     if (!this.topSpacer || !this.bottomSpacer) return;
 
-    const topHeight = this.renderedStart * this.rowHeight;
-    const bottomHeight = (this.totalRows - this.renderedEnd) * this.rowHeight;
+    const topHeight = this.offsets ? this.offsets[this.renderedStart] : this.renderedStart * this.rowHeight;
+    const bottomHeight = this.offsets
+      ? this.offsets[this.totalRows] - this.offsets[this.renderedEnd]
+      : (this.totalRows - this.renderedEnd) * this.rowHeight;
     
     this.topSpacer.style.height = `${topHeight}px`;
     this.bottomSpacer.style.height = `${bottomHeight}px`;
@@ -481,7 +500,7 @@ export default class VirtualScrollManager {
 
     // Add drag range to selection
     for (let i = minIndex; i <= maxIndex; i++) {
-      if (i < this.data.length) {
+      if (i < this.data.length && !this.table.dataManager.isGroupRow(this.data[i])) {
         const rowData = this.data[i];
         const rowId = this.table.selectionManager.getRowId(rowData);
         this.table.selectionManager.selectedRows.add(rowId);
@@ -489,7 +508,7 @@ export default class VirtualScrollManager {
     }
 
     // Update last selected row
-    if (endIndex < this.data.length) {
+    if (endIndex < this.data.length && !this.table.dataManager.isGroupRow(this.data[endIndex])) {
       const endRowData = this.data[endIndex];
       this.table.selectionManager.lastSelectedRow = this.table.selectionManager.getRowId(endRowData);
     }
@@ -551,23 +570,37 @@ export default class VirtualScrollManager {
   renderVisibleRows() {
     if (!this.tableBody) return;
 
+    const keyboardManager = this.table.keyboardManager;
+    const gridHadFocus = keyboardManager ? keyboardManager.hasFocus() : false;
+
     // Clear existing rows (except spacers)
-    const existingRows = this.tableBody.querySelectorAll('.tablix-row');
-    existingRows.forEach(row => row.remove());
+    Array.from(this.tableBody.children).forEach(row => {
+      if (row.matches('.tablix-row, .tablix-group-row, .tablix-detail-row')) {
+        row.remove();
+      }
+    });
 
     // Render new rows
     const fragment = document.createDocumentFragment();
+    const detailRowManager = this.offsets ? this.table.detailRowManager : null;
     
     for (let i = this.renderedStart; i < this.renderedEnd; i++) {
       if (i < this.data.length) {
-        const row = this.renderSingleRow(this.data[i], i);
+        const row = this.renderItem(this.data[i], i);
         fragment.appendChild(row);
+
+        if (detailRowManager && detailRowManager.isExpanded(this.data[i])) {
+          fragment.appendChild(detailRowManager.createDetailRowElement(this.data[i], row.children.length));
+        }
       }
     }
 
     // Insert rows between spacers
     this.tableBody.insertBefore(fragment, this.bottomSpacer);
 
+    // Correct the estimated heights of detail rows
+    this.measureDetailRows();
+
     // Store currently rendered data slice for other managers
     this.renderedData = this.data.slice(this.renderedStart, this.renderedEnd);
     
@@ -576,6 +609,11 @@ export default class VirtualScrollManager {
     
     // Update selection states for the newly rendered rows
     this.updateSelectionStates();
+
+    // Row indexes and the keyboard tab stop for the new rows
+    if (keyboardManager) {
+      keyboardManager.decorate(gridHadFocus);
+    }
   }
 
   /**
@@ -589,10 +627,10 @@ export default class VirtualScrollManager {
       const virtualIndex = parseInt(row.getAttribute('data-virtual-index'));
       const rowData = this.data[virtualIndex];
       
-      if (rowData && this.table.selectionManager.isRowSelectedByData(rowData)) {
-        row.classList.add('tablix-selected');
-      } else {
-        row.classList.remove('tablix-selected');
+      const isSelected = !!rowData && this.table.selectionManager.isRowSelectedByData(rowData);
+      row.classList.toggle('tablix-selected', isSelected);
+      if (this.table.selectionManager.options.enabled) {
+        row.setAttribute('aria-selected', String(isSelected));
       }
     });
   }
@@ -642,17 +680,31 @@ export default class VirtualScrollManager {
     });
   }
 
+  /**
+   * Render a data row or, when rows are grouped, a group header row
+   */
+  renderItem(item, virtualIndex) {
+    if (this.table.dataManager.isGroupRow(item)) {
+      const row = this.table.renderer.renderGroupRowElement(item);
+      row.setAttribute('data-virtual-index', virtualIndex);
+      return row;
+    }
+    return this.renderSingleRow(item, virtualIndex);
+  }
+
   /**
    * Render a single row element
    */
   renderSingleRow(rowData, originalIndex) {
     const columns = this.table.columnManager ? 
-      this.table.columnManager.getColumns() : 
+      this.table.columnManager.getVisibleColumns() : 
       (this.table.options.columns || []);
 
     const tr = document.createElement('tr');
     tr.className = 'tablix-row';
-    tr.setAttribute('data-row-index', originalIndex); // Keep for compatibility
+    // Index in the data set; differs from the virtual index when group headers are mixed in
+    const dataManager = this.table.dataManager;
+    tr.setAttribute('data-row-index', dataManager.isGrouped() ? dataManager.getRowIndex(rowData) : originalIndex);
     tr.setAttribute('data-virtual-index', originalIndex); // Virtual scroll index
     
     // Add a unique identifier for debugging
@@ -668,19 +720,35 @@ export default class VirtualScrollManager {
       console.log('Row initially selected:', originalIndex, rowData.id);
     }
 
+    const detailRowManager = this.table.detailRowManager;
+    const detailToggleColumn = detailRowManager ? detailRowManager.getToggleColumn() : null;
+    const treeManager = this.table.dataManager.isTree() ? this.table.treeManager : null;
+    const treeColumn = treeManager ? treeManager.getToggleColumn() : null;
+
     // Render cells
     columns.forEach(col => {
       const td = document.createElement('td');
-      td.className = 'tablix-td';
+      td.className = this.table.renderer._getCellClass(col, rowData);
+      td.setAttribute('data-column', col.name);
+      if (this.table.editManager && this.table.editManager.isCellEditable(col, rowData)) {
+        td.tabIndex = -1;
+      }
+      const pinnedStyle = this.table.renderer._getPinnedStyle(col.name);
+      if (pinnedStyle) {
+        td.setAttribute('style', pinnedStyle);
+      }
       
-      const cellValue = rowData[col.name];
+      const cellValue = this.table.columnManager.getCellValue(rowData, col.name);
 
       // Use ColumnManager for formatting if available
       if (this.table.columnManager) {
         // Pass the column object instead of just the name to support multiple columns with same field
         const result = this.table.columnManager.formatCellValue(col, cellValue, rowData);
+        const searchManager = this.table.searchManager;
         if (result.isHtml) {
           td.innerHTML = result.value;
+        } else if (searchManager && searchManager.isHighlightActive()) {
+          td.innerHTML = searchManager.highlightText(result.value, col.name);
         } else {
           td.textContent = result.value;
         }
@@ -698,6 +766,13 @@ export default class VirtualScrollManager {
         }
       }
 
+      if (col.name === detailToggleColumn) {
+        detailRowManager.decorateCell(td, rowData);
+      }
+      if (col.name === treeColumn) {
+        treeManager.decorateCell(td, rowData);
+      }
+
       tr.appendChild(td);
     });
 
@@ -712,6 +787,7 @@ export default class VirtualScrollManager {
     this.totalRows = newData.length;
     
     if (this.options.enabled) {
+      this.buildOffsets();
       this.calculateViewport();
       this.scheduleUpdate();
     }
@@ -723,13 +799,85 @@ export default class VirtualScrollManager {
   scrollToRow(index) {
     if (!this.scrollContainer || !this.options.enabled) return;
 
-    const targetScrollTop = index * this.rowHeight;
+    const targetScrollTop = this.offsets ? this.offsets[Math.min(Math.max(index, 0), this.totalRows)] : index * this.rowHeight;
     this.scrollContainer.scrollTop = targetScrollTop;
     
     // Force immediate update
     this.update();
   }
 
+  /**
+   * Re-render the visible rows after rows were expanded or collapsed, keeping the scroll position
+   */
+  refreshLayout() {
+    if (!this.options.enabled || !this.scrollContainer) return;
+
+    this.buildOffsets();
+    this.update();
+  }
+
+  /**
+   * Compute row offsets when expanded detail rows make row heights vary
+   * Without expanded rows every row is rowHeight high and no offsets are kept.
+   */
+  buildOffsets() {
+    const detailRowManager = this.table.detailRowManager;
+    if (!detailRowManager || !detailRowManager.hasExpandedRows()) {
+      this.offsets = null;
+      return;
+    }
+
+    const offsets = new Float64Array(this.data.length + 1);
+    for (let i = 0; i < this.data.length; i++) {
+      offsets[i + 1] = offsets[i] + this.rowHeight + detailRowManager.getDetailHeight(this.data[i]);
+    }
+    this.offsets = offsets;
+  }
+
+  /**
+   * Find the row at a vertical position (binary search over the row offsets)
+   * @param {number} offset - Position in pixels from the top of the data
+   * @returns {number} Row index
+   */
+  getIndexAtOffset(offset) {
+    if (!this.offsets) {
+      return Math.floor(offset / this.rowHeight);
+    }
+
+    let low = 0;
+    let high = this.totalRows;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.offsets[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return Math.min(low, Math.max(0, this.totalRows - 1));
+  }
+
+  /**
+   * Measure rendered detail rows and update the offsets if their heights differ from the estimates
+   */
+  measureDetailRows() {
+    const detailRowManager = this.table.detailRowManager;
+    if (!this.offsets || !detailRowManager || !this.tableBody) return;
+
+    let changed = false;
+    Array.from(this.tableBody.children).forEach(tr => {
+      if (tr.classList.contains('tablix-detail-row') &&
+          detailRowManager.setDetailHeight(tr.dataset.detailFor, tr.getBoundingClientRect().height)) {
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.buildOffsets();
+      this.updateSpacers();
+    }
+  }
+
   /**
    * Get the currently visible row indices
    */
@@ -0,0 +1,417 @@
+/**
+ * XlsxWriter - Dependency-free Excel (XLSX) workbook writer
+ *
+ * Features:
+ * - Single worksheet with a bold, frozen header row
+ * - Native cell types: numbers, dates, booleans and text
+ * - Number formats derived from column formats (number, currency, percent, date)
+ * - Uncompressed ZIP container, so no compression library is needed
+ */
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 86400000;
+
+// Built-in Excel number formats
+const BUILTIN_FORMATS = {
+  date: 14,     // Short date in the reader's locale
+  dateTime: 22  // Short date and time
+};
+
+// First id available for custom number formats
+const CUSTOM_FORMAT_START = 164;
+
+// Characters that are not allowed in XML 1.0 documents
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export default class XlsxWriter {
+  constructor(options = {}) {
+    this.options = {
+      sheetName: 'Sheet1', // Worksheet name (max. 31 characters)
+      header: true,        // Include the column titles as the first row
+      getValue: (row, column) => row[column.name], // Cell value of a row
+      ...options
+    };
+  }
+
+  /**
+   * Build a workbook
+   * @param {Array<Object>} columns - Column definitions (name, title, format, locale, formatOptions, currency)
+   * @param {Array<Object>} rows - Row objects
+   * @returns {Uint8Array} XLSX file contents
+   */
+  write(columns, rows) {
+    const styles = this._createStyles(columns);
+    const sheet = this._createSheet(columns, rows, styles);
+
+    const files = [
+      ['[Content_Types].xml', this._contentTypes()],
+      ['_rels/.rels', this._rootRels()],
+      ['xl/workbook.xml', this._workbook()],
+      ['xl/_rels/workbook.xml.rels', this._workbookRels()],
+      ['xl/styles.xml', styles.xml],
+      ['xl/worksheets/sheet1.xml', sheet]
+    ];
+
+    const encoder = new TextEncoder();
+    return createZip(files.map(([name, content]) => ({ name, data: encoder.encode(content) })));
+  }
+
+  /**
+   * Convert a value to the cell it is written as
+   * @param {Object} column - Column definition
+   * @param {*} value - Raw value
+   * @returns {Object|null} { type: 'n' | 'd' | 'b' | 's', value } or null for an empty cell
+   */
+  toCell(column, value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    switch (column.format) {
+      case 'number':
+      case 'currency':
+      case 'percent': {
+        const number = typeof value === 'number' ? value : Number(value);
+        return Number.isFinite(number) ? { type: 'n', value: number } : { type: 's', value: String(value) };
+      }
+      case 'date': {
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? { type: 's', value: String(value) } : { type: 'd', value: date };
+      }
+    }
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? { type: 'n', value } : { type: 's', value: String(value) };
+    }
+    if (typeof value === 'boolean') {
+      return { type: 'b', value };
+    }
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : { type: 'd', value };
+    }
+    if (typeof value === 'object') {
+      return { type: 's', value: JSON.stringify(value) };
+    }
+    return { type: 's', value: String(value) };
+  }
+
+  /**
+   * Number format of a column
+   * @param {Object} column - Column definition
+   * @returns {number|string|null} Built-in format id, custom format code, or null for the default format
+   */
+  getNumberFormat(column) {
+    const { format, locale, formatOptions = {} } = column;
+
+    try {
+      switch (format) {
+        case 'date': {
+          const hasTime = formatOptions.timeStyle || formatOptions.hour || formatOptions.minute;
+          return hasTime ? BUILTIN_FORMATS.dateTime : BUILTIN_FORMATS.date;
+        }
+        case 'number':
+          return numberPattern(new Intl.NumberFormat(locale, formatOptions).resolvedOptions());
+        case 'percent':
+          return numberPattern(new Intl.NumberFormat(locale, { style: 'percent', ...formatOptions }).resolvedOptions()) + '%';
+        case 'currency': {
+          const formatter = new Intl.NumberFormat(locale, { style: 'currency', currency: column.currency || 'USD', ...formatOptions });
+          const parts = formatter.formatToParts(1);
+          const symbol = (parts.find(part => part.type === 'currency') || {}).value || '';
+          const symbolFirst = parts.findIndex(part => part.type === 'currency') < parts.findIndex(part => part.type === 'integer');
+          const quoted = `"${symbol.replace(/"/g, '')}"`;
+          const pattern = numberPattern(formatter.resolvedOptions());
+          return symbolFirst ? quoted + pattern : `${pattern} ${quoted}`;
+        }
+      }
+    } catch (error) {
+      console.warn(`TablixJS: Cannot derive an Excel number format for column '${column.name}':`, error);
+    }
+    return null;
+  }
+
+  /**
+   * Styles: default and header cell styles, plus one style per distinct number format
+   * @private
+   */
+  _createStyles(columns) {
+    const customFormats = new Map(); // format code -> id
+    const formatStyles = new Map();  // number format id -> cell style index
+    const cellStyles = [
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    ];
+
+    const styleOf = (numFmtId) => {
+      if (!formatStyles.has(numFmtId)) {
+        formatStyles.set(numFmtId, cellStyles.length);
+        cellStyles.push(`<xf numFmtId="${numFmtId}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`);
+      }
+      return formatStyles.get(numFmtId);
+    };
+
+    // Cell style per column; dates in columns without a date format still need a date style
+    const columnStyles = columns.map(column => {
+      let numFmt = this.getNumberFormat(column);
+      if (typeof numFmt === 'string') {
+        if (!customFormats.has(numFmt)) {
+          customFormats.set(numFmt, CUSTOM_FORMAT_START + customFormats.size);
+        }
+        numFmt = customFormats.get(numFmt);
+      }
+      return numFmt === null ? 0 : styleOf(numFmt);
+    });
+    const dateStyle = styleOf(BUILTIN_FORMATS.date);
+
+    const numFmts = customFormats.size === 0 ? '' :
+      `<numFmts count="${customFormats.size}">` +
+      Array.from(customFormats, ([code, id]) => `<numFmt numFmtId="${id}" formatCode="${escapeXml(code)}"/>`).join('') +
+      '</numFmts>';
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      numFmts +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      `<cellXfs count="${cellStyles.length}">${cellStyles.join('')}</cellXfs>` +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+
+    return { xml, columnStyles, dateStyle };
+  }
+
+  /**
+   * Worksheet XML
+   * @private
+   */
+  _createSheet(columns, rows, styles) {
+    const widths = columns.map(column => Math.min(Math.max(String(column.title || column.name).length, 8), 50));
+    const sheetRows = [];
+
+    if (this.options.header) {
+      const cells = columns.map((column, index) =>
+        `<c r="${cellRef(index, 1)}" s="1" t="inlineStr"><is><t xml:space="preserve">${escapeXml(column.title || column.name)}</t></is></c>`
+      );
+      sheetRows.push(`<row r="1">${cells.join('')}</row>`);
+    }
+
+    rows.forEach(row => {
+      const rowNumber = sheetRows.length + 1;
+      const cells = [];
+
+      columns.forEach((column, index) => {
+        const cell = this.toCell(column, this.options.getValue(row, column));
+        if (!cell) return;
+
+        const ref = cellRef(index, rowNumber);
+        const style = styles.columnStyles[index];
+        const styleAttr = style ? ` s="${style}"` : '';
+
+        switch (cell.type) {
+          case 'n':
+            cells.push(`<c r="${ref}"${styleAttr}><v>${cell.value}</v></c>`);
+            break;
+          case 'd':
+            cells.push(`<c r="${ref}" s="${style || styles.dateStyle}"><v>${toExcelDate(cell.value)}</v></c>`);
+            break;
+          case 'b':
+            cells.push(`<c r="${ref}" t="b"><v>${cell.value ? 1 : 0}</v></c>`);
+            break;
+          default:
+            widths[index] = Math.min(Math.max(widths[index], cell.value.length), 50);
+            cells.push(`<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`);
+        }
+      });
+
+      sheetRows.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+    });
+
+    const cols = columns.length === 0 ? '' :
+      '<cols>' + widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width + 2}" customWidth="1"/>`).join('') + '</cols>';
+    const frozenHeader = this.options.header
+      ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      : '';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      frozenHeader + cols +
+      `<sheetData>${sheetRows.join('')}</sheetData>` +
+      '</worksheet>';
+  }
+
+  /**
+   * @private
+   */
+  _contentTypes() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>';
+  }
+
+  /**
+   * @private
+   */
+  _rootRels() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>';
+  }
+
+  /**
+   * @private
+   */
+  _workbook() {
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const name = String(this.options.sheetName || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>';
+  }
+
+  /**
+   * @private
+   */
+  _workbookRels() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>';
+  }
+}
+
+/**
+ * Excel number format pattern for resolved Intl.NumberFormat options
+ */
+function numberPattern(resolved) {
+  const integer = resolved.useGrouping === false ? '0' : '#,##0';
+  const min = resolved.minimumFractionDigits || 0;
+  const max = Math.max(resolved.maximumFractionDigits || 0, min);
+  return max === 0 ? integer : `${integer}.${'0'.repeat(min)}${'#'.repeat(max - min)}`;
+}
+
+/**
+ * Cell reference such as "B3" (column index from 0, row number from 1)
+ */
+function cellRef(columnIndex, rowNumber) {
+  let name = '';
+  for (let n = columnIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name + rowNumber;
+}
+
+/**
+ * Excel serial date of a Date, using the local date and time the table displays
+ */
+function toExcelDate(date) {
+  const local = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+  return local / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ===== ZIP CONTAINER =====
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create a ZIP archive with stored (uncompressed) entries
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const DOS_DATE = (1 << 5) | 1; // 1980-01-01
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true); // Local file header signature
+    local.setUint16(4, 20, true);         // Version needed to extract
+    local.setUint16(6, 0x0800, true);     // UTF-8 file names
+    local.setUint16(8, 0, true);          // Stored
+    local.setUint16(10, 0, true);         // Time
+    local.setUint16(12, DOS_DATE, true);  // Date
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Central directory header signature
+    central.setUint16(4, 20, true);         // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, DOS_DATE, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);    // Offset of the local header
+
+    localParts.push(new Uint8Array(local.buffer), name, file.data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + size;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+}
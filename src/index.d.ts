@@ -7,8 +7,24 @@ declare module 'tablixjs' {
     filtering?: FilteringOptions;
     controls?: ControlsOptions;
     search?: SearchOptions;
+    query?: QueryOptions;
     selection?: SelectionOptions;
     virtualScroll?: VirtualScrollOptions;
+    editing?: EditingOptions;
+    history?: HistoryOptions;
+    stateSave?: StateSaveOptions | boolean;
+    urlSync?: UrlSyncOptions | boolean;
+    columnReorder?: ColumnReorderOptions;
+    columnResize?: ColumnResizeOptions;
+    stickyHeader?: boolean | StickyHeaderOptions;
+    grouping?: GroupingOptions;
+    aggregation?: AggregationOptions;
+    detailRows?: DetailRowsOptions;
+    tree?: TreeOptions | boolean;
+    export?: ExportOptions;
+    import?: ImportOptions;
+    print?: PrintOptions;
+    keyboard?: KeyboardOptions;
   }
 
   export interface ColumnDefinition {
@@ -19,12 +35,42 @@ declare module 'tablixjs' {
     maxWidth?: number;
     sortable?: boolean;
     filterable?: boolean;
+    filterType?: 'string' | 'number' | 'date';
     searchable?: boolean;
+    /** Value the global search matches instead of the cell value */
+    searchValue?: (row: any) => any;
+    exportable?: boolean;
+    printable?: boolean;
+    visible?: boolean;
+    hideable?: boolean;
+    reorderable?: boolean;
+    resizable?: boolean;
+    pinned?: 'left' | 'right' | null;
+    aggregate?: AggregateType | AggregateFunction;
+    detailToggle?: boolean;
+    treeColumn?: boolean;
     formatter?: (value: any, row: any, column: ColumnDefinition) => string;
     headerClass?: string;
     cellClass?: string | ((value: any, row: any) => string);
+    editable?: boolean | ((row: any, column: ColumnDefinition) => boolean);
+    editor?: EditorType;
+    editorOptions?: EditorOptions;
+    validator?: CellValidator | CellValidator[];
   }
 
+  export type EditorType = 'text' | 'number' | 'date' | 'select' | 'checkbox';
+
+  export interface EditorOptions {
+    options?: Array<any | { value: any; label?: string }>;
+    min?: number;
+    max?: number;
+    step?: number;
+  }
+
+  /** Return true/undefined when valid, false or an error message when invalid */
+  export type CellValidator = (value: any, row: any, column: ColumnDefinition) =>
+    boolean | string | void | Promise<boolean | string | void>;
+
   export interface PaginationOptions {
     enabled?: boolean;
     pageSize?: number;
@@ -35,7 +81,7 @@ declare module 'tablixjs' {
     showPrevNext?: boolean;
     showPageSizes?: boolean;
     pageSizeOptions?: number[];
-    serverDataLoader?: (page: number, pageSize: number) => Promise<{ data: any[], totalCount: number }>;
+    serverDataLoader?: (page: number, pageSize: number) => Promise<{ data: any[], totalCount: number, aggregates?: Record<string, any> }>;
   }
 
   export interface SortingOptions {
@@ -45,6 +91,21 @@ declare module 'tablixjs' {
     defaultSortType?: string;
     caseSensitive?: boolean;
     nullsFirst?: boolean;
+    multiColumn?: boolean;
+  }
+
+  export interface SortDescriptor {
+    column: string;
+    direction: 'asc' | 'desc';
+  }
+
+  export interface SortState {
+    /** Sort chain ordered by priority (first entry is the primary sort) */
+    sorts: SortDescriptor[];
+    /** Primary sort, kept for backward compatibility */
+    sort: SortDescriptor | null;
+    mode: 'client' | 'server';
+    multiColumn: boolean;
   }
 
   export interface FilteringOptions {
@@ -62,7 +123,10 @@ declare module 'tablixjs' {
     pagination?: boolean;
     pageSize?: boolean;
     refresh?: boolean;
-    export?: boolean;
+    export?: boolean | ExportFormat[];
+    import?: boolean | ImportOptions;
+    columns?: boolean;
+    query?: boolean;
     position?: 'top' | 'bottom' | 'both';
   }
 
@@ -72,6 +136,32 @@ declare module 'tablixjs' {
     searchDelay?: number;
     minLength?: number;
     caseSensitive?: boolean;
+    searchColumns?: string[];
+    mode?: 'contains' | 'startsWith' | 'wholeWord' | 'fuzzy' | 'regex';
+    fuzzyThreshold?: number;
+    normalize?: boolean;
+    highlight?: boolean;
+    searchFormatted?: boolean;
+  }
+
+  export interface QueryOptions {
+    placeholder?: string | null;
+    maxSuggestions?: number;
+  }
+
+  export interface QueryError {
+    code: string;
+    params: Record<string, string>;
+    message: string;
+    start: number;
+    end: number;
+  }
+
+  export interface QueryResult {
+    filters: Record<string, FilterConfig>;
+    search: string;
+    errors: QueryError[];
+    terms: any[];
   }
 
   export interface SelectionOptions {
@@ -80,6 +170,184 @@ declare module 'tablixjs' {
     dataIdKey?: string;
   }
 
+  export interface EditingOptions {
+    enabled?: boolean;
+    trigger?: 'dblclick' | 'click' | 'none';
+    enterToEdit?: boolean;
+    saveOnBlur?: boolean;
+  }
+
+  export interface StateStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem?(key: string): void;
+  }
+
+  export interface StateSaveOptions {
+    enabled?: boolean;
+    storage?: 'localStorage' | 'sessionStorage' | StateStorage;
+    key?: string | null;
+  }
+
+  export interface ColumnReorderOptions {
+    enabled?: boolean;
+  }
+
+  export interface ColumnResizeOptions {
+    enabled?: boolean;
+    minWidth?: number;
+    autoFit?: boolean;
+  }
+
+  export interface StickyHeaderOptions {
+    enabled?: boolean;
+    offset?: number | (() => number);
+  }
+
+  export interface GroupingOptions {
+    columns?: string | string[];
+    collapsed?: boolean;
+    formatter?: (group: RowGroup) => string;
+  }
+
+  export interface RowGroup {
+    key: string;
+    path: any[];
+    column: string;
+    value: any;
+    level: number;
+    count: number;
+    rows: any[];
+    collapsed: boolean;
+    groups: RowGroup[] | null;
+    continued?: boolean;
+  }
+
+  export type AggregateType = 'sum' | 'avg' | 'min' | 'max' | 'count';
+
+  /** Receives all values of the column (empty ones included) and the rows they come from */
+  export type AggregateFunction = (values: any[], rows: any[], column: ColumnDefinition) => any;
+
+  export interface AggregationOptions {
+    scope?: 'filtered' | 'page';
+    label?: boolean | string;
+  }
+
+  export type DetailContent = string | Node | null | undefined;
+
+  export interface DetailRowsOptions {
+    enabled?: boolean;
+    detailRenderer: (row: any) => DetailContent | Promise<DetailContent>;
+    expandable?: (row: any) => boolean;
+    multiple?: boolean;
+    estimatedHeight?: number;
+  }
+
+  export type ExportFormat = 'csv' | 'tsv' | 'json' | 'html' | 'markdown' | 'xlsx' | string;
+
+  export type ExportScope = 'all' | 'filtered' | 'page' | 'selected';
+
+  export interface ExportOptions {
+    format?: ExportFormat;
+    scope?: ExportScope;
+    filename?: string;
+    download?: boolean;
+    header?: boolean;
+    formatted?: boolean;
+    visibleOnly?: boolean;
+    delimiter?: string | null;
+    bom?: boolean;
+    sheetName?: string;
+  }
+
+  export interface ExportContext {
+    columns: ColumnDefinition[];
+    rows: any[];
+    headers: string[];
+    values: any[][];
+    getValue(row: any, column: ColumnDefinition): any;
+    options: ExportOptions;
+    table: Table;
+  }
+
+  export interface ExportWriter {
+    write(context: ExportContext): string | Uint8Array | Blob | Promise<string | Uint8Array | Blob>;
+    extension?: string;
+    mimeType?: string;
+    binary?: boolean;
+    label?: string;
+  }
+
+  export interface ImportOptions {
+    format?: 'csv' | 'tsv' | 'json' | null;
+    delimiter?: string | null;
+    header?: boolean;
+    columns?: 'infer' | 'keep' | Record<string, string | ColumnDefinition>;
+    mode?: 'replace' | 'append';
+    sampleSize?: number;
+  }
+
+  export interface PrintOptions {
+    scope?: 'all' | 'filtered' | 'page';
+    title?: string | null;
+    visibleOnly?: boolean;
+    footer?: boolean;
+    orientation?: 'portrait' | 'landscape' | null;
+    styles?: string;
+  }
+
+  export interface KeyboardOptions {
+    enabled?: boolean;
+    announcements?: boolean;
+    pageStep?: number;
+  }
+
+  export interface ImportResult {
+    rows: any[];
+    columns: ColumnDefinition[];
+    format: 'csv' | 'tsv' | 'json';
+  }
+
+  export interface TreeOptions {
+    enabled?: boolean;
+    childrenKey?: string;
+    lazyLoader?: (row: any) => Promise<any[]> | any[];
+    hasChildren?: (row: any) => boolean;
+    expanded?: boolean;
+  }
+
+  export interface UrlSyncOptions {
+    enabled?: boolean;
+    mode?: 'query' | 'hash';
+    prefix?: string;
+    pushState?: boolean;
+  }
+
+  export interface TableStateSnapshot {
+    version: number;
+    page: number;
+    pageSize: number;
+    sorts: SortDescriptor[];
+    filters: Record<string, FilterConfig>;
+    search: string;
+    columns: Array<{ name: string; visible: boolean; width?: number; pinned: 'left' | 'right' | null }>;
+    selection: string[];
+  }
+
+  export interface HistoryOptions {
+    enabled?: boolean;
+    depth?: number;
+    keyboard?: boolean;
+  }
+
+  export interface HistoryState {
+    canUndo: boolean;
+    canRedo: boolean;
+    undoCount: number;
+    redoCount: number;
+    depth: number;
+  }
+
   export interface VirtualScrollOptions {
     enabled?: boolean;
     buffer?: number;
@@ -96,15 +364,41 @@ declare module 'tablixjs' {
     endIndex: number;
   }
 
+  export interface RowChanges {
+    inserted: any[];
+    updated: any[];
+    deleted: any[];
+  }
+
   export interface FilterConfig {
     type: 'value' | 'condition';
     values?: string[];
     conditions?: FilterCondition[];
+    logic?: 'and' | 'or';
+  }
+
+  export interface FilterGroup {
+    logic?: 'and' | 'or';
+    conditions: Array<FilterGroup | (FilterCondition & { column: string })>;
   }
 
   export interface FilterCondition {
     operator: string;
-    value: any;
+    value?: any;
+    valueTo?: any;
+  }
+
+  export interface FilterOperator {
+    label: string;
+    types?: Array<'string' | 'number' | 'date'>;
+    inputs?: 0 | 1 | 2;
+    inputType?: 'text' | 'number' | 'date';
+    apply: (value: any, filterValue: any, context: {
+      type: 'string' | 'number' | 'date';
+      condition: FilterCondition;
+      columnName: string;
+      row: any;
+    }) => boolean;
   }
 
   export default class Table {
@@ -118,6 +412,71 @@ declare module 'tablixjs' {
     getData(): any[];
     getOriginalData(): any[];
 
+    // Columns
+    showColumn(columnName: string): Promise<boolean>;
+    hideColumn(columnName: string): Promise<boolean>;
+    toggleColumn(columnName: string, visible?: boolean): Promise<boolean>;
+    isColumnVisible(columnName: string): boolean;
+    getVisibleColumns(): ColumnDefinition[];
+    moveColumn(columnName: string, toIndex: number): Promise<boolean>;
+    getColumnWidth(columnName: string): number | string | null;
+    getColumnWidths(): Record<string, number | string | null>;
+    setColumnWidth(columnName: string, width: number | string | null): Promise<boolean>;
+    autoFitColumn(columnName: string): Promise<boolean>;
+    pinColumn(columnName: string, side?: 'left' | 'right'): Promise<boolean>;
+    unpinColumn(columnName: string): Promise<boolean>;
+    getColumnPinned(columnName: string): 'left' | 'right' | null;
+
+    // Grouping
+    groupBy(columns: string | string[] | null): Promise<boolean>;
+    ungroup(): Promise<boolean>;
+    getGroupBy(): string[];
+    getGroups(): RowGroup[];
+    expandGroup(path: any | any[]): Promise<boolean>;
+    collapseGroup(path: any | any[]): Promise<boolean>;
+    toggleGroup(path: any | any[]): Promise<boolean>;
+    expandAll(): Promise<void>;
+    collapseAll(): Promise<void>;
+
+    // Aggregates
+    getAggregates(): Record<string, any>;
+
+    // Export
+    export(options?: ExportOptions): Promise<string | Blob | null>;
+    registerExportWriter(name: string, writer: ExportWriter): void;
+    getExportFormats(): string[];
+
+    // Import
+    importData(source: File | Blob | string, options?: ImportOptions): Promise<ImportResult | null>;
+
+    // Print
+    print(options?: PrintOptions): boolean;
+
+    // Detail rows
+    expandRow(id: string | number): Promise<boolean>;
+    collapseRow(id: string | number): Promise<boolean>;
+    toggleRow(id: string | number): Promise<boolean>;
+    collapseAllRows(): Promise<void>;
+    isRowExpanded(id: string | number): boolean;
+    getExpandedRows(): string[];
+
+    // Tree data
+    expandNode(id: string | number): Promise<boolean>;
+    collapseNode(id: string | number): Promise<boolean>;
+    toggleNode(id: string | number): Promise<boolean>;
+    expandAllNodes(): Promise<void>;
+    collapseAllNodes(): Promise<void>;
+    isNodeExpanded(id: string | number): boolean;
+
+    // Row changes
+    addRow(row: any, index?: number): Promise<any>;
+    updateRow(id: string | number, values: Record<string, any>): Promise<any | null>;
+    removeRow(id: string | number): Promise<any | null>;
+    getChanges(): RowChanges;
+    hasChanges(): boolean;
+    commitChanges(): RowChanges;
+    revertChanges(): Promise<RowChanges>;
+
     // Pagination
     nextPage(): Promise<void>;
     prevPage(): Promise<void>;
@@ -130,16 +489,19 @@ declare module 'tablixjs' {
     setPaginationMode(mode: 'client' | 'server', serverDataLoader?: Function): Promise<void>;
 
     // Sorting
-    sort(columnName: string, direction?: 'asc' | 'desc'): Promise<void>;
-    toggleSort(columnName: string): Promise<void>;
+    sort(columnName: string, direction?: 'asc' | 'desc' | null, addToExisting?: boolean): Promise<void>;
+    toggleSort(columnName: string, addToExisting?: boolean): Promise<void>;
     clearSorting(): Promise<void>;
-    getSortState(): any;
+    getSortState(): SortState;
 
     // Filtering
     applyFilter(columnName: string, filterConfig: FilterConfig): Promise<void>;
     clearFilter(columnName: string): Promise<void>;
     clearAllFilters(): Promise<void>;
     getActiveFilters(): any;
+    setAdvancedFilter(group: FilterGroup | null): Promise<void>;
+    getAdvancedFilter(): FilterGroup | null;
+    clearAdvancedFilter(): Promise<void>;
     getColumnFilter(columnName: string): any;
 
     // Search
@@ -148,6 +510,11 @@ declare module 'tablixjs' {
     clearSearch(): Promise<void>;
     getSearchInfo(): any;
 
+    // Query bar
+    setQuery(query: string): Promise<boolean>;
+    getQuery(): string;
+    parseQuery(query: string): QueryResult | null;
+
     // Selection
     getSelectedData(): any[];
     getSelectedIds(): string[];
@@ -161,6 +528,25 @@ declare module 'tablixjs' {
     setSelectionMode(mode: 'single' | 'multi'): void;
     selectAllRows(): number;
 
+    // Editing
+    editCell(rowIndex: number, columnName: string): Promise<boolean>;
+    commitEdit(): Promise<boolean>;
+    cancelEdit(): void;
+    isEditing(): boolean;
+
+    // State
+    saveState(): TableStateSnapshot;
+    restoreState(snapshot?: TableStateSnapshot): Promise<boolean>;
+    clearSavedState(): void;
+
+    // History
+    undo(): Promise<boolean>;
+    redo(): Promise<boolean>;
+    canUndo(): boolean;
+    canRedo(): boolean;
+    clearHistory(): void;
+    getHistoryState(): HistoryState;
+
     // Events
     on(event: string, callback: Function): void;
     off(event: string, callback: Function): void;
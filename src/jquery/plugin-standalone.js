@@ -125,6 +125,189 @@
       case 'getOriginalData':
         return instance.getOriginalData();
         
+      case 'addRow':
+        if (args.length > 0) {
+          return instance.addRow(args[0], args[1]);
+        }
+        break;
+        
+      case 'updateRow':
+        if (args.length > 1) {
+          return instance.updateRow(args[0], args[1]);
+        }
+        break;
+        
+      case 'removeRow':
+        if (args.length > 0) {
+          return instance.removeRow(args[0]);
+        }
+        break;
+        
+      case 'showColumn':
+        if (args.length > 0) {
+          return instance.showColumn(args[0]);
+        }
+        break;
+        
+      case 'hideColumn':
+        if (args.length > 0) {
+          return instance.hideColumn(args[0]);
+        }
+        break;
+        
+      case 'toggleColumn':
+        if (args.length > 0) {
+          return instance.toggleColumn(args[0], args[1]);
+        }
+        break;
+        
+      case 'moveColumn':
+        if (args.length > 1) {
+          return instance.moveColumn(args[0], args[1]);
+        }
+        break;
+        
+      case 'setColumnWidth':
+        if (args.length > 1) {
+          return instance.setColumnWidth(args[0], args[1]);
+        }
+        break;
+        
+      case 'getColumnWidths':
+        return instance.getColumnWidths();
+        
+      case 'pinColumn':
+        if (args.length > 0) {
+          return instance.pinColumn(args[0], args[1]);
+        }
+        break;
+        
+      case 'unpinColumn':
+        if (args.length > 0) {
+          return instance.unpinColumn(args[0]);
+        }
+        break;
+        
+      case 'groupBy':
+        return instance.groupBy(args[0]);
+        
+      case 'getGroupBy':
+        return instance.getGroupBy();
+        
+      case 'getAggregates':
+        return instance.getAggregates();
+        
+      case 'export':
+        return instance.export(args[0]);
+        
+      case 'registerExportWriter':
+        if (args.length > 1) {
+          instance.registerExportWriter(args[0], args[1]);
+        }
+        break;
+        
+      case 'getExportFormats':
+        return instance.getExportFormats();
+        
+      case 'getAdvancedFilter':
+        return instance.getAdvancedFilter();
+        
+      case 'getQuery':
+        return instance.getQuery();
+        
+      case 'parseQuery':
+        return instance.parseQuery(args[0]);
+        
+      case 'setQuery':
+        return instance.setQuery(args[0]);
+        
+      case 'importData':
+        return instance.importData(args[0], args[1]);
+        
+      case 'print':
+        return instance.print(args[0]);
+        
+      case 'expandGroup':
+        if (args.length > 0) {
+          return instance.expandGroup(args[0]);
+        }
+        break;
+        
+      case 'collapseGroup':
+        if (args.length > 0) {
+          return instance.collapseGroup(args[0]);
+        }
+        break;
+        
+      case 'expandAll':
+        return instance.expandAll();
+        
+      case 'collapseAll':
+        return instance.collapseAll();
+        
+      case 'expandRow':
+        if (args.length > 0) {
+          return instance.expandRow(args[0]);
+        }
+        break;
+        
+      case 'collapseRow':
+        if (args.length > 0) {
+          return instance.collapseRow(args[0]);
+        }
+        break;
+        
+      case 'toggleRow':
+        if (args.length > 0) {
+          return instance.toggleRow(args[0]);
+        }
+        break;
+        
+      case 'collapseAllRows':
+        return instance.collapseAllRows();
+        
+      case 'isRowExpanded':
+        return instance.isRowExpanded(args[0]);
+        
+      case 'getExpandedRows':
+        return instance.getExpandedRows();
+        
+      case 'expandNode':
+        if (args.length > 0) {
+          return instance.expandNode(args[0]);
+        }
+        break;
+        
+      case 'collapseNode':
+        if (args.length > 0) {
+          return instance.collapseNode(args[0]);
+        }
+        break;
+        
+      case 'toggleNode':
+        if (args.length > 0) {
+          return instance.toggleNode(args[0]);
+        }
+        break;
+        
+      case 'expandAllNodes':
+        return instance.expandAllNodes();
+        
+      case 'collapseAllNodes':
+        return instance.collapseAllNodes();
+        
+      case 'isNodeExpanded':
+        return instance.isNodeExpanded(args[0]);
+        
+      case 'getChanges':
+        return instance.getChanges();
+        
+      case 'commitChanges':
+        return instance.commitChanges();
+        
+      case 'revertChanges':
+        return instance.revertChanges();
+        
       case 'getSelectedData':
         return instance.getSelectedData();
         
@@ -172,15 +355,23 @@
         instance.clearAllFilters();
         break;
         
+      case 'setAdvancedFilter':
+        instance.setAdvancedFilter(args[0]);
+        break;
+        
+      case 'clearAdvancedFilter':
+        instance.clearAdvancedFilter();
+        break;
+        
       case 'sort':
         if (args.length > 0) {
-          instance.sort(args[0], args[1]);
+          instance.sort(args[0], args[1], args[2]);
         }
         break;
         
       case 'toggleSort':
         if (args.length > 0) {
-          instance.toggleSort(args[0]);
+          instance.toggleSort(args[0], args[1]);
         }
         break;
         
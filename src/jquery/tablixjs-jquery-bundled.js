@@ -49,7 +49,7 @@ export function initializeJQueryWrapper() {
       }
 
       // Methods that return data (not chainable)
-      const dataReturningMethods = ['getData', 'getSelectedData', 'getSelectedIds', 'getPaginationInfo', 'getSearchTerm', 'getSearchInfo', 'getActiveFilters', 'getColumnFilter', 'getSortState', 'getSelectionCount', 'isRowSelected'];
+      const dataReturningMethods = ['getData', 'getSelectedData', 'getSelectedIds', 'getPaginationInfo', 'getSearchTerm', 'getSearchInfo', 'getActiveFilters', 'getColumnFilter', 'getSortState', 'getSelectionCount', 'isRowSelected', 'getChanges', 'commitChanges', 'getColumnWidths', 'getGroupBy', 'getAggregates', 'isRowExpanded', 'getExpandedRows', 'isNodeExpanded', 'getExportFormats', 'export', 'importData', 'getAdvancedFilter', 'getQuery', 'parseQuery', 'setQuery'];
       
       if (dataReturningMethods.includes(method)) {
         switch (method) {
@@ -69,12 +69,42 @@ export function initializeJQueryWrapper() {
             return instance.getActiveFilters();
           case 'getColumnFilter':
             return instance.getColumnFilter(args[0]);
+          case 'getAdvancedFilter':
+            return instance.getAdvancedFilter();
+          case 'getQuery':
+            return instance.getQuery();
+          case 'parseQuery':
+            return instance.parseQuery(args[0]);
+          case 'setQuery':
+            return instance.setQuery(args[0]);
           case 'getSortState':
             return instance.getSortState();
           case 'getSelectionCount':
             return instance.getSelectionCount();
           case 'isRowSelected':
             return instance.isRowSelected(args[0]);
+          case 'getChanges':
+            return instance.getChanges();
+          case 'commitChanges':
+            return instance.commitChanges();
+          case 'getColumnWidths':
+            return instance.getColumnWidths();
+          case 'getGroupBy':
+            return instance.getGroupBy();
+          case 'getAggregates':
+            return instance.getAggregates();
+          case 'isRowExpanded':
+            return instance.isRowExpanded(args[0]);
+          case 'getExpandedRows':
+            return instance.getExpandedRows();
+          case 'isNodeExpanded':
+            return instance.isNodeExpanded(args[0]);
+          case 'getExportFormats':
+            return instance.getExportFormats();
+          case 'export':
+            return instance.export(args[0]);
+          case 'importData':
+            return instance.importData(args[0], args[1]);
           default:
             return undefined;
         }
@@ -108,6 +138,87 @@ export function initializeJQueryWrapper() {
         case 'selectAllRows':
           instance.selectAllRows();
           break;
+        case 'addRow':
+          instance.addRow(args[0], args[1]);
+          break;
+        case 'updateRow':
+          instance.updateRow(args[0], args[1]);
+          break;
+        case 'removeRow':
+          instance.removeRow(args[0]);
+          break;
+        case 'revertChanges':
+          instance.revertChanges();
+          break;
+        case 'showColumn':
+          instance.showColumn(args[0]);
+          break;
+        case 'hideColumn':
+          instance.hideColumn(args[0]);
+          break;
+        case 'toggleColumn':
+          instance.toggleColumn(args[0], args[1]);
+          break;
+        case 'moveColumn':
+          instance.moveColumn(args[0], args[1]);
+          break;
+        case 'setColumnWidth':
+          instance.setColumnWidth(args[0], args[1]);
+          break;
+        case 'pinColumn':
+          instance.pinColumn(args[0], args[1]);
+          break;
+        case 'unpinColumn':
+          instance.unpinColumn(args[0]);
+          break;
+        case 'groupBy':
+          instance.groupBy(args[0]);
+          break;
+        case 'expandGroup':
+          instance.expandGroup(args[0]);
+          break;
+        case 'collapseGroup':
+          instance.collapseGroup(args[0]);
+          break;
+        case 'expandAll':
+          instance.expandAll();
+          break;
+        case 'collapseAll':
+          instance.collapseAll();
+          break;
+        case 'registerExportWriter':
+          instance.registerExportWriter(args[0], args[1]);
+          break;
+        case 'print':
+          instance.print(args[0]);
+          break;
+        case 'expandRow':
+          instance.expandRow(args[0]);
+          break;
+        case 'collapseRow':
+          instance.collapseRow(args[0]);
+          break;
+        case 'toggleRow':
+          instance.toggleRow(args[0]);
+          break;
+        case 'collapseAllRows':
+          instance.collapseAllRows();
+          break;
+        case 'expandNode':
+          instance.expandNode(args[0]);
+          break;
+        case 'collapseNode':
+          instance.collapseNode(args[0]);
+          break;
+        case 'toggleNode':
+          instance.toggleNode(args[0]);
+          break;
+        case 'expandAllNodes':
+          instance.expandAllNodes();
+          break;
+        case 'collapseAllNodes':
+          instance.collapseAllNodes();
+          break;
         case 'clearSearch':
           instance.clearSearch();
           break;
@@ -123,11 +234,17 @@ export function initializeJQueryWrapper() {
         case 'clearAllFilters':
           instance.clearAllFilters();
           break;
+        case 'setAdvancedFilter':
+          instance.setAdvancedFilter(args[0]);
+          break;
+        case 'clearAdvancedFilter':
+          instance.clearAdvancedFilter();
+          break;
         case 'sort':
-          instance.sort(args[0], args[1]);
+          instance.sort(args[0], args[1], args[2]);
           break;
         case 'toggleSort':
-          instance.toggleSort(args[0]);
+          instance.toggleSort(args[0], args[1]);
           break;
         case 'clearSorting':
           instance.clearSorting();
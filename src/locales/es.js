@@ -22,6 +22,22 @@ export const spanishTranslations = {
   'search.noResults': 'No se encontraron resultados',
   'search.resultsFound': 'resultados encontrados',
 
+  // Query bar
+  'query.placeholder': 'Filtrar, p. ej. status:open amount>100',
+  'query.label': 'Consulta de filtro',
+  'query.unclosedQuote': 'Falta la comilla de cierre',
+  'query.missingColumn': 'Falta el nombre de la columna',
+  'query.unknownColumn': 'Columna desconocida "{column}"',
+  'query.missingValue': 'Falta el valor para "{column}"',
+  'query.invalidNumber': '"{value}" no es un número',
+  'query.invalidDate': '"{value}" no es una fecha',
+  'query.invalidComparison': '"{column}" no es una columna numérica ni de fecha',
+  'query.unknownOperator': 'Operador desconocido "@{operator}" para "{column}"',
+  'query.invalidOperator': 'Falta el paréntesis de cierre en "{value}"',
+  'query.cannotNegate': '"{value}" no se puede negar',
+  'query.mixedLogic': 'Una lista de valores para "{column}" no se puede combinar con otros términos de la misma columna',
+  'query.searchDisabled': '"{text}" no es un filtro y la búsqueda no está habilitada',
+
   // Pagination
   'pagination.first': 'Primero',
   'pagination.previous': 'Anterior',
@@ -40,6 +56,27 @@ export const spanishTranslations = {
   'sort.sortedDescending': 'Ordenado descendente',
   'sort.notSorted': 'Sin ordenar',
   'sort.clearSort': 'Limpiar ordenación',
+  'sort.sortPriority': 'Prioridad de ordenación {order}',
+
+  // Editing
+  'edit.invalidValue': 'Valor no válido',
+  'edit.invalidNumber': 'Introduzca un número válido',
+
+  // Grouping
+  'grouping.empty': '(Vacío)',
+  'grouping.expand': 'Expandir grupo',
+  'grouping.collapse': 'Contraer grupo',
+
+  // Detail rows
+  'detail.expand': 'Mostrar detalles',
+  'detail.collapse': 'Ocultar detalles',
+  'detail.loading': 'Cargando detalles...',
+  'detail.error': 'Error al cargar los detalles',
+
+  // Tree
+  'tree.expand': 'Expandir fila',
+  'tree.collapse': 'Contraer fila',
+  'tree.loading': 'Cargando filas...',
 
   // Selection
   'selection.selectRow': 'Seleccionar fila',
@@ -65,6 +102,11 @@ export const spanishTranslations = {
   'filter.addCondition': 'Agregar condición',
   'filter.removeCondition': 'Eliminar condición',
   'filter.value': 'Valor',
+  'filter.from': 'Desde',
+  'filter.to': 'Hasta',
+  'filter.and': 'Y',
+  'filter.or': 'O',
+  'filter.toggleLogic': 'Cambiar entre Y y O',
   'filter.apply': 'Aplicar',
   'filter.clear': 'Limpiar',
   'filter.cancel': 'Cancelar',
@@ -87,6 +129,9 @@ export const spanishTranslations = {
   // Controls
   'controls.refresh': 'Actualizar datos',
   'controls.export': 'Exportar datos',
+  'controls.exportFormat': 'Formato de exportación',
+  'controls.import': 'Importar',
+  'controls.importDrop': 'Suelte un archivo CSV, TSV o JSON para importarlo',
   'controls.settings': 'Configuración',
   'controls.columns': 'Columnas',
   'controls.showColumns': 'Mostrar/Ocultar columnas',
@@ -122,6 +167,10 @@ export const spanishTranslations = {
   'accessibility.pageNavigation': 'Navegación de páginas',
   'accessibility.searchInput': 'Buscar en los datos de la tabla',
   'accessibility.filterColumn': 'Filtrar columna',
+  'accessibility.sortedAscending': 'Ordenado por {column}, ascendente',
+  'accessibility.sortedDescending': 'Ordenado por {column}, descendente',
+  'accessibility.sortCleared': 'Ordenación eliminada',
+  'accessibility.rowsFound': '{count} filas encontradas',
 
   // Actions
   'action.apply': 'Aplicar',
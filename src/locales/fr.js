@@ -22,6 +22,22 @@ export const frenchTranslations = {
   'search.noResults': 'Aucun résultat trouvé',
   'search.resultsFound': 'résultats trouvés',
 
+  // Query bar
+  'query.placeholder': 'Filtrer, p. ex. status:open amount>100',
+  'query.label': 'Requête de filtre',
+  'query.unclosedQuote': 'Guillemet fermant manquant',
+  'query.missingColumn': 'Nom de colonne manquant',
+  'query.unknownColumn': 'Colonne inconnue "{column}"',
+  'query.missingValue': 'Valeur manquante pour "{column}"',
+  'query.invalidNumber': '"{value}" n\'est pas un nombre',
+  'query.invalidDate': '"{value}" n\'est pas une date',
+  'query.invalidComparison': '"{column}" n\'est pas une colonne numérique ou de date',
+  'query.unknownOperator': 'Opérateur inconnu "@{operator}" pour "{column}"',
+  'query.invalidOperator': 'Parenthèse fermante manquante dans "{value}"',
+  'query.cannotNegate': '"{value}" ne peut pas être inversé',
+  'query.mixedLogic': 'Une liste de valeurs pour "{column}" ne peut pas être combinée avec d\'autres termes sur la même colonne',
+  'query.searchDisabled': '"{text}" n\'est pas un filtre et la recherche n\'est pas activée',
+
   // Pagination
   'pagination.first': 'Premier',
   'pagination.previous': 'Précédent',
@@ -40,6 +56,27 @@ export const frenchTranslations = {
   'sort.sortedDescending': 'Trié décroissant',
   'sort.notSorted': 'Non trié',
   'sort.clearSort': 'Effacer le tri',
+  'sort.sortPriority': 'Priorité de tri {order}',
+
+  // Editing
+  'edit.invalidValue': 'Valeur invalide',
+  'edit.invalidNumber': 'Veuillez saisir un nombre valide',
+
+  // Grouping
+  'grouping.empty': '(Vide)',
+  'grouping.expand': 'Développer le groupe',
+  'grouping.collapse': 'Réduire le groupe',
+
+  // Detail rows
+  'detail.expand': 'Afficher les détails',
+  'detail.collapse': 'Masquer les détails',
+  'detail.loading': 'Chargement des détails...',
+  'detail.error': 'Échec du chargement des détails',
+
+  // Tree
+  'tree.expand': 'Développer la ligne',
+  'tree.collapse': 'Réduire la ligne',
+  'tree.loading': 'Chargement des lignes...',
 
   // Selection
   'selection.selectRow': 'Sélectionner la ligne',
@@ -65,6 +102,11 @@ export const frenchTranslations = {
   'filter.addCondition': 'Ajouter une condition',
   'filter.removeCondition': 'Supprimer la condition',
   'filter.value': 'Valeur',
+  'filter.from': 'De',
+  'filter.to': 'À',
+  'filter.and': 'ET',
+  'filter.or': 'OU',
+  'filter.toggleLogic': 'Basculer entre ET et OU',
   'filter.apply': 'Appliquer',
   'filter.clear': 'Effacer',
   'filter.cancel': 'Annuler',
@@ -87,6 +129,9 @@ export const frenchTranslations = {
   // Controls
   'controls.refresh': 'Actualiser les données',
   'controls.export': 'Exporter les données',
+  'controls.exportFormat': 'Format d\'export',
+  'controls.import': 'Importer',
+  'controls.importDrop': 'Déposez un fichier CSV, TSV ou JSON pour l\'importer',
   'controls.settings': 'Paramètres',
   'controls.columns': 'Colonnes',
   'controls.showColumns': 'Afficher/Masquer les colonnes',
@@ -122,6 +167,10 @@ export const frenchTranslations = {
   'accessibility.pageNavigation': 'Navigation des pages',
   'accessibility.searchInput': 'Rechercher dans les données du tableau',
   'accessibility.filterColumn': 'Filtrer la colonne',
+  'accessibility.sortedAscending': 'Trié par {column}, croissant',
+  'accessibility.sortedDescending': 'Trié par {column}, décroissant',
+  'accessibility.sortCleared': 'Tri supprimé',
+  'accessibility.rowsFound': '{count} lignes trouvées',
 
   // Actions
   'action.apply': 'Appliquer',
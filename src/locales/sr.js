@@ -22,6 +22,22 @@ export const serbianTranslations = {
   'search.noResults': 'Nema rezultata',
   'search.resultsFound': 'rezultata pronađeno',
 
+  // Query bar
+  'query.placeholder': 'Filtriraj, npr. status:open amount>100',
+  'query.label': 'Upit za filtriranje',
+  'query.unclosedQuote': 'Nedostaje zatvarajući navodnik',
+  'query.missingColumn': 'Nedostaje naziv kolone',
+  'query.unknownColumn': 'Nepoznata kolona "{column}"',
+  'query.missingValue': 'Nedostaje vrednost za "{column}"',
+  'query.invalidNumber': '"{value}" nije broj',
+  'query.invalidDate': '"{value}" nije datum',
+  'query.invalidComparison': '"{column}" nije kolona sa brojevima ili datumima',
+  'query.unknownOperator': 'Nepoznat operator "@{operator}" za "{column}"',
+  'query.invalidOperator': 'Nedostaje zatvarajuća zagrada u "{value}"',
+  'query.cannotNegate': '"{value}" ne može biti negirano',
+  'query.mixedLogic': 'Lista vrednosti za "{column}" ne može se kombinovati sa drugim uslovima za istu kolonu',
+  'query.searchDisabled': '"{text}" nije filter, a pretraga nije uključena',
+
   // Pagination
   'pagination.first': 'Prva',
   'pagination.previous': 'Prethodna',
@@ -40,6 +56,27 @@ export const serbianTranslations = {
   'sort.sortedDescending': 'Sortirano opadajuće',
   'sort.notSorted': 'Nije sortirano',
   'sort.clearSort': 'Obriši sortiranje',
+  'sort.sortPriority': 'Prioritet sortiranja {order}',
+
+  // Editing
+  'edit.invalidValue': 'Neispravna vrednost',
+  'edit.invalidNumber': 'Unesite ispravan broj',
+
+  // Grouping
+  'grouping.empty': '(Prazno)',
+  'grouping.expand': 'Proširi grupu',
+  'grouping.collapse': 'Skupi grupu',
+
+  // Detail rows
+  'detail.expand': 'Prikaži detalje',
+  'detail.collapse': 'Sakrij detalje',
+  'detail.loading': 'Učitavanje detalja...',
+  'detail.error': 'Učitavanje detalja nije uspelo',
+
+  // Tree
+  'tree.expand': 'Proširi red',
+  'tree.collapse': 'Skupi red',
+  'tree.loading': 'Učitavanje redova...',
 
   // Selection
   'selection.selectRow': 'Izaberi red',
@@ -65,6 +102,11 @@ export const serbianTranslations = {
   'filter.addCondition': 'Dodaj uslov',
   'filter.removeCondition': 'Ukloni uslov',
   'filter.value': 'Vrednost',
+  'filter.from': 'Od',
+  'filter.to': 'Do',
+  'filter.and': 'I',
+  'filter.or': 'ILI',
+  'filter.toggleLogic': 'Prebaci između I i ILI',
   'filter.apply': 'Primeni',
   'filter.clear': 'Obriši',
   'filter.cancel': 'Otkaži',
@@ -87,6 +129,9 @@ export const serbianTranslations = {
   // Controls
   'controls.refresh': 'Osveži podatke',
   'controls.export': 'Izvezi podatke',
+  'controls.exportFormat': 'Format izvoza',
+  'controls.import': 'Uvezi',
+  'controls.importDrop': 'Prevucite CSV, TSV ili JSON datoteku da biste je uvezli',
   'controls.settings': 'Podešavanja',
   'controls.columns': 'Kolone',
   'controls.showColumns': 'Prikaži/Sakrij kolone',
@@ -122,6 +167,10 @@ export const serbianTranslations = {
   'accessibility.pageNavigation': 'Navigacija stranica',
   'accessibility.searchInput': 'Pretraga podataka tabele',
   'accessibility.filterColumn': 'Filtriraj kolonu',
+  'accessibility.sortedAscending': 'Sortirano po {column}, rastuće',
+  'accessibility.sortedDescending': 'Sortirano po {column}, opadajuće',
+  'accessibility.sortCleared': 'Sortiranje uklonjeno',
+  'accessibility.rowsFound': 'Pronađeno redova: {count}',
 
   // Actions
   'action.apply': 'Primeni',
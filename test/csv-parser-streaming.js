@@ -0,0 +1,65 @@
+/**
+ * Node.js test: CsvParser detects the delimiter of streamed input regardless of chunk size
+ * Run with: node test/csv-parser-streaming.js
+ */
+import assert from 'assert/strict';
+import CsvParser from '../src/core/CsvParser.js';
+
+console.log('=== TablixJS CsvParser Streaming Test ===\n');
+
+const files = {
+  semicolon: {
+    delimiter: ';',
+    text: '\uFEFFid;name;city\r\n1;"Smith; John";Paris\r\n2;"Line\nbreak";"Say ""hi"""\r\n3;Ana;Berlin'
+  },
+  tab: {
+    delimiter: '\t',
+    text: '\n\nid\tname\tnote\n1\tAlice\ta,b,c\n2\t"Bob\tJr."\tx;y\n'
+  },
+  quotedHeader: {
+    delimiter: ';',
+    text: '"first, name";"last, name"\nAna;Lee\n'
+  }
+};
+
+function parseInChunks(text, size) {
+  const parser = new CsvParser();
+  const records = [];
+  for (let i = 0; i < text.length; i += size) {
+    records.push(...parser.push(text.slice(i, i + size)));
+  }
+  records.push(...parser.end());
+  return { records, delimiter: parser.delimiter };
+}
+
+let failures = 0;
+
+Object.entries(files).forEach(([name, { delimiter, text }]) => {
+  const expected = new CsvParser({ delimiter }).parse(text);
+
+  [1, 2, 3, 7, text.length].forEach(size => {
+    try {
+      const result = parseInChunks(text, size);
+      assert.equal(result.delimiter, delimiter);
+      assert.deepEqual(result.records, expected);
+      console.log(`✓ ${name}: chunks of ${size}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}: chunks of ${size}\n${error.message}`);
+    }
+  });
+});
+
+// A single record without a line break is detected when parsing ends
+try {
+  const result = parseInChunks('a|b|c', 1);
+  assert.equal(result.delimiter, '|');
+  assert.deepEqual(result.records, [['a', 'b', 'c']]);
+  console.log('✓ single record without line break');
+} catch (error) {
+  failures++;
+  console.error(`✗ single record without line break\n${error.message}`);
+}
+
+console.log(failures === 0 ? '\nAll tests passed' : `\n${failures} test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
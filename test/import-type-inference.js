@@ -0,0 +1,60 @@
+/**
+ * Node.js test: ImportManager keeps numeric-looking codes and long ids as text
+ * Run with: node test/import-type-inference.js
+ */
+import assert from 'assert/strict';
+import ImportManager from '../src/core/ImportManager.js';
+
+console.log('=== TablixJS Import Type Inference Test ===\n');
+
+const importManager = new ImportManager(null);
+
+const cases = [
+  {
+    name: 'leading-zero codes',
+    values: ['007', '00501', '42'],
+    type: 'string',
+    converted: ['007', '00501', '42']
+  },
+  {
+    name: 'signed leading zero',
+    values: ['-007', '12'],
+    type: 'string',
+    converted: ['-007', '12']
+  },
+  {
+    name: 'long ids',
+    values: ['12345678901234567890', '98765432109876543'],
+    type: 'string',
+    converted: ['12345678901234567890', '98765432109876543']
+  },
+  {
+    name: 'plain numbers',
+    values: ['0', '0.5', '-3.25', '1e3', '123456789012345'],
+    type: 'number',
+    converted: [0, 0.5, -3.25, 1000, 123456789012345]
+  },
+  {
+    name: 'small decimals',
+    values: ['0.000123', '.5'],
+    type: 'number',
+    converted: [0.000123, 0.5]
+  }
+];
+
+let failures = 0;
+
+cases.forEach(({ name, values, type, converted }) => {
+  try {
+    const inferred = importManager.inferType(values);
+    assert.equal(inferred, type);
+    assert.deepEqual(values.map(value => importManager.convertValue(value, inferred)), converted);
+    console.log(`✓ ${name}: ${type}`);
+  } catch (error) {
+    failures++;
+    console.error(`✗ ${name}\n${error.message}`);
+  }
+});
+
+console.log(failures === 0 ? '\nAll tests passed' : `\n${failures} test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);